@@ -9,8 +9,10 @@ const fs = require('fs');
 const path = require('path');
 const ExcelJS = require('exceljs');
 const multer = require('multer');
+const { Readable } = require('stream');
 const crypto = require('crypto');
 const session = require('express-session');
+const nodemailer = require('nodemailer');
 
 // Environment variables loaded from .env file
 
@@ -186,11 +188,57 @@ const SONAR_CONFIG = {
   apiUrl: process.env.SONAR_API_URL,
   bearerToken: process.env.SONAR_BEARER_TOKEN,
   enabled: !!(process.env.SONAR_API_URL && process.env.SONAR_BEARER_TOKEN),
-  skipSslVerify: process.env.SONAR_SKIP_SSL_VERIFY === 'true'
+  skipSslVerify: process.env.SONAR_SKIP_SSL_VERIFY === 'true',
+  // Warnings are always tracked in the database; opening them in SONAR is opt-in
+  sendWarnings: process.env.SONAR_SEND_WARNINGS === 'true'
+};
+
+// SMTP email notifications, independent from SONAR (sites without SONAR routing still get alert emails)
+// Recipients are managed per site from the admin UI; EMAIL_DEFAULT_RECIPIENTS applies when no list is defined
+const EMAIL_CONFIG = {
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER,
+  password: process.env.SMTP_PASS,
+  from: process.env.SMTP_FROM,
+  skipSslVerify: process.env.SMTP_SKIP_SSL_VERIFY === 'true',
+  enabled: !!(process.env.SMTP_HOST && process.env.SMTP_FROM),
+  defaultRecipients: (process.env.EMAIL_DEFAULT_RECIPIENTS || '').split(/[,;\s]+/).filter(Boolean),
+  sendWarnings: process.env.EMAIL_SEND_WARNINGS === 'true'
 };
 
 let alertSendingEnabled = false;
 
+// Rack-level power incidents replace the per-PDU voltage alerts of a dual-fed rack. They are stored under the
+// rack id (not a PDU id) and their priority is shown in the alert emails (ALERT_EMAIL_PRIORITY)
+const RACK_INCIDENT_PRIORITY = {
+  critical_voltage_rack_down: 'P1',
+  critical_voltage_redundancy_lost: 'P2'
+};
+
+// Parent incidents that collapse the alerts of a gateway or chain going down at once into one SONAR event
+const CORRELATED_INCIDENT_REASONS = {
+  gateway: 'critical_gateway_incident',
+  chain: 'critical_chain_incident'
+};
+
+// Priority of the incidents, shown in the alert emails only: SONAR is never sent a priority field
+const ALERT_EMAIL_PRIORITY = {
+  ...RACK_INCIDENT_PRIORITY,
+  ...Object.fromEntries(Object.values(CORRELATED_INCIDENT_REASONS).map(reason => [reason, 'P1']))
+};
+
+const INCIDENT_CORRELATION_CONFIG = {
+  minRacks: parseInt(process.env.INCIDENT_CORRELATION_MIN_RACKS) || 3,
+  minRatio: parseFloat(process.env.INCIDENT_CORRELATION_RATIO) || 0.8
+};
+
+// Active warnings live in their own table so every reader of active_critical_alerts keeps seeing only criticals
+function getActiveAlertsTable(alertReason) {
+  return String(alertReason || '').startsWith('warning_') ? 'active_warning_alerts' : 'active_critical_alerts';
+}
+
 const https = require('https');
 const http = require('http');
 
@@ -270,6 +318,107 @@ function formatDateForSonar(date) {
 // Store for tracking SONAR errors per rack (in-memory cache)
 const sonarErrorCache = new Map();
 
+/**
+ * Title and details of an alert as sent to SONAR (problemtitle / problemdetailsjson)
+ * Shared with the email notifications so both channels carry the same data
+ */
+function buildAlertDescription(alertData) {
+  const rackName = alertData.name || alertData.rack_id || 'UNKNOWN';
+  const isWarning = String(alertData.alert_reason || '').startsWith('warning_');
+  const alertReasonRaw = (alertData.alert_reason || '').toLowerCase();
+  const alertReasonFormatted = alertReasonRaw.replace(/_/g, ' ');
+  const isCorrelatedIncident = Object.values(CORRELATED_INCIDENT_REASONS).includes(alertReasonRaw);
+  let alertEmoji = '';
+  let alertValue = '';
+  if (isCorrelatedIncident) {
+    alertEmoji = '\uD83D\uDEA8';
+    alertValue = alertData.affectedCount != null && alertData.rackCount != null
+      ? `${String(alertData.affectedCount)}/${String(alertData.rackCount)} racks en alerta`
+      : '';
+  } else if (isCompositeReason(alertReasonRaw)) {
+    // Several metrics at once: the rule in the reason is the whole description, no single reading
+    alertEmoji = '\u26A0\uFE0F';
+  } else if (alertReasonRaw.includes('rising') || alertReasonRaw.includes('surge')) {
+    const isTemperatureRate = alertReasonRaw.includes('temp');
+    const delta = isTemperatureRate ? alertData.temperatureDelta : alertData.currentDelta;
+    alertEmoji = isTemperatureRate ? '\uD83D\uDD25' : '\u26A1';
+    alertValue = delta != null ? `+${String(delta)}${isTemperatureRate ? '\u00B0C' : 'A'}` : '';
+  } else if (RACK_INCIDENT_PRIORITY[alertReasonRaw]) {
+    alertEmoji = alertReasonRaw.includes('rack_down') ? '\uD83D\uDD34' : '\uD83D\uDFE0';
+    alertValue = alertData.feedsDown != null && alertData.feedCount != null
+      ? `${String(alertData.feedsDown)}/${String(alertData.feedCount)} feeds sin energia`
+      : '';
+  } else if (alertReasonRaw.includes('voltage')) {
+    alertEmoji = '\u26A1';
+    alertValue = alertData.voltage != null ? `${String(alertData.voltage)}V` : '';
+  } else if (alertReasonRaw.includes('ampera') || alertReasonRaw.includes('amperage')) {
+    alertEmoji = '\u26A1';
+    alertValue = alertData.current != null ? `${String(alertData.current)}A` : '';
+  } else if (alertReasonRaw.includes('redundancy_load')) {
+    alertEmoji = '\u26A1';
+    alertValue = alertData.failoverLoadPercentage != null
+      ? `${String(alertData.failoverLoadPercentage)}% N+N${alertData.rackTotalCurrent != null ? ` (${String(alertData.rackTotalCurrent)}A)` : ''}`
+      : '';
+  } else if (alertReasonRaw.includes('load_percentage')) {
+    alertEmoji = '\u26A1';
+    alertValue = alertData.loadPercentage != null ? `${String(alertData.loadPercentage)}%` : '';
+  } else if (alertReasonRaw.includes('dewpoint')) {
+    alertEmoji = '\uD83D\uDCA7';
+    alertValue = alertData.dewPoint != null ? `${String(alertData.dewPoint)}\u00B0C` : '';
+  } else if (alertReasonRaw.includes('humid')) {
+    alertEmoji = '\uD83D\uDCA6';
+    alertValue = alertData.humidity != null ? `${String(alertData.humidity)}%H` : '';
+  } else if (alertReasonRaw.includes('temp')) {
+    alertEmoji = '\uD83D\uDD25';
+    alertValue = alertData.temperature != null ? `${String(alertData.temperature)}\u00B0C` : '';
+  } else if (alertReasonRaw.includes('power')) {
+    alertEmoji = '\uD83D\uDD0C';
+    alertValue = alertData.power != null ? `${String(alertData.power)}W` : '';
+  }
+  const escalation = alertData.escalation;
+  const escalationPrefix = escalation ? `[ESCALADO N${escalation.level} ${escalation.notifyTarget}] ` : '';
+  const alertDescription = `${escalationPrefix}${rackName}${alertEmoji}${alertValue} ${alertReasonFormatted}`.replace(/\s+/g, ' ').trim();
+  return {
+    description: alertDescription,
+    details: {
+      rack_id: alertData.rack_id || '',
+      name: alertData.name || '',
+      country: alertData.country || '',
+      site: alertData.site || '',
+      dc: alertData.dc || '',
+      phase: alertData.phase || '',
+      chain: alertData.chain || '',
+      node: alertData.node || '',
+      serial: alertData.serial || '',
+      alert_reason: alertData.alert_reason || '',
+      amperaje: alertData.current != null ? `${alertData.current}A` : '0A',
+      voltage: alertData.voltage != null ? `${alertData.voltage}V` : '0V',
+      temperature: alertData.temperature != null ? `${alertData.temperature}\u00B0C` : 'N/A',
+      humidity: alertData.humidity != null ? `${alertData.humidity}%H` : 'N/A',
+      power: alertData.power != null ? `${alertData.power}W` : 'N/A',
+      apparent_power: alertData.apparentPower != null ? `${alertData.apparentPower}kVA` : 'N/A',
+      temperature_delta: alertData.temperatureDelta != null ? `+${alertData.temperatureDelta}\u00B0C` : 'N/A',
+      current_delta: alertData.currentDelta != null ? `+${alertData.currentDelta}A` : 'N/A',
+      gwName: alertData.gwName || 'N/A',
+      gwIp: alertData.gwIp || 'N/A',
+      GrupoResponsable: getGroupBySite(alertData.site),
+      severity: isWarning ? 'warning' : 'critical',
+      ...(escalation ? {
+        escalation_level: escalation.level,
+        escalate_to: escalation.notifyTarget,
+        escalate_contact: escalation.notifyContact || '',
+        minutes_open: escalation.minutesOpen
+      } : {}),
+      ...(isCorrelatedIncident ? {
+        affected_count: alertData.affectedCount,
+        rack_count: alertData.rackCount,
+        affected_racks: alertData.affectedRacks || []
+      } : {}),
+      alert_started: alertData.alert_started || formatDateForSonar(new Date())
+    }
+  };
+}
+
 /**
  * Send alert to SONAR API (open or close)
  * @param {Object} alertData - Alert data to send
@@ -287,7 +436,9 @@ async function sendToSonar(alertData, state, force = false) {
 
   try {
     const rackName = alertData.name || alertData.rack_id || 'UNKNOWN';
-    const alertIdentifier = `ALERTA_${rackName}`;
+    // Warnings use their own pid: closing a warning must not close the rack's critical incident
+    const isWarning = String(alertData.alert_reason || '').startsWith('warning_');
+    const alertIdentifier = isWarning ? `AVISO_${rackName}` : `ALERTA_${rackName}`;
 
     let payload;
 
@@ -298,24 +449,7 @@ async function sendToSonar(alertData, state, force = false) {
         origin: 'NGEN_ALERT'
       };
     } else {
-      const alertReasonRaw = (alertData.alert_reason || '').toLowerCase();
-      const alertReasonFormatted = alertReasonRaw.replace(/_/g, ' ');
-      let alertEmoji = '';
-      let alertValue = '';
-      if (alertReasonRaw.includes('voltage')) {
-        alertEmoji = '\u26A1';
-        alertValue = alertData.voltage != null ? `${String(alertData.voltage)}V` : '';
-      } else if (alertReasonRaw.includes('ampera') || alertReasonRaw.includes('amperage')) {
-        alertEmoji = '\u26A1';
-        alertValue = alertData.current != null ? `${String(alertData.current)}A` : '';
-      } else if (alertReasonRaw.includes('humid')) {
-        alertEmoji = '\uD83D\uDCA6';
-        alertValue = alertData.humidity != null ? `${String(alertData.humidity)}%H` : '';
-      } else if (alertReasonRaw.includes('temp')) {
-        alertEmoji = '\uD83D\uDD25';
-        alertValue = alertData.temperature != null ? `${String(alertData.temperature)}\u00B0C` : '';
-      }
-      const alertDescription = `${rackName}${alertEmoji}${alertValue} ${alertReasonFormatted}`.replace(/\s+/g, ' ').trim();
+      const { description: alertDescription, details } = buildAlertDescription(alertData);
       payload = {
         pid: alertIdentifier,
         state: state,
@@ -325,26 +459,7 @@ async function sendToSonar(alertData, state, force = false) {
         entity: 'SGT',
         problemdetailstext: alertDescription,
         problemtitle: alertDescription,
-        problemdetailsjson: {
-          rack_id: alertData.rack_id || '',
-          name: alertData.name || '',
-          country: alertData.country || '',
-          site: alertData.site || '',
-          dc: alertData.dc || '',
-          phase: alertData.phase || '',
-          chain: alertData.chain || '',
-          node: alertData.node || '',
-          serial: alertData.serial || '',
-          alert_reason: alertData.alert_reason || '',
-          amperaje: alertData.current != null ? `${alertData.current}A` : '0A',
-          voltage: alertData.voltage != null ? `${alertData.voltage}V` : '0V',
-          temperature: alertData.temperature != null ? `${alertData.temperature}\u00B0C` : 'N/A',
-          humidity: alertData.humidity != null ? `${alertData.humidity}%H` : 'N/A',
-          gwName: alertData.gwName || 'N/A',
-          gwIp: alertData.gwIp || 'N/A',
-          GrupoResponsable: getGroupBySite(alertData.site),
-          alert_started: alertData.alert_started || formatDateForSonar(new Date())
-        }
+        problemdetailsjson: details
       };
     }
 
@@ -376,13 +491,9 @@ async function sendToSonar(alertData, state, force = false) {
 }
 
 /**
- * Open alert in SONAR and save UUID to database
- * @param {Object} pdu - PDU data
- * @param {string} alertReason - Alert reason
- * @param {number} alertId - Database alert ID
- * @returns {Promise<{success: boolean, uuid?: string, error?: string}>}
+ * Alert data of a PDU reading in the shape expected by sendToSonar (and the email notifications)
  */
-async function openSonarAlert(pdu, alertReason, alertId) {
+function buildPduAlertData(pdu, alertReason) {
   const pduIdStr = String(pdu.id);
   const rackIdStr = String(pdu.rackId || pdu.id);
 
@@ -395,7 +506,7 @@ async function openSonarAlert(pdu, alertReason, alertId) {
     ? parseFloat(pdu.sensorHumidity)
     : null;
 
-  const alertData = {
+  return {
     pdu_id: pduIdStr,
     rack_id: rackIdStr,
     name: pdu.name,
@@ -411,10 +522,32 @@ async function openSonarAlert(pdu, alertReason, alertId) {
     voltage: voltageValue,
     temperature: tempValue,
     humidity: humidityValue,
+    power: pdu.power != null ? parseFloat(pdu.power) : null,
+    apparentPower: pdu.apparentPower != null ? parseFloat(pdu.apparentPower) : null,
+    dewPoint: pdu.dewPoint != null ? parseFloat(pdu.dewPoint) : null,
+    loadPercentage: pdu.loadPercentage != null ? parseFloat(pdu.loadPercentage) : null,
+    failoverLoadPercentage: pdu.failoverLoadPercentage != null ? parseFloat(pdu.failoverLoadPercentage) : null,
+    rackTotalCurrent: pdu.rackTotalCurrent != null ? parseFloat(pdu.rackTotalCurrent) : null,
+    feedCount: pdu.feedCount != null ? pdu.feedCount : null,
+    feedsDown: pdu.feedsDown != null ? pdu.feedsDown : null,
+    temperatureDelta: pdu.temperatureDelta != null ? parseFloat(pdu.temperatureDelta) : null,
+    currentDelta: pdu.currentDelta != null ? parseFloat(pdu.currentDelta) : null,
     gwName: pdu.gwName && pdu.gwName !== '' ? pdu.gwName : 'N/A',
     gwIp: pdu.gwIp && pdu.gwIp !== '' ? pdu.gwIp : 'N/A',
     alert_started: formatDateForSonar(new Date())
   };
+}
+
+/**
+ * Open alert in SONAR and save UUID to database
+ * @param {Object} pdu - PDU data
+ * @param {string} alertReason - Alert reason
+ * @param {number} alertId - Database alert ID
+ * @returns {Promise<{success: boolean, uuid?: string, error?: string}>}
+ */
+async function openSonarAlert(pdu, alertReason, alertId) {
+  const rackIdStr = String(pdu.rackId || pdu.id);
+  const alertData = buildPduAlertData(pdu, alertReason);
 
   const result = await sendToSonar(alertData, 'OPEN');
 
@@ -425,7 +558,7 @@ async function openSonarAlert(pdu, alertReason, alertId) {
           .input('uuid_open', sql.NVarChar, result.uuid)
           .input('alert_id', sql.UniqueIdentifier, alertId)
           .query(`
-            UPDATE active_critical_alerts
+            UPDATE ${getActiveAlertsTable(alertReason)}
             SET uuid_open = @uuid_open
             WHERE id = @alert_id
           `);
@@ -487,7 +620,7 @@ async function closeSonarAlert(alert) {
           .input('uuid_closed', sql.NVarChar, result.uuid)
           .input('alert_id', sql.UniqueIdentifier, alert.id)
           .query(`
-            UPDATE active_critical_alerts
+            UPDATE ${getActiveAlertsTable(alert.alert_reason)}
             SET uuid_closed = @uuid_closed
             WHERE id = @alert_id
           `);
@@ -554,7 +687,7 @@ async function sendExistingAlertsToSonar() {
                metric_type, alert_reason, alert_value, alert_field, threshold_exceeded,
                alert_started_at
         FROM active_critical_alerts
-        WHERE uuid_open IS NULL
+        WHERE uuid_open IS NULL AND sonar_silenced = 0 AND sonar_flapping = 0 AND parent_incident_id IS NULL
         ORDER BY alert_started_at ASC
       `);
     });
@@ -606,6 +739,15 @@ async function sendExistingAlertsToSonar() {
           voltage: pduData.voltage,
           temperature: pduData.sensorTemperature,
           humidity: pduData.sensorHumidity,
+          power: alert.alert_field === 'power' ? alert.alert_value : null,
+          dewPoint: alert.alert_field === 'dewPoint' ? alert.alert_value : null,
+          loadPercentage: alert.alert_field === 'loadPercentage' ? alert.alert_value : null,
+          failoverLoadPercentage: alert.alert_field === 'failoverLoadPercentage' ? alert.alert_value : null,
+          rackTotalCurrent: pduData.rackTotalCurrent,
+          feedCount: pduData.feedCount,
+          feedsDown: pduData.feedsDown,
+          temperatureDelta: alert.alert_field === 'temperatureDelta' ? alert.alert_value : null,
+          currentDelta: alert.alert_field === 'currentDelta' ? alert.alert_value : null,
           gwName: pduData.gwName,
           gwIp: pduData.gwIp,
           alert_started: formatDateForSonar(alert.alert_started_at || new Date())
@@ -733,2008 +875,4473 @@ async function getRacksWithSonarAlerts() {
   }
 }
 
-// Middleware Configuration
-app.use(helmet({
-  contentSecurityPolicy: false,
-}));
-
-// CORS configuration - Allow requests from frontend
-app.use(cors({
-  origin: process.env.FRONTEND_URL || true, // Allow all origins in production when serving from same server
-  credentials: true
-}));
+/**
+ * Get racks whose active critical alerts are all acknowledged
+ * @returns {Promise<Object>} rackId -> { acknowledgedBy, acknowledgedAt, comment } of the latest acknowledgement
+ */
+async function getAcknowledgedRacks() {
+  try {
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT rack_id, acknowledged_by, acknowledged_at, acknowledged_comment
+        FROM active_critical_alerts
+        ORDER BY acknowledged_at ASC
+      `);
+    });
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    const acknowledgedRacks = {};
+    const pendingRacks = new Set();
+    result.recordset.forEach(row => {
+      if (!row.acknowledged_at) {
+        pendingRacks.add(row.rack_id);
+        return;
+      }
+      acknowledgedRacks[row.rack_id] = {
+        acknowledgedBy: row.acknowledged_by,
+        acknowledgedAt: row.acknowledged_at,
+        comment: row.acknowledged_comment
+      };
+    });
+    pendingRacks.forEach(rackId => delete acknowledgedRacks[rackId]);
 
-// Serve static files from 'dist' folder in production
-const distPath = path.join(__dirname, 'dist');
-if (fs.existsSync(distPath)) {
-  logger.debug('Serving static files from dist folder');
-  app.use(express.static(distPath));
+    return acknowledgedRacks;
+  } catch (error) {
+    logger.error('Error fetching acknowledged racks', { error: error.message });
+    return {};
+  }
 }
 
-// Morgan logging middleware (debug level to reduce noise)
-app.use(morgan('combined', {
-  stream: {
-    write: (message) => logger.debug(message.trim())
+// Email notifications (SMTP), sent alongside SONAR to the recipients of each site
+const EMAIL_ADDRESS_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Rows of the alert emails, taken from the SONAR details (buildAlertDescription) in this order
+const EMAIL_DETAIL_ROWS = [
+  ['name', 'Rack'],
+  ['site', 'Sitio'],
+  ['dc', 'DC'],
+  ['chain', 'Chain'],
+  ['node', 'Nodo'],
+  ['serial', 'Serie'],
+  ['phase', 'Fase'],
+  ['alert_reason', 'Alerta'],
+  ['priority', 'Prioridad'],
+  ['affected_count', 'Racks en alerta'],
+  ['rack_count', 'Racks del grupo'],
+  ['affected_racks', 'Racks afectados'],
+  ['amperaje', 'Amperaje'],
+  ['voltage', 'Voltaje'],
+  ['temperature', 'Temperatura'],
+  ['humidity', 'Humedad'],
+  ['power', 'Potencia'],
+  ['apparent_power', 'Potencia aparente'],
+  ['temperature_delta', 'Subida de temperatura'],
+  ['current_delta', 'Subida de amperaje'],
+  ['gwName', 'Gateway'],
+  ['gwIp', 'IP gateway'],
+  ['GrupoResponsable', 'Grupo responsable'],
+  ['escalation_level', 'Nivel de escalado'],
+  ['escalate_to', 'Escalado a'],
+  ['minutes_open', 'Minutos abierta'],
+  ['alert_started', 'Inicio']
+];
+
+let emailTransporter = null;
+
+function getEmailTransporter() {
+  if (!emailTransporter) {
+    emailTransporter = nodemailer.createTransport({
+      host: EMAIL_CONFIG.host,
+      port: EMAIL_CONFIG.port,
+      secure: EMAIL_CONFIG.secure,
+      auth: EMAIL_CONFIG.user ? { user: EMAIL_CONFIG.user, pass: EMAIL_CONFIG.password } : undefined,
+      tls: { rejectUnauthorized: !EMAIL_CONFIG.skipSslVerify },
+      connectionTimeout: 15000
+    });
   }
-}));
+  return emailTransporter;
+}
 
-// Session configuration for authentication
-app.use(session({
-  secret: process.env.SESSION_SECRET || 'energy-monitor-secret-key-change-in-production',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    secure: false, // Set to false to work with HTTP in production
-    httpOnly: true,
-    maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year (maximum practical duration)
-    sameSite: 'lax' // Allow cookies to be sent with same-site requests
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Per-site recipient lists of the email notifications (site null = default list)
+ */
+async function loadEmailRecipients() {
+  if (isCacheValid(emailRecipientsCache)) {
+    return emailRecipientsCache.data;
   }
-}));
 
-// Authentication middleware to check if user is logged in
-function requireAuth(req, res, next) {
-  if (req.session && req.session.userId) {
-    return next();
+  try {
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT id, site, recipients, send_warnings, enabled, updated_by, updated_at
+        FROM email_notification_recipients
+        ORDER BY site
+      `);
+    });
+
+    emailRecipientsCache.data = result.recordset.map(row => ({
+      id: row.id,
+      site: row.site,
+      recipients: String(row.recipients || '').split(/[,;\s]+/).filter(Boolean),
+      sendWarnings: !!row.send_warnings,
+      enabled: !!row.enabled,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    }));
+    emailRecipientsCache.timestamp = Date.now();
+    return emailRecipientsCache.data;
+  } catch (error) {
+    logger.error('Error loading email recipients', { error: error.message });
+    return [];
   }
-  return res.status(401).json({ success: false, message: 'No autorizado. Por favor inicie sesión.' });
 }
 
-// Authorization middleware to check user role
-function requireRole(...allowedRoles) {
-  return (req, res, next) => {
-    if (!req.session || !req.session.userId) {
-      return res.status(401).json({ success: false, message: 'No autorizado. Por favor inicie sesión.' });
-    }
-
-    if (!allowedRoles.includes(req.session.userRole)) {
-      return res.status(403).json({ success: false, message: 'No tiene permisos para realizar esta acción.' });
-    }
+/**
+ * Recipient list that applies to a site: its own list, else the default one, else EMAIL_DEFAULT_RECIPIENTS
+ * A site whose list is disabled gets no emails (Cantabria Norte/Sur share the 'Cantabria' list)
+ */
+function getEmailRecipientsForSite(lists, site) {
+  const normalizeSite = (value) => (value && value.toLowerCase().includes('cantabria') ? 'Cantabria' : value);
+  const list = lists.find(entry => entry.site && normalizeSite(entry.site) === normalizeSite(site)) ||
+    lists.find(entry => !entry.site);
 
-    return next();
-  };
+  if (list) {
+    return list.enabled ? list : null;
+  }
+  return EMAIL_CONFIG.defaultRecipients.length > 0
+    ? { site: null, recipients: EMAIL_CONFIG.defaultRecipients, sendWarnings: EMAIL_CONFIG.sendWarnings, enabled: true }
+    : null;
 }
 
-// Cache configuration
-let racksCache = {
-  data: null,
-  timestamp: null,
-  ttl: 30000 // 30 segundos
-};
-
-let thresholdsCache = {
-  data: null,
-  timestamp: null,
-  ttl: 300000 // 5 minutos
-};
+/**
+ * Subject, HTML and plain-text body of an alert email
+ * alertData is the sendToSonar data, plus metric_type / alert_value / threshold_exceeded and, when closing,
+ * resolved_at and duration_minutes as stored by SQL Server
+ */
+function renderAlertEmail(alertData, state) {
+  const { description, details } = buildAlertDescription(alertData);
+  const isOpen = state === 'OPEN';
+  const isWarning = details.severity === 'warning';
+  const stateLabel = isOpen ? (isWarning ? 'ADVERTENCIA' : 'CRÍTICA') : 'RESUELTA';
+  const color = isOpen ? (isWarning ? '#d97706' : '#dc2626') : '#16a34a';
+  const subject = `[${stateLabel}] ${description}`;
+
+  const emailDetails = { ...details, priority: ALERT_EMAIL_PRIORITY[String(alertData.alert_reason || '').toLowerCase()] };
+  const rows = [];
+  if (alertData.metric_type) rows.push(['Métrica', alertData.metric_type]);
+  if (alertData.alert_value != null) rows.push([isOpen ? 'Valor' : 'Último valor', alertData.alert_value]);
+  if (alertData.threshold_exceeded != null) rows.push(['Umbral', alertData.threshold_exceeded]);
+  EMAIL_DETAIL_ROWS.forEach(([key, label]) => {
+    // SONAR defaults missing readings to 0A / 0V, the email leaves them out
+    if ((key === 'amperaje' && alertData.current == null) || (key === 'voltage' && alertData.voltage == null)) return;
+    const value = emailDetails[key];
+    if (value === undefined || value === null || value === '' || value === 'N/A' || (Array.isArray(value) && value.length === 0)) return;
+    rows.push([label, Array.isArray(value) ? value.join(', ') : value]);
+  });
+  if (!isOpen && alertData.resolved_at) {
+    rows.push(['Resuelta', formatDateForSonar(alertData.resolved_at)]);
+    if (alertData.duration_minutes != null) {
+      rows.push(['Duración', `${alertData.duration_minutes} min`]);
+    }
+  }
 
-// Helper function to check if cache is valid
-function isCacheValid(cache) {
-  return cache.data && cache.timestamp && (Date.now() - cache.timestamp) < cache.ttl;
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:16px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;overflow:hidden;">
+      <tr>
+        <td style="background:${color};color:#ffffff;padding:16px 20px;">
+          <div style="font-size:12px;font-weight:bold;letter-spacing:1px;">ALERTA ${stateLabel}</div>
+          <div style="font-size:18px;font-weight:bold;margin-top:4px;">${escapeHtml(description)}</div>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:16px 20px;">
+          <table role="presentation" width="100%" cellpadding="6" cellspacing="0" style="border-collapse:collapse;font-size:14px;">
+            ${rows.map(([label, value]) => `<tr>
+              <td style="border-bottom:1px solid #e5e7eb;color:#6b7280;width:40%;">${escapeHtml(label)}</td>
+              <td style="border-bottom:1px solid #e5e7eb;font-weight:bold;">${escapeHtml(value)}</td>
+            </tr>`).join('\n            ')}
+          </table>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:12px 20px;font-size:12px;color:#6b7280;">Sistema de Monitoreo de Energía - notificación automática</td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+  const text = `${subject}\n\n${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}\n`;
+
+  return { subject, html, text };
 }
 
-// Helper function to check if user has access to a site (handles Cantabria unification)
-function userHasAccessToSiteMaintenance(userSites, siteName) {
-  if (!userSites || !Array.isArray(userSites) || userSites.length === 0) {
-    return true;
-  }
-  if (!siteName || siteName === 'Unknown') {
-    return false;
-  }
-  if (userSites.includes(siteName)) {
-    return true;
-  }
-  const normalizedSite = siteName.toLowerCase().includes('cantabria') ? 'Cantabria' : siteName;
-  if (normalizedSite === 'Cantabria') {
-    return userSites.some(assignedSite =>
-      assignedSite.toLowerCase().includes('cantabria')
-    );
+/**
+ * Email an alert open/close to the recipients of its site, or to the given addresses (an escalation contact)
+ * Never throws: failures are logged and returned like sendToSonar
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function sendAlertEmail(alertData, state, recipients = null) {
+  if (!EMAIL_CONFIG.enabled) {
+    return { success: false, error: 'Email notifications disabled' };
   }
-  return false;
-}
 
-// Real NENG API fetch function
-async function fetchFromNengApi(url, options = {}) {
-  const apiTimeout = parseInt(process.env.API_TIMEOUT) || 10000;
-  
-  // Making API call to NENG
-  
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), apiTimeout);
-    
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-      headers: {
-        'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    // API call successful
-    
-    return {
-      success: true,
-      data: data,
-      count: Array.isArray(data) ? data.length : 1,
-      timestamp: new Date().toISOString()
-    };
-    
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      logger.error('NENG API timeout', { timeout: apiTimeout });
-      throw new Error(`API request timeout after ${apiTimeout}ms`);
+    const list = recipients
+      ? { recipients, sendWarnings: true }
+      : getEmailRecipientsForSite(await loadEmailRecipients(), alertData.site);
+    const isWarning = String(alertData.alert_reason || '').startsWith('warning_');
+    if (!list || list.recipients.length === 0 || (isWarning && !list.sendWarnings)) {
+      return { success: false, error: 'No email recipients for this alert' };
     }
 
-    logger.error('NENG API error', { error: error.message });
-    throw error;
+    const message = renderAlertEmail(alertData, state);
+    await getEmailTransporter().sendMail({
+      from: EMAIL_CONFIG.from,
+      to: list.recipients.join(', '),
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    });
+
+    logger.info('[EMAIL] Alert notification sent', {
+      state,
+      rack: alertData.name,
+      site: alertData.site,
+      reason: alertData.alert_reason,
+      recipients: list.recipients.length
+    });
+    return { success: true };
+  } catch (error) {
+    logger.error('[EMAIL] Failed to send alert notification', {
+      state,
+      rack: alertData.name,
+      reason: alertData.alert_reason,
+      error: error.message
+    });
+    return { success: false, error: error.message };
   }
 }
 
-// Function to fetch thresholds from SQL Server
-async function fetchThresholdsFromDatabase() {
-  try {
-    if (isCacheValid(thresholdsCache)) {
-      return thresholdsCache.data;
-    }
+const SILENCE_SCOPE_TYPES = ['rack', 'chain', 'site'];
+
+function mapSilenceRow(row) {
+  return {
+    id: row.id,
+    scopeType: row.scope_type,
+    rackId: row.rack_id,
+    rackName: row.rack_name,
+    site: row.site,
+    dc: row.dc,
+    chain: row.chain,
+    metricType: row.metric_type,
+    alertReason: row.alert_reason,
+    comment: row.comment,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    endedBy: row.ended_by,
+    endedAt: row.ended_at,
+    active: row.is_active === 1
+  };
+}
+
+/**
+ * Load silences in force (not ended and not expired)
+ * Silences expire by themselves: every reader filters on expires_at, no job has to end them
+ */
+async function loadActiveSilences() {
+  if (isCacheValid(silencesCache)) {
+    return silencesCache.data;
+  }
 
+  try {
     const result = await executeQuery(async (pool) => {
       return await pool.request().query(`
-        SELECT threshold_key as [key], value, unit, description, created_at as createdAt, updated_at as updatedAt
-        FROM dbo.threshold_configs
-        ORDER BY threshold_key
+        SELECT id, scope_type, rack_id, rack_name, site, dc, chain, metric_type, alert_reason,
+               comment, created_by, created_at, expires_at, ended_by, ended_at,
+               CASE WHEN ended_at IS NULL AND expires_at > GETDATE() THEN 1 ELSE 0 END AS is_active
+        FROM alert_silences
+        WHERE ended_at IS NULL AND expires_at > GETDATE()
+        ORDER BY expires_at ASC
       `);
     });
 
-    const thresholds = result.recordset || [];
-
-    // Check for voltage thresholds
-    const voltageThresholds = thresholds.filter(t => t.key && t.key.includes('voltage'));
-    if (voltageThresholds.length > 0) {
-      logger.debug('Voltage thresholds loaded from database', { count: voltageThresholds.length });
-    } else {
-      logger.error('No voltage thresholds found in database');
-    }
-
-    // Update cache
-    thresholdsCache.data = thresholds;
-    thresholdsCache.timestamp = Date.now();
-
-    return thresholds;
-
+    silencesCache.data = result.recordset.map(mapSilenceRow);
+    silencesCache.timestamp = Date.now();
+    return silencesCache.data;
   } catch (error) {
-    logger.error('Database threshold fetch failed', { error: error.message });
+    logger.error('Error loading alert silences', { error: error.message });
     return [];
   }
 }
 
-// Function to save thresholds to SQL Server
-async function saveThresholdsToDatabase(thresholds) {
-  try {
-    const updatedCount = await executeQuery(async (pool) => {
-      let count = 0;
+/**
+ * Whether a silence covers a rack ({ rackId, site, dc, chain }), whatever the metric
+ */
+function silenceAppliesToRack(silence, rack) {
+  // expires_at is a local GETDATE() value: whether it is still in force comes from SQL Server, not from Date.now()
+  if (!silence.active) {
+    return false;
+  }
 
-      for (const [key, value] of Object.entries(thresholds)) {
-        const result = await pool.request()
-          .input('key', sql.NVarChar, key)
-          .input('value', sql.Decimal(18, 4), value)
-          .query(`
-            UPDATE dbo.threshold_configs
-            SET value = @value, updated_at = GETDATE()
-            WHERE threshold_key = @key
-          `);
+  const normalizeSite = (value) => (value && value.toLowerCase().includes('cantabria') ? 'Cantabria' : value);
+  const sameSite = normalizeSite(silence.site) === normalizeSite(rack.site);
 
-        if (result.rowsAffected[0] > 0) {
-          count++;
-        }
-      }
+  if (silence.scopeType === 'rack') {
+    return silence.rackId === String(rack.rackId);
+  }
+  if (silence.scopeType === 'chain') {
+    return silence.dc === rack.dc && silence.chain === rack.chain && (!silence.site || sameSite);
+  }
+  return sameSite;
+}
 
-      return count;
-    });
+/**
+ * First silence that mutes the notifications of one alert of a rack, or undefined
+ */
+function findMatchingSilence(silences, rack, metricType, alertReason) {
+  return silences.find(silence =>
+    silenceAppliesToRack(silence, rack) &&
+    (!silence.metricType || silence.metricType === metricType) &&
+    (!silence.alertReason || silence.alertReason === alertReason)
+  );
+}
 
-    // Clear cache to force reload
-    thresholdsCache.data = null;
-    thresholdsCache.timestamp = null;
+/**
+ * Silences that cover each rack, so the dashboard can show them next to the real status
+ * @returns {Promise<Object>} rackId -> silences
+ */
+async function getSilencedRacks(rackGroups) {
+  const silences = await loadActiveSilences();
+  const silencedRacks = {};
+  if (silences.length === 0) {
+    return silencedRacks;
+  }
 
-    return updatedCount;
+  rackGroups.forEach(rackGroup => {
+    const pdu = rackGroup[0];
+    if (!pdu) return;
+    const rackId = String(pdu.rackId || pdu.id);
+    const matching = silences.filter(silence =>
+      silenceAppliesToRack(silence, { rackId, site: pdu.site, dc: pdu.dc, chain: pdu.chain })
+    );
+    if (matching.length > 0) {
+      silencedRacks[rackId] = matching;
+    }
+  });
 
-  } catch (error) {
-    logger.error('Database threshold save failed', { error: error.message });
-    throw error;
-  }
+  return silencedRacks;
 }
 
-// Load all rack-specific thresholds from database in one query
-async function loadAllRackSpecificThresholds(rackIds) {
-  try {
-    if (rackIds.length === 0) return new Map();
+/**
+ * Only power loss points at the gateway or the chain: voltage alerts (rack down and redundancy lost included)
+ * and PDUs that stopped reporting, which come without readings and so surface as critical_voltage_low.
+ * Temperature, humidity or load alerts of many racks at once are not a gateway/chain incident
+ */
+function isCorrelationOutageReason(reason) {
+  return reason.startsWith('critical_voltage_');
+}
 
-    const result = await executeQuery(async (pool) => {
-      // Create a table-valued parameter or use IN clause
-      const rackIdsList = rackIds.map(id => `'${String(id).replace("'", "''")}'`).join(',');
+/**
+ * Racks behind each gateway and each chain, and which of them are down now
+ * A rack fed through two gateways belongs to both gateway groups
+ * Chain groups come first: a chain without power takes every gateway behind it down, one incident is enough
+ */
+function buildCorrelationGroups(pdus) {
+  const groups = new Map();
 
-      return await pool.request().query(`
-        SELECT rack_id, threshold_key, value, unit
-        FROM dbo.rack_threshold_overrides
-        WHERE rack_id IN (${rackIdsList})
-      `);
-    });
+  const addToGroup = (type, key, fields, pdu) => {
+    const groupKey = `${type}:${key}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { type, key, ...fields, racks: new Map(), criticalRackIds: new Set() });
+    }
+    const group = groups.get(groupKey);
+    const rackId = String(pdu.rackId || pdu.id);
+    if (!group.racks.has(rackId)) {
+      group.racks.set(rackId, pdu);
+    }
+    if (pdu.status === 'critical' && pdu.reasons && pdu.reasons.some(isCorrelationOutageReason)) {
+      group.criticalRackIds.add(rackId);
+    }
+  };
 
-    // Organize by rack_id
-    const rackThresholdsMap = new Map();
-    result.recordset.forEach(row => {
-      if (!rackThresholdsMap.has(row.rack_id)) {
-        rackThresholdsMap.set(row.rack_id, {});
-      }
-      const overrides = rackThresholdsMap.get(row.rack_id);
-      overrides[row.threshold_key] = row.value;
-      if (row.unit) {
-        overrides[`${row.threshold_key}_unit`] = row.unit;
-      }
-    });
+  pdus.forEach(pdu => {
+    const gwName = pdu.gwName && pdu.gwName !== 'N/A' ? pdu.gwName : null;
+    const gwIp = pdu.gwIp && pdu.gwIp !== 'N/A' ? pdu.gwIp : null;
+    if (gwName || gwIp) {
+      addToGroup('gateway', gwIp || gwName, {
+        name: `GW_${gwName || gwIp}`,
+        site: pdu.site,
+        dc: pdu.dc,
+        chain: null,
+        gwName,
+        gwIp
+      }, pdu);
+    }
+    if (pdu.dc && pdu.chain) {
+      addToGroup('chain', `${pdu.site}|${pdu.dc}|${pdu.chain}`, {
+        name: `CHAIN_${pdu.site}_${pdu.dc}_${pdu.chain}`,
+        site: pdu.site,
+        dc: pdu.dc,
+        chain: pdu.chain,
+        gwName: null,
+        gwIp: null
+      }, pdu);
+    }
+  });
 
-    return rackThresholdsMap;
-  } catch (error) {
-    logger.error('Error loading rack-specific thresholds', { error: error.message });
-    return new Map();
-  }
+  return [...groups.values()].sort((a, b) => (a.type === b.type ? 0 : a.type === 'chain' ? -1 : 1));
 }
 
-// Process rack data with threshold evaluation
-async function processRackData(racks, thresholds) {
+/**
+ * Alert data of a correlated incident (one event for all its racks), as sent to SONAR and by email
+ */
+function buildIncidentAlertData(incident, details = {}) {
+  return {
+    rack_id: '',
+    name: incident.name,
+    site: incident.site || '',
+    dc: incident.dc || '',
+    chain: incident.chain || '',
+    gwName: incident.gwName || 'N/A',
+    gwIp: incident.gwIp || 'N/A',
+    alert_reason: CORRELATED_INCIDENT_REASONS[incident.type],
+    affectedCount: details.affectedCount,
+    rackCount: details.rackCount,
+    affectedRacks: details.affectedRacks,
+    alert_started: formatDateForSonar(incident.startedAt || new Date())
+  };
+}
 
-  // Load all rack-specific thresholds in one query
-  const uniqueRackIds = [...new Set(racks.map(r => r.rackId || r.id))];
-  const rackThresholdsMap = await loadAllRackSpecificThresholds(uniqueRackIds);
+/**
+ * Send a correlated incident to SONAR (one event for all its racks)
+ */
+async function sendCorrelatedIncidentToSonar(incident, state, details = {}) {
+  return sendToSonar(buildIncidentAlertData(incident, details), state);
+}
 
-  // Get maintenance rack IDs and chain IDs
-  const maintenanceRackIds = await getMaintenanceRackIds();
-  const maintenanceChainIds = await getMaintenanceChainIds();
+/**
+ * Correlate the critical racks of each gateway and chain into parent incidents
+ * An incident opens when at least minRacks racks and minRatio of the group are critical at once and stays open
+ * while minRacks of them are still critical. Only the parent incident is sent to SONAR; when it resolves, the
+ * racks that are still critical get their own SONAR alert again (notifyReconciledAlerts)
+ * @returns {Promise<Map>} rackId -> incident, for the critical racks covered by an open incident
+ */
+async function correlateCriticalIncidents(pdus) {
+  const incidentsByRack = new Map();
+  const { minRacks, minRatio } = INCIDENT_CORRELATION_CONFIG;
 
-  let voltageDebugCount = 0;
-  const processedRacks = racks.map(rack => {
-    // Merge global thresholds with rack-specific overrides
-    const rackId = rack.rackId || rack.id;
-    const chainId = rack.chain;
-    const rackOverrides = rackThresholdsMap.get(rackId) || {};
+  try {
+    const activeResult = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT id, incident_type, incident_key, name, site, dc, chain, gwName, gwIp, uuid_open, started_at
+        FROM correlated_incidents
+        WHERE resolved_at IS NULL
+      `);
+    });
+    const activeIncidents = new Map(activeResult.recordset.map(row => [`${row.incident_type}:${row.incident_key}`, row]));
+    const silences = await loadActiveSilences();
 
-    // Check if this rack or its chain is in maintenance
-    const isInMaintenance = maintenanceRackIds.has(rackId) || (chainId && maintenanceChainIds.has(chainId));
+    for (const group of buildCorrelationGroups(pdus)) {
+      const existing = activeIncidents.get(`${group.type}:${group.key}`);
+      activeIncidents.delete(`${group.type}:${group.key}`);
 
-    // If in maintenance, set status to 'normal' and skip all alert evaluation
-    if (isInMaintenance) {
-      return {
-        ...rack,
-        status: 'normal',
-        reasons: []
-      };
-    }
+      // Racks already covered by a chain incident do not count again for their gateway
+      const rackIds = [...group.racks.keys()].filter(rackId => !incidentsByRack.has(rackId));
+      const criticalRackIds = rackIds.filter(rackId => group.criticalRackIds.has(rackId));
 
-    // Create effective thresholds by merging global with rack-specific
-    const effectiveThresholds = thresholds.map(t => {
-      if (rackOverrides[t.key] !== undefined) {
-        return { ...t, value: rackOverrides[t.key] };
-      }
-      return t;
-    });
+      const opens = !existing && criticalRackIds.length >= minRacks && criticalRackIds.length / rackIds.length >= minRatio;
+      const staysOpen = existing && criticalRackIds.length >= minRacks;
 
-    const reasons = [];
-    let status = 'normal';
-    
-    // Current/Amperage evaluation
-    const current = parseFloat(rack.current) || 0;
-    const phase = rack.phase || 'single_phase';
-    
-    // Determine phase type for threshold selection
-    const normalizedPhase = phase.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    const isSinglePhase = normalizedPhase === 'single_phase' || normalizedPhase === 'single' || normalizedPhase === '1_phase' || normalizedPhase === 'monofasico';
-    const is3Phase = normalizedPhase === '3_phase' || normalizedPhase === '3phase' || normalizedPhase === 'three_phase' || normalizedPhase === 'trifasico';
-    
-    let criticalLow, criticalHigh, warningLow, warningHigh;
-    
-    if (isSinglePhase) {
-      criticalLow = getThresholdValue(effectiveThresholds, 'critical_amperage_low_single_phase');
-      criticalHigh = getThresholdValue(effectiveThresholds, 'critical_amperage_high_single_phase');
-      warningLow = getThresholdValue(effectiveThresholds, 'warning_amperage_low_single_phase');
-      warningHigh = getThresholdValue(effectiveThresholds, 'warning_amperage_high_single_phase');
-    } else if (is3Phase) {
-      criticalLow = getThresholdValue(effectiveThresholds, 'critical_amperage_low_3_phase');
-      criticalHigh = getThresholdValue(effectiveThresholds, 'critical_amperage_high_3_phase');
-      warningLow = getThresholdValue(effectiveThresholds, 'warning_amperage_low_3_phase');
-      warningHigh = getThresholdValue(effectiveThresholds, 'warning_amperage_high_3_phase');
-    } else {
-      // Default to single phase
-      criticalLow = getThresholdValue(effectiveThresholds, 'critical_amperage_low_single_phase');
-      criticalHigh = getThresholdValue(effectiveThresholds, 'critical_amperage_high_single_phase');
-      warningLow = getThresholdValue(effectiveThresholds, 'warning_amperage_low_single_phase');
-      warningHigh = getThresholdValue(effectiveThresholds, 'warning_amperage_high_single_phase');
-    }
-    
-    // Amperage evaluation - ONLY evaluate MAXIMUM thresholds (not minimum)
-    // Only evaluate if high thresholds are defined
-    if (criticalHigh !== undefined && warningHigh !== undefined) {
-      if (current > criticalHigh) {
-        reasons.push(`critical_amperage_high_${isSinglePhase ? 'single_phase' : '3_phase'}`);
-        status = 'critical';
-      } else if (current > warningHigh) {
-        reasons.push(`warning_amperage_high_${isSinglePhase ? 'single_phase' : '3_phase'}`);
-        if (status !== 'critical') status = 'warning';
+      if (!opens && !staysOpen) {
+        if (existing) {
+          await resolveCorrelatedIncident(existing);
+        }
+        continue;
       }
-    }
-    
-    // Temperature evaluation (using sensorTemperature primarily)
-    // Skip evaluation if temperature is N/A or missing
-    if (rack.sensorTemperature !== 'N/A' && rack.temperature !== 'N/A' &&
-        rack.sensorTemperature !== null && rack.temperature !== null &&
-        rack.sensorTemperature !== undefined && rack.temperature !== undefined) {
-      const temperature = parseFloat(rack.sensorTemperature) || parseFloat(rack.temperature) || null;
 
-      if (temperature !== null && !isNaN(temperature)) {
-      const tempCriticalLow = getThresholdValue(effectiveThresholds, 'critical_temperature_low');
-      const tempCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_temperature_high');
-      const tempWarningLow = getThresholdValue(effectiveThresholds, 'warning_temperature_low');
-      const tempWarningHigh = getThresholdValue(effectiveThresholds, 'warning_temperature_high');
+      const affectedRacks = criticalRackIds.map(rackId => group.racks.get(rackId));
+      const details = {
+        affectedCount: criticalRackIds.length,
+        rackCount: rackIds.length,
+        affectedRacks: affectedRacks.map(pdu => pdu.name)
+      };
 
-      // Only evaluate if all thresholds are defined
-      if (tempCriticalLow !== undefined && tempCriticalHigh !== undefined && tempWarningLow !== undefined && tempWarningHigh !== undefined) {
-        const belowTempCritLow = tempCriticalLow === 0 ? temperature <= tempCriticalLow : temperature < tempCriticalLow;
-        const belowTempWarnLow = tempWarningLow === 0 ? temperature <= tempWarningLow : temperature < tempWarningLow;
-        if (belowTempCritLow || temperature > tempCriticalHigh) {
-          if (belowTempCritLow) {
-            reasons.push('critical_temperature_low');
-          } else {
-            reasons.push('critical_temperature_high');
-          }
-          status = 'critical';
-        } else if (belowTempWarnLow || temperature > tempWarningHigh) {
-          if (belowTempWarnLow) {
-            reasons.push('warning_temperature_low');
-          } else {
-            reasons.push('warning_temperature_high');
-          }
-          if (status !== 'critical') status = 'warning';
+      // Muted only when every affected rack is under a silence that covers all its metrics
+      const silenced = affectedRacks.every(pdu => findMatchingSilence(
+        silences,
+        { rackId: String(pdu.rackId || pdu.id), site: pdu.site, dc: pdu.dc, chain: pdu.chain },
+        null,
+        null
+      ));
+
+      const incident = await executeQuery(async (pool) => {
+        let incidentId = existing ? existing.id : null;
+
+        if (existing) {
+          await pool.request()
+            .input('id', sql.UniqueIdentifier, incidentId)
+            .input('rack_count', sql.Int, details.rackCount)
+            .input('affected_count', sql.Int, details.affectedCount)
+            .query(`
+              UPDATE correlated_incidents
+              SET rack_count = @rack_count, affected_count = @affected_count, last_updated_at = GETDATE()
+              WHERE id = @id
+            `);
+        } else {
+          const insertResult = await pool.request()
+            .input('incident_type', sql.NVarChar, group.type)
+            .input('incident_key', sql.NVarChar, group.key)
+            .input('name', sql.NVarChar, group.name)
+            .input('site', sql.NVarChar, group.site)
+            .input('dc', sql.NVarChar, group.dc)
+            .input('chain', sql.NVarChar, group.chain)
+            .input('gwName', sql.NVarChar, group.gwName)
+            .input('gwIp', sql.NVarChar, group.gwIp)
+            .input('rack_count', sql.Int, details.rackCount)
+            .input('affected_count', sql.Int, details.affectedCount)
+            .query(`
+              INSERT INTO correlated_incidents
+              (incident_type, incident_key, name, site, dc, chain, gwName, gwIp, rack_count, affected_count)
+              OUTPUT INSERTED.id
+              VALUES
+              (@incident_type, @incident_key, @name, @site, @dc, @chain, @gwName, @gwIp, @rack_count, @affected_count)
+            `);
+          incidentId = insertResult.recordset[0].id;
         }
-      }
-      }
-    }
 
-    // Humidity evaluation
-    // Skip evaluation if humidity is N/A or missing
-    if (rack.sensorHumidity !== 'N/A' && rack.sensorHumidity !== null && rack.sensorHumidity !== undefined) {
-      const humidity = parseFloat(rack.sensorHumidity) || null;
+        for (const pdu of affectedRacks) {
+          await pool.request()
+            .input('incident_id', sql.UniqueIdentifier, incidentId)
+            .input('rack_id', sql.NVarChar, String(pdu.rackId || pdu.id))
+            .input('rack_name', sql.NVarChar, pdu.name)
+            .query(`
+              IF NOT EXISTS (SELECT 1 FROM correlated_incident_racks WHERE incident_id = @incident_id AND rack_id = @rack_id)
+                INSERT INTO correlated_incident_racks (incident_id, rack_id, rack_name)
+                VALUES (@incident_id, @rack_id, @rack_name)
+            `);
+        }
 
-      if (humidity !== null && !isNaN(humidity)) {
-      const humidCriticalLow = getThresholdValue(effectiveThresholds, 'critical_humidity_low');
-      const humidCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_humidity_high');
-      const humidWarningLow = getThresholdValue(effectiveThresholds, 'warning_humidity_low');
-      const humidWarningHigh = getThresholdValue(effectiveThresholds, 'warning_humidity_high');
+        return {
+          id: incidentId,
+          type: group.type,
+          name: group.name,
+          site: group.site,
+          dc: group.dc,
+          chain: group.chain,
+          gwName: group.gwName,
+          gwIp: group.gwIp,
+          uuidOpen: existing ? existing.uuid_open : null,
+          startedAt: existing ? existing.started_at : new Date()
+        };
+      });
 
-      // Only evaluate if all thresholds are defined
-      if (humidCriticalLow !== undefined && humidCriticalHigh !== undefined && humidWarningLow !== undefined && humidWarningHigh !== undefined) {
-        const belowHumidCritLow = humidCriticalLow === 0 ? humidity <= humidCriticalLow : humidity < humidCriticalLow;
-        const belowHumidWarnLow = humidWarningLow === 0 ? humidity <= humidWarningLow : humidity < humidWarningLow;
-        if (belowHumidCritLow || humidity > humidCriticalHigh) {
-          if (belowHumidCritLow) {
-            reasons.push('critical_humidity_low');
-          } else {
-            reasons.push('critical_humidity_high');
-          }
-          status = 'critical';
-        } else if (belowHumidWarnLow || humidity > humidWarningHigh) {
-          if (belowHumidWarnLow) {
-            reasons.push('warning_humidity_low');
-          } else {
-            reasons.push('warning_humidity_high');
-          }
-          if (status !== 'critical') status = 'warning';
+      if (!existing) {
+        logger.warn('Correlated incident opened', {
+          incidentType: group.type,
+          name: group.name,
+          affectedCount: details.affectedCount,
+          rackCount: details.rackCount,
+          silenced
+        });
+
+        if (!silenced) {
+          sendAlertEmail(buildIncidentAlertData(incident, details), 'OPEN');
         }
       }
+
+      // Retried on later cycles while it has no SONAR event (SONAR down or alert sending disabled when it opened)
+      if (!incident.uuidOpen && !silenced && SONAR_CONFIG.enabled && alertSendingEnabled) {
+        const sonarResult = await sendCorrelatedIncidentToSonar(incident, 'OPEN', details);
+        if (sonarResult.success && sonarResult.uuid) {
+          await executeQuery(async (pool) => {
+            await pool.request()
+              .input('id', sql.UniqueIdentifier, incident.id)
+              .input('uuid_open', sql.NVarChar, sonarResult.uuid)
+              .query('UPDATE correlated_incidents SET uuid_open = @uuid_open WHERE id = @id');
+          });
+          logger.info('[SONAR] INCIDENT OPENED', { name: incident.name, uuid: sonarResult.uuid });
+        } else if (!sonarResult.success) {
+          logger.error('[SONAR] FAILED TO OPEN INCIDENT', { name: incident.name, error: sonarResult.error });
+        }
       }
+
+      criticalRackIds.forEach(rackId => incidentsByRack.set(rackId, incident));
     }
 
-    // Voltage evaluation
-    // IMPORTANT: 0V and null/undefined voltage are critical conditions (no power)
-    const voltageRaw = rack.voltage;
-    const voltageIsNull = voltageRaw === null || voltageRaw === undefined || voltageRaw === 'N/A';
-    const voltage = voltageIsNull ? null : parseFloat(voltageRaw);
+    // Groups no longer reported (every rack sent to maintenance or gone from the feed)
+    for (const incident of activeIncidents.values()) {
+      await resolveCorrelatedIncident(incident);
+    }
+  } catch (error) {
+    logger.error('Error correlating critical incidents', { error: error.message });
+  }
 
-    if (voltageIsNull || (voltage !== null && isNaN(voltage))) {
-      reasons.push('critical_voltage_low');
-      status = 'critical';
-    } else if (voltage !== null && voltage >= 0) {
-      const voltageCriticalLow = getThresholdValue(effectiveThresholds, 'critical_voltage_low');
-      const voltageCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_voltage_high');
-      const voltageWarningLow = getThresholdValue(effectiveThresholds, 'warning_voltage_low');
-      const voltageWarningHigh = getThresholdValue(effectiveThresholds, 'warning_voltage_high');
+  return incidentsByRack;
+}
 
-      if (voltageCriticalLow !== undefined && voltageCriticalHigh !== undefined &&
-          voltageWarningLow !== undefined && voltageWarningHigh !== undefined &&
-          voltageCriticalLow >= 0 && voltageCriticalHigh > 0 &&
-          voltageWarningLow >= 0 && voltageWarningHigh > 0) {
+/**
+ * Resolve a correlated incident and close its SONAR event
+ */
+async function resolveCorrelatedIncident(row) {
+  let uuidClosed = null;
+  if (SONAR_CONFIG.enabled && row.uuid_open) {
+    const sonarResult = await sendCorrelatedIncidentToSonar({ type: row.incident_type, name: row.name }, 'CLOSED');
+    if (sonarResult.success) {
+      uuidClosed = sonarResult.uuid || null;
+    } else {
+      logger.error('[SONAR] FAILED TO CLOSE INCIDENT', { name: row.name, error: sonarResult.error });
+    }
+  }
 
-        const belowVoltCritLow = voltageCriticalLow === 0 ? voltage <= voltageCriticalLow : voltage < voltageCriticalLow;
-        const belowVoltWarnLow = voltageWarningLow === 0 ? voltage <= voltageWarningLow : voltage < voltageWarningLow;
-        if (belowVoltCritLow || voltage > voltageCriticalHigh) {
-          if (belowVoltCritLow) {
-            reasons.push('critical_voltage_low');
-          } else {
-            reasons.push('critical_voltage_high');
-          }
-          status = 'critical';
-        } else if (belowVoltWarnLow || voltage > voltageWarningHigh) {
-          if (belowVoltWarnLow) {
-            reasons.push('warning_voltage_low');
-          } else {
-            reasons.push('warning_voltage_high');
-          }
-          if (status !== 'critical') status = 'warning';
-        }
-      }
-    }
-
-    return {
-      ...rack,
-      status,
-      reasons
-    };
-  });
-
-  // Voltage evaluation summary
-  const voltageStats = {
-    total: 0,
-    withVoltage: 0,
-    criticalLow: 0,
-    criticalHigh: 0,
-    warningLow: 0,
-    warningHigh: 0,
-    normal: 0
-  };
-
-  processedRacks.forEach(rack => {
-    voltageStats.total++;
-    const voltage = parseFloat(rack.voltage);
-    if (voltage && !isNaN(voltage) && voltage > 0) {
-      voltageStats.withVoltage++;
-      if (rack.reasons) {
-        if (rack.reasons.includes('critical_voltage_low')) voltageStats.criticalLow++;
-        if (rack.reasons.includes('critical_voltage_high')) voltageStats.criticalHigh++;
-        if (rack.reasons.includes('warning_voltage_low')) voltageStats.warningLow++;
-        if (rack.reasons.includes('warning_voltage_high')) voltageStats.warningHigh++;
-      }
-      const hasVoltageAlert = rack.reasons && rack.reasons.some(r => r.includes('voltage'));
-      if (!hasVoltageAlert) voltageStats.normal++;
-    }
+  const resolvedResult = await executeQuery(async (pool) => {
+    return await pool.request()
+      .input('id', sql.UniqueIdentifier, row.id)
+      .input('uuid_closed', sql.NVarChar, uuidClosed)
+      .query(`
+        UPDATE correlated_incidents
+        SET resolved_at = GETDATE(), last_updated_at = GETDATE(), uuid_closed = @uuid_closed
+        OUTPUT INSERTED.resolved_at, DATEDIFF(MINUTE, INSERTED.started_at, INSERTED.resolved_at) AS duration_minutes
+        WHERE id = @id
+      `);
   });
-
-  // Get threshold values from database for display
-  const voltageCriticalLowValue = getThresholdValue(thresholds, 'critical_voltage_low') || 'N/A';
-  const voltageCriticalHighValue = getThresholdValue(thresholds, 'critical_voltage_high') || 'N/A';
-  const voltageWarningLowValue = getThresholdValue(thresholds, 'warning_voltage_low') || 'N/A';
-  const voltageWarningHighValue = getThresholdValue(thresholds, 'warning_voltage_high') || 'N/A';
-
-  return processedRacks;
-}
-
-// Helper function to get threshold value
-function getThresholdValue(thresholds, key) {
-  const threshold = thresholds.find(t => t.key === key);
-  return threshold ? threshold.value : undefined;
+  const resolved = resolvedResult.recordset[0] || {};
+
+  logger.info('Correlated incident resolved', { incidentType: row.incident_type, name: row.name });
+
+  sendAlertEmail({
+    ...buildIncidentAlertData({
+      type: row.incident_type,
+      name: row.name,
+      site: row.site,
+      dc: row.dc,
+      chain: row.chain,
+      gwName: row.gwName,
+      gwIp: row.gwIp,
+      startedAt: row.started_at
+    }),
+    resolved_at: resolved.resolved_at || null,
+    duration_minutes: resolved.duration_minutes
+  }, 'CLOSED');
 }
 
 /**
- * Get list of rack IDs currently in maintenance mode
- * Works with new maintenance_rack_details table
+ * Open correlated incident of each rack whose critical alerts are grouped under one
+ * @returns {Promise<Object>} rackId -> { id, incidentType, name, affectedCount, rackCount, startedAt }
  */
-async function getMaintenanceRackIds() {
+async function getCorrelatedRacks() {
   try {
     const result = await executeQuery(async (pool) => {
       return await pool.request().query(`
-        SELECT DISTINCT rack_id FROM maintenance_rack_details
+        SELECT DISTINCT aca.rack_id, ci.id, ci.incident_type, ci.name, ci.affected_count, ci.rack_count, ci.started_at
+        FROM active_critical_alerts aca
+        INNER JOIN correlated_incidents ci ON ci.id = aca.parent_incident_id
+        WHERE ci.resolved_at IS NULL
       `);
     });
-    return new Set(result.recordset.map(r => r.rack_id));
-  } catch (error) {
-    logger.error('Error fetching maintenance racks', { error: error.message });
-    return new Set();
-  }
-}
 
-/**
- * Get list of chain IDs currently in maintenance mode
- * Returns chains that have been put into maintenance as entire chains
- */
-async function getMaintenanceChainIds() {
-  try {
-    const result = await executeQuery(async (pool) => {
-      return await pool.request().query(`
-        SELECT DISTINCT chain
-        FROM maintenance_rack_details
-        WHERE chain IS NOT NULL
-        GROUP BY chain, maintenance_entry_id
-        HAVING COUNT(DISTINCT rack_id) > 1
-      `);
+    const correlatedRacks = {};
+    result.recordset.forEach(row => {
+      correlatedRacks[row.rack_id] = {
+        id: row.id,
+        incidentType: row.incident_type,
+        name: row.name,
+        affectedCount: row.affected_count,
+        rackCount: row.rack_count,
+        startedAt: row.started_at
+      };
     });
-    return new Set(result.recordset.map(r => r.chain));
+    return correlatedRacks;
   } catch (error) {
-    logger.error('Error fetching maintenance chains', { error: error.message });
-    return new Set();
+    logger.error('Error fetching correlated racks', { error: error.message });
+    return {};
   }
 }
 
-/**
- * Helper function to ensure database connection is active
- * Now uses the global pool management
- */
-async function ensureConnection() {
-  return await getPool();
-}
+// A rack flaps when one of its alerts (same PDU and reason) opens and closes more than threshold times within the window
+const FLAPPING_CONFIG = {
+  threshold: parseInt(process.env.FLAPPING_THRESHOLD) || 3,
+  windowMinutes: parseInt(process.env.FLAPPING_WINDOW_MINUTES) || 60
+};
+
+// rackId -> { cycles, alertReason, since } of the racks flapping now, refreshed once per alert cycle
+const flappingRacks = new Map();
 
 /**
- * Guarda un registro en el historial de alertas
- * Se llama cuando se crea una nueva alerta o cuando se resuelve
+ * Detect flapping racks from alerts_history and keep their episodes in rack_flapping_events
+ * A rack stops flapping once its alerts stay open or closed long enough to leave the window
  */
-async function saveAlertToHistory(alertData, resolvedBy = null, resolutionType = 'auto') {
+async function refreshFlappingRacks() {
   try {
     await executeQuery(async (pool) => {
-      if (resolvedBy) {
-        await pool.request()
-          .input('pdu_id', sql.NVarChar, String(alertData.pdu_id))
-          .input('metric_type', sql.NVarChar, alertData.metric_type)
-          .input('alert_reason', sql.NVarChar, alertData.alert_reason)
-          .input('resolved_at', sql.DateTime, new Date())
-          .input('resolved_by', sql.NVarChar, resolvedBy)
-          .input('resolution_type', sql.NVarChar, resolutionType)
-          .query(`
-            UPDATE alerts_history
-            SET resolved_at = @resolved_at,
-                resolved_by = @resolved_by,
-                resolution_type = @resolution_type,
-                duration_minutes = DATEDIFF(MINUTE, created_at, @resolved_at)
-            WHERE pdu_id = @pdu_id
-              AND metric_type = @metric_type
-              AND alert_reason = @alert_reason
-              AND resolved_at IS NULL
-          `);
-      } else {
-        const groupValue = alertData.group || getGroupBySite(alertData.site);
+      const detected = await pool.request()
+        .input('window_minutes', sql.Int, FLAPPING_CONFIG.windowMinutes)
+        .input('threshold', sql.Int, FLAPPING_CONFIG.threshold)
+        .query(`
+          SELECT rack_id, name, site, dc, alert_reason, cycles
+          FROM (
+            SELECT rack_id, MAX(name) AS name, MAX(site) AS site, MAX(dc) AS dc, alert_reason, COUNT(*) AS cycles,
+                   ROW_NUMBER() OVER (PARTITION BY rack_id ORDER BY COUNT(*) DESC) AS rn
+            FROM alerts_history
+            WHERE created_at >= DATEADD(MINUTE, -@window_minutes, GETDATE())
+              AND resolved_at IS NOT NULL AND resolution_type = 'auto' AND rack_id IS NOT NULL
+            GROUP BY rack_id, pdu_id, alert_reason
+          ) ranked
+          WHERE rn = 1 AND cycles > @threshold
+        `);
+
+      const openEpisodes = await pool.request().query(`
+        SELECT id, rack_id, started_at FROM rack_flapping_events WHERE ended_at IS NULL
+      `);
+      const episodesByRack = new Map(openEpisodes.recordset.map(row => [row.rack_id, row]));
+
+      flappingRacks.clear();
+
+      for (const row of detected.recordset) {
+        const episode = episodesByRack.get(row.rack_id);
+        episodesByRack.delete(row.rack_id);
+
+        if (episode) {
+          await pool.request()
+            .input('id', sql.Int, episode.id)
+            .input('cycles', sql.Int, row.cycles)
+            .input('alert_reason', sql.NVarChar, row.alert_reason)
+            .query(`
+              UPDATE rack_flapping_events
+              SET last_detected_at = GETDATE(),
+                  alert_reason = CASE WHEN @cycles > max_cycles THEN @alert_reason ELSE alert_reason END,
+                  max_cycles = CASE WHEN @cycles > max_cycles THEN @cycles ELSE max_cycles END
+              WHERE id = @id
+            `);
+        } else {
+          await pool.request()
+            .input('rack_id', sql.NVarChar, row.rack_id)
+            .input('name', sql.NVarChar, row.name)
+            .input('site', sql.NVarChar, row.site)
+            .input('dc', sql.NVarChar, row.dc)
+            .input('alert_reason', sql.NVarChar, row.alert_reason)
+            .input('cycles', sql.Int, row.cycles)
+            .query(`
+              INSERT INTO rack_flapping_events (rack_id, name, site, dc, alert_reason, max_cycles)
+              VALUES (@rack_id, @name, @site, @dc, @alert_reason, @cycles)
+            `);
+          logger.warn('Rack flapping detected, SONAR notifications held back', {
+            rackId: row.rack_id,
+            rack: row.name,
+            reason: row.alert_reason,
+            cycles: row.cycles,
+            windowMinutes: FLAPPING_CONFIG.windowMinutes
+          });
+        }
+
+        flappingRacks.set(row.rack_id, {
+          cycles: row.cycles,
+          alertReason: row.alert_reason,
+          since: episode ? episode.started_at : new Date()
+        });
+      }
+
+      // Racks that stabilized
+      for (const episode of episodesByRack.values()) {
         await pool.request()
-          .input('pdu_id', sql.NVarChar, String(alertData.pdu_id))
-          .input('rack_id', sql.NVarChar, String(alertData.rack_id))
-          .input('name', sql.NVarChar, alertData.name)
-          .input('country', sql.NVarChar, alertData.country)
-          .input('site', sql.NVarChar, alertData.site)
-          .input('dc', sql.NVarChar, alertData.dc)
-          .input('phase', sql.NVarChar, alertData.phase)
-          .input('chain', sql.NVarChar, alertData.chain)
-          .input('node', sql.NVarChar, alertData.node)
-          .input('serial', sql.NVarChar, alertData.serial)
-          .input('metric_type', sql.NVarChar, alertData.metric_type)
-          .input('alert_reason', sql.NVarChar, alertData.alert_reason)
-          .input('alert_value', sql.Decimal(18, 4), alertData.alert_value)
-          .input('alert_field', sql.NVarChar, alertData.alert_field)
-          .input('threshold_exceeded', sql.Decimal(18, 4), alertData.threshold_exceeded)
-          .input('group', sql.NVarChar, groupValue)
-          .query(`
-            INSERT INTO alerts_history
-            (pdu_id, rack_id, name, country, site, dc, phase, chain, node, serial,
-             metric_type, alert_reason, alert_value, alert_field, threshold_exceeded, [group])
-            VALUES
-            (@pdu_id, @rack_id, @name, @country, @site, @dc, @phase, @chain, @node, @serial,
-             @metric_type, @alert_reason, @alert_value, @alert_field, @threshold_exceeded, @group)
-          `);
+          .input('id', sql.Int, episode.id)
+          .query('UPDATE rack_flapping_events SET ended_at = GETDATE() WHERE id = @id');
+        logger.info('Rack no longer flapping', { rackId: episode.rack_id });
       }
     });
   } catch (error) {
-    logger.error('Error saving alert to history', { error: error.message, pdu_id: alertData.pdu_id });
+    logger.error('Error detecting flapping racks', { error: error.message });
   }
 }
 
 /**
- * Guarda registros de mantenimiento en el historial
- * Se llama cuando un rack o chain sale de mantenimiento
+ * Load escalation tiers (default policy has site NULL)
  */
-async function saveMaintenanceToHistory(pool, entryId, endedBy) {
+async function loadEscalationPolicies() {
+  if (isCacheValid(escalationPoliciesCache)) {
+    return escalationPoliciesCache.data;
+  }
+
   try {
-    const dataResult = await pool.request()
-      .input('entry_id', sql.UniqueIdentifier, entryId)
-      .query(`
-        SELECT
-          me.id as original_entry_id,
-          me.entry_type,
-          me.reason,
-          me.started_by,
-          me.started_at,
-          mrd.rack_id,
-          mrd.name as rack_name,
-          mrd.country,
-          mrd.site,
-          mrd.dc,
-          mrd.phase,
-          mrd.chain,
-          mrd.node,
-          mrd.gwName,
-          mrd.gwIp
-        FROM maintenance_entries me
-        JOIN maintenance_rack_details mrd ON me.id = mrd.maintenance_entry_id
-        WHERE me.id = @entry_id
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT id, site, level, delay_minutes, notify_target, notify_contact, enabled, updated_by, updated_at
+        FROM escalation_policies
+        ORDER BY site, level
       `);
+    });
 
-    for (const row of dataResult.recordset) {
-      await pool.request()
-        .input('original_entry_id', sql.UniqueIdentifier, row.original_entry_id)
-        .input('entry_type', sql.NVarChar, row.entry_type)
-        .input('rack_id', sql.NVarChar, String(row.rack_id))
-        .input('rack_name', sql.NVarChar, row.rack_name)
-        .input('country', sql.NVarChar, row.country)
-        .input('site', sql.NVarChar, row.site)
-        .input('dc', sql.NVarChar, row.dc)
-        .input('phase', sql.NVarChar, row.phase)
-        .input('chain', sql.NVarChar, row.chain)
-        .input('node', sql.NVarChar, row.node)
-        .input('gwName', sql.NVarChar, row.gwName)
-        .input('gwIp', sql.NVarChar, row.gwIp)
-        .input('reason', sql.NVarChar, row.reason)
-        .input('started_by', sql.NVarChar, row.started_by)
-        .input('started_at', sql.DateTime, row.started_at)
-        .input('ended_by', sql.NVarChar, endedBy)
-        .input('ended_at', sql.DateTime, new Date())
-        .query(`
-          INSERT INTO maintenance_history
-          (original_entry_id, entry_type, rack_id, rack_name, country, site, dc, phase, chain, node, gwName, gwIp,
-           reason, started_by, ended_by, started_at, ended_at, duration_minutes)
-          VALUES
-          (@original_entry_id, @entry_type, @rack_id, @rack_name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp,
-           @reason, @started_by, @ended_by, @started_at, @ended_at, DATEDIFF(MINUTE, @started_at, @ended_at))
-        `);
-    }
-
-    logger.info(`Saved ${dataResult.recordset.length} racks to maintenance history for entry ${entryId}`);
+    escalationPoliciesCache.data = result.recordset.map(row => ({
+      id: row.id,
+      site: row.site,
+      level: row.level,
+      delayMinutes: row.delay_minutes,
+      notifyTarget: row.notify_target,
+      notifyContact: row.notify_contact,
+      enabled: !!row.enabled,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    }));
+    escalationPoliciesCache.timestamp = Date.now();
+    return escalationPoliciesCache.data;
   } catch (error) {
-    logger.error('Error saving maintenance to history', { error: error.message, entryId });
+    logger.error('Error loading escalation policies', { error: error.message });
+    return [];
   }
 }
 
 /**
- * Guarda un rack individual en el historial de mantenimiento
+ * Enabled tiers that apply to a site, ordered by level
+ * A site with its own tiers does not inherit the default policy (Cantabria Norte/Sur share the 'Cantabria' policy)
  */
-async function saveRackMaintenanceToHistory(pool, rackId, endedBy) {
-  try {
-    const dataResult = await pool.request()
-      .input('rack_id', sql.NVarChar, rackId)
-      .query(`
-        SELECT
-          me.id as original_entry_id,
-          me.entry_type,
-          me.reason,
-          me.started_by,
-          me.started_at,
-          mrd.rack_id,
-          mrd.name as rack_name,
-          mrd.country,
-          mrd.site,
-          mrd.dc,
-          mrd.phase,
-          mrd.chain,
-          mrd.node,
-          mrd.gwName,
-          mrd.gwIp
-        FROM maintenance_rack_details mrd
-        JOIN maintenance_entries me ON mrd.maintenance_entry_id = me.id
-        WHERE mrd.rack_id = @rack_id
-      `);
-
-    if (dataResult.recordset.length > 0) {
-      const row = dataResult.recordset[0];
-      await pool.request()
-        .input('original_entry_id', sql.UniqueIdentifier, row.original_entry_id)
-        .input('entry_type', sql.NVarChar, row.entry_type)
-        .input('rack_id', sql.NVarChar, String(row.rack_id))
-        .input('rack_name', sql.NVarChar, row.rack_name)
-        .input('country', sql.NVarChar, row.country)
-        .input('site', sql.NVarChar, row.site)
-        .input('dc', sql.NVarChar, row.dc)
-        .input('phase', sql.NVarChar, row.phase)
-        .input('chain', sql.NVarChar, row.chain)
-        .input('node', sql.NVarChar, row.node)
-        .input('gwName', sql.NVarChar, row.gwName)
-        .input('gwIp', sql.NVarChar, row.gwIp)
-        .input('reason', sql.NVarChar, row.reason)
-        .input('started_by', sql.NVarChar, row.started_by)
-        .input('started_at', sql.DateTime, row.started_at)
-        .input('ended_by', sql.NVarChar, endedBy)
-        .input('ended_at', sql.DateTime, new Date())
-        .query(`
-          INSERT INTO maintenance_history
-          (original_entry_id, entry_type, rack_id, rack_name, country, site, dc, phase, chain, node, gwName, gwIp,
-           reason, started_by, ended_by, started_at, ended_at, duration_minutes)
-          VALUES
-          (@original_entry_id, @entry_type, @rack_id, @rack_name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp,
-           @reason, @started_by, @ended_by, @started_at, @ended_at, DATEDIFF(MINUTE, @started_at, @ended_at))
-        `);
-
-      logger.info(`Saved rack ${rackId} to maintenance history`);
-    }
-  } catch (error) {
-    logger.error('Error saving rack maintenance to history', { error: error.message, rackId });
-  }
+function getEscalationTiersForSite(policies, site) {
+  const normalizeSite = (value) => (value && value.toLowerCase().includes('cantabria') ? 'Cantabria' : value);
+  const siteTiers = policies.filter(policy => policy.site && normalizeSite(policy.site) === normalizeSite(site));
+  const tiers = siteTiers.length > 0 ? siteTiers : policies.filter(policy => !policy.site);
+  return tiers.filter(policy => policy.enabled).sort((a, b) => a.level - b.level);
 }
 
 /**
- * Manages active critical alerts in the database
- * Inserts new critical alerts and removes resolved ones
- * Excludes racks that are in maintenance mode
+ * Escalates racks whose critical alerts stay unacknowledged longer than the tiers of their site
+ * Time is counted from the oldest alert_started_at of the rack; acknowledging the rack stops the escalation.
+ * Each step notifies SONAR (on the rack's pid), emails the addresses found in the tier's notify_contact
+ * and is recorded for every alert of the rack in alert_escalation_history
  */
-async function manageActiveCriticalAlerts(allPdus, thresholds) {
+async function processEscalations() {
   try {
-    // Get racks currently in maintenance
-    const maintenanceRackIds = await getMaintenanceRackIds();
+    const policies = await loadEscalationPolicies();
+    if (policies.length === 0) {
+      return;
+    }
 
-    // Get current critical PDUs with their reasons, excluding maintenance racks
-    const currentCriticalPdus = allPdus.filter(pdu => {
-      // Check if this PDU's rack is in maintenance using rackId
-      const isInMaintenance = maintenanceRackIds.has(pdu.rackId);
-      return pdu.status === 'critical' && pdu.reasons && pdu.reasons.length > 0 && !isInMaintenance;
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT id, pdu_id, rack_id, name, country, site, dc, phase, chain, node, serial,
+               metric_type, alert_reason, alert_value, alert_field, alert_started_at,
+               DATEDIFF(MINUTE, alert_started_at, GETDATE()) AS minutes_open,
+               uuid_open, escalation_level
+        FROM active_critical_alerts
+        WHERE acknowledged_at IS NULL
+        ORDER BY alert_started_at ASC
+      `);
     });
 
-    // Process PDUs in batches to avoid connection timeout issues
-    const BATCH_SIZE = 10;
-    let processedCount = 0;
-    let errorCount = 0;
-
-    for (let i = 0; i < currentCriticalPdus.length; i += BATCH_SIZE) {
-      const batch = currentCriticalPdus.slice(i, i + BATCH_SIZE);
+    // Silenced alerts do not escalate: their notifications are muted on purpose
+    const silences = await loadActiveSilences();
 
-      for (const pdu of batch) {
-        // Process each alert reason for this PDU
-        for (const reason of pdu.reasons) {
-          if (reason.startsWith('critical_')) {
-            try {
-              await processCriticalAlert(pdu, reason, thresholds);
-              processedCount++;
-            } catch (alertError) {
-              errorCount++;
-              logger.error('Error processing critical alert', { pdu_id: pdu.id, error: alertError.message });
-            }
-          }
-        }
+    const alertsByRack = new Map();
+    result.recordset.forEach(alert => {
+      const rack = { rackId: alert.rack_id, site: alert.site, dc: alert.dc, chain: alert.chain };
+      if (findMatchingSilence(silences, rack, alert.metric_type, alert.alert_reason)) {
+        return;
       }
-
-      // Small delay between batches to avoid overwhelming the database
-      if (i + BATCH_SIZE < currentCriticalPdus.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+      if (!alertsByRack.has(alert.rack_id)) {
+        alertsByRack.set(alert.rack_id, []);
       }
-    }
-
-    // Clean up resolved alerts
-    try {
-      await cleanupResolvedAlerts(currentCriticalPdus);
-    } catch (cleanupError) {
-      logger.error('Error during alert cleanup', { error: cleanupError.message });
-    }
-
-  } catch (error) {
-    logger.error('Error managing active critical alerts', { error: error.message });
-  }
-}
+      alertsByRack.get(alert.rack_id).push(alert);
+    });
 
-/**
- * Processes a single critical alert for a PDU
- */
-async function processCriticalAlert(pdu, reason, thresholds) {
-  try {
-    const pduIdStr = String(pdu.id);
-    const rackIdStr = String(pdu.rackId || pdu.id);
+    for (const [rackId, alerts] of alertsByRack) {
+      const firstAlert = alerts[0];
+      const tiers = getEscalationTiersForSite(policies, firstAlert.site);
+      const currentLevel = Math.max(...alerts.map(alert => alert.escalation_level || 0));
+      // Counted by SQL Server: alert_started_at is a local GETDATE() that mssql would read back as UTC
+      const minutesOpen = firstAlert.minutes_open;
 
-    const metricInfo = extractMetricInfo(reason, pdu, thresholds);
+      // Only the highest tier reached is notified (several can be due at once after a policy change or a restart)
+      const dueTier = tiers.filter(tier => tier.level > currentLevel && minutesOpen >= tier.delayMinutes).pop();
+      if (!dueTier) {
+        continue;
+      }
 
-    if (!metricInfo) {
-      return;
-    }
+      const gateway = findPduGateway(firstAlert.pdu_id, rackId);
+      const escalationData = {
+        pdu_id: firstAlert.pdu_id,
+        rack_id: firstAlert.rack_id,
+        name: firstAlert.name,
+        country: firstAlert.country || 'N/A',
+        site: firstAlert.site || 'N/A',
+        dc: firstAlert.dc || 'N/A',
+        phase: firstAlert.phase || 'N/A',
+        chain: firstAlert.chain || 'N/A',
+        node: firstAlert.node || 'N/A',
+        serial: firstAlert.serial || 'N/A',
+        alert_reason: firstAlert.alert_reason,
+        current: firstAlert.alert_field === 'current' ? firstAlert.alert_value : 0,
+        voltage: firstAlert.alert_field === 'voltage' ? firstAlert.alert_value : 0,
+        temperature: firstAlert.alert_field === 'sensorTemperature' ? firstAlert.alert_value : null,
+        humidity: firstAlert.alert_field === 'sensorHumidity' ? firstAlert.alert_value : null,
+        gwName: gateway.gwName || 'N/A',
+        gwIp: gateway.gwIp || 'N/A',
+        alert_started: formatDateForSonar(firstAlert.alert_started_at || new Date()),
+        escalation: {
+          level: dueTier.level,
+          notifyTarget: dueTier.notifyTarget,
+          notifyContact: dueTier.notifyContact,
+          minutesOpen
+        }
+      };
 
-    const { metricType, alertField, alertValue, thresholdExceeded } = metricInfo;
+      let sonarNotified = false;
+      if (SONAR_CONFIG.enabled && alerts.some(alert => alert.uuid_open)) {
+        const sonarResult = await sendToSonar(escalationData, 'OPEN');
+        sonarNotified = sonarResult.success;
+        if (!sonarResult.success) {
+          logger.error('[SONAR] Failed to send escalation', { rackId, level: dueTier.level, error: sonarResult.error });
+        }
+      }
 
-    await executeQuery(async (pool) => {
-      const existingAlert = await pool.request()
-        .input('pdu_id', sql.NVarChar, pduIdStr)
-        .input('metric_type', sql.NVarChar, metricType)
-        .input('alert_reason', sql.NVarChar, reason)
-        .query(`
-          SELECT id FROM active_critical_alerts
-          WHERE pdu_id = @pdu_id AND metric_type = @metric_type AND alert_reason = @alert_reason
-        `);
+      // notify_contact is free text (name, phone...): only the email addresses in it are mailed
+      const contactAddresses = String(dueTier.notifyContact || '')
+        .split(/[,;\s]+/)
+        .filter(address => EMAIL_ADDRESS_PATTERN.test(address));
+      let emailNotified = false;
+      if (contactAddresses.length > 0) {
+        const emailResult = await sendAlertEmail({
+          ...escalationData,
+          metric_type: firstAlert.metric_type,
+          alert_value: firstAlert.alert_value
+        }, 'OPEN', contactAddresses);
+        emailNotified = emailResult.success;
+      }
 
-      if (existingAlert.recordset.length > 0) {
+      await executeQuery(async (pool) => {
         await pool.request()
-          .input('pdu_id', sql.NVarChar, pduIdStr)
-          .input('metric_type', sql.NVarChar, metricType)
-          .input('alert_reason', sql.NVarChar, reason)
-          .input('alert_value', sql.Decimal(18, 4), alertValue)
-          .input('threshold_exceeded', sql.Decimal(18, 4), thresholdExceeded)
+          .input('rack_id', sql.NVarChar, rackId)
+          .input('level', sql.Int, dueTier.level)
           .query(`
             UPDATE active_critical_alerts
-            SET alert_value = @alert_value,
-                threshold_exceeded = @threshold_exceeded,
-                last_updated_at = GETDATE()
-            WHERE pdu_id = @pdu_id AND metric_type = @metric_type AND alert_reason = @alert_reason
-          `);
-      } else {
-        const groupValue = getGroupBySite(pdu.site);
-        const insertResult = await pool.request()
-          .input('pdu_id', sql.NVarChar, pduIdStr)
-          .input('rack_id', sql.NVarChar, rackIdStr)
-          .input('name', sql.NVarChar, pdu.name)
-          .input('country', sql.NVarChar, pdu.country)
-          .input('site', sql.NVarChar, pdu.site)
-          .input('dc', sql.NVarChar, pdu.dc)
-          .input('phase', sql.NVarChar, pdu.phase)
-          .input('chain', sql.NVarChar, pdu.chain)
-          .input('node', sql.NVarChar, pdu.node)
-          .input('serial', sql.NVarChar, pdu.serial)
-          .input('metric_type', sql.NVarChar, metricType)
-          .input('alert_reason', sql.NVarChar, reason)
-          .input('alert_value', sql.Decimal(18, 4), alertValue)
-          .input('alert_field', sql.NVarChar, alertField)
-          .input('threshold_exceeded', sql.Decimal(18, 4), thresholdExceeded)
-          .input('group', sql.NVarChar, groupValue)
-          .query(`
-            INSERT INTO active_critical_alerts
-            (pdu_id, rack_id, name, country, site, dc, phase, chain, node, serial,
-             metric_type, alert_reason, alert_value, alert_field, threshold_exceeded, [group])
-            OUTPUT INSERTED.id
-            VALUES
-            (@pdu_id, @rack_id, @name, @country, @site, @dc, @phase, @chain, @node, @serial,
-             @metric_type, @alert_reason, @alert_value, @alert_field, @threshold_exceeded, @group)
+            SET escalation_level = @level, last_escalated_at = GETDATE()
+            WHERE rack_id = @rack_id AND acknowledged_at IS NULL
           `);
 
-        const insertedAlertId = insertResult.recordset[0]?.id;
-
-        if (insertedAlertId && SONAR_CONFIG.enabled) {
-          openSonarAlert(pdu, reason, insertedAlertId).catch(err => {
-            logger.error('[SONAR] Failed to send alert to SONAR', { error: err.message, pdu_id: pduIdStr });
-          });
+        for (const alert of alerts) {
+          await pool.request()
+            .input('pdu_id', sql.NVarChar, String(alert.pdu_id))
+            .input('rack_id', sql.NVarChar, rackId)
+            .input('name', sql.NVarChar, alert.name)
+            .input('site', sql.NVarChar, alert.site)
+            .input('dc', sql.NVarChar, alert.dc)
+            .input('metric_type', sql.NVarChar, alert.metric_type)
+            .input('alert_reason', sql.NVarChar, alert.alert_reason)
+            .input('level', sql.Int, dueTier.level)
+            .input('delay_minutes', sql.Int, dueTier.delayMinutes)
+            .input('notify_target', sql.NVarChar, dueTier.notifyTarget)
+            .input('notify_contact', sql.NVarChar, dueTier.notifyContact)
+            .input('minutes_open', sql.Int, minutesOpen)
+            .input('sonar_notified', sql.Bit, sonarNotified)
+            .query(`
+              INSERT INTO alert_escalation_history
+              (alert_history_id, pdu_id, rack_id, name, site, dc, metric_type, alert_reason,
+               level, delay_minutes, notify_target, notify_contact, minutes_open, sonar_notified)
+              VALUES
+              ((SELECT TOP 1 id FROM alerts_history
+                WHERE pdu_id = @pdu_id AND metric_type = @metric_type AND alert_reason = @alert_reason AND resolved_at IS NULL
+                ORDER BY created_at DESC),
+               @pdu_id, @rack_id, @name, @site, @dc, @metric_type, @alert_reason,
+               @level, @delay_minutes, @notify_target, @notify_contact, @minutes_open, @sonar_notified)
+            `);
         }
+      });
 
-        await saveAlertToHistory({
-          pdu_id: pduIdStr,
-          rack_id: rackIdStr,
-          name: pdu.name,
-          country: pdu.country,
-          site: pdu.site,
-          dc: pdu.dc,
-          phase: pdu.phase,
-          chain: pdu.chain,
-          node: pdu.node,
-          serial: pdu.serial,
-          metric_type: metricType,
-          alert_reason: reason,
-          alert_value: alertValue,
-          alert_field: alertField,
-          threshold_exceeded: thresholdExceeded,
-          group: groupValue
-        });
-      }
-
-      return true;
-    });
-
+      logger.warn('Critical alert escalated', {
+        rackId,
+        rack: firstAlert.name,
+        site: firstAlert.site,
+        level: dueTier.level,
+        notifyTarget: dueTier.notifyTarget,
+        minutesOpen,
+        sonarNotified,
+        emailNotified
+      });
+    }
   } catch (error) {
-    throw new Error(`Failed to process critical alert for PDU ${pdu.id}: ${error.message}`);
+    logger.error('Error processing alert escalations', { error: error.message });
   }
 }
 
-/**
- * Extracts metric information from alert reason and PDU data
- */
-function extractMetricInfo(reason, pdu, thresholds) {
-  let metricType, alertField, alertValue;
+// Middleware Configuration
+app.use(helmet({
+  contentSecurityPolicy: false,
+}));
 
-  if (reason.includes('amperage') || reason.includes('current')) {
-    metricType = 'amperage';
-    alertField = 'current';
-    alertValue = parseFloat(pdu.current) || 0;
-  } else if (reason.includes('temperature')) {
-    metricType = 'temperature';
-    // Determine which temperature field based on the PDU data
-    if (pdu.sensorTemperature != null && !isNaN(pdu.sensorTemperature)) {
-      alertField = 'sensorTemperature';
-      alertValue = parseFloat(pdu.sensorTemperature);
-    } else if (pdu.temperature != null && !isNaN(pdu.temperature)) {
-      alertField = 'temperature';
-      alertValue = parseFloat(pdu.temperature);
-    } else {
-      return null;
-    }
-  } else if (reason.includes('humidity')) {
-    metricType = 'humidity';
-    alertField = 'sensorHumidity';
-    alertValue = parseFloat(pdu.sensorHumidity) || null;
-  } else if (reason.includes('voltage')) {
-    metricType = 'voltage';
-    alertField = 'voltage';
-    alertValue = parseFloat(pdu.voltage) || null;
-  } else {
-    return null;
-  }
+// CORS configuration - Allow requests from frontend
+app.use(cors({
+  origin: process.env.FRONTEND_URL || true, // Allow all origins in production when serving from same server
+  credentials: true
+}));
 
-  // Extract threshold exceeded from database thresholds
-  const thresholdExceeded = getThresholdFromReason(reason, thresholds);
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-  return {
-    metricType,
-    alertField,
-    alertValue,
-    thresholdExceeded
-  };
+// Serve static files from 'dist' folder in production
+const distPath = path.join(__dirname, 'dist');
+if (fs.existsSync(distPath)) {
+  logger.debug('Serving static files from dist folder');
+  app.use(express.static(distPath));
 }
 
-/**
- * Gets the threshold value that was exceeded based on the reason
- * Looks up values from database thresholds - NO hardcoded values
- */
-function getThresholdFromReason(reason, thresholds) {
-  if (!thresholds || thresholds.length === 0) return null;
-
-  // Map reason patterns to threshold keys
-  const reasonToKeyMap = {
-    'critical_amperage_high_single_phase': 'critical_amperage_high_single_phase',
-    'critical_amperage_low_single_phase': 'critical_amperage_low_single_phase',
-    'critical_amperage_high_3_phase': 'critical_amperage_high_3_phase',
-    'critical_amperage_low_3_phase': 'critical_amperage_low_3_phase',
-    'warning_amperage_high_single_phase': 'warning_amperage_high_single_phase',
-    'warning_amperage_low_single_phase': 'warning_amperage_low_single_phase',
-    'warning_amperage_high_3_phase': 'warning_amperage_high_3_phase',
-    'warning_amperage_low_3_phase': 'warning_amperage_low_3_phase',
-    'critical_temperature_high': 'critical_temperature_high',
-    'critical_temperature_low': 'critical_temperature_low',
-    'warning_temperature_high': 'warning_temperature_high',
-    'warning_temperature_low': 'warning_temperature_low',
-    'critical_humidity_high': 'critical_humidity_high',
-    'critical_humidity_low': 'critical_humidity_low',
-    'warning_humidity_high': 'warning_humidity_high',
-    'warning_humidity_low': 'warning_humidity_low',
-    'critical_voltage_high': 'critical_voltage_high',
-    'critical_voltage_low': 'critical_voltage_low',
-    'warning_voltage_high': 'warning_voltage_high',
-    'warning_voltage_low': 'warning_voltage_low'
-  };
-
-  // Find the matching threshold key
-  let thresholdKey = null;
-  for (const [reasonPattern, key] of Object.entries(reasonToKeyMap)) {
-    if (reason.includes(reasonPattern)) {
-      thresholdKey = key;
-      break;
-    }
+// Morgan logging middleware (debug level to reduce noise)
+app.use(morgan('combined', {
+  stream: {
+    write: (message) => logger.debug(message.trim())
   }
+}));
 
-  if (!thresholdKey) return null;
+// Session configuration for authentication
+app.use(session({
+  secret: process.env.SESSION_SECRET || 'energy-monitor-secret-key-change-in-production',
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    secure: false, // Set to false to work with HTTP in production
+    httpOnly: true,
+    maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year (maximum practical duration)
+    sameSite: 'lax' // Allow cookies to be sent with same-site requests
+  }
+}));
 
-  // Look up the threshold value from database
-  const threshold = thresholds.find(t => t.key === thresholdKey);
-  return threshold ? threshold.value : null;
+// Authentication middleware to check if user is logged in
+function requireAuth(req, res, next) {
+  if (req.session && req.session.userId) {
+    return next();
+  }
+  return res.status(401).json({ success: false, message: 'No autorizado. Por favor inicie sesión.' });
 }
 
-/**
- * Removes alerts from database for PDUs that are no longer critical
- * Also marks them as resolved in alerts_history
- */
-async function cleanupResolvedAlerts(currentCriticalPdus) {
-  try {
-    await executeQuery(async (pool) => {
-      const currentCriticalPduIds = currentCriticalPdus.map(pdu => pdu.id);
+// Authorization middleware to check user role
+function requireRole(...allowedRoles) {
+  return (req, res, next) => {
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({ success: false, message: 'No autorizado. Por favor inicie sesión.' });
+    }
 
-      if (currentCriticalPduIds.length === 0) {
-        const alertsToResolve = await pool.request().query(`
-          SELECT id, pdu_id, rack_id, name, country, site, dc, metric_type, alert_reason, uuid_open, uuid_closed
-          FROM active_critical_alerts
-        `);
+    if (!allowedRoles.includes(req.session.userRole)) {
+      return res.status(403).json({ success: false, message: 'No tiene permisos para realizar esta acción.' });
+    }
 
-        for (const alert of alertsToResolve.recordset) {
-          let uuidClosed = alert.uuid_closed;
-          if (SONAR_CONFIG.enabled && alert.uuid_open) {
-            const sonarResult = await closeSonarAlert(alert).catch(err => {
-              logger.error('Failed to close alert in SONAR', { error: err.message, pdu_id: alert.pdu_id });
-              return { success: false };
-            });
-            if (sonarResult && sonarResult.uuid) {
-              uuidClosed = sonarResult.uuid;
-            }
-          }
+    return next();
+  };
+}
 
-          await pool.request()
-            .input('pdu_id', sql.NVarChar, String(alert.pdu_id))
-            .input('metric_type', sql.NVarChar, alert.metric_type)
-            .input('alert_reason', sql.NVarChar, alert.alert_reason)
-            .input('resolved_at', sql.DateTime, new Date())
-            .input('uuid_open', sql.NVarChar, alert.uuid_open || null)
-            .input('uuid_closed', sql.NVarChar, uuidClosed || null)
-            .query(`
-              UPDATE alerts_history
-              SET resolved_at = @resolved_at,
-                  resolved_by = 'Sistema',
-                  resolution_type = 'auto',
-                  duration_minutes = DATEDIFF(MINUTE, created_at, @resolved_at),
-                  uuid_open = @uuid_open,
-                  uuid_closed = @uuid_closed
-              WHERE pdu_id = @pdu_id
-                AND metric_type = @metric_type
-                AND alert_reason = @alert_reason
-                AND resolved_at IS NULL
-            `);
-        }
+// Cache configuration
+let racksCache = {
+  data: null,
+  timestamp: null,
+  ttl: 30000 // 30 segundos
+};
 
-        const deleteResult = await pool.request().query(`
-          DELETE FROM active_critical_alerts
-        `);
-        return deleteResult;
-      }
+let thresholdsCache = {
+  data: null,
+  timestamp: null,
+  ttl: 300000 // 5 minutos
+};
 
-      const pduIdsList = currentCriticalPduIds.map(id => `'${String(id).replace("'", "''")}'`).join(',');
+let compositeRulesCache = {
+  data: null,
+  timestamp: null,
+  ttl: 300000 // 5 minutos
+};
 
-      const alertsToResolve = await pool.request().query(`
-        SELECT id, pdu_id, rack_id, name, country, site, dc, metric_type, alert_reason, uuid_open, uuid_closed
-        FROM active_critical_alerts
-        WHERE pdu_id NOT IN (${pduIdsList})
-      `);
+let escalationPoliciesCache = {
+  data: null,
+  timestamp: null,
+  ttl: 300000 // 5 minutos
+};
 
-      for (const alert of alertsToResolve.recordset) {
-        let uuidClosed = alert.uuid_closed;
-        if (SONAR_CONFIG.enabled && alert.uuid_open) {
-          const sonarResult = await closeSonarAlert(alert).catch(err => {
-            logger.error('Failed to close alert in SONAR', { error: err.message, pdu_id: alert.pdu_id });
-            return { success: false };
-          });
-          if (sonarResult && sonarResult.uuid) {
-            uuidClosed = sonarResult.uuid;
-          }
-        }
+let silencesCache = {
+  data: null,
+  timestamp: null,
+  ttl: 60000 // 1 minuto
+};
 
-        await pool.request()
-          .input('pdu_id', sql.NVarChar, String(alert.pdu_id))
-          .input('metric_type', sql.NVarChar, alert.metric_type)
-          .input('alert_reason', sql.NVarChar, alert.alert_reason)
-          .input('resolved_at', sql.DateTime, new Date())
-          .input('uuid_open', sql.NVarChar, alert.uuid_open || null)
-          .input('uuid_closed', sql.NVarChar, uuidClosed || null)
-          .query(`
-            UPDATE alerts_history
-            SET resolved_at = @resolved_at,
-                resolved_by = 'Sistema',
-                resolution_type = 'auto',
-                duration_minutes = DATEDIFF(MINUTE, created_at, @resolved_at),
-                uuid_open = @uuid_open,
-                uuid_closed = @uuid_closed
-            WHERE pdu_id = @pdu_id
-              AND metric_type = @metric_type
-              AND alert_reason = @alert_reason
-              AND resolved_at IS NULL
-          `);
-      }
-
-      const deleteResult = await pool.request().query(`
-        DELETE FROM active_critical_alerts
-        WHERE pdu_id NOT IN (${pduIdsList})
-      `);
-
-      for (const criticalPdu of currentCriticalPdus) {
-        const currentReasons = criticalPdu.reasons.filter(r => r.startsWith('critical_'));
-
-        if (currentReasons.length > 0) {
-          const reasonsList = currentReasons.map(reason => `'${reason.replace("'", "''")}'`).join(',');
-
-          const alertsToResolveByReason = await pool.request()
-            .input('pdu_id', sql.NVarChar, String(criticalPdu.id))
-            .query(`
-              SELECT id, pdu_id, rack_id, name, country, site, dc, metric_type, alert_reason, uuid_open, uuid_closed
-              FROM active_critical_alerts
-              WHERE pdu_id = @pdu_id AND alert_reason NOT IN (${reasonsList})
-            `);
+let emailRecipientsCache = {
+  data: null,
+  timestamp: null,
+  ttl: 300000 // 5 minutos
+};
 
-          for (const alert of alertsToResolveByReason.recordset) {
-            let uuidClosed = alert.uuid_closed;
-            if (SONAR_CONFIG.enabled && alert.uuid_open) {
-              const sonarResult = await closeSonarAlert(alert).catch(err => {
-                logger.error('Failed to close alert in SONAR', { error: err.message, pdu_id: alert.pdu_id });
-                return { success: false };
-              });
-              if (sonarResult && sonarResult.uuid) {
-                uuidClosed = sonarResult.uuid;
-              }
-            }
+// Helper function to check if cache is valid
+function isCacheValid(cache) {
+  return cache.data && cache.timestamp && (Date.now() - cache.timestamp) < cache.ttl;
+}
 
-            await pool.request()
-              .input('pdu_id', sql.NVarChar, String(alert.pdu_id))
-              .input('metric_type', sql.NVarChar, alert.metric_type)
-              .input('alert_reason', sql.NVarChar, alert.alert_reason)
-              .input('resolved_at', sql.DateTime, new Date())
-              .input('uuid_open', sql.NVarChar, alert.uuid_open || null)
-              .input('uuid_closed', sql.NVarChar, uuidClosed || null)
-              .query(`
-                UPDATE alerts_history
-                SET resolved_at = @resolved_at,
-                    resolved_by = 'Sistema',
-                    resolution_type = 'auto',
-                    duration_minutes = DATEDIFF(MINUTE, created_at, @resolved_at),
-                    uuid_open = @uuid_open,
-                    uuid_closed = @uuid_closed
-                WHERE pdu_id = @pdu_id
-                  AND metric_type = @metric_type
-                  AND alert_reason = @alert_reason
-                  AND resolved_at IS NULL
-              `);
-          }
+// Helper function to check if user has access to a site (handles Cantabria unification)
+function userHasAccessToSiteMaintenance(userSites, siteName) {
+  if (!userSites || !Array.isArray(userSites) || userSites.length === 0) {
+    return true;
+  }
+  if (!siteName || siteName === 'Unknown') {
+    return false;
+  }
+  if (userSites.includes(siteName)) {
+    return true;
+  }
+  const normalizedSite = siteName.toLowerCase().includes('cantabria') ? 'Cantabria' : siteName;
+  if (normalizedSite === 'Cantabria') {
+    return userSites.some(assignedSite =>
+      assignedSite.toLowerCase().includes('cantabria')
+    );
+  }
+  return false;
+}
 
-          await pool.request()
-            .input('pdu_id', sql.NVarChar, String(criticalPdu.id))
-            .query(`
-              DELETE FROM active_critical_alerts
-              WHERE pdu_id = @pdu_id AND alert_reason NOT IN (${reasonsList})
-            `);
-        }
+// Real NENG API fetch function
+async function fetchFromNengApi(url, options = {}) {
+  const apiTimeout = parseInt(process.env.API_TIMEOUT) || 10000;
+  
+  // Making API call to NENG
+  
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), apiTimeout);
+    
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+      headers: {
+        'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
+        'Content-Type': 'application/json',
+        ...options.headers
       }
-
-      return deleteResult;
     });
-
+    
+    clearTimeout(timeoutId);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    
+    // API call successful
+    
+    return {
+      success: true,
+      data: data,
+      count: Array.isArray(data) ? data.length : 1,
+      timestamp: new Date().toISOString()
+    };
+    
   } catch (error) {
-    logger.error('Error cleaning up resolved alerts', { error: error.message });
+    if (error.name === 'AbortError') {
+      logger.error('NENG API timeout', { timeout: apiTimeout });
+      throw new Error(`API request timeout after ${apiTimeout}ms`);
+    }
+
+    logger.error('NENG API error', { error: error.message });
+    throw error;
   }
 }
 
-// ============================================================================================================
-// AUTHENTICATION ENDPOINTS
-// ============================================================================================================
+// Threshold keys accepted by the global, scope and rack update endpoints
+const VALID_THRESHOLD_KEYS = [
+  'critical_temperature_low', 'critical_temperature_high',
+  'warning_temperature_low', 'warning_temperature_high',
+  'critical_humidity_low', 'critical_humidity_high',
+  'warning_humidity_low', 'warning_humidity_high',
+  'critical_dewpoint_high', 'warning_dewpoint_high',
+  'critical_amperage_low_single_phase', 'critical_amperage_high_single_phase',
+  'warning_amperage_low_single_phase', 'warning_amperage_high_single_phase',
+  'critical_amperage_low_3_phase', 'critical_amperage_high_3_phase',
+  'warning_amperage_low_3_phase', 'warning_amperage_high_3_phase',
+  'critical_voltage_low', 'critical_voltage_high',
+  'warning_voltage_low', 'warning_voltage_high',
+  'critical_power_high', 'warning_power_high',
+  'critical_load_percentage_high', 'warning_load_percentage_high',
+  'critical_redundancy_load_high', 'warning_redundancy_load_high',
+  'evaluate_amperage_low_single_phase', 'evaluate_amperage_low_3_phase',
+  'alert_raise_cycles_amperage', 'alert_clear_margin_amperage', 'alert_clear_cycles_amperage',
+  'alert_raise_cycles_temperature', 'alert_clear_margin_temperature', 'alert_clear_cycles_temperature',
+  'alert_raise_cycles_humidity', 'alert_clear_margin_humidity', 'alert_clear_cycles_humidity',
+  'alert_raise_cycles_dewpoint', 'alert_clear_margin_dewpoint', 'alert_clear_cycles_dewpoint',
+  'alert_raise_cycles_voltage', 'alert_clear_margin_voltage', 'alert_clear_cycles_voltage',
+  'alert_raise_cycles_power', 'alert_clear_margin_power', 'alert_clear_cycles_power',
+  'alert_raise_cycles_load', 'alert_clear_margin_load', 'alert_clear_cycles_load',
+  'alert_raise_cycles_redundancy', 'alert_clear_margin_redundancy', 'alert_clear_cycles_redundancy',
+  'critical_temperature_rising', 'warning_temperature_rising', 'temperature_rising_window_minutes',
+  'critical_amperage_surge', 'warning_amperage_surge', 'amperage_surge_window_minutes'
+];
 
-// POST /api/auth/login - Login endpoint
-app.post('/api/auth/login', async (req, res) => {
+// Function to fetch thresholds from SQL Server
+async function fetchThresholdsFromDatabase() {
   try {
-    const { usuario, password } = req.body;
-
-    if (!usuario || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Usuario y contraseña son requeridos'
-      });
+    if (isCacheValid(thresholdsCache)) {
+      return thresholdsCache.data;
     }
 
-    // Query user from database
     const result = await executeQuery(async (pool) => {
-      return await pool.request()
-        .input('usuario', sql.NVarChar, usuario)
-        .query('SELECT id, usuario, password, rol, sitios_asignados, activo FROM usersAlertado WHERE usuario = @usuario');
+      return await pool.request().query(`
+        SELECT threshold_key as [key], value, unit, description, created_at as createdAt, updated_at as updatedAt
+        FROM dbo.threshold_configs
+        ORDER BY threshold_key
+      `);
     });
 
-    if (result.recordset.length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: 'Usuario o contraseña incorrectos'
-      });
-    }
-
-    const user = result.recordset[0];
+    const thresholds = result.recordset || [];
 
-    // Check if user is active
-    if (!user.activo) {
-      return res.status(401).json({
-        success: false,
-        message: 'Este usuario está desactivado'
-      });
+    // Check for voltage thresholds
+    const voltageThresholds = thresholds.filter(t => t.key && t.key.includes('voltage'));
+    if (voltageThresholds.length > 0) {
+      logger.debug('Voltage thresholds loaded from database', { count: voltageThresholds.length });
+    } else {
+      logger.error('No voltage thresholds found in database');
     }
 
-    // Verify password (plain text comparison - no hashing)
-    const passwordMatch = password === user.password;
+    // Update cache
+    thresholdsCache.data = thresholds;
+    thresholdsCache.timestamp = Date.now();
 
-    if (!passwordMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Usuario o contraseña incorrectos'
-      });
-    }
+    return thresholds;
 
-    // Parse sitios_asignados JSON
-    const sitiosAsignados = user.sitios_asignados ? JSON.parse(user.sitios_asignados) : null;
+  } catch (error) {
+    logger.error('Database threshold fetch failed', { error: error.message });
+    return [];
+  }
+}
 
-    // Create session
-    req.session.userId = user.id;
-    req.session.usuario = user.usuario;
-    req.session.userRole = user.rol;
-    req.session.sitiosAsignados = sitiosAsignados;
+// Load all rack-specific thresholds from database in one query
+async function loadAllRackSpecificThresholds(rackIds) {
+  try {
+    if (rackIds.length === 0) return new Map();
 
-    logger.info(`User logged in: ${user.usuario} (${user.rol})`);
+    const result = await executeQuery(async (pool) => {
+      // Create a table-valued parameter or use IN clause
+      const rackIdsList = rackIds.map(id => `'${String(id).replace("'", "''")}'`).join(',');
 
-    res.json({
-      success: true,
-      message: 'Inicio de sesión exitoso',
-      user: {
-        id: user.id,
-        usuario: user.usuario,
-        rol: user.rol,
-        sitios_asignados: sitiosAsignados
+      return await pool.request().query(`
+        SELECT rack_id, threshold_key, value, unit
+        FROM dbo.rack_threshold_overrides
+        WHERE rack_id IN (${rackIdsList})
+      `);
+    });
+
+    // Organize by rack_id
+    const rackThresholdsMap = new Map();
+    result.recordset.forEach(row => {
+      if (!rackThresholdsMap.has(row.rack_id)) {
+        rackThresholdsMap.set(row.rack_id, {});
+      }
+      const overrides = rackThresholdsMap.get(row.rack_id);
+      overrides[row.threshold_key] = row.value;
+      if (row.unit) {
+        overrides[`${row.threshold_key}_unit`] = row.unit;
       }
     });
 
+    return rackThresholdsMap;
   } catch (error) {
-    logger.error('Login error', { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Error en el servidor al iniciar sesión'
-    });
+    logger.error('Error loading rack-specific thresholds', { error: error.message });
+    return new Map();
   }
-});
+}
 
-// POST /api/auth/logout - Logout endpoint
-app.post('/api/auth/logout', (req, res) => {
-  req.session.destroy((err) => {
-    if (err) {
-      logger.error('Logout error', { error: err.message });
-      return res.status(500).json({
-        success: false,
-        message: 'Error al cerrar sesión'
-      });
-    }
+// Scopes that can hold threshold overrides between global and rack, from least to most specific
+const THRESHOLD_SCOPE_TYPES = ['site', 'dc', 'chain'];
 
-    res.json({
-      success: true,
-      message: 'Sesión cerrada exitosamente'
+// Normalize a site/DC/chain value coming from NENG data or from a request ('N/A' counts as missing)
+function normalizeScopeValue(value) {
+  if (value === null || value === undefined) return null;
+  const normalized = String(value).trim();
+  return normalized === '' || normalized === 'N/A' ? null : normalized;
+}
+
+// Build the lookup key of a site/DC/chain scope (chains are only unique inside their DC, DCs inside their site)
+function getThresholdScopeKey(scopeType, site, dc, chain) {
+  if (scopeType === 'site') return `site|${site}`;
+  if (scopeType === 'dc') return `dc|${site}|${dc}`;
+  return `chain|${site}|${dc}|${chain}`;
+}
+
+// Load all site/DC/chain threshold overrides from database in one query, indexed by scope key
+async function loadScopeThresholdOverrides() {
+  try {
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT scope_type, site, dc, chain, threshold_key, value
+        FROM dbo.threshold_scope_overrides
+      `);
     });
-  });
-});
 
-// GET /api/auth/session - Check if user has active session
-app.get('/api/auth/session', (req, res) => {
-  if (req.session && req.session.userId) {
-    return res.json({
-      success: true,
-      authenticated: true,
-      user: {
-        id: req.session.userId,
-        usuario: req.session.usuario,
-        rol: req.session.userRole,
-        sitios_asignados: req.session.sitiosAsignados
+    const scopeThresholdsMap = new Map();
+    result.recordset.forEach(row => {
+      const scopeKey = getThresholdScopeKey(row.scope_type, row.site, row.dc, row.chain);
+      if (!scopeThresholdsMap.has(scopeKey)) {
+        scopeThresholdsMap.set(scopeKey, {});
       }
+      scopeThresholdsMap.get(scopeKey)[row.threshold_key] = row.value;
     });
+
+    return scopeThresholdsMap;
+  } catch (error) {
+    logger.error('Error loading scope thresholds', { error: error.message });
+    return new Map();
   }
+}
 
-  res.json({
-    success: true,
-    authenticated: false,
-    user: null
+// Resolve the effective thresholds of a location: global -> site -> DC -> chain -> rack.
+// Each threshold keeps in `source` the scope its value came from
+function resolveEffectiveThresholds(thresholds, scopeThresholdsMap, rackOverrides, location = {}) {
+  const site = normalizeScopeValue(location.site);
+  const dc = normalizeScopeValue(location.dc);
+  const chain = normalizeScopeValue(location.chain);
+
+  const layers = [
+    { source: 'site', overrides: site ? scopeThresholdsMap.get(getThresholdScopeKey('site', site)) : null },
+    { source: 'dc', overrides: site && dc ? scopeThresholdsMap.get(getThresholdScopeKey('dc', site, dc)) : null },
+    { source: 'chain', overrides: site && dc && chain ? scopeThresholdsMap.get(getThresholdScopeKey('chain', site, dc, chain)) : null },
+    { source: 'rack', overrides: rackOverrides }
+  ];
+
+  return thresholds.map(t => {
+    let resolved = { ...t, source: 'global' };
+    layers.forEach(layer => {
+      if (layer.overrides && layer.overrides[t.key] !== undefined) {
+        resolved = { ...resolved, value: layer.overrides[t.key], source: layer.source };
+      }
+    });
+    return resolved;
   });
-});
+}
 
-// ============================================================================================================
-// USER MANAGEMENT ENDPOINTS (Only for Administrador role)
-// ============================================================================================================
+// Validate the scope of a site/DC/chain override request; returns { error } when incomplete
+function parseThresholdScope(input = {}) {
+  const scopeType = input.scopeType;
+  const site = normalizeScopeValue(input.site);
+  const dc = normalizeScopeValue(input.dc);
+  const chain = normalizeScopeValue(input.chain);
 
-// GET /api/sites - Get all available sites from rack data
-app.get('/api/sites', requireAuth, async (req, res) => {
-  try {
-    // First check if we have cache of rack data with sites
-    let sites = [];
+  if (!THRESHOLD_SCOPE_TYPES.includes(scopeType)) {
+    return { error: `scopeType must be one of: ${THRESHOLD_SCOPE_TYPES.join(', ')}` };
+  }
+  if (!site) {
+    return { error: 'site is required' };
+  }
+  if ((scopeType === 'dc' || scopeType === 'chain') && !dc) {
+    return { error: 'dc is required for dc and chain scopes' };
+  }
+  if (scopeType === 'chain' && !chain) {
+    return { error: 'chain is required for chain scope' };
+  }
 
-    // Try to get sites from the cache first (faster)
-    if (racksCache.data && Array.isArray(racksCache.data)) {
-      const allRacks = racksCache.data.flat();
-      const siteSet = new Set();
-      allRacks.forEach(rack => {
-        if (rack.site && rack.site.trim() !== '') {
-          siteSet.add(rack.site.trim());
-        }
-      });
-      sites = Array.from(siteSet).sort();
-    }
+  return {
+    scopeType,
+    site,
+    dc: scopeType === 'site' ? null : dc,
+    chain: scopeType === 'chain' ? chain : null
+  };
+}
 
-    // If no sites from cache, try database
-    if (sites.length === 0) {
-      try {
-        const result = await executeQuery(async (pool) => {
-          return await pool.request().query(`
-            SELECT DISTINCT site
-            FROM dbo.active_critical_alerts
-            WHERE site IS NOT NULL AND site != ''
-            ORDER BY site
-          `);
-        });
-        sites = result.recordset.map(row => row.site);
-      } catch (dbError) {
-        logger.warn('Could not fetch sites from database', { error: dbError.message });
-      }
-    }
+// Find the site/DC/chain of a rack in the latest cached NENG data
+function findRackLocation(rackId) {
+  if (!racksCache.data || !Array.isArray(racksCache.data)) {
+    return {};
+  }
+  const pdu = racksCache.data.flat().find(r => String(r.rackId || r.id) === String(rackId));
+  return pdu ? { site: pdu.site, dc: pdu.dc, chain: pdu.chain } : {};
+}
 
-    // If still no sites, provide default fallback or fetch from API
-    if (sites.length === 0) {
-      logger.warn('No sites found in cache or database');
+// Gateway of a PDU in the latest cached NENG data (rack incidents are stored under the rack id)
+function findPduGateway(pduId, rackId) {
+  if (!racksCache.data || !Array.isArray(racksCache.data)) {
+    return {};
+  }
+  const pdus = racksCache.data.flat();
+  const pdu = pdus.find(r => String(r.id) === String(pduId)) ||
+    pdus.find(r => String(r.rackId || r.id) === String(rackId));
+  return pdu ? { gwName: pdu.gwName, gwIp: pdu.gwIp } : {};
+}
+
+// Values stored at exactly one scope, without inheritance: { key: value }
+// scope: { scopeType: 'global' | 'site' | 'dc' | 'chain' | 'rack', site, dc, chain, rackId }
+async function readThresholdScopeValues(pool, scope) {
+  let result;
+
+  if (scope.scopeType === 'global') {
+    result = await pool.request().query(`SELECT threshold_key, value FROM dbo.threshold_configs`);
+  } else if (scope.scopeType === 'rack') {
+    result = await pool.request()
+      .input('rackId', sql.NVarChar, scope.rackId)
+      .query(`SELECT threshold_key, value FROM dbo.rack_threshold_overrides WHERE rack_id = @rackId`);
+  } else {
+    result = await pool.request()
+      .input('scopeType', sql.NVarChar, scope.scopeType)
+      .input('site', sql.NVarChar, scope.site)
+      .input('dc', sql.NVarChar, scope.dc)
+      .input('chain', sql.NVarChar, scope.chain)
+      .query(`
+        SELECT threshold_key, value
+        FROM dbo.threshold_scope_overrides
+        WHERE scope_type = @scopeType
+          AND site = @site
+          AND ISNULL(dc, '') = ISNULL(@dc, '')
+          AND ISNULL(chain, '') = ISNULL(@chain, '')
+      `);
+  }
+
+  const values = {};
+  result.recordset.forEach(row => {
+    values[row.threshold_key] = parseFloat(row.value);
+  });
+  return values;
+}
+
+// Write one threshold value at a scope; null removes the override so the scope inherits again
+// (global values can only be updated). Returns the number of rows affected
+async function writeThresholdScopeValue(pool, scope, key, value) {
+  if (scope.scopeType === 'global') {
+    if (value === null) return 0;
+    const result = await pool.request()
+      .input('key', sql.NVarChar, key)
+      .input('value', sql.Decimal(18, 4), value)
+      .query(`
+        UPDATE dbo.threshold_configs
+        SET value = @value, updated_at = GETDATE()
+        WHERE threshold_key = @key
+      `);
+    return result.rowsAffected[0];
+  }
+
+  if (scope.scopeType === 'rack') {
+    if (value === null) {
+      const result = await pool.request()
+        .input('rackId', sql.NVarChar, scope.rackId)
+        .input('key', sql.NVarChar, key)
+        .query(`DELETE FROM dbo.rack_threshold_overrides WHERE rack_id = @rackId AND threshold_key = @key`);
+      return result.rowsAffected[0];
     }
 
-    res.json({
-      success: true,
-      sites: sites
-    });
+    // Get the unit from global threshold_configs
+    const unitResult = await pool.request()
+      .input('key', sql.NVarChar, key)
+      .query(`SELECT unit FROM dbo.threshold_configs WHERE threshold_key = @key`);
 
-  } catch (error) {
-    logger.error('Fetch sites error', { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Error al obtener sitios',
-      sites: []
-    });
+    const unit = unitResult.recordset.length > 0 ? unitResult.recordset[0].unit : null;
+
+    await pool.request()
+      .input('rackId', sql.NVarChar, scope.rackId)
+      .input('key', sql.NVarChar, key)
+      .input('value', sql.Decimal(18, 4), value)
+      .input('unit', sql.NVarChar, unit)
+      .query(`
+        MERGE dbo.rack_threshold_overrides AS target
+        USING (SELECT @rackId as rack_id, @key as threshold_key, @value as value, @unit as unit) AS source
+        ON target.rack_id = source.rack_id AND target.threshold_key = source.threshold_key
+        WHEN MATCHED THEN
+          UPDATE SET value = source.value, unit = source.unit, updated_at = GETDATE()
+        WHEN NOT MATCHED THEN
+          INSERT (rack_id, threshold_key, value, unit) VALUES (source.rack_id, source.threshold_key, source.value, source.unit);
+      `);
+    return 1;
   }
-});
 
-// GET /api/users - Get all users
-app.get('/api/users', requireAuth, requireRole('Administrador'), async (req, res) => {
-  try {
-    const result = await executeQuery(async (pool) => {
-      return await pool.request().query(`
-        SELECT id, usuario, rol, sitios_asignados, activo, fecha_creacion, fecha_modificacion
-        FROM usersAlertado
-        ORDER BY fecha_creacion DESC
+  if (value === null) {
+    const result = await pool.request()
+      .input('scopeType', sql.NVarChar, scope.scopeType)
+      .input('site', sql.NVarChar, scope.site)
+      .input('dc', sql.NVarChar, scope.dc)
+      .input('chain', sql.NVarChar, scope.chain)
+      .input('key', sql.NVarChar, key)
+      .query(`
+        DELETE FROM dbo.threshold_scope_overrides
+        WHERE scope_type = @scopeType
+          AND site = @site
+          AND ISNULL(dc, '') = ISNULL(@dc, '')
+          AND ISNULL(chain, '') = ISNULL(@chain, '')
+          AND threshold_key = @key
       `);
-    });
+    return result.rowsAffected[0];
+  }
 
-    // Parse sitios_asignados JSON
-    const users = result.recordset.map(user => ({
-      ...user,
-      sitios_asignados: user.sitios_asignados ? JSON.parse(user.sitios_asignados) : null
-    }));
+  // Get the unit from global threshold_configs
+  const unitResult = await pool.request()
+    .input('key', sql.NVarChar, key)
+    .query(`SELECT unit FROM dbo.threshold_configs WHERE threshold_key = @key`);
+
+  const unit = unitResult.recordset.length > 0 ? unitResult.recordset[0].unit : null;
+
+  await pool.request()
+    .input('scopeType', sql.NVarChar, scope.scopeType)
+    .input('site', sql.NVarChar, scope.site)
+    .input('dc', sql.NVarChar, scope.dc)
+    .input('chain', sql.NVarChar, scope.chain)
+    .input('key', sql.NVarChar, key)
+    .input('value', sql.Decimal(18, 4), value)
+    .input('unit', sql.NVarChar, unit)
+    .query(`
+      MERGE dbo.threshold_scope_overrides AS target
+      USING (SELECT @scopeType as scope_type, @site as site, @dc as dc, @chain as chain,
+                    @key as threshold_key, @value as value, @unit as unit) AS source
+      ON target.scope_type = source.scope_type
+        AND target.site = source.site
+        AND ISNULL(target.dc, '') = ISNULL(source.dc, '')
+        AND ISNULL(target.chain, '') = ISNULL(source.chain, '')
+        AND target.threshold_key = source.threshold_key
+      WHEN MATCHED THEN
+        UPDATE SET value = source.value, unit = source.unit, updated_at = GETDATE()
+      WHEN NOT MATCHED THEN
+        INSERT (scope_type, site, dc, chain, threshold_key, value, unit)
+        VALUES (source.scope_type, source.site, source.dc, source.chain, source.threshold_key, source.value, source.unit);
+    `);
+  return 1;
+}
 
-    res.json({
-      success: true,
-      users: users
-    });
+// Keys whose value is neither null (remove the scope's own value) nor a number
+function getInvalidThresholdValueKeys(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && isNaN(parseFloat(value)))
+    .map(([key]) => key);
+}
 
-  } catch (error) {
-    logger.error('Fetch users error', { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Error al obtener usuarios'
-    });
+/**
+ * Guarda valores de umbral en un ámbito y registra en threshold_change_history cada valor que cambia
+ * values: { key: number | null } (null elimina el valor propio del ámbito)
+ * audit: { changedBy, comment, action ('update' | 'reset' | 'rollback'), rollbackOf }
+ * Valores y auditoría se escriben en una sola transacción: o se aplica el cambio completo o nada
+ * Devuelve { count, changeSetId } (changeSetId es null si ningún valor cambió realmente)
+ */
+async function applyThresholdChanges(scope, values, audit = {}) {
+  const invalidKeys = getInvalidThresholdValueKeys(values);
+  if (invalidKeys.length > 0) {
+    throw new Error(`Invalid threshold values: ${invalidKeys.join(', ')}`);
   }
-});
 
-// POST /api/users - Create new user
-app.post('/api/users', requireAuth, requireRole('Administrador'), async (req, res) => {
-  try {
-    const { usuario, password, rol, sitios_asignados } = req.body;
+  const result = await executeQuery(async (pool) => {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
 
-    // Validation
-    if (!usuario || !password || !rol) {
-      return res.status(400).json({
-        success: false,
-        message: 'Usuario, contraseña y rol son requeridos'
-      });
+    try {
+      const changeSet = await writeThresholdChangeSet(transaction, scope, values, audit);
+      await transaction.commit();
+      return changeSet;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
     }
+  });
 
-    // Validate role
-    const validRoles = ['Administrador', 'Operador', 'Tecnico', 'Observador'];
-    if (!validRoles.includes(rol)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Rol inválido'
-      });
-    }
+  if (scope.scopeType === 'global') {
+    // Clear cache to force reload
+    thresholdsCache.data = null;
+    thresholdsCache.timestamp = null;
+  }
 
-    // No password validation - allow any password
+  if (result.changeSetId) {
+    logger.info(`Threshold change set ${result.changeSetId} (${audit.action || 'update'}) saved for ${scope.scopeType} by ${audit.changedBy || 'Sistema'}`);
+  }
 
-    // Check if user already exists
-    const existingUser = await executeQuery(async (pool) => {
-      return await pool.request()
-        .input('usuario', sql.NVarChar, usuario)
-        .query('SELECT id FROM usersAlertado WHERE usuario = @usuario');
-    });
+  return result;
+}
 
-    if (existingUser.recordset.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'El usuario ya existe'
-      });
+// Writes of applyThresholdChanges, run inside its transaction (transaction.request() like pool.request())
+async function writeThresholdChangeSet(transaction, scope, values, audit) {
+  const previousValues = await readThresholdScopeValues(transaction, scope);
+  const changes = [];
+  let count = 0;
+
+  for (const [key, value] of Object.entries(values)) {
+    const newValue = value === null ? null : parseFloat(value);
+    const affected = await writeThresholdScopeValue(transaction, scope, key, newValue);
+    if (affected === 0) continue;
+
+    count++;
+    const oldValue = previousValues[key] !== undefined ? previousValues[key] : null;
+    if (oldValue !== newValue) {
+      changes.push({ key, oldValue, newValue });
     }
+  }
 
-    // Use plain text password (as requested)
-    const plainPassword = password;
+  if (changes.length === 0) {
+    return { count, changeSetId: null };
+  }
 
-    // Convert sitios_asignados array to JSON string
-    const sitiosJson = sitios_asignados && Array.isArray(sitios_asignados) && sitios_asignados.length > 0
-      ? JSON.stringify(sitios_asignados)
-      : null;
+  const changeSetId = crypto.randomUUID();
+  for (const change of changes) {
+    await transaction.request()
+      .input('changeSetId', sql.UniqueIdentifier, changeSetId)
+      .input('scopeType', sql.NVarChar, scope.scopeType)
+      .input('site', sql.NVarChar, scope.site || null)
+      .input('dc', sql.NVarChar, scope.dc || null)
+      .input('chain', sql.NVarChar, scope.chain || null)
+      .input('rackId', sql.NVarChar, scope.rackId || null)
+      .input('key', sql.NVarChar, change.key)
+      .input('oldValue', sql.Decimal(18, 4), change.oldValue)
+      .input('newValue', sql.Decimal(18, 4), change.newValue)
+      .input('action', sql.NVarChar, audit.action || 'update')
+      .input('rollbackOf', sql.UniqueIdentifier, audit.rollbackOf || null)
+      .input('changedBy', sql.NVarChar, audit.changedBy || 'Sistema')
+      .input('comment', sql.NVarChar, audit.comment || null)
+      .query(`
+        INSERT INTO dbo.threshold_change_history
+          (change_set_id, scope_type, site, dc, chain, rack_id, threshold_key, old_value, new_value,
+           action, rollback_of, changed_by, comment)
+        VALUES
+          (@changeSetId, @scopeType, @site, @dc, @chain, @rackId, @key, @oldValue, @newValue,
+           @action, @rollbackOf, @changedBy, @comment)
+      `);
+  }
 
-    // Insert user
-    await executeQuery(async (pool) => {
-      return await pool.request()
-        .input('usuario', sql.NVarChar, usuario)
-        .input('password', sql.NVarChar, plainPassword)
-        .input('rol', sql.NVarChar, rol)
-        .input('sitios_asignados', sql.NVarChar, sitiosJson)
-        .input('activo', sql.Bit, true)
-        .input('fecha_creacion', sql.DateTime, new Date())
-        .input('fecha_modificacion', sql.DateTime, new Date())
-        .query(`
-          INSERT INTO usersAlertado (id, usuario, password, rol, sitios_asignados, activo, fecha_creacion, fecha_modificacion)
-          VALUES (NEWID(), @usuario, @password, @rol, @sitios_asignados, @activo, @fecha_creacion, @fecha_modificacion)
-        `);
-    });
+  return { count, changeSetId };
+}
 
-    logger.info(`User created: ${usuario} (${rol}) with sites: ${sitiosJson || 'all'} by ${req.session.usuario}`);
+// Optional comment attached to a threshold change (trimmed, max 500 chars)
+function getThresholdChangeComment(value) {
+  if (typeof value !== 'string') return null;
+  const comment = value.trim();
+  return comment ? comment.slice(0, 500) : null;
+}
 
-    res.json({
-      success: true,
-      message: 'Usuario creado exitosamente'
+// Alert debounce state per PDU: pduId -> Map(reason -> { active, breachCycles, clearCycles })
+// Persisted in alert_debounce_state so every PM2 worker evaluates the same pending/confirmed reasons:
+// reloaded before each evaluation and saved by the automatic cycle, the only one that advances it
+const alertDebounceState = new Map();
+
+async function loadAlertDebounceState() {
+  try {
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT pdu_id, alert_reason, active, breach_cycles, clear_cycles
+        FROM alert_debounce_state
+      `);
     });
 
-  } catch (error) {
-    logger.error('Create user error', { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Error al crear usuario'
+    alertDebounceState.clear();
+    result.recordset.forEach(row => {
+      if (!alertDebounceState.has(row.pdu_id)) {
+        alertDebounceState.set(row.pdu_id, new Map());
+      }
+      alertDebounceState.get(row.pdu_id).set(row.alert_reason, {
+        active: !!row.active,
+        breachCycles: row.breach_cycles,
+        clearCycles: row.clear_cycles
+      });
     });
+  } catch (error) {
+    // Keep evaluating with the state this process already has
+    logger.error('Error loading alert debounce state', { error: error.message });
   }
-});
+}
+
+// Replace the stored debounce state with the one of this cycle (dbo.AlertDebounceStateSet TVP, one transaction)
+async function saveAlertDebounceState() {
+  const state = new sql.Table('dbo.AlertDebounceStateSet');
+  state.columns.add('pdu_id', sql.NVarChar(255), { nullable: false });
+  state.columns.add('alert_reason', sql.NVarChar(255), { nullable: false });
+  state.columns.add('active', sql.Bit, { nullable: false });
+  state.columns.add('breach_cycles', sql.Int, { nullable: false });
+  state.columns.add('clear_cycles', sql.Int, { nullable: false });
+
+  alertDebounceState.forEach((pduState, pduId) => {
+    pduState.forEach((reasonState, reason) => {
+      state.rows.add(pduId, reason, reasonState.active, reasonState.breachCycles, reasonState.clearCycles);
+    });
+  });
 
-// PUT /api/users/:id - Update user
-app.put('/api/users/:id', requireAuth, requireRole('Administrador'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { usuario, password, rol, activo, sitios_asignados } = req.body;
+    await executeQuery(async (pool) => {
+      await pool.request()
+        .input('state', state)
+        .query(`
+          SET XACT_ABORT ON;
+          BEGIN TRANSACTION;
 
-    // Validation
-    if (!usuario || !rol) {
-      return res.status(400).json({
-        success: false,
-        message: 'Usuario y rol son requeridos'
-      });
-    }
+          DELETE FROM alert_debounce_state;
 
-    // Validate role
-    const validRoles = ['Administrador', 'Operador', 'Tecnico', 'Observador'];
-    if (!validRoles.includes(rol)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Rol inválido'
-      });
-    }
+          INSERT INTO alert_debounce_state (pdu_id, alert_reason, active, breach_cycles, clear_cycles)
+          SELECT pdu_id, alert_reason, active, breach_cycles, clear_cycles
+          FROM @state;
 
-    // Check if user exists
-    const existingUser = await executeQuery(async (pool) => {
-      return await pool.request()
-        .input('id', sql.UniqueIdentifier, id)
-        .query('SELECT id FROM usersAlertado WHERE id = @id');
+          COMMIT TRANSACTION;
+        `);
     });
+  } catch (error) {
+    logger.error('Error saving alert debounce state', { error: error.message });
+  }
+}
 
-    if (existingUser.recordset.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuario no encontrado'
-      });
-    }
+// Debounce settings of a metric (alert_raise_cycles_*, alert_clear_margin_*, alert_clear_cycles_*)
+function getAlertDebounceSettings(thresholds, metricType) {
+  const raiseCycles = parseInt(getThresholdValue(thresholds, `alert_raise_cycles_${metricType}`));
+  const clearCycles = parseInt(getThresholdValue(thresholds, `alert_clear_cycles_${metricType}`));
+  const clearMargin = parseFloat(getThresholdValue(thresholds, `alert_clear_margin_${metricType}`));
 
-    // Check if new username is already taken by another user
-    const duplicateCheck = await executeQuery(async (pool) => {
-      return await pool.request()
-        .input('id', sql.UniqueIdentifier, id)
-        .input('usuario', sql.NVarChar, usuario)
-        .query('SELECT id FROM usersAlertado WHERE usuario = @usuario AND id != @id');
-    });
+  return {
+    raiseCycles: raiseCycles > 1 ? raiseCycles : 1,
+    clearCycles: clearCycles > 1 ? clearCycles : 1,
+    clearMargin: clearMargin > 0 ? clearMargin : 0
+  };
+}
 
-    if (duplicateCheck.recordset.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'El nombre de usuario ya está en uso'
-      });
+/**
+ * Applies hysteresis and debounce to the reasons evaluated for a PDU in this cycle
+ * - A reason is only raised after alert_raise_cycles_<metric> consecutive breaching cycles
+ * - A raised reason is only cleared once the value is alert_clear_margin_<metric> inside the threshold
+ *   for alert_clear_cycles_<metric> consecutive cycles; until then it stays active
+ * - A confirmed critical reason clears its warning counterpart (warning_x -> critical_x), which would
+ *   otherwise never meet its clear condition while the value stays above the critical threshold
+ * Cycles are only counted when advanceCycle is true (automatic alert processing), other evaluations
+ * (/api/racks/energy) reuse the current counters without advancing them
+ */
+function applyAlertDebounce(pdu, evaluatedReasons, thresholds, advanceCycle) {
+  const pduKey = String(pdu.id);
+  const pduState = alertDebounceState.get(pduKey) || new Map();
+  const reasons = [];
+  const pendingAlerts = [];
+
+  // Reasons breaching in this cycle
+  evaluatedReasons.forEach(reason => {
+    const metricInfo = extractMetricInfo(reason, pdu, thresholds);
+    const { raiseCycles } = getAlertDebounceSettings(thresholds, metricInfo ? metricInfo.metricType : null);
+    const state = pduState.get(reason) || { active: false, breachCycles: 0, clearCycles: 0 };
+    state.clearCycles = 0;
+
+    if (!state.active) {
+      const breachCycles = advanceCycle ? state.breachCycles + 1 : Math.max(state.breachCycles, 1);
+      if (advanceCycle) {
+        state.breachCycles = breachCycles;
+      }
+      if (breachCycles >= raiseCycles) {
+        state.active = true;
+        state.breachCycles = 0;
+      } else {
+        pendingAlerts.push({ reason, transition: 'raise', cycles: breachCycles, requiredCycles: raiseCycles });
+      }
     }
 
-    // Convert sitios_asignados array to JSON string
-    const sitiosJson = sitios_asignados && Array.isArray(sitios_asignados) && sitios_asignados.length > 0
-      ? JSON.stringify(sitios_asignados)
-      : null;
+    pduState.set(reason, state);
+    if (state.active) {
+      reasons.push(reason);
+    }
+  });
 
-    // Build update query
-    let updateQuery = `
-      UPDATE usersAlertado
-      SET usuario = @usuario, rol = @rol, activo = @activo, sitios_asignados = @sitios_asignados, fecha_modificacion = @fecha_modificacion
-    `;
+  // Active reasons no longer breaching: keep them until the clear margin holds long enough
+  Array.from(pduState.entries()).forEach(([reason, state]) => {
+    if (evaluatedReasons.includes(reason)) {
+      return;
+    }
+    if (!state.active) {
+      pduState.delete(reason);
+      return;
+    }
 
-    const request = await executeQuery(async (pool) => {
-      const req = pool.request()
-        .input('id', sql.UniqueIdentifier, id)
-        .input('usuario', sql.NVarChar, usuario)
-        .input('rol', sql.NVarChar, rol)
-        .input('activo', sql.Bit, activo !== undefined ? activo : true)
-        .input('sitios_asignados', sql.NVarChar, sitiosJson)
-        .input('fecha_modificacion', sql.DateTime, new Date());
+    const metricInfo = extractMetricInfo(reason, pdu, thresholds);
+    const { clearCycles, clearMargin } = getAlertDebounceSettings(thresholds, metricInfo ? metricInfo.metricType : null);
+    const value = metricInfo ? metricInfo.alertValue : null;
+    const threshold = metricInfo ? metricInfo.thresholdExceeded : null;
+
+    // Without a reading or a threshold there is nothing to compare against: clear as before
+    let clearConditionMet = true;
+    if (value !== null && value !== undefined && threshold !== null && threshold !== undefined) {
+      clearConditionMet = reason.includes('_low')
+        ? value >= threshold + clearMargin
+        : value <= threshold - clearMargin;
+    }
 
-      // If password is provided, update it
-      if (password && password.trim() !== '') {
-        req.input('password', sql.NVarChar, password);
-        updateQuery += ', password = @password';
-      }
+    if (!clearConditionMet) {
+      state.clearCycles = 0;
+      reasons.push(reason);
+      pendingAlerts.push({ reason, transition: 'clear', cycles: 0, requiredCycles: clearCycles });
+      return;
+    }
 
-      updateQuery += ' WHERE id = @id';
+    const cycles = advanceCycle ? state.clearCycles + 1 : Math.max(state.clearCycles, 1);
+    if (advanceCycle) {
+      state.clearCycles = cycles;
+    }
+    if (cycles >= clearCycles) {
+      pduState.delete(reason);
+    } else {
+      reasons.push(reason);
+      pendingAlerts.push({ reason, transition: 'clear', cycles, requiredCycles: clearCycles });
+    }
+  });
 
-      return await req.query(updateQuery);
-    });
+  // The warning of a metric whose critical reason is confirmed is cleared (the alert escalated)
+  const escalatedWarnings = reasons
+    .filter(reason => reason.startsWith('critical_'))
+    .map(reason => `warning_${reason.slice('critical_'.length)}`)
+    .filter(reason => pduState.has(reason));
+  escalatedWarnings.forEach(reason => pduState.delete(reason));
 
-    logger.info(`User updated: ${usuario} (${rol}) with sites: ${sitiosJson || 'all'} by ${req.session.usuario}`);
+  if (pduState.size > 0) {
+    alertDebounceState.set(pduKey, pduState);
+  } else {
+    alertDebounceState.delete(pduKey);
+  }
 
-    res.json({
-      success: true,
-      message: 'Usuario actualizado exitosamente'
-    });
+  return {
+    reasons: reasons.filter(reason => !escalatedWarnings.includes(reason)),
+    pendingAlerts: pendingAlerts.filter(pending => !escalatedWarnings.includes(pending.reason))
+  };
+}
 
-  } catch (error) {
-    logger.error('Update user error', { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Error al actualizar usuario'
-    });
-  }
-});
+// Layer the proposed values of one scope over the loaded thresholds (what-if simulation, nothing is saved).
+// Returns the global thresholds to use; site/DC/chain/rack values are applied to the maps in place
+function applyProposedThresholds(proposal, thresholds, scopeThresholdsMap, rackThresholdsMap) {
+  const { scope, values } = proposal;
 
-// DELETE /api/users/:id - Delete user (hard delete)
-app.delete('/api/users/:id', requireAuth, requireRole('Administrador'), async (req, res) => {
-  try {
-    const { id } = req.params;
+  if (scope.scopeType === 'global') {
+    return thresholds.map(t => (values[t.key] !== undefined && values[t.key] !== null ? { ...t, value: values[t.key] } : t));
+  }
 
-    // Check if user exists
-    const existingUser = await executeQuery(async (pool) => {
-      return await pool.request()
-        .input('id', sql.UniqueIdentifier, id)
-        .query('SELECT id, usuario FROM usersAlertado WHERE id = @id');
-    });
+  const targetMap = scope.scopeType === 'rack' ? rackThresholdsMap : scopeThresholdsMap;
+  const mapKey = scope.scopeType === 'rack'
+    ? scope.rackId
+    : getThresholdScopeKey(scope.scopeType, scope.site, scope.dc, scope.chain);
+  const overrides = { ...(targetMap.get(mapKey) || {}) };
 
-    if (existingUser.recordset.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuario no encontrado'
-      });
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === null) {
+      delete overrides[key];
+    } else {
+      overrides[key] = value;
     }
+  });
+  targetMap.set(mapKey, overrides);
 
-    // Prevent deleting yourself
-    if (existingUser.recordset[0].id === req.session.userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'No puede eliminar su propio usuario'
-      });
-    }
+  return thresholds;
+}
 
-    // Hard delete: permanently remove user from database
-    await executeQuery(async (pool) => {
-      return await pool.request()
-        .input('id', sql.UniqueIdentifier, id)
-        .query('DELETE FROM usersAlertado WHERE id = @id');
-    });
+// ============================================
+// Composite alert rules (several metrics combined with AND / OR)
+// ============================================
 
-    logger.info(`User permanently deleted: ${existingUser.recordset[0].usuario} by ${req.session.usuario}`);
+// Metrics a rule condition can reference, read from the processed PDU
+const COMPOSITE_RULE_METRICS = {
+  current: pdu => toTelemetryValue(pdu.current),
+  voltage: pdu => toTelemetryValue(pdu.voltage),
+  temperature: pdu => {
+    const sensorTemperature = toTelemetryValue(pdu.sensorTemperature);
+    return sensorTemperature !== null ? sensorTemperature : toTelemetryValue(pdu.temperature);
+  },
+  humidity: pdu => toTelemetryValue(pdu.sensorHumidity),
+  dewPoint: pdu => toTelemetryValue(pdu.dewPoint),
+  power: pdu => toTelemetryValue(pdu.power),
+  apparentPower: pdu => toTelemetryValue(pdu.apparentPower),
+  loadPercentage: pdu => toTelemetryValue(pdu.loadPercentage),
+  temperatureDelta: pdu => toTelemetryValue(pdu.temperatureDelta),
+  currentDelta: pdu => toTelemetryValue(pdu.currentDelta)
+};
 
-    res.json({
-      success: true,
-      message: 'Usuario eliminado exitosamente'
+const COMPOSITE_RULE_OPERATORS = {
+  '>': (value, limit) => value > limit,
+  '>=': (value, limit) => value >= limit,
+  '<': (value, limit) => value < limit,
+  '<=': (value, limit) => value <= limit
+};
+
+const COMPOSITE_RULE_MAX_CONDITIONS = 10;
+
+// Reason of the alerts raised by a rule, e.g. critical_composite_hot_and_humid
+function getCompositeRuleReason(rule) {
+  return `${rule.severity}_composite_${rule.reasonCode}`;
+}
+
+// The reason code of a rule is free text that may name any metric (temperature, voltage...), so composite
+// reasons are recognised by their exact prefix before any substring check on the reason
+function isCompositeReason(reason) {
+  return /^(critical|warning)_composite_/.test(String(reason || '').toLowerCase());
+}
+
+function mapCompositeRuleRow(row) {
+  let conditions = [];
+  try {
+    conditions = JSON.parse(row.conditions);
+  } catch (parseError) {
+    logger.warn('Invalid conditions JSON in composite alert rule', { id: row.id, error: parseError.message });
+  }
+
+  return {
+    id: row.id,
+    name: row.name,
+    reasonCode: row.reason_code,
+    severity: row.severity,
+    logicOperator: row.logic_operator,
+    conditions: Array.isArray(conditions) ? conditions : [],
+    description: row.description,
+    enabled: !!row.enabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+// All rules (enabled or not), cached like the global thresholds
+async function loadCompositeAlertRules() {
+  if (isCacheValid(compositeRulesCache)) {
+    return compositeRulesCache.data;
+  }
+
+  try {
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT id, name, reason_code, severity, logic_operator, conditions, description, enabled,
+               created_by, created_at, updated_by, updated_at
+        FROM composite_alert_rules
+        ORDER BY name
+      `);
     });
 
+    compositeRulesCache.data = result.recordset.map(mapCompositeRuleRow);
+    compositeRulesCache.timestamp = Date.now();
+    return compositeRulesCache.data;
   } catch (error) {
-    logger.error('Delete user error', { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Error al eliminar usuario'
-    });
+    logger.error('Error loading composite alert rules', { error: error.message });
+    return [];
   }
-});
+}
 
-// ============================================================================================================
-// AUTOMATIC ALERT PROCESSING - Runs independently of frontend
-// ============================================================================================================
+/**
+ * Validates and normalizes a rule received from the API
+ * Returns { rule } or { error } with the message for the client
+ */
+function parseCompositeRule(input = {}) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 255) {
+    return { error: 'El nombre de la regla es requerido (máximo 255 caracteres)' };
+  }
 
-const ALERT_PROCESSING_INTERVAL = parseInt(process.env.ALERT_PROCESSING_INTERVAL_MS) || 120000; // Default: 2 minutes
-let alertProcessingTimer = null;
-let isProcessingAlerts = false;
+  const reasonCode = typeof input.reasonCode === 'string' ? input.reasonCode.trim().toLowerCase() : '';
+  if (!/^[a-z0-9_]{1,80}$/.test(reasonCode)) {
+    return { error: 'El código de motivo solo puede contener letras minúsculas, números y guiones bajos (máximo 80)' };
+  }
 
-async function processAlertsAutomatically() {
-  if (isProcessingAlerts) {
-    logger.debug('[AUTO-ALERT] Skipping - previous processing still in progress');
-    return;
+  if (!['critical', 'warning'].includes(input.severity)) {
+    return { error: 'La severidad debe ser critical o warning' };
   }
 
-  isProcessingAlerts = true;
-  const startTime = Date.now();
+  const logicOperator = input.logicOperator || 'AND';
+  if (!['AND', 'OR'].includes(logicOperator)) {
+    return { error: 'El operador lógico debe ser AND u OR' };
+  }
 
-  try {
-    logger.info('[AUTO-ALERT] Starting automatic alert processing...');
+  if (!Array.isArray(input.conditions) || input.conditions.length === 0 || input.conditions.length > COMPOSITE_RULE_MAX_CONDITIONS) {
+    return { error: `La regla debe tener entre 1 y ${COMPOSITE_RULE_MAX_CONDITIONS} condiciones` };
+  }
 
-    if (!process.env.NENG_API_URL || !process.env.NENG_API_KEY) {
-      logger.warn('[AUTO-ALERT] NENG API not configured, skipping');
-      return;
+  const conditions = [];
+  for (const condition of input.conditions) {
+    const value = parseFloat(condition && condition.value);
+    if (!condition || !COMPOSITE_RULE_METRICS[condition.metric]) {
+      return { error: `Métrica inválida: ${condition && condition.metric}` };
     }
+    if (!COMPOSITE_RULE_OPERATORS[condition.operator]) {
+      return { error: `Operador inválido: ${condition.operator}` };
+    }
+    if (isNaN(value)) {
+      return { error: `Valor inválido para la métrica ${condition.metric}` };
+    }
+    conditions.push({ metric: condition.metric, operator: condition.operator, value });
+  }
 
-    const thresholds = await fetchThresholdsFromDatabase();
+  const description = typeof input.description === 'string' && input.description.trim() !== ''
+    ? input.description.trim().substring(0, 500)
+    : null;
 
-    let allPowerData = [];
-    let powerSkip = 0;
-    const pageSize = 100;
-    let hasMorePowerData = true;
+  return {
+    rule: {
+      name,
+      reasonCode,
+      severity: input.severity,
+      logicOperator,
+      conditions,
+      description,
+      enabled: input.enabled !== undefined ? !!input.enabled : true
+    }
+  };
+}
 
-    while (hasMorePowerData) {
-      const powerResponse = await fetchFromNengApi(
-        `${process.env.NENG_API_URL}?skip=${powerSkip}&limit=${pageSize}`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+/**
+ * Evaluates the enabled rules against one PDU (already carrying power and deltas)
+ * A condition on a metric without a reading is not met, so an AND rule never fires on missing data
+ */
+function evaluateCompositeRules(rules, pdu) {
+  return rules
+    .filter(rule => rule.enabled && rule.conditions.length > 0)
+    .filter(rule => {
+      const results = rule.conditions.map(condition => {
+        const getValue = COMPOSITE_RULE_METRICS[condition.metric];
+        const compare = COMPOSITE_RULE_OPERATORS[condition.operator];
+        const value = getValue ? getValue(pdu) : null;
+        return value !== null && compare ? compare(value, condition.value) : false;
+      });
+      return rule.logicOperator === 'OR' ? results.some(Boolean) : results.every(Boolean);
+    })
+    .map(rule => ({ reason: getCompositeRuleReason(rule), name: rule.name, severity: rule.severity }));
+}
 
-      if (!powerResponse.success || !powerResponse.data) {
-        logger.warn('[AUTO-ALERT] Invalid response from NENG Power API');
-        break;
-      }
+// Rule names of the composite reasons of a PDU, so the UI can show them
+function getCompositeAlerts(rules, reasons) {
+  return reasons
+    .filter(isCompositeReason)
+    .map(reason => {
+      const rule = rules.find(r => getCompositeRuleReason(r) === reason);
+      return { reason, name: rule ? rule.name : reason, severity: reason.startsWith('critical_') ? 'critical' : 'warning' };
+    });
+}
 
-      const pageData = Array.isArray(powerResponse.data) ? powerResponse.data : [];
+// Process rack data with threshold evaluation
+// options.advanceDebounce: count this evaluation as an alert cycle for raise/clear debounce
+// options.dryRun: evaluate without debounce (raw reasons) and without touching the debounce state
+// options.proposedThresholds: { scope, values } evaluated instead of the stored values of that scope
+async function processRackData(racks, thresholds, options = {}) {
+  const { advanceDebounce = false, dryRun = false, proposedThresholds = null } = options;
 
-      if (pageData.length === 0) {
-        hasMorePowerData = false;
-      } else {
-        allPowerData = allPowerData.concat(pageData);
-        powerSkip += pageSize;
+  // Load all rack-specific thresholds in one query
+  const uniqueRackIds = [...new Set(racks.map(r => r.rackId || r.id))];
+  const rackThresholdsMap = await loadAllRackSpecificThresholds(uniqueRackIds);
+  const scopeThresholdsMap = await loadScopeThresholdOverrides();
+  const compositeRules = await loadCompositeAlertRules();
+  const ratedCapacities = await loadRatedCapacities();
+  const rackFeedTotals = calculateRackFeedTotals(racks);
+  const rackFeedStatus = calculateRackFeedStatus(racks);
+
+  if (proposedThresholds) {
+    thresholds = applyProposedThresholds(proposedThresholds, thresholds, scopeThresholdsMap, rackThresholdsMap);
+  }
 
-        if (pageData.length < pageSize) {
-          hasMorePowerData = false;
-        }
-      }
-    }
+  // Recent readings for rate-of-change alerts (in-memory window, only read from the database once),
+  // needed only when some scope configures a window
+  const rateWindowKeys = ['temperature_rising_window_minutes', 'amperage_surge_window_minutes'];
+  const rateWindows = [
+    ...rateWindowKeys.map(key => getThresholdValue(thresholds, key)),
+    ...[...scopeThresholdsMap.values(), ...rackThresholdsMap.values()].flatMap(overrides => rateWindowKeys.map(key => overrides[key]))
+  ].map(v => parseFloat(v)).filter(v => !isNaN(v));
+  const recentTelemetryMap = await loadRecentTelemetry(Math.max(0, ...rateWindows));
 
-    let allSensorsData = [];
-    if (process.env.NENG_SENSORS_API_URL) {
-      let sensorSkip = 0;
-      let hasMoreSensorData = true;
+  // Get maintenance rack IDs and chain IDs
+  const maintenanceRackIds = await getMaintenanceRackIds();
+  const maintenanceChainIds = await getMaintenanceChainIds();
 
-      try {
-        while (hasMoreSensorData) {
-          const sensorsResponse = await fetchFromNengApi(
-            `${process.env.NENG_SENSORS_API_URL}?skip=${sensorSkip}&limit=${pageSize}`,
-            {
-              method: 'GET',
-              headers: {
-                'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
+  // Debounce counters shared by all the workers (a dry run does not use them)
+  if (!dryRun) {
+    await loadAlertDebounceState();
+  }
 
-          if (!sensorsResponse.success || !sensorsResponse.data) {
-            hasMoreSensorData = false;
-            break;
-          }
+  let voltageDebugCount = 0;
+  const processedRacks = racks.map(rack => {
+    // Merge global thresholds with rack-specific overrides
+    const rackId = rack.rackId || rack.id;
+    const chainId = rack.chain;
+    const rackOverrides = rackThresholdsMap.get(rackId) || {};
 
-          const pageData = Array.isArray(sensorsResponse.data) ? sensorsResponse.data : [];
+    // Check if this rack or its chain is in maintenance
+    const isInMaintenance = maintenanceRackIds.has(rackId) || (chainId && maintenanceChainIds.has(chainId));
 
-          if (pageData.length === 0) {
-            hasMoreSensorData = false;
-          } else {
-            allSensorsData = allSensorsData.concat(pageData);
-            sensorSkip += pageSize;
+    // Real power (W), apparent power (kVA) and dew point are shown even for racks in maintenance
+    const { power, apparentPower } = calculatePduPower(rack);
+    const dewPoint = calculateDewPoint(rack.sensorTemperature, rack.sensorHumidity);
 
-            if (pageData.length < pageSize) {
-              hasMoreSensorData = false;
-            }
-          }
-        }
-      } catch (sensorError) {
-        logger.debug('[AUTO-ALERT] Sensors API failed, continuing without sensor data');
+    // Load percentage against the breaker rating of this feed (a PDU rating wins over the rack's per-feed default)
+    const ratedAmps = ratedCapacities.byPdu.get(String(rack.id)) || ratedCapacities.byRack.get(String(rackId)) || null;
+    const loadPercentage = calculateLoadPercentage(rack.current, ratedAmps);
+
+    // N+N redundancy: if the other feeds of the rack fail, this PDU carries the whole rack load on its own breaker
+    // (unknown while any feed of the rack has no current reading)
+    const feedTotals = rackFeedTotals.get(String(rackId));
+    const rackTotalCurrent = feedTotals && feedTotals.feedCount > 1 ? feedTotals.totalCurrent : null;
+    const failoverLoadPercentage = calculateLoadPercentage(rackTotalCurrent, ratedAmps);
+    const { feedCount, feedsDown } = rackFeedStatus.get(String(rackId)) || { feedCount: 1, feedsDown: 0 };
+
+    // If in maintenance, set status to 'normal' and skip all alert evaluation
+    if (isInMaintenance) {
+      if (!dryRun) {
+        alertDebounceState.delete(String(rack.id));
       }
+      return {
+        ...rack,
+        power,
+        apparentPower,
+        dewPoint,
+        ratedAmps,
+        loadPercentage,
+        rackTotalCurrent,
+        failoverLoadPercentage,
+        feedCount,
+        feedsDown,
+        status: 'normal',
+        reasons: [],
+        pendingAlerts: []
+      };
     }
 
-    const combinedData = allPowerData
-      .filter(powerItem => {
-        const hasValidRackName = powerItem.rackName &&
-                                  String(powerItem.rackName).trim() !== '' &&
-                                  String(powerItem.rackName).trim() !== 'null' &&
-                                  String(powerItem.rackName).trim() !== 'undefined';
-        return hasValidRackName;
-      })
-      .map(powerItem => {
-        const mapped = {
-          id: String(powerItem.id),
-          rackId: String(powerItem.rackId),
-          name: powerItem.rackName || powerItem.name,
-          country: 'España',
-          site: powerItem.site,
-          dc: powerItem.dc,
-          phase: powerItem.phase,
-          chain: String(powerItem.chain || ''),
-          node: String(powerItem.node || ''),
-          serial: powerItem.serial,
-          current: parseFloat(powerItem.totalAmps) || 0,
-          voltage: parseFloat(powerItem.totalVolts) || 0,
-          temperature: parseFloat(powerItem.avgVolts) || 0,
-          gwName: powerItem.gwName || 'N/A',
-          gwIp: powerItem.gwIp || 'N/A',
-          lastUpdated: powerItem.lastUpdate || new Date().toISOString()
-        };
+    // Create effective thresholds by inheriting global -> site -> DC -> chain -> rack
+    const effectiveThresholds = resolveEffectiveThresholds(thresholds, scopeThresholdsMap, rackOverrides, {
+      site: rack.site,
+      dc: rack.dc,
+      chain: chainId
+    });
 
-        const matchingSensor = allSensorsData.find(sensor =>
-          String(sensor.rackId) === String(powerItem.rackId)
-        );
+    const reasons = [];
+    let status = 'normal';
+    
+    // Current/Amperage evaluation
+    const current = parseFloat(rack.current) || 0;
+    const phase = rack.phase || 'single_phase';
+    
+    // Determine phase type for threshold selection
+    const normalizedPhase = phase.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const isSinglePhase = normalizedPhase === 'single_phase' || normalizedPhase === 'single' || normalizedPhase === '1_phase' || normalizedPhase === 'monofasico';
+    const is3Phase = normalizedPhase === '3_phase' || normalizedPhase === '3phase' || normalizedPhase === 'three_phase' || normalizedPhase === 'trifasico';
+    
+    let criticalLow, criticalHigh, warningLow, warningHigh;
+    
+    if (isSinglePhase) {
+      criticalLow = getThresholdValue(effectiveThresholds, 'critical_amperage_low_single_phase');
+      criticalHigh = getThresholdValue(effectiveThresholds, 'critical_amperage_high_single_phase');
+      warningLow = getThresholdValue(effectiveThresholds, 'warning_amperage_low_single_phase');
+      warningHigh = getThresholdValue(effectiveThresholds, 'warning_amperage_high_single_phase');
+    } else if (is3Phase) {
+      criticalLow = getThresholdValue(effectiveThresholds, 'critical_amperage_low_3_phase');
+      criticalHigh = getThresholdValue(effectiveThresholds, 'critical_amperage_high_3_phase');
+      warningLow = getThresholdValue(effectiveThresholds, 'warning_amperage_low_3_phase');
+      warningHigh = getThresholdValue(effectiveThresholds, 'warning_amperage_high_3_phase');
+    } else {
+      // Default to single phase
+      criticalLow = getThresholdValue(effectiveThresholds, 'critical_amperage_low_single_phase');
+      criticalHigh = getThresholdValue(effectiveThresholds, 'critical_amperage_high_single_phase');
+      warningLow = getThresholdValue(effectiveThresholds, 'warning_amperage_low_single_phase');
+      warningHigh = getThresholdValue(effectiveThresholds, 'warning_amperage_high_single_phase');
+    }
+    
+    // Amperage evaluation - ONLY evaluate MAXIMUM thresholds (not minimum)
+    // Only evaluate if high thresholds are defined
+    if (criticalHigh !== undefined && warningHigh !== undefined) {
+      if (current > criticalHigh) {
+        reasons.push(`critical_amperage_high_${isSinglePhase ? 'single_phase' : '3_phase'}`);
+        status = 'critical';
+      } else if (current > warningHigh) {
+        reasons.push(`warning_amperage_high_${isSinglePhase ? 'single_phase' : '3_phase'}`);
+        if (status !== 'critical') status = 'warning';
+      }
+    }
 
-        if (matchingSensor) {
-          mapped.sensorTemperature = (matchingSensor.temperature === 'N/A' || matchingSensor.temperature === null || matchingSensor.temperature === undefined)
-            ? 'N/A'
-            : (parseFloat(matchingSensor.temperature) || null);
+    // Low amperage evaluation is opt-in per phase type (evaluate_amperage_low_<phase> = 1, global or rack override)
+    // A PDU dropping to near-zero load usually means a tripped breaker or a dead server
+    const amperagePhase = is3Phase ? '3_phase' : 'single_phase';
+    const evaluateLowAmperage = Number(getThresholdValue(effectiveThresholds, `evaluate_amperage_low_${amperagePhase}`)) === 1;
+    const currentIsValid = rack.current !== null && rack.current !== undefined && rack.current !== 'N/A' && !isNaN(parseFloat(rack.current));
+
+    if (evaluateLowAmperage && currentIsValid && criticalLow !== undefined && warningLow !== undefined) {
+      const belowAmpCritLow = criticalLow === 0 ? current <= criticalLow : current < criticalLow;
+      const belowAmpWarnLow = warningLow === 0 ? current <= warningLow : current < warningLow;
+      if (belowAmpCritLow) {
+        reasons.push(`critical_amperage_low_${amperagePhase}`);
+        status = 'critical';
+      } else if (belowAmpWarnLow) {
+        reasons.push(`warning_amperage_low_${amperagePhase}`);
+        if (status !== 'critical') status = 'warning';
+      }
+    }
+    
+    // Temperature evaluation (using sensorTemperature primarily)
+    // Skip evaluation if temperature is N/A or missing
+    if (rack.sensorTemperature !== 'N/A' && rack.temperature !== 'N/A' &&
+        rack.sensorTemperature !== null && rack.temperature !== null &&
+        rack.sensorTemperature !== undefined && rack.temperature !== undefined) {
+      const temperature = parseFloat(rack.sensorTemperature) || parseFloat(rack.temperature) || null;
 
-          mapped.sensorHumidity = (matchingSensor.humidity === 'N/A' || matchingSensor.humidity === null || matchingSensor.humidity === undefined)
-            ? 'N/A'
-            : (parseFloat(matchingSensor.humidity) || null);
+      if (temperature !== null && !isNaN(temperature)) {
+      const tempCriticalLow = getThresholdValue(effectiveThresholds, 'critical_temperature_low');
+      const tempCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_temperature_high');
+      const tempWarningLow = getThresholdValue(effectiveThresholds, 'warning_temperature_low');
+      const tempWarningHigh = getThresholdValue(effectiveThresholds, 'warning_temperature_high');
+
+      // Only evaluate if all thresholds are defined
+      if (tempCriticalLow !== undefined && tempCriticalHigh !== undefined && tempWarningLow !== undefined && tempWarningHigh !== undefined) {
+        const belowTempCritLow = tempCriticalLow === 0 ? temperature <= tempCriticalLow : temperature < tempCriticalLow;
+        const belowTempWarnLow = tempWarningLow === 0 ? temperature <= tempWarningLow : temperature < tempWarningLow;
+        if (belowTempCritLow || temperature > tempCriticalHigh) {
+          if (belowTempCritLow) {
+            reasons.push('critical_temperature_low');
+          } else {
+            reasons.push('critical_temperature_high');
+          }
+          status = 'critical';
+        } else if (belowTempWarnLow || temperature > tempWarningHigh) {
+          if (belowTempWarnLow) {
+            reasons.push('warning_temperature_low');
+          } else {
+            reasons.push('warning_temperature_high');
+          }
+          if (status !== 'critical') status = 'warning';
         }
+      }
+      }
+    }
 
-        return mapped;
-      });
+    // Humidity evaluation
+    // Skip evaluation if humidity is N/A or missing
+    if (rack.sensorHumidity !== 'N/A' && rack.sensorHumidity !== null && rack.sensorHumidity !== undefined) {
+      const humidity = parseFloat(rack.sensorHumidity) || null;
 
-    if (combinedData.length === 0) {
-      logger.warn('[AUTO-ALERT] No rack data available');
-      return;
+      if (humidity !== null && !isNaN(humidity)) {
+      const humidCriticalLow = getThresholdValue(effectiveThresholds, 'critical_humidity_low');
+      const humidCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_humidity_high');
+      const humidWarningLow = getThresholdValue(effectiveThresholds, 'warning_humidity_low');
+      const humidWarningHigh = getThresholdValue(effectiveThresholds, 'warning_humidity_high');
+
+      // Only evaluate if all thresholds are defined
+      if (humidCriticalLow !== undefined && humidCriticalHigh !== undefined && humidWarningLow !== undefined && humidWarningHigh !== undefined) {
+        const belowHumidCritLow = humidCriticalLow === 0 ? humidity <= humidCriticalLow : humidity < humidCriticalLow;
+        const belowHumidWarnLow = humidWarningLow === 0 ? humidity <= humidWarningLow : humidity < humidWarningLow;
+        if (belowHumidCritLow || humidity > humidCriticalHigh) {
+          if (belowHumidCritLow) {
+            reasons.push('critical_humidity_low');
+          } else {
+            reasons.push('critical_humidity_high');
+          }
+          status = 'critical';
+        } else if (belowHumidWarnLow || humidity > humidWarningHigh) {
+          if (belowHumidWarnLow) {
+            reasons.push('warning_humidity_low');
+          } else {
+            reasons.push('warning_humidity_high');
+          }
+          if (status !== 'critical') status = 'warning';
+        }
+      }
+      }
     }
 
-    const maintenanceRackIds = await getMaintenanceRackIds();
+    // Dew point evaluation - only HIGH thresholds (condensation risk); thresholds at 0 mean not configured.
+    // dewPoint is null when the sensor temperature or humidity is missing, so those racks are skipped
+    if (dewPoint !== null) {
+      const dewPointCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_dewpoint_high');
+      const dewPointWarningHigh = getThresholdValue(effectiveThresholds, 'warning_dewpoint_high');
 
-    const powerRackIds = new Set(combinedData.map(pdu => pdu.rackId));
+      if (dewPointCriticalHigh !== undefined && dewPointCriticalHigh > 0 && dewPoint > dewPointCriticalHigh) {
+        reasons.push('critical_dewpoint_high');
+        status = 'critical';
+      } else if (dewPointWarningHigh !== undefined && dewPointWarningHigh > 0 && dewPoint > dewPointWarningHigh) {
+        reasons.push('warning_dewpoint_high');
+        if (status !== 'critical') status = 'warning';
+      }
+    }
 
-    allSensorsData.forEach(sensorData => {
-      const sensorRackId = String(sensorData.rackId);
+    // Voltage evaluation
+    // IMPORTANT: 0V and null/undefined voltage are critical conditions (no power)
+    const voltageRaw = rack.voltage;
+    const voltageIsNull = voltageRaw === null || voltageRaw === undefined || voltageRaw === 'N/A';
+    const voltage = voltageIsNull ? null : parseFloat(voltageRaw);
 
-      if (!powerRackIds.has(sensorRackId)) {
-        const pduFromSensor = {
-          id: sensorData.id || sensorRackId,
-          rackId: sensorRackId,
-          name: sensorData.rackName || sensorRackId,
-          country: 'España',
-          site: sensorData.site || 'Unknown',
-          dc: sensorData.dc || 'Unknown',
-          phase: sensorData.phase || 'Unknown',
-          chain: sensorData.chain || 'Unknown',
-          node: sensorData.node || 'Unknown',
-          serial: sensorData.serial || 'Unknown',
-          current: 0,
-          voltage: 0,
-          temperature: 0,
-          sensorTemperature: (sensorData.temperature === 'N/A' || sensorData.temperature === null || sensorData.temperature === undefined)
-            ? 'N/A'
-            : (parseFloat(sensorData.temperature) || null),
-          sensorHumidity: (sensorData.humidity === 'N/A' || sensorData.humidity === null || sensorData.humidity === undefined)
-            ? 'N/A'
-            : (parseFloat(sensorData.humidity) || null),
-          gwName: sensorData.gwName || 'N/A',
-          gwIp: sensorData.gwIp || 'N/A',
-          lastUpdated: sensorData.lastUpdate || new Date().toISOString()
-        };
+    if (feedCount > 1 && isFeedWithoutPower(rack)) {
+      // Dual-fed rack: a dead feed is a rack-level incident instead of a per-PDU voltage alert
+      reasons.push(feedsDown === feedCount ? 'critical_voltage_rack_down' : 'critical_voltage_redundancy_lost');
+      status = 'critical';
+    } else if (voltageIsNull || (voltage !== null && isNaN(voltage))) {
+      reasons.push('critical_voltage_low');
+      status = 'critical';
+    } else if (voltage !== null && voltage >= 0) {
+      const voltageCriticalLow = getThresholdValue(effectiveThresholds, 'critical_voltage_low');
+      const voltageCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_voltage_high');
+      const voltageWarningLow = getThresholdValue(effectiveThresholds, 'warning_voltage_low');
+      const voltageWarningHigh = getThresholdValue(effectiveThresholds, 'warning_voltage_high');
 
-        combinedData.push(pduFromSensor);
-        powerRackIds.add(sensorRackId);
+      if (voltageCriticalLow !== undefined && voltageCriticalHigh !== undefined &&
+          voltageWarningLow !== undefined && voltageWarningHigh !== undefined &&
+          voltageCriticalLow >= 0 && voltageCriticalHigh > 0 &&
+          voltageWarningLow >= 0 && voltageWarningHigh > 0) {
+
+        const belowVoltCritLow = voltageCriticalLow === 0 ? voltage <= voltageCriticalLow : voltage < voltageCriticalLow;
+        const belowVoltWarnLow = voltageWarningLow === 0 ? voltage <= voltageWarningLow : voltage < voltageWarningLow;
+        if (belowVoltCritLow || voltage > voltageCriticalHigh) {
+          if (belowVoltCritLow) {
+            reasons.push('critical_voltage_low');
+          } else {
+            reasons.push('critical_voltage_high');
+          }
+          status = 'critical';
+        } else if (belowVoltWarnLow || voltage > voltageWarningHigh) {
+          if (belowVoltWarnLow) {
+            reasons.push('warning_voltage_low');
+          } else {
+            reasons.push('warning_voltage_high');
+          }
+          if (status !== 'critical') status = 'warning';
+        }
       }
-    });
+    }
 
-    const processedData = await processRackData(combinedData, thresholds);
+    // Power evaluation - only HIGH thresholds exist for power
+    if (power !== null) {
+      const powerCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_power_high');
+      const powerWarningHigh = getThresholdValue(effectiveThresholds, 'warning_power_high');
 
-    const nonMaintenanceData = processedData.filter(pdu => {
-      const isInMaintenance = maintenanceRackIds.has(pdu.rackId);
-      return !isInMaintenance;
-    });
+      if (powerCriticalHigh !== undefined && powerCriticalHigh > 0 && power > powerCriticalHigh) {
+        reasons.push('critical_power_high');
+        status = 'critical';
+      } else if (powerWarningHigh !== undefined && powerWarningHigh > 0 && power > powerWarningHigh) {
+        reasons.push('warning_power_high');
+        if (status !== 'critical') status = 'warning';
+      }
+    }
 
-    await manageActiveCriticalAlerts(nonMaintenanceData, thresholds);
+    // Load percentage evaluation - only HIGH thresholds, and only for PDUs with a rated capacity
+    if (loadPercentage !== null) {
+      const loadCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_load_percentage_high');
+      const loadWarningHigh = getThresholdValue(effectiveThresholds, 'warning_load_percentage_high');
 
-    const rackGroups = [];
-    const rackMap = new Map();
+      if (loadCriticalHigh !== undefined && loadCriticalHigh > 0 && loadPercentage > loadCriticalHigh) {
+        reasons.push('critical_load_percentage_high');
+        status = 'critical';
+      } else if (loadWarningHigh !== undefined && loadWarningHigh > 0 && loadPercentage > loadWarningHigh) {
+        reasons.push('warning_load_percentage_high');
+        if (status !== 'critical') status = 'warning';
+      }
+    }
 
-    processedData.forEach(pdu => {
-      const rackId = pdu.rackId || pdu.id;
-      if (!rackMap.has(rackId)) {
-        rackMap.set(rackId, []);
+    // Failover load evaluation - the rack total against this feed's rated capacity (racks with A/B feeds only)
+    if (failoverLoadPercentage !== null) {
+      const redundancyCriticalHigh = getThresholdValue(effectiveThresholds, 'critical_redundancy_load_high');
+      const redundancyWarningHigh = getThresholdValue(effectiveThresholds, 'warning_redundancy_load_high');
+
+      if (redundancyCriticalHigh !== undefined && redundancyCriticalHigh > 0 && failoverLoadPercentage > redundancyCriticalHigh) {
+        reasons.push('critical_redundancy_load_high');
+        status = 'critical';
+      } else if (redundancyWarningHigh !== undefined && redundancyWarningHigh > 0 && failoverLoadPercentage > redundancyWarningHigh) {
+        reasons.push('warning_redundancy_load_high');
+        if (status !== 'critical') status = 'warning';
       }
-      rackMap.get(rackId).push(pdu);
-    });
+    }
 
-    Array.from(rackMap.values()).forEach(rackGroup => {
-      rackGroups.push(rackGroup);
+    // Rate-of-change evaluation against the readings stored in previous cycles
+    // (catches a cooling failure or a load surge before the static thresholds are crossed)
+    const recentReadings = recentTelemetryMap.get(String(rack.id)) || [];
+    const temperatureDelta = calculateRateOfChange(recentReadings, 'temperature', toTelemetryValue(rack.sensorTemperature),
+      parseFloat(getThresholdValue(effectiveThresholds, 'temperature_rising_window_minutes')));
+    const currentDelta = calculateRateOfChange(recentReadings, 'current', toTelemetryValue(rack.current),
+      parseFloat(getThresholdValue(effectiveThresholds, 'amperage_surge_window_minutes')));
+
+    [
+      { reasonSuffix: 'temperature_rising', delta: temperatureDelta },
+      { reasonSuffix: 'amperage_surge', delta: currentDelta }
+    ].forEach(({ reasonSuffix, delta }) => {
+      if (delta === null) return;
+      const rateCritical = getThresholdValue(effectiveThresholds, `critical_${reasonSuffix}`);
+      const rateWarning = getThresholdValue(effectiveThresholds, `warning_${reasonSuffix}`);
+
+      // A delta threshold of 0 disables that level
+      if (rateCritical !== undefined && rateCritical > 0 && delta >= rateCritical) {
+        reasons.push(`critical_${reasonSuffix}`);
+        status = 'critical';
+      } else if (rateWarning !== undefined && rateWarning > 0 && delta >= rateWarning) {
+        reasons.push(`warning_${reasonSuffix}`);
+        if (status !== 'critical') status = 'warning';
+      }
     });
 
-    const sonarSentRacks = await getRacksWithSonarAlerts();
+    // Composite rules, evaluated on the same readings as the built-in thresholds
+    evaluateCompositeRules(compositeRules, { ...rack, power, apparentPower, dewPoint, loadPercentage, temperatureDelta, currentDelta }).forEach(match => {
+      reasons.push(match.reason);
+      if (match.severity === 'critical') {
+        status = 'critical';
+      } else if (status !== 'critical') {
+        status = 'warning';
+      }
+    });
 
-    racksCache.data = rackGroups;
-    racksCache.sonarSentRacks = Array.from(sonarSentRacks);
-    racksCache.timestamp = Date.now();
+    if (dryRun) {
+      return {
+        ...rack,
+        power,
+        apparentPower,
+        dewPoint,
+        ratedAmps,
+        loadPercentage,
+        rackTotalCurrent,
+        failoverLoadPercentage,
+        feedCount,
+        feedsDown,
+        temperatureDelta,
+        currentDelta,
+        status,
+        reasons,
+        compositeAlerts: getCompositeAlerts(compositeRules, reasons),
+        pendingAlerts: []
+      };
+    }
 
-    const duration = Date.now() - startTime;
-    logger.info('[AUTO-ALERT] Processing completed', {
-      racksProcessed: processedData.length,
-      maintenanceRacks: maintenanceRackIds.size,
-      nonMaintenanceRacks: nonMaintenanceData.length,
-      sonarEnabled: SONAR_CONFIG.enabled,
-      durationMs: duration
-    });
+    // Hysteresis/debounce: status comes from the confirmed reasons only
+    const debounced = applyAlertDebounce({ ...rack, power, dewPoint, loadPercentage, failoverLoadPercentage, temperatureDelta, currentDelta }, reasons, effectiveThresholds, advanceDebounce);
+    status = debounced.reasons.some(r => r.startsWith('critical_'))
+      ? 'critical'
+      : debounced.reasons.some(r => r.startsWith('warning_')) ? 'warning' : 'normal';
 
-  } catch (error) {
-    logger.error('[AUTO-ALERT] Error during automatic processing', { error: error.message });
-  } finally {
-    isProcessingAlerts = false;
-  }
-}
+    return {
+      ...rack,
+      power,
+      apparentPower,
+      dewPoint,
+      ratedAmps,
+      loadPercentage,
+      rackTotalCurrent,
+      failoverLoadPercentage,
+      feedCount,
+      feedsDown,
+      temperatureDelta,
+      currentDelta,
+      status,
+      reasons: debounced.reasons,
+      compositeAlerts: getCompositeAlerts(compositeRules, debounced.reasons),
+      pendingAlerts: debounced.pendingAlerts
+    };
+  });
 
-function startAutomaticAlertProcessing() {
-  if (alertProcessingTimer) {
-    clearInterval(alertProcessingTimer);
-  }
+  // Voltage evaluation summary
+  const voltageStats = {
+    total: 0,
+    withVoltage: 0,
+    criticalLow: 0,
+    criticalHigh: 0,
+    warningLow: 0,
+    warningHigh: 0,
+    normal: 0
+  };
 
-  logger.info('[AUTO-ALERT] Starting automatic alert processing service', {
-    intervalMs: ALERT_PROCESSING_INTERVAL,
-    intervalMinutes: (ALERT_PROCESSING_INTERVAL / 60000).toFixed(1)
+  processedRacks.forEach(rack => {
+    voltageStats.total++;
+    const voltage = parseFloat(rack.voltage);
+    if (voltage && !isNaN(voltage) && voltage > 0) {
+      voltageStats.withVoltage++;
+      if (rack.reasons) {
+        if (rack.reasons.includes('critical_voltage_low')) voltageStats.criticalLow++;
+        if (rack.reasons.includes('critical_voltage_high')) voltageStats.criticalHigh++;
+        if (rack.reasons.includes('warning_voltage_low')) voltageStats.warningLow++;
+        if (rack.reasons.includes('warning_voltage_high')) voltageStats.warningHigh++;
+      }
+      const hasVoltageAlert = rack.reasons && rack.reasons.some(r => r.includes('voltage'));
+      if (!hasVoltageAlert) voltageStats.normal++;
+    }
   });
 
-  setTimeout(async () => {
-    await processAlertsAutomatically();
-  }, 5000);
+  // Get threshold values from database for display
+  const voltageCriticalLowValue = getThresholdValue(thresholds, 'critical_voltage_low') || 'N/A';
+  const voltageCriticalHighValue = getThresholdValue(thresholds, 'critical_voltage_high') || 'N/A';
+  const voltageWarningLowValue = getThresholdValue(thresholds, 'warning_voltage_low') || 'N/A';
+  const voltageWarningHighValue = getThresholdValue(thresholds, 'warning_voltage_high') || 'N/A';
 
-  alertProcessingTimer = setInterval(async () => {
-    await processAlertsAutomatically();
-  }, ALERT_PROCESSING_INTERVAL);
+  if (advanceDebounce && !dryRun) {
+    await saveAlertDebounceState();
+  }
+
+  return processedRacks;
 }
 
-function stopAutomaticAlertProcessing() {
-  if (alertProcessingTimer) {
-    clearInterval(alertProcessingTimer);
-    alertProcessingTimer = null;
-    logger.info('[AUTO-ALERT] Automatic alert processing stopped');
+// Helper function to get threshold value
+function getThresholdValue(thresholds, key) {
+  const threshold = thresholds.find(t => t.key === key);
+  return threshold ? threshold.value : undefined;
+}
+
+// Normalize the NENG power factor (accepts 0-1 or a 0-100 percentage); null when not reported
+function parsePowerFactor(value) {
+  if (value === null || value === undefined || value === 'N/A' || value === '') {
+    return null;
+  }
+  let powerFactor = parseFloat(value);
+  if (isNaN(powerFactor) || powerFactor <= 0) {
+    return null;
+  }
+  if (powerFactor > 1 && powerFactor <= 100) {
+    powerFactor = powerFactor / 100;
   }
+  return powerFactor <= 1 ? powerFactor : null;
 }
 
-// ============================================================================================================
-// PROTECTED API ENDPOINTS - Apply authentication to existing endpoints
-// ============================================================================================================
+/**
+ * Calcula la potencia de un PDU a partir de totalAmps y totalVolts de NENG
+ * totalAmps ya es la suma de fases, por lo que V x I es valido tanto en monofasico como en trifasico.
+ * Sin factor de potencia se asume FP = 1 y no se informa la potencia aparente (kVA)
+ */
+function calculatePduPower(pdu) {
+  const current = parseFloat(pdu.current);
+  const voltage = parseFloat(pdu.voltage);
 
-// Endpoint para obtener datos de racks de energía
-app.get('/api/racks/energy', requireAuth, async (req, res) => {
-  const requestId = Math.random().toString(36).substr(2, 9);
+  if (isNaN(current) || isNaN(voltage) || current < 0 || voltage <= 0) {
+    return { power: null, apparentPower: null };
+  }
 
-  try {
-    // Check if client wants to bypass cache (from refresh button)
-    const bypassCache = req.headers['cache-control'] === 'no-cache' || req.headers['pragma'] === 'no-cache';
+  const powerFactor = parsePowerFactor(pdu.powerFactor);
+  const voltAmperes = voltage * current;
 
-    // Check cache first (unless explicitly bypassed)
-    if (!bypassCache && isCacheValid(racksCache)) {
-      return res.json({
-        success: true,
-        data: racksCache.data,
-        sonarErrors: getAllSonarErrors(),
-        sonarSentRacks: racksCache.sonarSentRacks || [],
-        message: 'Rack data retrieved successfully (cached)',
-        count: racksCache.data ? racksCache.data.flat().length : 0,
-        timestamp: new Date().toISOString()
-      });
-    }
+  return {
+    power: Math.round(voltAmperes * (powerFactor !== null ? powerFactor : 1) * 10) / 10,
+    apparentPower: powerFactor !== null ? Math.round(voltAmperes) / 1000 : null
+  };
+}
 
-    // Get thresholds first
-    const thresholds = await fetchThresholdsFromDatabase();
-    
-    // Validate NENG API configuration
-    if (!process.env.NENG_API_URL || !process.env.NENG_API_KEY) {
-      throw new Error('NENG API configuration missing. Please check NENG_API_URL and NENG_API_KEY environment variables.');
-    }
+/**
+ * Punto de rocio (C) con la formula de Magnus a partir de la temperatura y humedad del sensor
+ * Devuelve null si falta alguna de las dos lecturas o la humedad esta fuera de rango
+ */
+function calculateDewPoint(temperature, humidity) {
+  const t = toTelemetryValue(temperature);
+  const rh = toTelemetryValue(humidity);
 
-    // Fetch ALL power data with pagination (skip by 100)
-    let allPowerData = [];
-    let powerSkip = 0;
-    const pageSize = 100;
-    let hasMorePowerData = true;
+  if (t === null || rh === null || rh <= 0 || rh > 100) {
+    return null;
+  }
 
-    while (hasMorePowerData) {
+  const a = 17.62;
+  const b = 243.12;
+  const gamma = Math.log(rh / 100) + (a * t) / (b + t);
+  return Math.round((b * gamma) / (a - gamma) * 10) / 10;
+}
 
-      const powerResponse = await fetchFromNengApi(
-        `${process.env.NENG_API_URL}?skip=${powerSkip}&limit=${pageSize}`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+// Porcentaje de carga del PDU respecto a la capacidad nominal de su breaker; null sin capacidad o sin lectura
+function calculateLoadPercentage(current, ratedAmps) {
+  const amps = toTelemetryValue(current);
+  if (amps === null || !ratedAmps || ratedAmps <= 0) {
+    return null;
+  }
+  return Math.round((amps / ratedAmps) * 1000) / 10;
+}
 
-      if (!powerResponse.success || !powerResponse.data) {
-        throw new Error('Invalid response from NENG Power API');
-      }
+/**
+ * Suma la corriente de los PDUs (feeds A/B) de cada rack
+ * Devuelve rack_id -> { totalCurrent, feedCount }; un feed sin lectura de corriente es desconocido, no 0 A,
+ * asi que el total del rack queda en null
+ */
+function calculateRackFeedTotals(racks) {
+  const totals = new Map();
+
+  racks.forEach(rack => {
+    const amps = toTelemetryValue(rack.current);
+    const rackId = String(rack.rackId || rack.id);
+    const entry = totals.get(rackId) || { totalCurrent: 0, feedCount: 0 };
+    entry.totalCurrent = amps === null || entry.totalCurrent === null
+      ? null
+      : Math.round((entry.totalCurrent + amps) * 100) / 100;
+    entry.feedCount += 1;
+    totals.set(rackId, entry);
+  });
 
-      const pageData = Array.isArray(powerResponse.data) ? powerResponse.data : [];
+  return totals;
+}
 
-      if (pageData.length === 0) {
-        hasMorePowerData = false;
-      } else {
-        allPowerData = allPowerData.concat(pageData);
-        powerSkip += pageSize;
+// Un feed sin energia reporta voltaje nulo, no numerico o 0V
+function isFeedWithoutPower(pdu) {
+  const voltage = toTelemetryValue(pdu.voltage);
+  return voltage === null || voltage <= 0;
+}
 
-        if (pageData.length < pageSize) {
-          hasMorePowerData = false;
-        }
-      }
+/**
+ * Estado de los feeds de cada rack para detectar perdida de redundancia y rack caido
+ * Devuelve rack_id -> { feedCount, feedsDown }
+ */
+function calculateRackFeedStatus(racks) {
+  const feedStatus = new Map();
+
+  racks.forEach(rack => {
+    const rackId = String(rack.rackId || rack.id);
+    const entry = feedStatus.get(rackId) || { feedCount: 0, feedsDown: 0 };
+    entry.feedCount += 1;
+    if (isFeedWithoutPower(rack)) {
+      entry.feedsDown += 1;
     }
+    feedStatus.set(rackId, entry);
+  });
 
-    // Power data collected
-
-    // Fetch ALL sensor data if sensors URL is configured
-    let allSensorsData = [];
-    if (process.env.NENG_SENSORS_API_URL) {
-      let sensorSkip = 0;
-      let hasMoreSensorData = true;
-
-      try {
-        while (hasMoreSensorData) {
-
-          const sensorsResponse = await fetchFromNengApi(
-            `${process.env.NENG_SENSORS_API_URL}?skip=${sensorSkip}&limit=${pageSize}`,
-            {
-              method: 'GET',
-              headers: {
-                'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-
-          if (!sensorsResponse.success || !sensorsResponse.data) {
-            logger.debug('Sensor page failed, stopping pagination');
-            hasMoreSensorData = false;
-            break;
-          }
+  return feedStatus;
+}
 
-          const pageData = Array.isArray(sensorsResponse.data) ? sensorsResponse.data : [];
+/**
+ * Carga las capacidades nominales configuradas
+ * La capacidad es siempre la de un feed (el breaker de un PDU), nunca la suma del rack:
+ * byRack: rack_id -> amperios de cada feed del rack por defecto, byPdu: pdu_id -> amperios de un PDU concreto
+ */
+async function loadRatedCapacities() {
+  const byRack = new Map();
+  const byPdu = new Map();
 
-          if (pageData.length === 0) {
-            hasMoreSensorData = false;
-          } else {
-            allSensorsData = allSensorsData.concat(pageData);
-            sensorSkip += pageSize;
+  try {
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT rack_id, pdu_id, rated_amps
+        FROM dbo.pdu_rated_capacity
+      `);
+    });
 
-            // Stop if we got less than pageSize (last page)
-            if (pageData.length < pageSize) {
-              hasMoreSensorData = false;
-            }
-          }
-        }
-      } catch (sensorError) {
-        logger.debug('Sensors API failed, continuing without sensor data', { error: sensorError.message });
+    result.recordset.forEach(row => {
+      const ratedAmps = parseFloat(row.rated_amps);
+      if (row.pdu_id) {
+        byPdu.set(String(row.pdu_id), ratedAmps);
+      } else {
+        byRack.set(String(row.rack_id), ratedAmps);
       }
-    } else {
-      logger.debug('NENG_SENSORS_API_URL not configured', { requestId });
-    }
-
-    // Map and combine power and sensor data, filtering out items without valid rackName
-    const itemsWithoutRackName = [];
+    });
+  } catch (error) {
+    logger.error('Error loading rated capacities', { error: error.message });
+  }
 
-    const combinedData = allPowerData
-      .filter(powerItem => {
-        // Filter out PDUs/Racks without valid rackName
-        const hasValidRackName = powerItem.rackName &&
-                                  String(powerItem.rackName).trim() !== '' &&
-                                  String(powerItem.rackName).trim() !== 'null' &&
-                                  String(powerItem.rackName).trim() !== 'undefined';
+  return { byRack, byPdu };
+}
 
-        if (!hasValidRackName) {
-          itemsWithoutRackName.push(powerItem);
-        }
+/**
+ * Get list of rack IDs currently in maintenance mode
+ * Works with new maintenance_rack_details table
+ */
+async function getMaintenanceRackIds() {
+  try {
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT DISTINCT rack_id FROM maintenance_rack_details
+      `);
+    });
+    return new Set(result.recordset.map(r => r.rack_id));
+  } catch (error) {
+    logger.error('Error fetching maintenance racks', { error: error.message });
+    return new Set();
+  }
+}
 
-        return hasValidRackName;
-      })
-      .map(powerItem => {
-        // Map power fields to expected format
-        const mapped = {
+/**
+ * Get list of chain IDs currently in maintenance mode
+ * Returns chains that have been put into maintenance as entire chains
+ */
+async function getMaintenanceChainIds() {
+  try {
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT DISTINCT chain
+        FROM maintenance_rack_details
+        WHERE chain IS NOT NULL
+        GROUP BY chain, maintenance_entry_id
+        HAVING COUNT(DISTINCT rack_id) > 1
+      `);
+    });
+    return new Set(result.recordset.map(r => r.chain));
+  } catch (error) {
+    logger.error('Error fetching maintenance chains', { error: error.message });
+    return new Set();
+  }
+}
+
+/**
+ * Helper function to ensure database connection is active
+ * Now uses the global pool management
+ */
+async function ensureConnection() {
+  return await getPool();
+}
+
+/**
+ * Guarda registros de mantenimiento en el historial
+ * Se llama cuando un rack o chain sale de mantenimiento
+ */
+async function saveMaintenanceToHistory(pool, entryId, endedBy) {
+  try {
+    const dataResult = await pool.request()
+      .input('entry_id', sql.UniqueIdentifier, entryId)
+      .query(`
+        SELECT
+          me.id as original_entry_id,
+          me.entry_type,
+          me.reason,
+          me.started_by,
+          me.started_at,
+          mrd.rack_id,
+          mrd.name as rack_name,
+          mrd.country,
+          mrd.site,
+          mrd.dc,
+          mrd.phase,
+          mrd.chain,
+          mrd.node,
+          mrd.gwName,
+          mrd.gwIp
+        FROM maintenance_entries me
+        JOIN maintenance_rack_details mrd ON me.id = mrd.maintenance_entry_id
+        WHERE me.id = @entry_id
+      `);
+
+    for (const row of dataResult.recordset) {
+      await pool.request()
+        .input('original_entry_id', sql.UniqueIdentifier, row.original_entry_id)
+        .input('entry_type', sql.NVarChar, row.entry_type)
+        .input('rack_id', sql.NVarChar, String(row.rack_id))
+        .input('rack_name', sql.NVarChar, row.rack_name)
+        .input('country', sql.NVarChar, row.country)
+        .input('site', sql.NVarChar, row.site)
+        .input('dc', sql.NVarChar, row.dc)
+        .input('phase', sql.NVarChar, row.phase)
+        .input('chain', sql.NVarChar, row.chain)
+        .input('node', sql.NVarChar, row.node)
+        .input('gwName', sql.NVarChar, row.gwName)
+        .input('gwIp', sql.NVarChar, row.gwIp)
+        .input('reason', sql.NVarChar, row.reason)
+        .input('started_by', sql.NVarChar, row.started_by)
+        .input('started_at', sql.DateTime, row.started_at)
+        .input('ended_by', sql.NVarChar, endedBy)
+        .input('ended_at', sql.DateTime, new Date())
+        .query(`
+          INSERT INTO maintenance_history
+          (original_entry_id, entry_type, rack_id, rack_name, country, site, dc, phase, chain, node, gwName, gwIp,
+           reason, started_by, ended_by, started_at, ended_at, duration_minutes)
+          VALUES
+          (@original_entry_id, @entry_type, @rack_id, @rack_name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp,
+           @reason, @started_by, @ended_by, @started_at, @ended_at, DATEDIFF(MINUTE, @started_at, @ended_at))
+        `);
+    }
+
+    logger.info(`Saved ${dataResult.recordset.length} racks to maintenance history for entry ${entryId}`);
+  } catch (error) {
+    logger.error('Error saving maintenance to history', { error: error.message, entryId });
+  }
+}
+
+/**
+ * Guarda un rack individual en el historial de mantenimiento
+ */
+async function saveRackMaintenanceToHistory(pool, rackId, endedBy) {
+  try {
+    const dataResult = await pool.request()
+      .input('rack_id', sql.NVarChar, rackId)
+      .query(`
+        SELECT
+          me.id as original_entry_id,
+          me.entry_type,
+          me.reason,
+          me.started_by,
+          me.started_at,
+          mrd.rack_id,
+          mrd.name as rack_name,
+          mrd.country,
+          mrd.site,
+          mrd.dc,
+          mrd.phase,
+          mrd.chain,
+          mrd.node,
+          mrd.gwName,
+          mrd.gwIp
+        FROM maintenance_rack_details mrd
+        JOIN maintenance_entries me ON mrd.maintenance_entry_id = me.id
+        WHERE mrd.rack_id = @rack_id
+      `);
+
+    if (dataResult.recordset.length > 0) {
+      const row = dataResult.recordset[0];
+      await pool.request()
+        .input('original_entry_id', sql.UniqueIdentifier, row.original_entry_id)
+        .input('entry_type', sql.NVarChar, row.entry_type)
+        .input('rack_id', sql.NVarChar, String(row.rack_id))
+        .input('rack_name', sql.NVarChar, row.rack_name)
+        .input('country', sql.NVarChar, row.country)
+        .input('site', sql.NVarChar, row.site)
+        .input('dc', sql.NVarChar, row.dc)
+        .input('phase', sql.NVarChar, row.phase)
+        .input('chain', sql.NVarChar, row.chain)
+        .input('node', sql.NVarChar, row.node)
+        .input('gwName', sql.NVarChar, row.gwName)
+        .input('gwIp', sql.NVarChar, row.gwIp)
+        .input('reason', sql.NVarChar, row.reason)
+        .input('started_by', sql.NVarChar, row.started_by)
+        .input('started_at', sql.DateTime, row.started_at)
+        .input('ended_by', sql.NVarChar, endedBy)
+        .input('ended_at', sql.DateTime, new Date())
+        .query(`
+          INSERT INTO maintenance_history
+          (original_entry_id, entry_type, rack_id, rack_name, country, site, dc, phase, chain, node, gwName, gwIp,
+           reason, started_by, ended_by, started_at, ended_at, duration_minutes)
+          VALUES
+          (@original_entry_id, @entry_type, @rack_id, @rack_name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp,
+           @reason, @started_by, @ended_by, @started_at, @ended_at, DATEDIFF(MINUTE, @started_at, @ended_at))
+        `);
+
+      logger.info(`Saved rack ${rackId} to maintenance history`);
+    }
+  } catch (error) {
+    logger.error('Error saving rack maintenance to history', { error: error.message, rackId });
+  }
+}
+
+/**
+ * Manages active critical alerts in the database
+ * Reconciles active_critical_alerts with the critical reasons of this cycle in one set-based MERGE:
+ * new reasons are opened, existing ones updated and the ones no longer raised resolved
+ * Excludes racks that are in maintenance mode
+ */
+async function manageActiveCriticalAlerts(allPdus, thresholds) {
+  try {
+    // Get racks currently in maintenance
+    const maintenanceRackIds = await getMaintenanceRackIds();
+
+    // Get current critical PDUs with their reasons, excluding maintenance racks
+    const currentCriticalPdus = allPdus.filter(pdu => {
+      // Check if this PDU's rack is in maintenance using rackId
+      const isInMaintenance = maintenanceRackIds.has(pdu.rackId);
+      return pdu.status === 'critical' && pdu.reasons && pdu.reasons.length > 0 && !isInMaintenance;
+    });
+
+    // Racks whose alerts keep opening and closing are not sent to SONAR until they stabilize
+    await refreshFlappingRacks();
+
+    // A gateway or chain going down is notified once, through its parent incident
+    const incidentsByRack = await correlateCriticalIncidents(
+      allPdus.filter(pdu => !maintenanceRackIds.has(pdu.rackId))
+    );
+
+    const rows = await buildActiveAlertRows(currentCriticalPdus, 'critical_', thresholds, incidentsByRack);
+    const { changes, clearedAckRackIds } = await reconcileActiveAlerts('active_critical_alerts', rows);
+
+    if (clearedAckRackIds.length > 0) {
+      logger.info('Acknowledgement cleared after new critical reason', { rackIds: clearedAckRackIds });
+    }
+
+    notifyReconciledAlerts(changes, rows, SONAR_CONFIG.enabled);
+
+    try {
+      await resolveClosedAlerts(changes.filter(change => change.merge_action === 'DELETE'), () => 'auto', allPdus);
+    } catch (cleanupError) {
+      logger.error('Error during alert cleanup', { error: cleanupError.message });
+    }
+
+  } catch (error) {
+    logger.error('Error managing active critical alerts', { error: error.message });
+  }
+}
+
+/**
+ * Manages active warning alerts in the database
+ * Same lifecycle as the critical ones (open, update, resolve with duration in alerts_history)
+ * A warning whose critical counterpart is now active is resolved as 'escalated'
+ * Excludes racks that are in maintenance mode
+ */
+async function manageActiveWarningAlerts(allPdus, thresholds) {
+  try {
+    const maintenanceRackIds = await getMaintenanceRackIds();
+    const monitoredPdus = allPdus.filter(pdu => !maintenanceRackIds.has(pdu.rackId));
+
+    const currentWarningPdus = monitoredPdus.filter(pdu =>
+      pdu.reasons && pdu.reasons.some(reason => reason.startsWith('warning_'))
+    );
+
+    const rows = await buildActiveAlertRows(currentWarningPdus, 'warning_', thresholds);
+    const { changes } = await reconcileActiveAlerts('active_warning_alerts', rows);
+
+    notifyReconciledAlerts(changes, rows, SONAR_CONFIG.enabled && SONAR_CONFIG.sendWarnings);
+
+    const currentReasonsByPdu = new Map(monitoredPdus.map(pdu => [String(pdu.id), pdu.reasons || []]));
+
+    try {
+      await resolveClosedAlerts(changes.filter(change => change.merge_action === 'DELETE'), (alert) => {
+        const currentReasons = currentReasonsByPdu.get(String(alert.pdu_id)) || [];
+        const escalated = currentReasons.includes(alert.alert_reason.replace(/^warning_/, 'critical_'));
+        if (escalated) {
+          logger.info('Warning escalated to critical', { pdu_id: alert.pdu_id, reason: alert.alert_reason });
+        }
+        return escalated ? 'escalated' : 'auto';
+      }, allPdus);
+    } catch (cleanupError) {
+      logger.error('Error during warning alert cleanup', { error: cleanupError.message });
+    }
+
+  } catch (error) {
+    logger.error('Error managing active warning alerts', { error: error.message });
+  }
+}
+
+/**
+ * Key of an active alert: rack-level incidents are kept once per rack, whichever PDU raised them
+ */
+function getActiveAlertKey(pduId, rackId, metricType, reason) {
+  return RACK_INCIDENT_PRIORITY[reason]
+    ? `rack|${rackId}|${metricType}|${reason}`
+    : `pdu|${pduId}|${metricType}|${reason}`;
+}
+
+/**
+ * Desired state of an active alerts table for this cycle: one row per PDU reason with the given prefix
+ * Each row carries what holds its SONAR notification back (silence, flapping rack, correlated incident)
+ * @returns {Promise<Array>} rows in the shape of the dbo.ActiveAlertSet table type, plus pdu and hold info
+ */
+async function buildActiveAlertRows(pdus, reasonPrefix, thresholds, incidentsByRack = new Map()) {
+  const silences = await loadActiveSilences();
+  const rowsByKey = new Map();
+
+  for (const pdu of pdus) {
+    const pduIdStr = String(pdu.id);
+    const rackIdStr = String(pdu.rackId || pdu.id);
+
+    for (const reason of pdu.reasons) {
+      if (!reason.startsWith(reasonPrefix)) {
+        continue;
+      }
+
+      const metricInfo = extractMetricInfo(reason, pdu, thresholds);
+      if (!metricInfo) {
+        continue;
+      }
+
+      const { metricType, alertField, alertValue, thresholdExceeded } = metricInfo;
+      const key = getActiveAlertKey(pduIdStr, rackIdStr, metricType, reason);
+      if (rowsByKey.has(key)) {
+        continue;
+      }
+
+      const silence = findMatchingSilence(
+        silences,
+        { rackId: rackIdStr, site: pdu.site, dc: pdu.dc, chain: pdu.chain },
+        metricType,
+        reason
+      );
+
+      const isRackIncident = !!RACK_INCIDENT_PRIORITY[reason];
+      rowsByKey.set(key, {
+        key,
+        pdu,
+        // Rack incidents use the rack id, so a feed recovering while the other fails does not move the alert
+        pdu_id: isRackIncident ? rackIdStr : pduIdStr,
+        rack_id: rackIdStr,
+        name: pdu.name,
+        country: pdu.country,
+        site: pdu.site,
+        dc: pdu.dc,
+        phase: pdu.phase,
+        chain: pdu.chain,
+        node: pdu.node,
+        serial: pdu.serial,
+        metric_type: metricType,
+        alert_reason: reason,
+        alert_value: alertValue,
+        alert_field: alertField,
+        threshold_exceeded: thresholdExceeded,
+        group: getGroupBySite(pdu.site),
+        match_by_rack: isRackIncident,
+        silence,
+        flapping: flappingRacks.has(rackIdStr),
+        // Only the power alerts are grouped under the incident, the rest of the rack's alerts go out on their own
+        incident: isCorrelationOutageReason(reason) ? incidentsByRack.get(rackIdStr) || null : null
+      });
+    }
+  }
+
+  return [...rowsByKey.values()];
+}
+
+/**
+ * Reconciles an active alerts table with the rows of this cycle in a single transaction:
+ * MERGE through the dbo.ActiveAlertSet table-valued parameter, history rows for the opened alerts and,
+ * for critical alerts, the acknowledgement of racks with a new reason cleared (the incident escalated)
+ * The sonar_silenced / sonar_flapping flags only stay set while the alert is still held back
+ * @returns {Promise<{changes: Array, clearedAckRackIds: string[]}>} changes has one row per INSERT, UPDATE
+ *   or DELETE, with the previous values, uuid and hold flags of the updated and deleted alerts
+ */
+async function reconcileActiveAlerts(table, rows) {
+  const isCritical = table === 'active_critical_alerts';
+
+  const alerts = new sql.Table('dbo.ActiveAlertSet');
+  alerts.columns.add('pdu_id', sql.NVarChar(255), { nullable: false });
+  alerts.columns.add('rack_id', sql.NVarChar(255), { nullable: true });
+  alerts.columns.add('name', sql.NVarChar(500), { nullable: true });
+  alerts.columns.add('country', sql.NVarChar(255), { nullable: true });
+  alerts.columns.add('site', sql.NVarChar(255), { nullable: true });
+  alerts.columns.add('dc', sql.NVarChar(255), { nullable: true });
+  alerts.columns.add('phase', sql.NVarChar(100), { nullable: true });
+  alerts.columns.add('chain', sql.NVarChar(255), { nullable: true });
+  alerts.columns.add('node', sql.NVarChar(255), { nullable: true });
+  alerts.columns.add('serial', sql.NVarChar(255), { nullable: true });
+  alerts.columns.add('metric_type', sql.NVarChar(50), { nullable: false });
+  alerts.columns.add('alert_reason', sql.NVarChar(255), { nullable: false });
+  alerts.columns.add('alert_value', sql.Decimal(18, 4), { nullable: true });
+  alerts.columns.add('alert_field', sql.NVarChar(100), { nullable: true });
+  alerts.columns.add('threshold_exceeded', sql.Decimal(18, 4), { nullable: true });
+  alerts.columns.add('group', sql.NVarChar(100), { nullable: true });
+  alerts.columns.add('match_by_rack', sql.Bit, { nullable: false });
+  alerts.columns.add('sonar_silenced', sql.Bit, { nullable: false });
+  alerts.columns.add('sonar_flapping', sql.Bit, { nullable: false });
+  alerts.columns.add('parent_incident_id', sql.UniqueIdentifier, { nullable: true });
+
+  rows.forEach(row => alerts.rows.add(
+    row.pdu_id, row.rack_id, row.name, row.country, row.site, row.dc, row.phase, row.chain, row.node, row.serial,
+    row.metric_type, row.alert_reason, row.alert_value, row.alert_field, row.threshold_exceeded, row.group,
+    row.match_by_rack, !!row.silence, row.flapping, row.incident ? row.incident.id : null
+  ));
+
+  const result = await executeQuery(async (pool) => {
+    return await pool.request()
+      .input('alerts', alerts)
+      .query(`
+        -- One transaction: a failure rolls the MERGE back too, so the retry of executeQuery sees the
+        -- same INSERTs again instead of losing their history rows and SONAR opens
+        SET XACT_ABORT ON;
+
+        DECLARE @clearedAcks TABLE (rack_id NVARCHAR(255) NULL);
+        DECLARE @changes TABLE (
+          merge_action NVARCHAR(10) NOT NULL,
+          id UNIQUEIDENTIFIER NOT NULL,
+          pdu_id NVARCHAR(255) NOT NULL,
+          rack_id NVARCHAR(255) NULL,
+          name NVARCHAR(500) NULL,
+          country NVARCHAR(255) NULL,
+          site NVARCHAR(255) NULL,
+          dc NVARCHAR(255) NULL,
+          chain NVARCHAR(255) NULL,
+          metric_type NVARCHAR(50) NOT NULL,
+          alert_reason NVARCHAR(255) NOT NULL,
+          alert_value DECIMAL(18, 4) NULL,
+          threshold_exceeded DECIMAL(18, 4) NULL,
+          alert_started_at DATETIME NULL,
+          uuid_open NVARCHAR(255) NULL,
+          uuid_closed NVARCHAR(255) NULL,
+          was_silenced BIT NULL,
+          was_flapping BIT NULL,
+          had_parent_incident BIT NULL
+        );
+
+        BEGIN TRANSACTION;
+
+        MERGE ${table} WITH (HOLDLOCK) AS target
+        USING @alerts AS source
+        ON target.metric_type = source.metric_type
+          AND target.alert_reason = source.alert_reason
+          AND ((source.match_by_rack = 1 AND target.rack_id = source.rack_id)
+            OR (source.match_by_rack = 0 AND target.pdu_id = source.pdu_id))
+        WHEN MATCHED THEN
+          UPDATE SET alert_value = source.alert_value,
+                     threshold_exceeded = source.threshold_exceeded,
+                     sonar_silenced = CASE WHEN target.sonar_silenced = 1 AND source.sonar_silenced = 1 THEN 1 ELSE 0 END,
+                     sonar_flapping = CASE WHEN target.sonar_flapping = 1 AND source.sonar_flapping = 1 THEN 1 ELSE 0 END,
+                     ${isCritical ? 'parent_incident_id = source.parent_incident_id,' : ''}
+                     last_updated_at = GETDATE()
+        WHEN NOT MATCHED BY TARGET THEN
+          INSERT (pdu_id, rack_id, name, country, site, dc, phase, chain, node, serial,
+                  metric_type, alert_reason, alert_value, alert_field, threshold_exceeded, [group],
+                  sonar_silenced, sonar_flapping${isCritical ? ', parent_incident_id' : ''})
+          VALUES (source.pdu_id, source.rack_id, source.name, source.country, source.site, source.dc, source.phase,
+                  source.chain, source.node, source.serial, source.metric_type, source.alert_reason, source.alert_value,
+                  source.alert_field, source.threshold_exceeded, source.[group],
+                  source.sonar_silenced, source.sonar_flapping${isCritical ? ', source.parent_incident_id' : ''})
+        WHEN NOT MATCHED BY SOURCE THEN
+          DELETE
+        OUTPUT $action,
+               COALESCE(INSERTED.id, DELETED.id),
+               COALESCE(INSERTED.pdu_id, DELETED.pdu_id),
+               COALESCE(INSERTED.rack_id, DELETED.rack_id),
+               COALESCE(INSERTED.name, DELETED.name),
+               COALESCE(INSERTED.country, DELETED.country),
+               COALESCE(INSERTED.site, DELETED.site),
+               COALESCE(INSERTED.dc, DELETED.dc),
+               COALESCE(INSERTED.chain, DELETED.chain),
+               COALESCE(INSERTED.metric_type, DELETED.metric_type),
+               COALESCE(INSERTED.alert_reason, DELETED.alert_reason),
+               DELETED.alert_value,
+               DELETED.threshold_exceeded,
+               DELETED.alert_started_at,
+               DELETED.uuid_open,
+               DELETED.uuid_closed,
+               DELETED.sonar_silenced,
+               DELETED.sonar_flapping,
+               ${isCritical ? 'CASE WHEN DELETED.parent_incident_id IS NULL THEN 0 ELSE 1 END' : '0'}
+        INTO @changes;
+
+        INSERT INTO alerts_history
+        (pdu_id, rack_id, name, country, site, dc, phase, chain, node, serial,
+         metric_type, alert_reason, alert_value, alert_field, threshold_exceeded, [group])
+        SELECT a.pdu_id, a.rack_id, a.name, a.country, a.site, a.dc, a.phase, a.chain, a.node, a.serial,
+               a.metric_type, a.alert_reason, a.alert_value, a.alert_field, a.threshold_exceeded, a.[group]
+        FROM ${table} a
+        INNER JOIN @changes c ON c.id = a.id
+        WHERE c.merge_action = 'INSERT';
+        ${isCritical ? `
+        UPDATE active_critical_alerts
+        SET acknowledged_by = NULL, acknowledged_at = NULL, acknowledged_comment = NULL
+        OUTPUT INSERTED.rack_id INTO @clearedAcks
+        WHERE acknowledged_at IS NOT NULL
+          AND rack_id IN (SELECT rack_id FROM @changes WHERE merge_action = 'INSERT');
+        ` : ''}
+        COMMIT TRANSACTION;
+
+        SELECT * FROM @changes;
+        SELECT rack_id FROM @clearedAcks;
+      `);
+  });
+
+  return {
+    changes: result.recordsets[0] || [],
+    clearedAckRackIds: isCritical ? [...new Set((result.recordsets[1] || []).map(row => row.rack_id))] : []
+  };
+}
+
+/**
+ * Sends to SONAR and by email the alerts opened by a reconciliation, and the updated ones that were held back
+ * (silence, correlated incident, flapping) and are not anymore
+ */
+function notifyReconciledAlerts(changes, rows, sendEnabled) {
+  const rowsByKey = new Map(rows.map(row => [row.key, row]));
+  const emailOpened = (row) => sendAlertEmail({
+    ...buildPduAlertData(row.pdu, row.alert_reason),
+    metric_type: row.metric_type,
+    alert_value: row.alert_value,
+    threshold_exceeded: row.threshold_exceeded
+  }, 'OPEN');
+
+  for (const change of changes) {
+    if (change.merge_action === 'DELETE') {
+      continue;
+    }
+
+    const row = rowsByKey.get(getActiveAlertKey(change.pdu_id, change.rack_id, change.metric_type, change.alert_reason));
+    if (!row) {
+      continue;
+    }
+
+    const { pdu, alert_reason: reason, silence, incident, flapping } = row;
+
+    if (change.merge_action === 'INSERT') {
+      if (silence) {
+        logger.info('Alert silenced, SONAR not notified', { pdu_id: row.pdu_id, reason, silenceId: silence.id });
+      } else if (incident) {
+        logger.info('Critical alert grouped under correlated incident', { pdu_id: row.pdu_id, reason, incident: incident.name });
+      } else if (flapping) {
+        logger.info('Alert of flapping rack, SONAR not notified', { pdu_id: row.pdu_id, reason });
+      } else {
+        if (sendEnabled) {
+          openSonarAlert(pdu, reason, change.id).catch(err => {
+            logger.error('[SONAR] Failed to send alert to SONAR', { error: err.message, pdu_id: row.pdu_id });
+          });
+        }
+        emailOpened(row);
+      }
+      continue;
+    }
+
+    // Whatever held this alert back (silence, correlated incident, flapping) is gone: notify it on its own now
+    const wasHeldBack = change.was_silenced || change.was_flapping || change.had_parent_incident;
+    if (!wasHeldBack || silence || incident || flapping) {
+      continue;
+    }
+    if (!change.uuid_open && sendEnabled) {
+      openSonarAlert(pdu, reason, change.id).catch(err => {
+        logger.error('[SONAR] Failed to send held back alert to SONAR', { error: err.message, pdu_id: row.pdu_id });
+      });
+    }
+    emailOpened(row);
+  }
+}
+
+/**
+ * Closes in SONAR (when they were sent) the alerts deleted by a reconciliation, resolves them in alerts_history
+ * with one set-based UPDATE through the dbo.ResolvedAlertSet table-valued parameter and emails their resolution
+ * (unless they were held back). resolved_at and the duration come from GETDATE(), the clock of created_at
+ * @param {Function} getResolutionType - alert -> 'auto' | 'escalated'
+ * @param {Array} pdus - PDUs of this cycle, for the current readings of the resolution email
+ */
+async function resolveClosedAlerts(closedAlerts, getResolutionType, pdus) {
+  if (closedAlerts.length === 0) {
+    return;
+  }
+
+  const resolved = new sql.Table('dbo.ResolvedAlertSet');
+  resolved.columns.add('pdu_id', sql.NVarChar(255), { nullable: false });
+  resolved.columns.add('metric_type', sql.NVarChar(50), { nullable: false });
+  resolved.columns.add('alert_reason', sql.NVarChar(255), { nullable: false });
+  resolved.columns.add('resolution_type', sql.NVarChar(50), { nullable: false });
+  resolved.columns.add('uuid_open', sql.NVarChar(255), { nullable: true });
+  resolved.columns.add('uuid_closed', sql.NVarChar(255), { nullable: true });
+
+  const pdusById = new Map(pdus.map(pdu => [String(pdu.id), pdu]));
+  const pdusByRack = new Map(pdus.map(pdu => [String(pdu.rackId || pdu.id), pdu]));
+
+  for (const alert of closedAlerts) {
+    let uuidClosed = alert.uuid_closed;
+    if (SONAR_CONFIG.enabled && alert.uuid_open) {
+      const sonarResult = await closeSonarAlert(alert).catch(err => {
+        logger.error('Failed to close alert in SONAR', { error: err.message, pdu_id: alert.pdu_id });
+        return { success: false };
+      });
+      if (sonarResult && sonarResult.uuid) {
+        uuidClosed = sonarResult.uuid;
+      }
+    }
+
+    resolved.rows.add(
+      String(alert.pdu_id), alert.metric_type, alert.alert_reason, getResolutionType(alert),
+      alert.uuid_open || null, uuidClosed || null
+    );
+  }
+
+  const historyResult = await executeQuery(async (pool) => {
+    return await pool.request()
+      .input('resolved', resolved)
+      .query(`
+        UPDATE h
+        SET resolved_at = GETDATE(),
+            resolved_by = 'Sistema',
+            resolution_type = r.resolution_type,
+            duration_minutes = DATEDIFF(MINUTE, h.created_at, GETDATE()),
+            uuid_open = r.uuid_open,
+            uuid_closed = r.uuid_closed
+        OUTPUT INSERTED.pdu_id, INSERTED.metric_type, INSERTED.alert_reason, INSERTED.resolved_at, INSERTED.duration_minutes
+        FROM alerts_history h
+        INNER JOIN @resolved r
+          ON h.pdu_id = r.pdu_id AND h.metric_type = r.metric_type AND h.alert_reason = r.alert_reason
+        WHERE h.resolved_at IS NULL
+      `);
+  });
+
+  const historyByAlert = new Map(historyResult.recordset.map(row =>
+    [`${row.pdu_id}|${row.metric_type}|${row.alert_reason}`, row]
+  ));
+
+  for (const alert of closedAlerts) {
+    if (!alert.was_silenced && !alert.was_flapping && !alert.had_parent_incident) {
+      const history = historyByAlert.get(`${alert.pdu_id}|${alert.metric_type}|${alert.alert_reason}`) || {};
+      const pdu = RACK_INCIDENT_PRIORITY[alert.alert_reason]
+        ? pdusByRack.get(String(alert.rack_id))
+        : pdusById.get(String(alert.pdu_id));
+      sendAlertEmail({
+        ...(pdu ? buildPduAlertData(pdu, alert.alert_reason) : {
+          pdu_id: alert.pdu_id,
+          rack_id: alert.rack_id,
+          name: alert.name,
+          country: alert.country,
+          site: alert.site,
+          dc: alert.dc,
+          chain: alert.chain,
+          alert_reason: alert.alert_reason
+        }),
+        metric_type: alert.metric_type,
+        alert_value: alert.alert_value,
+        threshold_exceeded: alert.threshold_exceeded,
+        alert_started: formatDateForSonar(alert.alert_started_at),
+        resolved_at: history.resolved_at || null,
+        duration_minutes: history.duration_minutes
+      }, 'CLOSED');
+    }
+  }
+}
+
+/**
+ * Extracts metric information from alert reason and PDU data
+ */
+function extractMetricInfo(reason, pdu, thresholds) {
+  let metricType, alertField, alertValue;
+
+  // Composite rules combine several metrics: there is no single reading or threshold to report
+  if (isCompositeReason(reason)) {
+    return {
+      metricType: 'composite',
+      alertField: 'composite',
+      alertValue: null,
+      thresholdExceeded: null
+    };
+  }
+
+  // Rate-of-change reasons report the increase within the window instead of the reading
+  if (reason.includes('temperature_rising')) {
+    metricType = 'temperature';
+    alertField = 'temperatureDelta';
+    alertValue = pdu.temperatureDelta != null ? parseFloat(pdu.temperatureDelta) : null;
+  } else if (reason.includes('amperage_surge')) {
+    metricType = 'amperage';
+    alertField = 'currentDelta';
+    alertValue = pdu.currentDelta != null ? parseFloat(pdu.currentDelta) : null;
+  } else if (reason.includes('amperage') || reason.includes('current')) {
+    metricType = 'amperage';
+    alertField = 'current';
+    alertValue = parseFloat(pdu.current) || 0;
+  } else if (reason.includes('temperature')) {
+    metricType = 'temperature';
+    // Determine which temperature field based on the PDU data
+    if (pdu.sensorTemperature != null && !isNaN(pdu.sensorTemperature)) {
+      alertField = 'sensorTemperature';
+      alertValue = parseFloat(pdu.sensorTemperature);
+    } else if (pdu.temperature != null && !isNaN(pdu.temperature)) {
+      alertField = 'temperature';
+      alertValue = parseFloat(pdu.temperature);
+    } else {
+      return null;
+    }
+  } else if (reason.includes('humidity')) {
+    metricType = 'humidity';
+    alertField = 'sensorHumidity';
+    alertValue = parseFloat(pdu.sensorHumidity) || null;
+  } else if (reason.includes('redundancy_load')) {
+    metricType = 'redundancy';
+    alertField = 'failoverLoadPercentage';
+    alertValue = pdu.failoverLoadPercentage != null ? parseFloat(pdu.failoverLoadPercentage) : null;
+  } else if (reason.includes('load_percentage')) {
+    metricType = 'load';
+    alertField = 'loadPercentage';
+    alertValue = pdu.loadPercentage != null ? parseFloat(pdu.loadPercentage) : null;
+  } else if (reason.includes('dewpoint')) {
+    metricType = 'dewpoint';
+    alertField = 'dewPoint';
+    alertValue = pdu.dewPoint != null ? parseFloat(pdu.dewPoint) : null;
+  } else if (reason.includes('voltage')) {
+    metricType = 'voltage';
+    alertField = 'voltage';
+    alertValue = parseFloat(pdu.voltage) || null;
+  } else if (reason.includes('power')) {
+    metricType = 'power';
+    alertField = 'power';
+    alertValue = parseFloat(pdu.power) || null;
+  } else {
+    return null;
+  }
+
+  // Extract threshold exceeded from database thresholds
+  const thresholdExceeded = getThresholdFromReason(reason, thresholds);
+
+  return {
+    metricType,
+    alertField,
+    alertValue,
+    thresholdExceeded
+  };
+}
+
+/**
+ * Gets the threshold value that was exceeded based on the reason
+ * Looks up values from database thresholds - NO hardcoded values
+ */
+function getThresholdFromReason(reason, thresholds) {
+  if (!thresholds || thresholds.length === 0) return null;
+
+  // Map reason patterns to threshold keys
+  const reasonToKeyMap = {
+    'critical_amperage_high_single_phase': 'critical_amperage_high_single_phase',
+    'critical_amperage_low_single_phase': 'critical_amperage_low_single_phase',
+    'critical_amperage_high_3_phase': 'critical_amperage_high_3_phase',
+    'critical_amperage_low_3_phase': 'critical_amperage_low_3_phase',
+    'warning_amperage_high_single_phase': 'warning_amperage_high_single_phase',
+    'warning_amperage_low_single_phase': 'warning_amperage_low_single_phase',
+    'warning_amperage_high_3_phase': 'warning_amperage_high_3_phase',
+    'warning_amperage_low_3_phase': 'warning_amperage_low_3_phase',
+    'critical_temperature_high': 'critical_temperature_high',
+    'critical_temperature_low': 'critical_temperature_low',
+    'warning_temperature_high': 'warning_temperature_high',
+    'warning_temperature_low': 'warning_temperature_low',
+    'critical_humidity_high': 'critical_humidity_high',
+    'critical_humidity_low': 'critical_humidity_low',
+    'warning_humidity_high': 'warning_humidity_high',
+    'warning_humidity_low': 'warning_humidity_low',
+    'critical_dewpoint_high': 'critical_dewpoint_high',
+    'warning_dewpoint_high': 'warning_dewpoint_high',
+    'critical_voltage_high': 'critical_voltage_high',
+    'critical_voltage_low': 'critical_voltage_low',
+    'warning_voltage_high': 'warning_voltage_high',
+    'warning_voltage_low': 'warning_voltage_low',
+    'critical_power_high': 'critical_power_high',
+    'warning_power_high': 'warning_power_high',
+    'critical_load_percentage_high': 'critical_load_percentage_high',
+    'warning_load_percentage_high': 'warning_load_percentage_high',
+    'critical_redundancy_load_high': 'critical_redundancy_load_high',
+    'warning_redundancy_load_high': 'warning_redundancy_load_high',
+    'critical_temperature_rising': 'critical_temperature_rising',
+    'warning_temperature_rising': 'warning_temperature_rising',
+    'critical_amperage_surge': 'critical_amperage_surge',
+    'warning_amperage_surge': 'warning_amperage_surge'
+  };
+
+  // Find the matching threshold key
+  let thresholdKey = null;
+  for (const [reasonPattern, key] of Object.entries(reasonToKeyMap)) {
+    if (reason.includes(reasonPattern)) {
+      thresholdKey = key;
+      break;
+    }
+  }
+
+  if (!thresholdKey) return null;
+
+  // Look up the threshold value from database
+  const threshold = thresholds.find(t => t.key === thresholdKey);
+  return threshold ? threshold.value : null;
+}
+
+// ============================================================================================================
+// TELEMETRY - Time-series persistence of every polling cycle
+// ============================================================================================================
+
+const TELEMETRY_MIN_INTERVAL_MS = parseInt(process.env.TELEMETRY_MIN_INTERVAL_MS) || 60000; // Default: 1 minute
+const TELEMETRY_RETENTION_DAYS = parseInt(process.env.TELEMETRY_RETENTION_DAYS) || 90;
+const TELEMETRY_PURGE_INTERVAL_MS = 3600000; // 1 hora
+const TELEMETRY_METRICS = {
+  current: '[current]',
+  voltage: 'voltage',
+  temperature: 'temperature',
+  humidity: 'humidity'
+};
+let lastTelemetrySavedAt = 0;
+let lastTelemetryPurgeAt = 0;
+
+// Rate-of-change alerts never look further back than this, whatever the configured window
+const RATE_OF_CHANGE_MAX_WINDOW_MINUTES = 120;
+
+// Readings of the last RATE_OF_CHANGE_MAX_WINDOW_MINUTES per PDU (pduId -> [{ current, temperature, recordedAt }]),
+// filled by savePduTelemetry so evaluations do not query rack_telemetry. null until seeded from the table.
+// Only the alert processing worker writes telemetry; the other PM2 workers reload the window from the table
+let recentTelemetry = null;
+let recentTelemetryLoadedAt = 0;
+
+// Convert a reading to a number or null (sensor values can be 'N/A')
+function toTelemetryValue(value) {
+  if (value === null || value === undefined || value === 'N/A') {
+    return null;
+  }
+  const numericValue = parseFloat(value);
+  return isNaN(numericValue) ? null : numericValue;
+}
+
+/**
+ * Guarda las lecturas de cada PDU del ciclo actual en rack_telemetry
+ * Se llama desde el procesamiento automatico y desde /api/racks/energy, solo en el worker que procesa las
+ * alertas (el intervalo y la ventana en memoria son de ese proceso); las llamadas mas cercanas que
+ * TELEMETRY_MIN_INTERVAL_MS se ignoran para no duplicar muestras
+ */
+async function savePduTelemetry(processedData) {
+  const now = Date.now();
+  if (!RUNS_ALERT_PROCESSING || !Array.isArray(processedData) || processedData.length === 0) {
+    return;
+  }
+  if (now - lastTelemetrySavedAt < TELEMETRY_MIN_INTERVAL_MS) {
+    return;
+  }
+  lastTelemetrySavedAt = now;
+  rememberRecentTelemetry(processedData, now);
+
+  // 11 parameters per row keeps each batch well under the 2100 parameter limit of SQL Server
+  const BATCH_SIZE = 100;
+  let savedRows = 0;
+
+  try {
+    await executeQuery(async (pool) => {
+      // recorded_at uses the SQL Server clock (local GETDATE()) like every other table; it is read once
+      // so all the batches of the cycle share the same timestamp
+      const clock = await pool.request().query('SELECT GETDATE() AS recorded_at');
+      const recordedAt = clock.recordset[0].recorded_at;
+
+      for (let i = 0; i < processedData.length; i += BATCH_SIZE) {
+        const batch = processedData.slice(i, i + BATCH_SIZE);
+        const request = pool.request().input('recorded_at', sql.DateTime, recordedAt);
+        const values = [];
+
+        batch.forEach((pdu, index) => {
+          request
+            .input(`pdu_id${index}`, sql.NVarChar, String(pdu.id))
+            .input(`rack_id${index}`, sql.NVarChar, String(pdu.rackId || pdu.id))
+            .input(`site${index}`, sql.NVarChar, pdu.site || null)
+            .input(`dc${index}`, sql.NVarChar, pdu.dc || null)
+            .input(`chain${index}`, sql.NVarChar, pdu.chain ? String(pdu.chain) : null)
+            .input(`current${index}`, sql.Decimal(18, 4), toTelemetryValue(pdu.current))
+            .input(`voltage${index}`, sql.Decimal(18, 4), toTelemetryValue(pdu.voltage))
+            .input(`temperature${index}`, sql.Decimal(18, 4), toTelemetryValue(pdu.sensorTemperature))
+            .input(`humidity${index}`, sql.Decimal(18, 4), toTelemetryValue(pdu.sensorHumidity))
+            .input(`status${index}`, sql.NVarChar, pdu.status || null);
+
+          values.push(`(@pdu_id${index}, @rack_id${index}, @site${index}, @dc${index}, @chain${index}, @current${index}, @voltage${index}, @temperature${index}, @humidity${index}, @status${index}, @recorded_at)`);
+        });
+
+        await request.query(`
+          INSERT INTO rack_telemetry
+          (pdu_id, rack_id, site, dc, chain, [current], voltage, temperature, humidity, status, recorded_at)
+          VALUES ${values.join(',\n')}
+        `);
+        savedRows += batch.length;
+      }
+
+      if (now - lastTelemetryPurgeAt >= TELEMETRY_PURGE_INTERVAL_MS) {
+        lastTelemetryPurgeAt = now;
+        const purgeResult = await pool.request()
+          .input('retention_days', sql.Int, TELEMETRY_RETENTION_DAYS)
+          .query(`
+            DELETE FROM rack_telemetry
+            WHERE recorded_at < DATEADD(DAY, -@retention_days, GETDATE())
+          `);
+        if (purgeResult.rowsAffected[0] > 0) {
+          logger.info('[TELEMETRY] Old telemetry purged', { rows: purgeResult.rowsAffected[0], retentionDays: TELEMETRY_RETENTION_DAYS });
+        }
+      }
+    });
+
+    logger.debug('[TELEMETRY] Cycle saved', { rows: savedRows });
+  } catch (error) {
+    logger.error('[TELEMETRY] Error saving telemetry', { error: error.message, savedRows });
+  }
+}
+
+// Add the readings being saved to the rolling window and drop those older than the widest window
+function rememberRecentTelemetry(processedData, recordedAt) {
+  if (!recentTelemetry) {
+    return;
+  }
+
+  processedData.forEach(pdu => {
+    const pduId = String(pdu.id);
+    if (!recentTelemetry.has(pduId)) {
+      recentTelemetry.set(pduId, []);
+    }
+    recentTelemetry.get(pduId).push({
+      current: toTelemetryValue(pdu.current),
+      temperature: toTelemetryValue(pdu.sensorTemperature),
+      recordedAt
+    });
+  });
+
+  const since = recordedAt - RATE_OF_CHANGE_MAX_WINDOW_MINUTES * 60000;
+  Array.from(recentTelemetry.entries()).forEach(([pduId, readings]) => {
+    const kept = readings.filter(reading => reading.recordedAt >= since);
+    if (kept.length > 0) {
+      recentTelemetry.set(pduId, kept);
+    } else {
+      recentTelemetry.delete(pduId);
+    }
+  });
+}
+
+/**
+ * Lecturas de corriente y temperatura recientes agrupadas por PDU, para las alertas de tasa de cambio
+ * (temperatura subiendo, picos de corriente). El worker que guarda la telemetria las lee de rack_telemetry
+ * solo la primera vez y despues las mantiene con cada savePduTelemetry; los demas workers las releen
+ * cada TELEMETRY_MIN_INTERVAL_MS
+ */
+async function loadRecentTelemetry(windowMinutes) {
+  const minutes = Math.min(Math.max(parseInt(windowMinutes) || 0, 0), RATE_OF_CHANGE_MAX_WINDOW_MINUTES);
+  if (minutes === 0) {
+    return new Map();
+  }
+  if (recentTelemetry && (RUNS_ALERT_PROCESSING || Date.now() - recentTelemetryLoadedAt < TELEMETRY_MIN_INTERVAL_MS)) {
+    return recentTelemetry;
+  }
+
+  try {
+    // recorded_at is local SQL Server time: the window and the age of each reading are computed there,
+    // and the age is turned into the Date.now() base used by the readings kept in memory
+    const loadedAt = Date.now();
+    const result = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('minutes', sql.Int, RATE_OF_CHANGE_MAX_WINDOW_MINUTES)
+        .query(`
+          SELECT pdu_id, [current], temperature, DATEDIFF(SECOND, recorded_at, GETDATE()) AS age_seconds
+          FROM rack_telemetry
+          WHERE recorded_at >= DATEADD(MINUTE, -@minutes, GETDATE())
+        `);
+    });
+
+    const readingsByPdu = new Map();
+    result.recordset.forEach(row => {
+      if (!readingsByPdu.has(row.pdu_id)) {
+        readingsByPdu.set(row.pdu_id, []);
+      }
+      readingsByPdu.get(row.pdu_id).push({
+        current: toTelemetryValue(row.current),
+        temperature: toTelemetryValue(row.temperature),
+        recordedAt: loadedAt - row.age_seconds * 1000
+      });
+    });
+
+    recentTelemetry = readingsByPdu;
+    recentTelemetryLoadedAt = loadedAt;
+    return recentTelemetry;
+  } catch (error) {
+    logger.error('[TELEMETRY] Error loading recent telemetry', { error: error.message });
+    return new Map();
+  }
+}
+
+// Increase of the current value over the lowest reading stored within the window (null without history)
+function calculateRateOfChange(readings, field, currentValue, windowMinutes) {
+  if (currentValue === null || !readings || readings.length === 0 || !(windowMinutes > 0)) {
+    return null;
+  }
+  const since = Date.now() - Math.min(windowMinutes, RATE_OF_CHANGE_MAX_WINDOW_MINUTES) * 60000;
+  const values = readings
+    .filter(reading => reading.recordedAt >= since && reading[field] !== null)
+    .map(reading => reading[field]);
+
+  if (values.length === 0) {
+    return null;
+  }
+  return Math.round((currentValue - Math.min(...values)) * 10) / 10;
+}
+
+// Pick the downsampling resolution for a range when the client does not request one
+function getTelemetryResolution(from, to) {
+  const rangeHours = (to.getTime() - from.getTime()) / 3600000;
+  if (rangeHours <= 6) return 'raw';
+  if (rangeHours <= 24 * 7) return '5min';
+  return 'hourly';
+}
+
+// ============================================================================================================
+// AUTHENTICATION ENDPOINTS
+// ============================================================================================================
+
+// POST /api/auth/login - Login endpoint
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { usuario, password } = req.body;
+
+    if (!usuario || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Usuario y contraseña son requeridos'
+      });
+    }
+
+    // Query user from database
+    const result = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('usuario', sql.NVarChar, usuario)
+        .query('SELECT id, usuario, password, rol, sitios_asignados, activo FROM usersAlertado WHERE usuario = @usuario');
+    });
+
+    if (result.recordset.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Usuario o contraseña incorrectos'
+      });
+    }
+
+    const user = result.recordset[0];
+
+    // Check if user is active
+    if (!user.activo) {
+      return res.status(401).json({
+        success: false,
+        message: 'Este usuario está desactivado'
+      });
+    }
+
+    // Verify password (plain text comparison - no hashing)
+    const passwordMatch = password === user.password;
+
+    if (!passwordMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Usuario o contraseña incorrectos'
+      });
+    }
+
+    // Parse sitios_asignados JSON
+    const sitiosAsignados = user.sitios_asignados ? JSON.parse(user.sitios_asignados) : null;
+
+    // Create session
+    req.session.userId = user.id;
+    req.session.usuario = user.usuario;
+    req.session.userRole = user.rol;
+    req.session.sitiosAsignados = sitiosAsignados;
+
+    logger.info(`User logged in: ${user.usuario} (${user.rol})`);
+
+    res.json({
+      success: true,
+      message: 'Inicio de sesión exitoso',
+      user: {
+        id: user.id,
+        usuario: user.usuario,
+        rol: user.rol,
+        sitios_asignados: sitiosAsignados
+      }
+    });
+
+  } catch (error) {
+    logger.error('Login error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor al iniciar sesión'
+    });
+  }
+});
+
+// POST /api/auth/logout - Logout endpoint
+app.post('/api/auth/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) {
+      logger.error('Logout error', { error: err.message });
+      return res.status(500).json({
+        success: false,
+        message: 'Error al cerrar sesión'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+  });
+});
+
+// GET /api/auth/session - Check if user has active session
+app.get('/api/auth/session', (req, res) => {
+  if (req.session && req.session.userId) {
+    return res.json({
+      success: true,
+      authenticated: true,
+      user: {
+        id: req.session.userId,
+        usuario: req.session.usuario,
+        rol: req.session.userRole,
+        sitios_asignados: req.session.sitiosAsignados
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    authenticated: false,
+    user: null
+  });
+});
+
+// ============================================================================================================
+// USER MANAGEMENT ENDPOINTS (Only for Administrador role)
+// ============================================================================================================
+
+// GET /api/sites - Get all available sites from rack data
+app.get('/api/sites', requireAuth, async (req, res) => {
+  try {
+    // First check if we have cache of rack data with sites
+    let sites = [];
+
+    // Try to get sites from the cache first (faster)
+    if (racksCache.data && Array.isArray(racksCache.data)) {
+      const allRacks = racksCache.data.flat();
+      const siteSet = new Set();
+      allRacks.forEach(rack => {
+        if (rack.site && rack.site.trim() !== '') {
+          siteSet.add(rack.site.trim());
+        }
+      });
+      sites = Array.from(siteSet).sort();
+    }
+
+    // If no sites from cache, try database
+    if (sites.length === 0) {
+      try {
+        const result = await executeQuery(async (pool) => {
+          return await pool.request().query(`
+            SELECT DISTINCT site
+            FROM dbo.active_critical_alerts
+            WHERE site IS NOT NULL AND site != ''
+            ORDER BY site
+          `);
+        });
+        sites = result.recordset.map(row => row.site);
+      } catch (dbError) {
+        logger.warn('Could not fetch sites from database', { error: dbError.message });
+      }
+    }
+
+    // If still no sites, provide default fallback or fetch from API
+    if (sites.length === 0) {
+      logger.warn('No sites found in cache or database');
+    }
+
+    res.json({
+      success: true,
+      sites: sites
+    });
+
+  } catch (error) {
+    logger.error('Fetch sites error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener sitios',
+      sites: []
+    });
+  }
+});
+
+// GET /api/users - Get all users
+app.get('/api/users', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT id, usuario, rol, sitios_asignados, activo, fecha_creacion, fecha_modificacion
+        FROM usersAlertado
+        ORDER BY fecha_creacion DESC
+      `);
+    });
+
+    // Parse sitios_asignados JSON
+    const users = result.recordset.map(user => ({
+      ...user,
+      sitios_asignados: user.sitios_asignados ? JSON.parse(user.sitios_asignados) : null
+    }));
+
+    res.json({
+      success: true,
+      users: users
+    });
+
+  } catch (error) {
+    logger.error('Fetch users error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener usuarios'
+    });
+  }
+});
+
+// POST /api/users - Create new user
+app.post('/api/users', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const { usuario, password, rol, sitios_asignados } = req.body;
+
+    // Validation
+    if (!usuario || !password || !rol) {
+      return res.status(400).json({
+        success: false,
+        message: 'Usuario, contraseña y rol son requeridos'
+      });
+    }
+
+    // Validate role
+    const validRoles = ['Administrador', 'Operador', 'Tecnico', 'Observador'];
+    if (!validRoles.includes(rol)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rol inválido'
+      });
+    }
+
+    // No password validation - allow any password
+
+    // Check if user already exists
+    const existingUser = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('usuario', sql.NVarChar, usuario)
+        .query('SELECT id FROM usersAlertado WHERE usuario = @usuario');
+    });
+
+    if (existingUser.recordset.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario ya existe'
+      });
+    }
+
+    // Use plain text password (as requested)
+    const plainPassword = password;
+
+    // Convert sitios_asignados array to JSON string
+    const sitiosJson = sitios_asignados && Array.isArray(sitios_asignados) && sitios_asignados.length > 0
+      ? JSON.stringify(sitios_asignados)
+      : null;
+
+    // Insert user
+    await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('usuario', sql.NVarChar, usuario)
+        .input('password', sql.NVarChar, plainPassword)
+        .input('rol', sql.NVarChar, rol)
+        .input('sitios_asignados', sql.NVarChar, sitiosJson)
+        .input('activo', sql.Bit, true)
+        .input('fecha_creacion', sql.DateTime, new Date())
+        .input('fecha_modificacion', sql.DateTime, new Date())
+        .query(`
+          INSERT INTO usersAlertado (id, usuario, password, rol, sitios_asignados, activo, fecha_creacion, fecha_modificacion)
+          VALUES (NEWID(), @usuario, @password, @rol, @sitios_asignados, @activo, @fecha_creacion, @fecha_modificacion)
+        `);
+    });
+
+    logger.info(`User created: ${usuario} (${rol}) with sites: ${sitiosJson || 'all'} by ${req.session.usuario}`);
+
+    res.json({
+      success: true,
+      message: 'Usuario creado exitosamente'
+    });
+
+  } catch (error) {
+    logger.error('Create user error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear usuario'
+    });
+  }
+});
+
+// PUT /api/users/:id - Update user
+app.put('/api/users/:id', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { usuario, password, rol, activo, sitios_asignados } = req.body;
+
+    // Validation
+    if (!usuario || !rol) {
+      return res.status(400).json({
+        success: false,
+        message: 'Usuario y rol son requeridos'
+      });
+    }
+
+    // Validate role
+    const validRoles = ['Administrador', 'Operador', 'Tecnico', 'Observador'];
+    if (!validRoles.includes(rol)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rol inválido'
+      });
+    }
+
+    // Check if user exists
+    const existingUser = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('id', sql.UniqueIdentifier, id)
+        .query('SELECT id FROM usersAlertado WHERE id = @id');
+    });
+
+    if (existingUser.recordset.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    // Check if new username is already taken by another user
+    const duplicateCheck = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('id', sql.UniqueIdentifier, id)
+        .input('usuario', sql.NVarChar, usuario)
+        .query('SELECT id FROM usersAlertado WHERE usuario = @usuario AND id != @id');
+    });
+
+    if (duplicateCheck.recordset.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El nombre de usuario ya está en uso'
+      });
+    }
+
+    // Convert sitios_asignados array to JSON string
+    const sitiosJson = sitios_asignados && Array.isArray(sitios_asignados) && sitios_asignados.length > 0
+      ? JSON.stringify(sitios_asignados)
+      : null;
+
+    // Build update query
+    let updateQuery = `
+      UPDATE usersAlertado
+      SET usuario = @usuario, rol = @rol, activo = @activo, sitios_asignados = @sitios_asignados, fecha_modificacion = @fecha_modificacion
+    `;
+
+    const request = await executeQuery(async (pool) => {
+      const req = pool.request()
+        .input('id', sql.UniqueIdentifier, id)
+        .input('usuario', sql.NVarChar, usuario)
+        .input('rol', sql.NVarChar, rol)
+        .input('activo', sql.Bit, activo !== undefined ? activo : true)
+        .input('sitios_asignados', sql.NVarChar, sitiosJson)
+        .input('fecha_modificacion', sql.DateTime, new Date());
+
+      // If password is provided, update it
+      if (password && password.trim() !== '') {
+        req.input('password', sql.NVarChar, password);
+        updateQuery += ', password = @password';
+      }
+
+      updateQuery += ' WHERE id = @id';
+
+      return await req.query(updateQuery);
+    });
+
+    logger.info(`User updated: ${usuario} (${rol}) with sites: ${sitiosJson || 'all'} by ${req.session.usuario}`);
+
+    res.json({
+      success: true,
+      message: 'Usuario actualizado exitosamente'
+    });
+
+  } catch (error) {
+    logger.error('Update user error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al actualizar usuario'
+    });
+  }
+});
+
+// DELETE /api/users/:id - Delete user (hard delete)
+app.delete('/api/users/:id', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user exists
+    const existingUser = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('id', sql.UniqueIdentifier, id)
+        .query('SELECT id, usuario FROM usersAlertado WHERE id = @id');
+    });
+
+    if (existingUser.recordset.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    // Prevent deleting yourself
+    if (existingUser.recordset[0].id === req.session.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'No puede eliminar su propio usuario'
+      });
+    }
+
+    // Hard delete: permanently remove user from database
+    await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('id', sql.UniqueIdentifier, id)
+        .query('DELETE FROM usersAlertado WHERE id = @id');
+    });
+
+    logger.info(`User permanently deleted: ${existingUser.recordset[0].usuario} by ${req.session.usuario}`);
+
+    res.json({
+      success: true,
+      message: 'Usuario eliminado exitosamente'
+    });
+
+  } catch (error) {
+    logger.error('Delete user error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar usuario'
+    });
+  }
+});
+
+// ============================================================================================================
+// AUTOMATIC ALERT PROCESSING - Runs independently of frontend
+// ============================================================================================================
+
+const ALERT_PROCESSING_INTERVAL = parseInt(process.env.ALERT_PROCESSING_INTERVAL_MS) || 120000; // Default: 2 minutes
+// In PM2 cluster mode (ecosystem.config.cjs) only the first worker runs the cycle, so debounce cycles are counted once
+const RUNS_ALERT_PROCESSING = !process.env.NODE_APP_INSTANCE || process.env.NODE_APP_INSTANCE === '0';
+let alertProcessingTimer = null;
+let isProcessingAlerts = false;
+
+async function processAlertsAutomatically() {
+  if (isProcessingAlerts) {
+    logger.debug('[AUTO-ALERT] Skipping - previous processing still in progress');
+    return;
+  }
+
+  isProcessingAlerts = true;
+  const startTime = Date.now();
+
+  try {
+    logger.info('[AUTO-ALERT] Starting automatic alert processing...');
+
+    if (!process.env.NENG_API_URL || !process.env.NENG_API_KEY) {
+      logger.warn('[AUTO-ALERT] NENG API not configured, skipping');
+      return;
+    }
+
+    const thresholds = await fetchThresholdsFromDatabase();
+
+    let allPowerData = [];
+    let powerSkip = 0;
+    const pageSize = 100;
+    let hasMorePowerData = true;
+
+    while (hasMorePowerData) {
+      const powerResponse = await fetchFromNengApi(
+        `${process.env.NENG_API_URL}?skip=${powerSkip}&limit=${pageSize}`,
+        {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      if (!powerResponse.success || !powerResponse.data) {
+        logger.warn('[AUTO-ALERT] Invalid response from NENG Power API');
+        break;
+      }
+
+      const pageData = Array.isArray(powerResponse.data) ? powerResponse.data : [];
+
+      if (pageData.length === 0) {
+        hasMorePowerData = false;
+      } else {
+        allPowerData = allPowerData.concat(pageData);
+        powerSkip += pageSize;
+
+        if (pageData.length < pageSize) {
+          hasMorePowerData = false;
+        }
+      }
+    }
+
+    let allSensorsData = [];
+    if (process.env.NENG_SENSORS_API_URL) {
+      let sensorSkip = 0;
+      let hasMoreSensorData = true;
+
+      try {
+        while (hasMoreSensorData) {
+          const sensorsResponse = await fetchFromNengApi(
+            `${process.env.NENG_SENSORS_API_URL}?skip=${sensorSkip}&limit=${pageSize}`,
+            {
+              method: 'GET',
+              headers: {
+                'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
+                'Content-Type': 'application/json'
+              }
+            }
+          );
+
+          if (!sensorsResponse.success || !sensorsResponse.data) {
+            hasMoreSensorData = false;
+            break;
+          }
+
+          const pageData = Array.isArray(sensorsResponse.data) ? sensorsResponse.data : [];
+
+          if (pageData.length === 0) {
+            hasMoreSensorData = false;
+          } else {
+            allSensorsData = allSensorsData.concat(pageData);
+            sensorSkip += pageSize;
+
+            if (pageData.length < pageSize) {
+              hasMoreSensorData = false;
+            }
+          }
+        }
+      } catch (sensorError) {
+        logger.debug('[AUTO-ALERT] Sensors API failed, continuing without sensor data');
+      }
+    }
+
+    const combinedData = allPowerData
+      .filter(powerItem => {
+        const hasValidRackName = powerItem.rackName &&
+                                  String(powerItem.rackName).trim() !== '' &&
+                                  String(powerItem.rackName).trim() !== 'null' &&
+                                  String(powerItem.rackName).trim() !== 'undefined';
+        return hasValidRackName;
+      })
+      .map(powerItem => {
+        const mapped = {
+          id: String(powerItem.id),
+          rackId: String(powerItem.rackId),
+          name: powerItem.rackName || powerItem.name,
+          country: 'España',
+          site: powerItem.site,
+          dc: powerItem.dc,
+          phase: powerItem.phase,
+          chain: String(powerItem.chain || ''),
+          node: String(powerItem.node || ''),
+          serial: powerItem.serial,
+          current: parseFloat(powerItem.totalAmps) || 0,
+          voltage: parseFloat(powerItem.totalVolts) || 0,
+          powerFactor: parsePowerFactor(powerItem.powerFactor),
+          temperature: parseFloat(powerItem.avgVolts) || 0,
+          gwName: powerItem.gwName || 'N/A',
+          gwIp: powerItem.gwIp || 'N/A',
+          lastUpdated: powerItem.lastUpdate || new Date().toISOString()
+        };
+
+        const matchingSensor = allSensorsData.find(sensor =>
+          String(sensor.rackId) === String(powerItem.rackId)
+        );
+
+        if (matchingSensor) {
+          mapped.sensorTemperature = (matchingSensor.temperature === 'N/A' || matchingSensor.temperature === null || matchingSensor.temperature === undefined)
+            ? 'N/A'
+            : (parseFloat(matchingSensor.temperature) || null);
+
+          mapped.sensorHumidity = (matchingSensor.humidity === 'N/A' || matchingSensor.humidity === null || matchingSensor.humidity === undefined)
+            ? 'N/A'
+            : (parseFloat(matchingSensor.humidity) || null);
+        }
+
+        return mapped;
+      });
+
+    if (combinedData.length === 0) {
+      logger.warn('[AUTO-ALERT] No rack data available');
+      return;
+    }
+
+    const maintenanceRackIds = await getMaintenanceRackIds();
+
+    const powerRackIds = new Set(combinedData.map(pdu => pdu.rackId));
+
+    allSensorsData.forEach(sensorData => {
+      const sensorRackId = String(sensorData.rackId);
+
+      if (!powerRackIds.has(sensorRackId)) {
+        const pduFromSensor = {
+          id: sensorData.id || sensorRackId,
+          rackId: sensorRackId,
+          name: sensorData.rackName || sensorRackId,
+          country: 'España',
+          site: sensorData.site || 'Unknown',
+          dc: sensorData.dc || 'Unknown',
+          phase: sensorData.phase || 'Unknown',
+          chain: sensorData.chain || 'Unknown',
+          node: sensorData.node || 'Unknown',
+          serial: sensorData.serial || 'Unknown',
+          current: 0,
+          voltage: 0,
+          temperature: 0,
+          sensorTemperature: (sensorData.temperature === 'N/A' || sensorData.temperature === null || sensorData.temperature === undefined)
+            ? 'N/A'
+            : (parseFloat(sensorData.temperature) || null),
+          sensorHumidity: (sensorData.humidity === 'N/A' || sensorData.humidity === null || sensorData.humidity === undefined)
+            ? 'N/A'
+            : (parseFloat(sensorData.humidity) || null),
+          gwName: sensorData.gwName || 'N/A',
+          gwIp: sensorData.gwIp || 'N/A',
+          lastUpdated: sensorData.lastUpdate || new Date().toISOString()
+        };
+
+        combinedData.push(pduFromSensor);
+        powerRackIds.add(sensorRackId);
+      }
+    });
+
+    const processedData = await processRackData(combinedData, thresholds, { advanceDebounce: true });
+
+    const nonMaintenanceData = processedData.filter(pdu => {
+      const isInMaintenance = maintenanceRackIds.has(pdu.rackId);
+      return !isInMaintenance;
+    });
+
+    await manageActiveCriticalAlerts(nonMaintenanceData, thresholds);
+    await manageActiveWarningAlerts(nonMaintenanceData, thresholds);
+    await processEscalations();
+
+    await savePduTelemetry(processedData);
+
+    const rackGroups = [];
+    const rackMap = new Map();
+
+    processedData.forEach(pdu => {
+      const rackId = pdu.rackId || pdu.id;
+      if (!rackMap.has(rackId)) {
+        rackMap.set(rackId, []);
+      }
+      rackMap.get(rackId).push(pdu);
+    });
+
+    Array.from(rackMap.values()).forEach(rackGroup => {
+      rackGroups.push(rackGroup);
+    });
+
+    const sonarSentRacks = await getRacksWithSonarAlerts();
+    const acknowledgedRacks = await getAcknowledgedRacks();
+    const silencedRacks = await getSilencedRacks(rackGroups);
+    const correlatedRacks = await getCorrelatedRacks();
+
+    racksCache.data = rackGroups;
+    racksCache.sonarSentRacks = Array.from(sonarSentRacks);
+    racksCache.acknowledgedRacks = acknowledgedRacks;
+    racksCache.silencedRacks = silencedRacks;
+    racksCache.correlatedRacks = correlatedRacks;
+    racksCache.flappingRacks = Object.fromEntries(flappingRacks);
+    racksCache.timestamp = Date.now();
+
+    const duration = Date.now() - startTime;
+    logger.info('[AUTO-ALERT] Processing completed', {
+      racksProcessed: processedData.length,
+      maintenanceRacks: maintenanceRackIds.size,
+      nonMaintenanceRacks: nonMaintenanceData.length,
+      sonarEnabled: SONAR_CONFIG.enabled,
+      durationMs: duration
+    });
+
+  } catch (error) {
+    logger.error('[AUTO-ALERT] Error during automatic processing', { error: error.message });
+  } finally {
+    isProcessingAlerts = false;
+  }
+}
+
+function startAutomaticAlertProcessing() {
+  if (!RUNS_ALERT_PROCESSING) {
+    logger.info('[AUTO-ALERT] Automatic alert processing runs in PM2 instance 0', { instance: process.env.NODE_APP_INSTANCE });
+    return;
+  }
+
+  if (alertProcessingTimer) {
+    clearInterval(alertProcessingTimer);
+  }
+
+  logger.info('[AUTO-ALERT] Starting automatic alert processing service', {
+    intervalMs: ALERT_PROCESSING_INTERVAL,
+    intervalMinutes: (ALERT_PROCESSING_INTERVAL / 60000).toFixed(1)
+  });
+
+  setTimeout(async () => {
+    await processAlertsAutomatically();
+  }, 5000);
+
+  alertProcessingTimer = setInterval(async () => {
+    await processAlertsAutomatically();
+  }, ALERT_PROCESSING_INTERVAL);
+}
+
+function stopAutomaticAlertProcessing() {
+  if (alertProcessingTimer) {
+    clearInterval(alertProcessingTimer);
+    alertProcessingTimer = null;
+    logger.info('[AUTO-ALERT] Automatic alert processing stopped');
+  }
+}
+
+// ============================================================================================================
+// PROTECTED API ENDPOINTS - Apply authentication to existing endpoints
+// ============================================================================================================
+
+// Endpoint para obtener datos de racks de energía
+app.get('/api/racks/energy', requireAuth, async (req, res) => {
+  const requestId = Math.random().toString(36).substr(2, 9);
+
+  try {
+    // Check if client wants to bypass cache (from refresh button)
+    const bypassCache = req.headers['cache-control'] === 'no-cache' || req.headers['pragma'] === 'no-cache';
+
+    // Check cache first (unless explicitly bypassed)
+    if (!bypassCache && isCacheValid(racksCache)) {
+      return res.json({
+        success: true,
+        data: racksCache.data,
+        sonarErrors: getAllSonarErrors(),
+        sonarSentRacks: racksCache.sonarSentRacks || [],
+        acknowledgedRacks: racksCache.acknowledgedRacks || {},
+        silencedRacks: racksCache.silencedRacks || {},
+        correlatedRacks: racksCache.correlatedRacks || {},
+        flappingRacks: racksCache.flappingRacks || {},
+        message: 'Rack data retrieved successfully (cached)',
+        count: racksCache.data ? racksCache.data.flat().length : 0,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Get thresholds first
+    const thresholds = await fetchThresholdsFromDatabase();
+    
+    // Validate NENG API configuration
+    if (!process.env.NENG_API_URL || !process.env.NENG_API_KEY) {
+      throw new Error('NENG API configuration missing. Please check NENG_API_URL and NENG_API_KEY environment variables.');
+    }
+
+    // Fetch ALL power data with pagination (skip by 100)
+    let allPowerData = [];
+    let powerSkip = 0;
+    const pageSize = 100;
+    let hasMorePowerData = true;
+
+    while (hasMorePowerData) {
+
+      const powerResponse = await fetchFromNengApi(
+        `${process.env.NENG_API_URL}?skip=${powerSkip}&limit=${pageSize}`,
+        {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      if (!powerResponse.success || !powerResponse.data) {
+        throw new Error('Invalid response from NENG Power API');
+      }
+
+      const pageData = Array.isArray(powerResponse.data) ? powerResponse.data : [];
+
+      if (pageData.length === 0) {
+        hasMorePowerData = false;
+      } else {
+        allPowerData = allPowerData.concat(pageData);
+        powerSkip += pageSize;
+
+        if (pageData.length < pageSize) {
+          hasMorePowerData = false;
+        }
+      }
+    }
+
+    // Power data collected
+
+    // Fetch ALL sensor data if sensors URL is configured
+    let allSensorsData = [];
+    if (process.env.NENG_SENSORS_API_URL) {
+      let sensorSkip = 0;
+      let hasMoreSensorData = true;
+
+      try {
+        while (hasMoreSensorData) {
+
+          const sensorsResponse = await fetchFromNengApi(
+            `${process.env.NENG_SENSORS_API_URL}?skip=${sensorSkip}&limit=${pageSize}`,
+            {
+              method: 'GET',
+              headers: {
+                'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
+                'Content-Type': 'application/json'
+              }
+            }
+          );
+
+          if (!sensorsResponse.success || !sensorsResponse.data) {
+            logger.debug('Sensor page failed, stopping pagination');
+            hasMoreSensorData = false;
+            break;
+          }
+
+          const pageData = Array.isArray(sensorsResponse.data) ? sensorsResponse.data : [];
+
+          if (pageData.length === 0) {
+            hasMoreSensorData = false;
+          } else {
+            allSensorsData = allSensorsData.concat(pageData);
+            sensorSkip += pageSize;
+
+            // Stop if we got less than pageSize (last page)
+            if (pageData.length < pageSize) {
+              hasMoreSensorData = false;
+            }
+          }
+        }
+      } catch (sensorError) {
+        logger.debug('Sensors API failed, continuing without sensor data', { error: sensorError.message });
+      }
+    } else {
+      logger.debug('NENG_SENSORS_API_URL not configured', { requestId });
+    }
+
+    // Map and combine power and sensor data, filtering out items without valid rackName
+    const itemsWithoutRackName = [];
+
+    const combinedData = allPowerData
+      .filter(powerItem => {
+        // Filter out PDUs/Racks without valid rackName
+        const hasValidRackName = powerItem.rackName &&
+                                  String(powerItem.rackName).trim() !== '' &&
+                                  String(powerItem.rackName).trim() !== 'null' &&
+                                  String(powerItem.rackName).trim() !== 'undefined';
+
+        if (!hasValidRackName) {
+          itemsWithoutRackName.push(powerItem);
+        }
+
+        return hasValidRackName;
+      })
+      .map(powerItem => {
+        // Map power fields to expected format
+        const mapped = {
           id: String(powerItem.id),
           rackId: String(powerItem.rackId),
           name: powerItem.rackName || powerItem.name,
@@ -2747,2270 +5354,5081 @@ app.get('/api/racks/energy', requireAuth, async (req, res) => {
           serial: powerItem.serial,
           current: parseFloat(powerItem.totalAmps) || 0,
           voltage: parseFloat(powerItem.totalVolts) || 0,
+          powerFactor: parsePowerFactor(powerItem.powerFactor),
           temperature: parseFloat(powerItem.avgVolts) || 0,
           gwName: powerItem.gwName || 'N/A',
           gwIp: powerItem.gwIp || 'N/A',
           lastUpdated: powerItem.lastUpdate || new Date().toISOString()
         };
 
-        // Find matching sensor data by rackId
-        const matchingSensor = allSensorsData.find(sensor =>
-          String(sensor.rackId) === String(powerItem.rackId)
-        );
+        // Find matching sensor data by rackId
+        const matchingSensor = allSensorsData.find(sensor =>
+          String(sensor.rackId) === String(powerItem.rackId)
+        );
+
+        if (matchingSensor) {
+          // Check for N/A before parsing temperature
+          mapped.sensorTemperature = (matchingSensor.temperature === 'N/A' || matchingSensor.temperature === null || matchingSensor.temperature === undefined)
+            ? 'N/A'
+            : (parseFloat(matchingSensor.temperature) || null);
+
+          // Check for N/A before parsing humidity
+          mapped.sensorHumidity = (matchingSensor.humidity === 'N/A' || matchingSensor.humidity === null || matchingSensor.humidity === undefined)
+            ? 'N/A'
+            : (parseFloat(matchingSensor.humidity) || null);
+        }
+
+        return mapped;
+      });
+
+    if (combinedData.length === 0) {
+      logger.warn('No data received from API', { requestId });
+      return res.json({
+        success: true,
+        data: [],
+        message: 'No rack data available from NENG API',
+        count: 0,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Data collected and combined
+
+    // Get maintenance rack IDs BEFORE processing
+    const maintenanceRackIds = await getMaintenanceRackIds();
+
+    // ADD RACKS FROM SENSORS THAT ARE NOT IN POWER DATA
+    // This ensures all racks (especially in maintenance) are visible and evaluated
+    const powerRackIds = new Set(combinedData.map(pdu => pdu.rackId));
+    const addedFromSensorsBeforeProcessing = [];
+
+    // Check all sensors for racks not in power data
+    allSensorsData.forEach(sensorData => {
+      const sensorRackId = String(sensorData.rackId);
+
+      // Only add if not already in power data
+      if (!powerRackIds.has(sensorRackId)) {
+        // Create a PDU entry from sensor data
+        const pduFromSensor = {
+          id: sensorData.id || sensorRackId,
+          rackId: sensorRackId,
+          name: sensorData.rackName || sensorRackId,
+          country: 'España',
+          site: sensorData.site || 'Unknown',
+          dc: sensorData.dc || 'Unknown',
+          phase: sensorData.phase || 'Unknown',
+          chain: sensorData.chain || 'Unknown',
+          node: sensorData.node || 'Unknown',
+          serial: sensorData.serial || 'Unknown',
+          current: 0,
+          voltage: 0,
+          temperature: 0,
+          sensorTemperature: (sensorData.temperature === 'N/A' || sensorData.temperature === null || sensorData.temperature === undefined)
+            ? 'N/A'
+            : (parseFloat(sensorData.temperature) || null),
+          sensorHumidity: (sensorData.humidity === 'N/A' || sensorData.humidity === null || sensorData.humidity === undefined)
+            ? 'N/A'
+            : (parseFloat(sensorData.humidity) || null),
+          gwName: sensorData.gwName || 'N/A',
+          gwIp: sensorData.gwIp || 'N/A',
+          lastUpdated: sensorData.lastUpdate || new Date().toISOString()
+        };
+
+        combinedData.push(pduFromSensor);
+        powerRackIds.add(sensorRackId);
+        addedFromSensorsBeforeProcessing.push(sensorRackId);
+      }
+    });
+
+    // Process data with thresholds evaluation (includes sensor-only racks now)
+    const processedData = await processRackData(combinedData, thresholds);
+
+    // DO NOT filter out maintenance racks - send them to frontend for visual indication
+    const filteredData = processedData;
+
+    // Alert bookkeeping and telemetry are written only by the worker that runs the alert cycle;
+    // the other PM2 workers just serve the evaluated data
+    if (RUNS_ALERT_PROCESSING) {
+      // Manage active critical alerts in database (excluding maintenance racks from alerts)
+      const nonMaintenanceData = processedData.filter(pdu => {
+        const isInMaintenance = maintenanceRackIds.has(pdu.rackId);
+        return !isInMaintenance;
+      });
+      await manageActiveCriticalAlerts(nonMaintenanceData, thresholds);
+      await manageActiveWarningAlerts(nonMaintenanceData, thresholds);
+
+      // Persist readings as telemetry (maintenance racks included, readings are still real)
+      await savePduTelemetry(processedData);
+    }
+
+    // Agrupar por rackId para formar grupos
+    const rackGroups = [];
+    const rackMap = new Map();
+
+    filteredData.forEach(pdu => {
+      const rackId = pdu.rackId || pdu.id;
+
+      if (!rackMap.has(rackId)) {
+        rackMap.set(rackId, []);
+      }
+
+      rackMap.get(rackId).push(pdu);
+    });
+
+    // Convertir el Map en arrays
+    Array.from(rackMap.values()).forEach(rackGroup => {
+      rackGroups.push(rackGroup);
+    });
+
+    // Grouped into rack groups
+
+    // Get racks with alerts sent to SONAR
+    const sonarSentRacks = await getRacksWithSonarAlerts();
+    const acknowledgedRacks = await getAcknowledgedRacks();
+    const silencedRacks = await getSilencedRacks(rackGroups);
+    const correlatedRacks = await getCorrelatedRacks();
+
+    // Update cache
+    racksCache.data = rackGroups;
+    racksCache.sonarSentRacks = Array.from(sonarSentRacks);
+    racksCache.acknowledgedRacks = acknowledgedRacks;
+    racksCache.silencedRacks = silencedRacks;
+    racksCache.correlatedRacks = correlatedRacks;
+    racksCache.flappingRacks = Object.fromEntries(flappingRacks);
+    racksCache.timestamp = Date.now();
+
+    const response = {
+      success: true,
+      data: rackGroups,
+      sonarErrors: getAllSonarErrors(),
+      sonarSentRacks: Array.from(sonarSentRacks),
+      acknowledgedRacks,
+      silencedRacks,
+      correlatedRacks,
+      flappingRacks: racksCache.flappingRacks,
+      message: 'Rack data retrieved successfully',
+      count: processedData.length,
+      timestamp: new Date().toISOString()
+    };
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Energy racks fetch failed', { error: error.message, requestId });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch energy racks data',
+      error: error.message,
+      requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para obtener umbrales globales (requires auth)
+app.get('/api/thresholds', requireAuth, async (req, res) => {
+  try {
+    const thresholds = await fetchThresholdsFromDatabase();
+    
+    res.json({
+      success: true,
+      data: thresholds,
+      message: 'Thresholds retrieved successfully',
+      count: thresholds.length,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Thresholds fetch failed', { error: error.message });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch thresholds',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para actualizar umbrales globales (only Administrador and Operador)
+app.put('/api/thresholds', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+
+    const { thresholds } = req.body;
+    
+    if (!thresholds || typeof thresholds !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thresholds data',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Filter out invalid keys
+    const filteredThresholds = {};
+    Object.entries(thresholds).forEach(([key, value]) => {
+      if (VALID_THRESHOLD_KEYS.includes(key)) {
+        filteredThresholds[key] = value;
+      }
+    });
+    
+    if (Object.keys(filteredThresholds).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid threshold keys provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const invalidKeys = getInvalidThresholdValueKeys(filteredThresholds);
+    if (invalidKeys.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid threshold values: ${invalidKeys.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { count: updatedCount, changeSetId } = await applyThresholdChanges({ scopeType: 'global' }, filteredThresholds, {
+      changedBy: req.session.usuario,
+      comment: getThresholdChangeComment(req.body.comment)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Thresholds updated successfully',
+      count: updatedCount,
+      changeSetId,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Thresholds update failed', { error: error.message });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update thresholds',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para obtener umbrales específicos de un rack (requires auth)
+app.get('/api/racks/:rackId/thresholds', requireAuth, async (req, res) => {
+  try {
+    const { rackId } = req.params;
+
+    const results = await executeQuery(async (pool) => {
+      // Get global thresholds
+      const globalResult = await pool.request().query(`
+        SELECT threshold_key as [key], value, unit, description, created_at as createdAt, updated_at as updatedAt
+        FROM dbo.threshold_configs
+        ORDER BY threshold_key
+      `);
+
+      // Get rack-specific thresholds
+      const rackResult = await pool.request()
+        .input('rackId', sql.NVarChar, rackId)
+        .query(`
+          SELECT threshold_key as [key], value, unit, description, created_at as createdAt, updated_at as updatedAt
+          FROM dbo.rack_threshold_overrides
+          WHERE rack_id = @rackId
+          ORDER BY threshold_key
+        `);
+
+      return {
+        global: globalResult.recordset || [],
+        rackSpecific: rackResult.recordset || []
+      };
+    });
+
+    // Values the rack inherits from global/site/DC/chain before its own overrides
+    const location = findRackLocation(rackId);
+    const scopeThresholdsMap = await loadScopeThresholdOverrides();
+    results.inherited = resolveEffectiveThresholds(results.global, scopeThresholdsMap, null, location);
+    results.location = location;
+
+    res.json({
+      success: true,
+      data: results,
+      message: `Thresholds retrieved successfully for rack ${rackId}`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Rack thresholds fetch failed', { error: error.message, rackId: req.params.rackId });
+    
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch thresholds for rack ${req.params.rackId}`,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para actualizar umbrales específicos de un rack (only Administrador and Operador)
+app.put('/api/racks/:rackId/thresholds', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const { rackId } = req.params;
+    const { thresholds } = req.body;
+
+    if (!thresholds || typeof thresholds !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thresholds data',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Filter out invalid keys
+    const filteredThresholds = {};
+    Object.entries(thresholds).forEach(([key, value]) => {
+      if (VALID_THRESHOLD_KEYS.includes(key)) {
+        filteredThresholds[key] = value;
+      }
+    });
+
+    if (Object.keys(filteredThresholds).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid threshold keys provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const invalidKeys = getInvalidThresholdValueKeys(filteredThresholds);
+    if (invalidKeys.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid threshold values: ${invalidKeys.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { count: updatedCount, changeSetId } = await applyThresholdChanges({ scopeType: 'rack', rackId }, filteredThresholds, {
+      changedBy: req.session.usuario,
+      comment: getThresholdChangeComment(req.body.comment)
+    });
+    
+    res.json({
+      success: true,
+      message: `Rack-specific thresholds updated successfully for ${rackId}`,
+      count: updatedCount,
+      changeSetId,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Rack thresholds update failed', { error: error.message, rackId: req.params.rackId });
+    
+    res.status(500).json({
+      success: false,
+      message: `Failed to update thresholds for rack ${req.params.rackId}`,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para resetear umbrales específicos de un rack (only Administrador and Operador)
+app.delete('/api/racks/:rackId/thresholds', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const { rackId } = req.params;
+
+    const scope = { scopeType: 'rack', rackId };
+    const currentValues = await executeQuery(async (pool) => readThresholdScopeValues(pool, scope));
+    const removedValues = Object.fromEntries(Object.keys(currentValues).map(key => [key, null]));
+
+    const { count: deletedCount, changeSetId } = await applyThresholdChanges(scope, removedValues, {
+      changedBy: req.session.usuario,
+      comment: getThresholdChangeComment(req.query.comment),
+      action: 'reset'
+    });
+    
+    res.json({
+      success: true,
+      message: `Rack-specific thresholds reset to global values for ${rackId}`,
+      count: deletedCount,
+      changeSetId,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Rack thresholds reset failed', { error: error.message, rackId: req.params.rackId });
+    
+    res.status(500).json({
+      success: false,
+      message: `Failed to reset thresholds for rack ${req.params.rackId}`,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para obtener la capacidad nominal de un rack y de cada uno de sus PDUs (requires auth)
+app.get('/api/racks/:rackId/capacity', requireAuth, async (req, res) => {
+  try {
+    const { rackId } = req.params;
+
+    const result = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('rackId', sql.NVarChar, rackId)
+        .query(`
+          SELECT pdu_id, rated_amps, updated_by, updated_at
+          FROM dbo.pdu_rated_capacity
+          WHERE rack_id = @rackId
+        `);
+    });
+
+    const rackRow = result.recordset.find(row => !row.pdu_id);
+    const pduRatings = new Map(result.recordset.filter(row => row.pdu_id).map(row => [String(row.pdu_id), parseFloat(row.rated_amps)]));
+
+    // PDUs of the rack from the last processed cycle, so ratings can be set per PDU
+    const rackPdus = (racksCache.data || []).flat().filter(pdu => String(pdu.rackId || pdu.id) === String(rackId));
+
+    res.json({
+      success: true,
+      data: {
+        rackId,
+        ratedAmps: rackRow ? parseFloat(rackRow.rated_amps) : null,
+        updatedBy: rackRow ? rackRow.updated_by : null,
+        updatedAt: rackRow ? rackRow.updated_at : null,
+        pdus: rackPdus.map(pdu => ({
+          pduId: String(pdu.id),
+          name: pdu.name,
+          phase: pdu.phase,
+          current: toTelemetryValue(pdu.current),
+          ratedAmps: pduRatings.has(String(pdu.id)) ? pduRatings.get(String(pdu.id)) : null
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Rack capacity fetch failed', { error: error.message, rackId: req.params.rackId });
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch rated capacity for rack ${req.params.rackId}`,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para guardar la capacidad nominal de un rack y/o de sus PDUs (only Administrador and Operador)
+// Body: { ratedAmps: number|null, pdus: { [pduId]: number|null } } - null elimina el valor
+app.put('/api/racks/:rackId/capacity', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const { rackId } = req.params;
+    const { ratedAmps, pdus = {} } = req.body;
+
+    const entries = [];
+    if (ratedAmps !== undefined) {
+      entries.push({ pduId: null, value: ratedAmps });
+    }
+    if (pdus && typeof pdus === 'object') {
+      Object.entries(pdus).forEach(([pduId, value]) => entries.push({ pduId: String(pduId), value }));
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No rated capacity provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const invalid = entries.find(({ value }) => value !== null && (isNaN(parseFloat(value)) || parseFloat(value) <= 0));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid rated capacity${invalid.pduId ? ` for PDU ${invalid.pduId}` : ''}: must be a positive number of amps`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await executeQuery(async (pool) => {
+      for (const { pduId, value } of entries) {
+        const request = pool.request()
+          .input('rackId', sql.NVarChar, rackId)
+          .input('pduId', sql.NVarChar, pduId);
+        const pduCondition = pduId === null ? 'pdu_id IS NULL' : 'pdu_id = @pduId';
+
+        if (value === null) {
+          await request.query(`DELETE FROM dbo.pdu_rated_capacity WHERE rack_id = @rackId AND ${pduCondition}`);
+        } else {
+          await request
+            .input('ratedAmps', sql.Decimal(10, 2), parseFloat(value))
+            .input('updatedBy', sql.NVarChar, req.session.usuario)
+            .query(`
+              IF EXISTS (SELECT 1 FROM dbo.pdu_rated_capacity WHERE rack_id = @rackId AND ${pduCondition})
+                UPDATE dbo.pdu_rated_capacity
+                SET rated_amps = @ratedAmps, updated_by = @updatedBy, updated_at = GETDATE()
+                WHERE rack_id = @rackId AND ${pduCondition}
+              ELSE
+                INSERT INTO dbo.pdu_rated_capacity (rack_id, pdu_id, rated_amps, updated_by)
+                VALUES (@rackId, @pduId, @ratedAmps, @updatedBy)
+            `);
+        }
+      }
+    });
+
+    logger.info(`Rated capacity updated for rack ${rackId} by ${req.session.usuario}`, { entries: entries.length });
+
+    res.json({
+      success: true,
+      message: `Rated capacity updated successfully for ${rackId}`,
+      count: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Rack capacity update failed', { error: error.message, rackId: req.params.rackId });
+    res.status(500).json({
+      success: false,
+      message: `Failed to update rated capacity for rack ${req.params.rackId}`,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para obtener los umbrales por ámbito (sitio, DC o chain) (requires auth)
+// Query params opcionales: scopeType, site, dc, chain
+app.get('/api/thresholds/scopes', requireAuth, async (req, res) => {
+  try {
+    const { scopeType } = req.query;
+    const site = normalizeScopeValue(req.query.site);
+    const dc = normalizeScopeValue(req.query.dc);
+    const chain = normalizeScopeValue(req.query.chain);
+
+    if (scopeType && !THRESHOLD_SCOPE_TYPES.includes(scopeType)) {
+      return res.status(400).json({
+        success: false,
+        message: `scopeType must be one of: ${THRESHOLD_SCOPE_TYPES.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await executeQuery(async (pool) => {
+      const request = pool.request();
+      const conditions = [];
+
+      if (scopeType) {
+        request.input('scopeType', sql.NVarChar, scopeType);
+        conditions.push('scope_type = @scopeType');
+      }
+      if (site) {
+        request.input('site', sql.NVarChar, site);
+        conditions.push('site = @site');
+      }
+      if (dc) {
+        request.input('dc', sql.NVarChar, dc);
+        conditions.push('dc = @dc');
+      }
+      if (chain) {
+        request.input('chain', sql.NVarChar, chain);
+        conditions.push('chain = @chain');
+      }
+
+      return await request.query(`
+        SELECT id, scope_type as scopeType, site, dc, chain, threshold_key as [key], value, unit,
+               created_at as createdAt, updated_at as updatedAt
+        FROM dbo.threshold_scope_overrides
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY site, dc, chain, threshold_key
+      `);
+    });
+
+    res.json({
+      success: true,
+      data: result.recordset || [],
+      message: 'Scope thresholds retrieved successfully',
+      count: result.recordset.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Scope thresholds fetch failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scope thresholds',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para obtener los umbrales efectivos de una ubicación, indicando el ámbito de origen de cada valor (requires auth)
+// Query params: site, dc, chain, rackId (todos opcionales; con rackId se incluyen sus umbrales específicos)
+app.get('/api/thresholds/effective', requireAuth, async (req, res) => {
+  try {
+    const { rackId } = req.query;
+    const rackLocation = rackId ? findRackLocation(rackId) : {};
+    const location = {
+      site: req.query.site || rackLocation.site,
+      dc: req.query.dc || rackLocation.dc,
+      chain: req.query.chain || rackLocation.chain
+    };
+
+    const thresholds = await fetchThresholdsFromDatabase();
+    const scopeThresholdsMap = await loadScopeThresholdOverrides();
+    const rackThresholdsMap = rackId ? await loadAllRackSpecificThresholds([rackId]) : new Map();
+
+    const effectiveThresholds = resolveEffectiveThresholds(
+      thresholds,
+      scopeThresholdsMap,
+      rackThresholdsMap.get(rackId) || null,
+      location
+    );
+
+    res.json({
+      success: true,
+      data: {
+        location: {
+          site: normalizeScopeValue(location.site),
+          dc: normalizeScopeValue(location.dc),
+          chain: normalizeScopeValue(location.chain),
+          rackId: rackId || null
+        },
+        thresholds: effectiveThresholds
+      },
+      message: 'Effective thresholds retrieved successfully',
+      count: effectiveThresholds.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Effective thresholds fetch failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch effective thresholds',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para actualizar umbrales de un sitio, DC o chain (only Administrador and Operador)
+app.put('/api/thresholds/scopes', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const { thresholds } = req.body;
+    const scope = parseThresholdScope(req.body);
+
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        message: scope.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!thresholds || typeof thresholds !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thresholds data',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Filter out invalid keys
+    const filteredThresholds = {};
+    Object.entries(thresholds).forEach(([key, value]) => {
+      if (VALID_THRESHOLD_KEYS.includes(key)) {
+        filteredThresholds[key] = value;
+      }
+    });
+
+    if (Object.keys(filteredThresholds).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid threshold keys provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const invalidKeys = getInvalidThresholdValueKeys(filteredThresholds);
+    if (invalidKeys.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid threshold values: ${invalidKeys.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { count: updatedCount, changeSetId } = await applyThresholdChanges(scope, filteredThresholds, {
+      changedBy: req.session.usuario,
+      comment: getThresholdChangeComment(req.body.comment)
+    });
+
+    res.json({
+      success: true,
+      message: `Thresholds updated successfully for ${scope.scopeType} ${[scope.site, scope.dc, scope.chain].filter(Boolean).join(' / ')}`,
+      count: updatedCount,
+      changeSetId,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Scope thresholds update failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update scope thresholds',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para eliminar los umbrales de un sitio, DC o chain, volviendo a heredar del ámbito superior (only Administrador and Operador)
+// Query params: scopeType, site, dc, chain y opcionalmente key para eliminar un único umbral
+app.delete('/api/thresholds/scopes', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const scope = parseThresholdScope(req.query);
+    const { key } = req.query;
+
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        message: scope.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const currentValues = await executeQuery(async (pool) => readThresholdScopeValues(pool, scope));
+    const removedValues = Object.fromEntries(
+      Object.keys(currentValues).filter(k => !key || k === key).map(k => [k, null])
+    );
+
+    const { count: deletedCount, changeSetId } = await applyThresholdChanges(scope, removedValues, {
+      changedBy: req.session.usuario,
+      comment: getThresholdChangeComment(req.query.comment),
+      action: 'reset'
+    });
+
+    res.json({
+      success: true,
+      message: `Scope thresholds reset for ${scope.scopeType} ${[scope.site, scope.dc, scope.chain].filter(Boolean).join(' / ')}`,
+      count: deletedCount,
+      changeSetId,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Scope thresholds reset failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset scope thresholds',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Status of each rack (worst status of its PDUs) with the union of its reasons
+const RACK_STATUS_SEVERITY = { normal: 0, warning: 1, critical: 2 };
+
+function summarizeRackStatuses(processedPdus) {
+  const racks = new Map();
+  processedPdus.forEach(pdu => {
+    const rackId = String(pdu.rackId || pdu.id);
+    if (!racks.has(rackId)) {
+      racks.set(rackId, {
+        rackId,
+        name: pdu.name,
+        site: pdu.site || 'Unknown',
+        dc: pdu.dc,
+        chain: pdu.chain,
+        status: 'normal',
+        reasons: new Set()
+      });
+    }
+    const rack = racks.get(rackId);
+    if ((RACK_STATUS_SEVERITY[pdu.status] || 0) > RACK_STATUS_SEVERITY[rack.status]) {
+      rack.status = pdu.status;
+    }
+    (pdu.reasons || []).forEach(reason => rack.reasons.add(reason));
+  });
+  return racks;
+}
+
+// Endpoint para simular el impacto de un cambio de umbrales sin guardarlo (only Administrador and Operador)
+// Evalúa los racks del último ciclo (racksCache) con los valores actuales y con los propuestos, sin debounce
+// Body: { scopeType (global|site|dc|chain|rack, por defecto global), site, dc, chain, rackId, thresholds }
+// En thresholds un valor null simula eliminar el valor propio del ámbito (volver a heredar)
+app.post('/api/thresholds/simulate', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const { thresholds: proposedValues } = req.body;
+    const scopeType = req.body.scopeType || 'global';
+
+    let scope;
+    if (scopeType === 'global') {
+      scope = { scopeType };
+    } else if (scopeType === 'rack') {
+      const rackId = normalizeScopeValue(req.body.rackId);
+      scope = rackId ? { scopeType, rackId } : { error: 'rackId is required for rack scope' };
+    } else {
+      scope = parseThresholdScope(req.body);
+    }
+
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        message: scope.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!proposedValues || typeof proposedValues !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thresholds data',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Filter out invalid keys and values
+    const filteredValues = {};
+    Object.entries(proposedValues).forEach(([key, value]) => {
+      if (!VALID_THRESHOLD_KEYS.includes(key)) return;
+      if (value === null) {
+        filteredValues[key] = null;
+      } else if (!isNaN(parseFloat(value))) {
+        filteredValues[key] = parseFloat(value);
+      }
+    });
+
+    if (Object.keys(filteredValues).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid threshold keys provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!racksCache.data || !Array.isArray(racksCache.data) || racksCache.data.length === 0) {
+      return res.status(503).json({
+        success: false,
+        message: 'No rack data available yet to simulate against',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const pdus = racksCache.data.flat();
+    const thresholds = await fetchThresholdsFromDatabase();
+
+    const currentRacks = summarizeRackStatuses(await processRackData(pdus, thresholds, { dryRun: true }));
+    const proposedRacks = summarizeRackStatuses(await processRackData(pdus, thresholds, {
+      dryRun: true,
+      proposedThresholds: { scope, values: filteredValues }
+    }));
+
+    const emptyCounts = () => ({ normal: 0, warning: 0, critical: 0 });
+    const totals = { current: emptyCounts(), proposed: emptyCounts() };
+    const sitesMap = new Map();
+    const newlyAlerting = [];
+    const clearing = [];
+    const reasonChanges = [];
+
+    currentRacks.forEach((currentRack, rackId) => {
+      const proposedRack = proposedRacks.get(rackId) || currentRack;
+
+      if (!sitesMap.has(currentRack.site)) {
+        sitesMap.set(currentRack.site, { site: currentRack.site, current: emptyCounts(), proposed: emptyCounts() });
+      }
+      const siteCounts = sitesMap.get(currentRack.site);
+      siteCounts.current[currentRack.status]++;
+      siteCounts.proposed[proposedRack.status]++;
+      totals.current[currentRack.status]++;
+      totals.proposed[proposedRack.status]++;
+
+      const rackChange = {
+        rackId,
+        name: currentRack.name,
+        site: currentRack.site,
+        dc: currentRack.dc,
+        chain: currentRack.chain,
+        currentStatus: currentRack.status,
+        proposedStatus: proposedRack.status,
+        addedReasons: [...proposedRack.reasons].filter(r => !currentRack.reasons.has(r)),
+        removedReasons: [...currentRack.reasons].filter(r => !proposedRack.reasons.has(r))
+      };
+      const severityDelta = RACK_STATUS_SEVERITY[proposedRack.status] - RACK_STATUS_SEVERITY[currentRack.status];
+
+      // A rack changes when its severity or its set of reasons changes (same severity, different alerts)
+      if (severityDelta > 0) {
+        newlyAlerting.push(rackChange);
+      } else if (severityDelta < 0) {
+        clearing.push(rackChange);
+      } else if (rackChange.addedReasons.length > 0 || rackChange.removedReasons.length > 0) {
+        reasonChanges.push(rackChange);
+      }
+    });
+
+    const bySite = Array.from(sitesMap.values()).sort((a, b) => a.site.localeCompare(b.site));
+
+    res.json({
+      success: true,
+      data: {
+        scope,
+        totalRacks: currentRacks.size,
+        totals,
+        bySite,
+        newlyAlerting,
+        clearing,
+        reasonChanges
+      },
+      message: `Simulation completed: ${newlyAlerting.length} racks would raise alerts, ${clearing.length} would clear, ${reasonChanges.length} would change reasons`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Threshold simulation failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to simulate threshold changes',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para obtener el historial de cambios de umbrales agrupado por guardado (requires auth)
+// Query params opcionales: scopeType (global|site|dc|chain|rack), site, dc, chain, rackId, key, limit (máx. 200 guardados)
+app.get('/api/thresholds/history', requireAuth, async (req, res) => {
+  try {
+    const { scopeType, key } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (scopeType && !['global', ...THRESHOLD_SCOPE_TYPES, 'rack'].includes(scopeType)) {
+      return res.status(400).json({
+        success: false,
+        message: `scopeType must be one of: global, ${THRESHOLD_SCOPE_TYPES.join(', ')}, rack`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('limit', sql.Int, limit)
+        .input('scopeType', sql.NVarChar, scopeType || null)
+        .input('site', sql.NVarChar, normalizeScopeValue(req.query.site))
+        .input('dc', sql.NVarChar, normalizeScopeValue(req.query.dc))
+        .input('chain', sql.NVarChar, normalizeScopeValue(req.query.chain))
+        .input('rackId', sql.NVarChar, normalizeScopeValue(req.query.rackId))
+        .input('key', sql.NVarChar, key || null)
+        .query(`
+          SELECT h.change_set_id, h.scope_type, h.site, h.dc, h.chain, h.rack_id, h.threshold_key,
+                 h.old_value, h.new_value, h.action, h.rollback_of, h.changed_by, h.comment, h.changed_at,
+                 (SELECT TOP 1 r.change_set_id FROM dbo.threshold_change_history r
+                  WHERE r.rollback_of = h.change_set_id) as rolled_back_by
+          FROM dbo.threshold_change_history h
+          WHERE h.change_set_id IN (
+            SELECT TOP (@limit) change_set_id
+            FROM dbo.threshold_change_history
+            WHERE (@scopeType IS NULL OR scope_type = @scopeType)
+              AND (@site IS NULL OR site = @site)
+              AND (@dc IS NULL OR dc = @dc)
+              AND (@chain IS NULL OR chain = @chain)
+              AND (@rackId IS NULL OR rack_id = @rackId)
+              AND (@key IS NULL OR threshold_key = @key)
+            GROUP BY change_set_id
+            ORDER BY MAX(changed_at) DESC
+          )
+          ORDER BY h.changed_at DESC, h.threshold_key
+        `);
+    });
+
+    // One entry per saved change set, newest first
+    const changeSets = [];
+    const changeSetsById = new Map();
+    result.recordset.forEach(row => {
+      const changeSetId = String(row.change_set_id).toLowerCase();
+      if (!changeSetsById.has(changeSetId)) {
+        const changeSet = {
+          changeSetId,
+          scopeType: row.scope_type,
+          site: row.site,
+          dc: row.dc,
+          chain: row.chain,
+          rackId: row.rack_id,
+          action: row.action,
+          rollbackOf: row.rollback_of ? String(row.rollback_of).toLowerCase() : null,
+          rolledBackBy: row.rolled_back_by ? String(row.rolled_back_by).toLowerCase() : null,
+          changedBy: row.changed_by,
+          comment: row.comment,
+          changedAt: row.changed_at,
+          changes: []
+        };
+        changeSetsById.set(changeSetId, changeSet);
+        changeSets.push(changeSet);
+      }
+      changeSetsById.get(changeSetId).changes.push({
+        key: row.threshold_key,
+        oldValue: row.old_value !== null ? parseFloat(row.old_value) : null,
+        newValue: row.new_value !== null ? parseFloat(row.new_value) : null
+      });
+    });
+
+    res.json({
+      success: true,
+      data: changeSets,
+      message: 'Threshold history retrieved successfully',
+      count: changeSets.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Threshold history fetch failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch threshold history',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para revertir un guardado de umbrales, restaurando los valores anteriores en su ámbito (only Administrador and Operador)
+// Body opcional: { comment }
+app.post('/api/thresholds/history/:changeSetId/rollback', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const { changeSetId } = req.params;
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(changeSetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid change set id',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('changeSetId', sql.UniqueIdentifier, changeSetId)
+        .query(`
+          SELECT scope_type, site, dc, chain, rack_id, threshold_key, old_value
+          FROM dbo.threshold_change_history
+          WHERE change_set_id = @changeSetId
+        `);
+    });
+
+    if (result.recordset.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Threshold change set ${changeSetId} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const firstRow = result.recordset[0];
+    const scope = {
+      scopeType: firstRow.scope_type,
+      site: firstRow.site,
+      dc: firstRow.dc,
+      chain: firstRow.chain,
+      rackId: firstRow.rack_id
+    };
+
+    // Values that did not exist before the change are removed again (the scope goes back to inheriting)
+    const previousValues = {};
+    result.recordset.forEach(row => {
+      previousValues[row.threshold_key] = row.old_value !== null ? parseFloat(row.old_value) : null;
+    });
+
+    const { count: restoredCount, changeSetId: rollbackChangeSetId } = await applyThresholdChanges(scope, previousValues, {
+      changedBy: req.session.usuario,
+      comment: getThresholdChangeComment(req.body && req.body.comment),
+      action: 'rollback',
+      rollbackOf: changeSetId
+    });
+
+    res.json({
+      success: true,
+      message: `Threshold change set ${changeSetId} rolled back`,
+      count: restoredCount,
+      changeSetId: rollbackChangeSetId,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Threshold rollback failed', { error: error.message, changeSetId: req.params.changeSetId });
+
+    res.status(500).json({
+      success: false,
+      message: `Failed to roll back threshold change set ${req.params.changeSetId}`,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============================================
+// Composite alert rules CRUD
+// ============================================
+
+// GET /api/alert-rules - List composite alert rules
+app.get('/api/alert-rules', requireAuth, async (req, res) => {
+  try {
+    const rules = await loadCompositeAlertRules();
+
+    res.json({
+      success: true,
+      data: rules.map(rule => ({ ...rule, reason: getCompositeRuleReason(rule) })),
+      metrics: Object.keys(COMPOSITE_RULE_METRICS),
+      operators: Object.keys(COMPOSITE_RULE_OPERATORS),
+      count: rules.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Get composite alert rules error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las reglas de alerta',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/alert-rules - Create a composite alert rule
+app.post('/api/alert-rules', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const { rule, error } = parseCompositeRule(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await executeQuery(async (pool) => {
+      const duplicate = await pool.request()
+        .input('reason_code', sql.NVarChar, rule.reasonCode)
+        .query('SELECT id FROM composite_alert_rules WHERE reason_code = @reason_code');
+      if (duplicate.recordset.length > 0) {
+        return null;
+      }
+
+      return await pool.request()
+        .input('name', sql.NVarChar, rule.name)
+        .input('reason_code', sql.NVarChar, rule.reasonCode)
+        .input('severity', sql.NVarChar, rule.severity)
+        .input('logic_operator', sql.NVarChar, rule.logicOperator)
+        .input('conditions', sql.NVarChar, JSON.stringify(rule.conditions))
+        .input('description', sql.NVarChar, rule.description)
+        .input('enabled', sql.Bit, rule.enabled)
+        .input('created_by', sql.NVarChar, req.session.usuario)
+        .query(`
+          INSERT INTO composite_alert_rules
+          (name, reason_code, severity, logic_operator, conditions, description, enabled, created_by, updated_by)
+          OUTPUT INSERTED.id
+          VALUES
+          (@name, @reason_code, @severity, @logic_operator, @conditions, @description, @enabled, @created_by, @created_by)
+        `);
+    });
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe una regla con ese código de motivo',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    compositeRulesCache.data = null;
+    compositeRulesCache.timestamp = null;
+
+    logger.info(`Composite alert rule created: ${rule.name} (${rule.reasonCode}) by ${req.session.usuario}`);
+
+    res.json({
+      success: true,
+      message: 'Regla creada exitosamente',
+      data: { id: result.recordset[0].id, ...rule, reason: getCompositeRuleReason(rule) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Create composite alert rule error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear la regla de alerta',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/alert-rules/:id - Update a composite alert rule
+// Changing the reason code or the severity changes the alert reason: active alerts of the old
+// reason are resolved by the cleanup of the next cycle and raised again with the new one
+app.put('/api/alert-rules/:id', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { rule, error } = parseCompositeRule(req.body);
+    if (isNaN(id) || error) {
+      return res.status(400).json({
+        success: false,
+        message: error || 'ID de regla inválido',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const outcome = await executeQuery(async (pool) => {
+      const existing = await pool.request()
+        .input('id', sql.Int, id)
+        .query('SELECT id FROM composite_alert_rules WHERE id = @id');
+      if (existing.recordset.length === 0) {
+        return 'not_found';
+      }
+
+      const duplicate = await pool.request()
+        .input('id', sql.Int, id)
+        .input('reason_code', sql.NVarChar, rule.reasonCode)
+        .query('SELECT id FROM composite_alert_rules WHERE reason_code = @reason_code AND id != @id');
+      if (duplicate.recordset.length > 0) {
+        return 'duplicate';
+      }
+
+      await pool.request()
+        .input('id', sql.Int, id)
+        .input('name', sql.NVarChar, rule.name)
+        .input('reason_code', sql.NVarChar, rule.reasonCode)
+        .input('severity', sql.NVarChar, rule.severity)
+        .input('logic_operator', sql.NVarChar, rule.logicOperator)
+        .input('conditions', sql.NVarChar, JSON.stringify(rule.conditions))
+        .input('description', sql.NVarChar, rule.description)
+        .input('enabled', sql.Bit, rule.enabled)
+        .input('updated_by', sql.NVarChar, req.session.usuario)
+        .query(`
+          UPDATE composite_alert_rules
+          SET name = @name, reason_code = @reason_code, severity = @severity, logic_operator = @logic_operator,
+              conditions = @conditions, description = @description, enabled = @enabled,
+              updated_by = @updated_by, updated_at = GETDATE()
+          WHERE id = @id
+        `);
+      return 'updated';
+    });
+
+    if (outcome === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Regla no encontrada',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (outcome === 'duplicate') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe una regla con ese código de motivo',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    compositeRulesCache.data = null;
+    compositeRulesCache.timestamp = null;
+
+    logger.info(`Composite alert rule updated: ${rule.name} (${rule.reasonCode}) by ${req.session.usuario}`);
+
+    res.json({
+      success: true,
+      message: 'Regla actualizada exitosamente',
+      data: { id, ...rule, reason: getCompositeRuleReason(rule) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Update composite alert rule error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar la regla de alerta',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /api/alert-rules/:id - Delete a composite alert rule (its active alerts resolve in the next cycle)
+app.delete('/api/alert-rules/:id', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de regla inválido',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('id', sql.Int, id)
+        .query('DELETE FROM composite_alert_rules OUTPUT DELETED.name, DELETED.reason_code WHERE id = @id');
+    });
+
+    if (result.recordset.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regla no encontrada',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    compositeRulesCache.data = null;
+    compositeRulesCache.timestamp = null;
+
+    logger.info(`Composite alert rule deleted: ${result.recordset[0].name} (${result.recordset[0].reason_code}) by ${req.session.usuario}`);
+
+    res.json({
+      success: true,
+      message: 'Regla eliminada exitosamente',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Delete composite alert rule error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar la regla de alerta',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// rack_telemetry, alerts_history and the maintenance tables hold local SQL Server time (GETDATE()), which mssql
+// reads as UTC. The rack detail charts work with real instants, so the requested range is moved to the server's
+// local time and the returned times back to UTC, keeping telemetry and event overlays on the same time base
+const SQL_UTC_OFFSET_MINUTES = 'DATEDIFF(MINUTE, GETUTCDATE(), GETDATE())';
+
+function sqlUtcToLocal(expression) {
+  return `DATEADD(MINUTE, ${SQL_UTC_OFFSET_MINUTES}, ${expression})`;
+}
+
+function sqlLocalToUtc(expression) {
+  return `DATEADD(MINUTE, -${SQL_UTC_OFFSET_MINUTES}, ${expression})`;
+}
+
+// Endpoint para obtener el histórico de telemetría de un rack (requires auth)
+// Query params: from, to (ISO, default últimas 24h), metric (current|voltage|temperature|humidity, separados por coma),
+// resolution (raw|5min|hourly, por defecto se elige según el rango)
+app.get('/api/racks/:rackId/history', requireAuth, async (req, res) => {
+  try {
+    const { rackId } = req.params;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 3600000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range: from and to must be valid dates and from must be before to',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const metrics = req.query.metric
+      ? String(req.query.metric).split(',').map(m => m.trim()).filter(Boolean)
+      : Object.keys(TELEMETRY_METRICS);
+    const invalidMetrics = metrics.filter(m => !TELEMETRY_METRICS[m]);
+
+    if (metrics.length === 0 || invalidMetrics.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid metric: ${invalidMetrics.join(', ')}. Valid metrics: ${Object.keys(TELEMETRY_METRICS).join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const validResolutions = ['raw', '5min', 'hourly'];
+    const resolution = req.query.resolution || getTelemetryResolution(from, to);
+
+    if (!validResolutions.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid resolution: ${resolution}. Valid resolutions: ${validResolutions.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Columns come from the TELEMETRY_METRICS whitelist, never from user input
+    let query;
+    if (resolution === 'raw') {
+      const columns = metrics.map(m => `${TELEMETRY_METRICS[m]} as ${m}`).join(', ');
+      query = `
+        SELECT TOP 20000 pdu_id as pduId, ${sqlLocalToUtc('recorded_at')} as [timestamp], ${columns}
+        FROM rack_telemetry
+        WHERE rack_id = @rackId AND recorded_at >= ${sqlUtcToLocal('@from')} AND recorded_at <= ${sqlUtcToLocal('@to')}
+        ORDER BY recorded_at ASC
+      `;
+    } else {
+      const bucket = resolution === '5min'
+        ? 'DATEADD(MINUTE, (DATEDIFF(MINUTE, 0, recorded_at) / 5) * 5, 0)'
+        : 'DATEADD(HOUR, DATEDIFF(HOUR, 0, recorded_at), 0)';
+      const columns = metrics.map(m => {
+        const column = TELEMETRY_METRICS[m];
+        return `AVG(${column}) as ${m}, MIN(${column}) as ${m}Min, MAX(${column}) as ${m}Max`;
+      }).join(', ');
+      query = `
+        SELECT pdu_id as pduId, ${sqlLocalToUtc(bucket)} as [timestamp], ${columns}, COUNT(*) as samples
+        FROM rack_telemetry
+        WHERE rack_id = @rackId AND recorded_at >= ${sqlUtcToLocal('@from')} AND recorded_at <= ${sqlUtcToLocal('@to')}
+        GROUP BY pdu_id, ${bucket}
+        ORDER BY [timestamp] ASC
+      `;
+    }
+
+    const rows = await executeQuery(async (pool) => {
+      const result = await pool.request()
+        .input('rackId', sql.NVarChar, rackId)
+        .input('from', sql.DateTime, from)
+        .input('to', sql.DateTime, to)
+        .query(query);
+      return result.recordset || [];
+    });
+
+    // Group points by PDU so each series can be plotted independently
+    const seriesMap = new Map();
+    rows.forEach(row => {
+      const { pduId, ...point } = row;
+      if (!seriesMap.has(pduId)) {
+        seriesMap.set(pduId, []);
+      }
+      seriesMap.get(pduId).push(point);
+    });
+
+    const series = Array.from(seriesMap.entries()).map(([pduId, points]) => ({ pduId, points }));
+
+    res.json({
+      success: true,
+      data: {
+        rackId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        resolution,
+        metrics,
+        series
+      },
+      message: `Telemetry history retrieved successfully for rack ${rackId}`,
+      count: rows.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Rack history fetch failed', { error: error.message, rackId: req.params.rackId });
+
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch telemetry history for rack ${req.params.rackId}`,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint para obtener ventanas de mantenimiento y periodos de alerta de un rack (requires auth)
+// Se usa para sombrear los gráficos del detalle del rack. Query params: from, to (ISO, default últimas 24h)
+app.get('/api/racks/:rackId/events', requireAuth, async (req, res) => {
+  try {
+    const { rackId } = req.params;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 3600000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range: from and to must be valid dates and from must be before to',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const results = await executeQuery(async (pool) => {
+      // Closed maintenance windows overlapping the range
+      const historyResult = await pool.request()
+        .input('rackId', sql.NVarChar, rackId)
+        .input('from', sql.DateTime, from)
+        .input('to', sql.DateTime, to)
+        .query(`
+          SELECT entry_type as entryType, reason, started_by as startedBy, ended_by as endedBy,
+                 ${sqlLocalToUtc('started_at')} as startedAt, ${sqlLocalToUtc('ended_at')} as endedAt
+          FROM maintenance_history
+          WHERE rack_id = @rackId
+            AND started_at <= ${sqlUtcToLocal('@to')}
+            AND (ended_at IS NULL OR ended_at >= ${sqlUtcToLocal('@from')})
+          ORDER BY started_at ASC
+        `);
+
+      // Maintenance still in progress (not yet moved to maintenance_history)
+      const activeResult = await pool.request()
+        .input('rackId', sql.NVarChar, rackId)
+        .input('to', sql.DateTime, to)
+        .query(`
+          SELECT me.entry_type as entryType, me.reason, me.started_by as startedBy, NULL as endedBy,
+                 ${sqlLocalToUtc('me.started_at')} as startedAt, NULL as endedAt
+          FROM maintenance_rack_details mrd
+          INNER JOIN maintenance_entries me ON mrd.maintenance_entry_id = me.id
+          WHERE mrd.rack_id = @rackId
+            AND me.started_at <= ${sqlUtcToLocal('@to')}
+        `);
+
+      const alertsResult = await pool.request()
+        .input('rackId', sql.NVarChar, rackId)
+        .input('from', sql.DateTime, from)
+        .input('to', sql.DateTime, to)
+        .query(`
+          SELECT id, pdu_id as pduId, metric_type as metricType, alert_reason as alertReason,
+                 alert_value as alertValue, threshold_exceeded as thresholdExceeded,
+                 ${sqlLocalToUtc('created_at')} as startedAt, ${sqlLocalToUtc('resolved_at')} as endedAt,
+                 resolution_type as resolutionType
+          FROM alerts_history
+          WHERE rack_id = @rackId
+            AND created_at <= ${sqlUtcToLocal('@to')}
+            AND (resolved_at IS NULL OR resolved_at >= ${sqlUtcToLocal('@from')})
+          ORDER BY created_at ASC
+        `);
+
+      return {
+        maintenance: [...(historyResult.recordset || []), ...(activeResult.recordset || [])],
+        alerts: (alertsResult.recordset || []).map(alert => ({
+          ...alert,
+          severity: String(alert.alertReason || '').startsWith('critical_') ? 'critical' : 'warning'
+        }))
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        rackId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        ...results
+      },
+      message: `Events retrieved successfully for rack ${rackId}`,
+      count: results.maintenance.length + results.alerts.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Rack events fetch failed', { error: error.message, rackId: req.params.rackId });
+
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch events for rack ${req.params.rackId}`,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============================================
+// ALERT HISTORY ENDPOINTS
+// ============================================
+
+// Sortable columns of alerts_history (query value -> column)
+const ALERT_HISTORY_SORT_COLUMNS = {
+  createdAt: 'created_at',
+  resolvedAt: 'resolved_at',
+  durationMinutes: 'duration_minutes',
+  name: 'name',
+  site: 'site',
+  dc: 'dc',
+  metricType: 'metric_type',
+  alertReason: 'alert_reason'
+};
+
+/**
+ * Builds the WHERE clause of an alerts_history query from the request filters
+ * Filters: site, dc, rack (id or part of the name), metric, severity, from/to (YYYY-MM-DD days of the alert start,
+ * both included), resolutionType ('open' = unresolved)
+ * Users with assigned sites only see the history of those sites
+ * @returns {{ where: string, inputs: Array<{name: string, type: any, value: any}>, error?: string }}
+ */
+function buildAlertHistoryFilters(req) {
+  const { site, dc, rack, metric, severity, resolutionType } = req.query;
+  const conditions = [];
+  const inputs = [];
+
+  if (site) {
+    // The dashboard shows Cantabria Norte/Sur as a single 'Cantabria' site
+    if (String(site).toLowerCase().includes('cantabria')) {
+      conditions.push("site LIKE '%cantabria%'");
+    } else {
+      conditions.push('site = @site');
+      inputs.push({ name: 'site', type: sql.NVarChar, value: String(site) });
+    }
+  }
+  if (dc) {
+    conditions.push('dc = @dc');
+    inputs.push({ name: 'dc', type: sql.NVarChar, value: String(dc) });
+  }
+  if (rack) {
+    conditions.push('(rack_id = @rack OR name LIKE @rackLike)');
+    inputs.push({ name: 'rack', type: sql.NVarChar, value: String(rack) });
+    inputs.push({ name: 'rackLike', type: sql.NVarChar, value: `%${String(rack)}%` });
+  }
+  if (metric) {
+    conditions.push('metric_type = @metric');
+    inputs.push({ name: 'metric', type: sql.NVarChar, value: String(metric) });
+  }
+  if (severity === 'critical' || severity === 'warning') {
+    conditions.push(`alert_reason LIKE '${severity}[_]%'`);
+  }
+  if (resolutionType === 'open') {
+    conditions.push('resolved_at IS NULL');
+  } else if (resolutionType) {
+    conditions.push('resolution_type = @resolutionType AND resolved_at IS NOT NULL');
+    inputs.push({ name: 'resolutionType', type: sql.NVarChar, value: String(resolutionType) });
+  }
+
+  // Plain days compared by SQL Server against created_at (local GETDATE()), so no time zone is involved
+  const parseDay = (value) => {
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? new Date(`${value}T00:00:00Z`) : null;
+    return day && !isNaN(day.getTime()) && day.toISOString().startsWith(value) ? day : null;
+  };
+  const from = req.query.from ? parseDay(req.query.from) : null;
+  const to = req.query.to ? parseDay(req.query.to) : null;
+  if ((req.query.from && !from) || (req.query.to && !to) || (from && to && from > to)) {
+    return { error: 'Invalid date range: from and to must be YYYY-MM-DD dates and from must not be after to' };
+  }
+  if (from) {
+    conditions.push('created_at >= @from');
+    inputs.push({ name: 'from', type: sql.Date, value: from });
+  }
+  if (to) {
+    conditions.push('created_at < DATEADD(DAY, 1, @to)');
+    inputs.push({ name: 'to', type: sql.Date, value: to });
+  }
+
+  // Site restriction of the user
+  const userSites = req.session.sitiosAsignados || [];
+  if (userSites.length > 0) {
+    const siteConditions = userSites.map((assignedSite, index) => {
+      inputs.push({ name: `userSite${index}`, type: sql.NVarChar, value: assignedSite });
+      return `site = @userSite${index}`;
+    });
+    if (userSites.some(assignedSite => assignedSite.toLowerCase().includes('cantabria'))) {
+      siteConditions.push("site LIKE '%cantabria%'");
+    }
+    conditions.push(`(${siteConditions.join(' OR ')})`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    inputs
+  };
+}
+
+function createAlertHistoryRequest(pool, inputs) {
+  const request = pool.request();
+  inputs.forEach(({ name, type, value }) => request.input(name, type, value));
+  return request;
+}
+
+function mapAlertHistoryRow(row) {
+  return {
+    id: row.id,
+    pduId: row.pdu_id,
+    rackId: row.rack_id,
+    name: row.name,
+    site: row.site,
+    dc: row.dc,
+    chain: row.chain,
+    node: row.node,
+    phase: row.phase,
+    metricType: row.metric_type,
+    alertReason: row.alert_reason,
+    severity: String(row.alert_reason || '').startsWith('critical_') ? 'critical' : 'warning',
+    alertValue: row.alert_value !== null ? parseFloat(row.alert_value) : null,
+    thresholdExceeded: row.threshold_exceeded !== null ? parseFloat(row.threshold_exceeded) : null,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at,
+    resolvedBy: row.resolved_by,
+    resolutionType: row.resolved_at ? row.resolution_type : null,
+    durationMinutes: row.duration_minutes,
+    uuidOpen: row.uuid_open,
+    uuidClosed: row.uuid_closed,
+    escalationLevel: row.escalation_level || 0
+  };
+}
+
+const ALERT_HISTORY_COLUMNS = `
+  id, pdu_id, rack_id, name, site, dc, chain, node, phase, metric_type, alert_reason,
+  alert_value, threshold_exceeded, created_at, resolved_at, resolved_by, resolution_type,
+  duration_minutes, uuid_open, uuid_closed,
+  (SELECT MAX(level) FROM alert_escalation_history eh WHERE eh.alert_history_id = alerts_history.id) AS escalation_level
+`;
+
+// Get alert history with filters, pagination and sorting
+app.get('/api/alerts/history', requireAuth, async (req, res) => {
+  try {
+    const filters = buildAlertHistoryFilters(req);
+    if (filters.error) {
+      return res.status(400).json({ success: false, message: filters.error, timestamp: new Date().toISOString() });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 50, 1), 200);
+    const sortColumn = ALERT_HISTORY_SORT_COLUMNS[req.query.sortBy] || 'created_at';
+    const sortDirection = req.query.sortDir === 'asc' ? 'ASC' : 'DESC';
+
+    const { rows, total } = await executeQuery(async (pool) => {
+      const countResult = await createAlertHistoryRequest(pool, filters.inputs)
+        .query(`SELECT COUNT(*) as total FROM alerts_history ${filters.where}`);
+
+      const rowsResult = await createAlertHistoryRequest(pool, filters.inputs)
+        .input('offset', sql.Int, (page - 1) * pageSize)
+        .input('pageSize', sql.Int, pageSize)
+        .query(`
+          SELECT ${ALERT_HISTORY_COLUMNS}
+          FROM alerts_history
+          ${filters.where}
+          ORDER BY ${sortColumn} ${sortDirection}, id DESC
+          OFFSET @offset ROWS FETCH NEXT @pageSize ROWS ONLY
+        `);
+
+      return { rows: rowsResult.recordset, total: countResult.recordset[0].total };
+    });
+
+    res.json({
+      success: true,
+      data: rows.map(mapAlertHistoryRow),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      },
+      message: 'Alert history retrieved successfully',
+      count: rows.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Alert history fetch failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch alert history',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Escalation steps recorded for one alert of the history
+app.get('/api/alerts/history/:id/escalations', requireAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid history id', timestamp: new Date().toISOString() });
+    }
+
+    const steps = await executeQuery(async (pool) => {
+      const result = await pool.request()
+        .input('id', sql.Int, id)
+        .query(`
+          SELECT level, delay_minutes, notify_target, notify_contact, minutes_open, sonar_notified, escalated_at
+          FROM alert_escalation_history
+          WHERE alert_history_id = @id
+          ORDER BY escalated_at ASC
+        `);
+      return result.recordset.map(row => ({
+        level: row.level,
+        delayMinutes: row.delay_minutes,
+        notifyTarget: row.notify_target,
+        notifyContact: row.notify_contact,
+        minutesOpen: row.minutes_open,
+        sonarNotified: !!row.sonar_notified,
+        escalatedAt: row.escalated_at
+      }));
+    });
+
+    res.json({
+      success: true,
+      data: steps,
+      count: steps.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Alert escalation steps fetch failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch escalation steps',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Export the filtered alert history to Excel (same filters and sorting as the list, capped)
+app.get('/api/alerts/history/export', requireAuth, async (req, res) => {
+  try {
+    const filters = buildAlertHistoryFilters(req);
+    if (filters.error) {
+      return res.status(400).json({ success: false, message: filters.error, timestamp: new Date().toISOString() });
+    }
+
+    const sortColumn = ALERT_HISTORY_SORT_COLUMNS[req.query.sortBy] || 'created_at';
+    const sortDirection = req.query.sortDir === 'asc' ? 'ASC' : 'DESC';
+    const maxRows = 10000;
+
+    const rows = await executeQuery(async (pool) => {
+      const result = await createAlertHistoryRequest(pool, filters.inputs)
+        .input('maxRows', sql.Int, maxRows)
+        .query(`
+          SELECT TOP (@maxRows) ${ALERT_HISTORY_COLUMNS}
+          FROM alerts_history
+          ${filters.where}
+          ORDER BY ${sortColumn} ${sortDirection}, id DESC
+        `);
+      return result.recordset.map(mapAlertHistoryRow);
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Histórico');
+
+    worksheet.columns = [
+      { header: 'Nombre del Rack', key: 'name', width: 30 },
+      { header: 'ID Rack', key: 'rackId', width: 20 },
+      { header: 'ID PDU', key: 'pduId', width: 20 },
+      { header: 'Sitio', key: 'site', width: 20 },
+      { header: 'Data Center', key: 'dc', width: 15 },
+      { header: 'Chain', key: 'chain', width: 12 },
+      { header: 'Métrica', key: 'metricType', width: 15 },
+      { header: 'Razón', key: 'alertReason', width: 40 },
+      { header: 'Severidad', key: 'severity', width: 12 },
+      { header: 'Valor', key: 'alertValue', width: 12 },
+      { header: 'Umbral', key: 'thresholdExceeded', width: 12 },
+      { header: 'Inicio', key: 'createdAt', width: 20 },
+      { header: 'Resolución', key: 'resolvedAt', width: 20 },
+      { header: 'Duración (min)', key: 'durationMinutes', width: 15 },
+      { header: 'Tipo de Resolución', key: 'resolutionType', width: 18 },
+      { header: 'Resuelto por', key: 'resolvedBy', width: 18 },
+      { header: 'Nivel de Escalado', key: 'escalationLevel', width: 16 },
+      { header: 'UUID Apertura', key: 'uuidOpen', width: 38 },
+      { header: 'UUID Cierre', key: 'uuidClosed', width: 38 }
+    ];
+
+    worksheet.getRow(1).eachCell((cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+      cell.font = { color: { argb: 'FFFFFFFF' }, bold: true, size: 11 };
+      cell.alignment = { vertical: 'middle', horizontal: 'center' };
+    });
+
+    rows.forEach(row => {
+      worksheet.addRow({
+        ...row,
+        severity: row.severity === 'critical' ? 'CRÍTICO' : 'ADVERTENCIA',
+        createdAt: row.createdAt ? new Date(row.createdAt) : null,
+        resolvedAt: row.resolvedAt ? new Date(row.resolvedAt) : 'Activa',
+        resolutionType: row.resolutionType || 'N/A'
+      });
+    });
+
+    worksheet.getColumn('createdAt').numFmt = 'yyyy-mm-dd hh:mm:ss';
+    worksheet.getColumn('resolvedAt').numFmt = 'yyyy-mm-dd hh:mm:ss';
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+    const filename = `historico_alertas_${timestamp}.xlsx`;
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+
+    await workbook.xlsx.write(res);
+    res.end();
+
+  } catch (error) {
+    logger.error('Alert history export failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export alert history',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Grouping columns of the analytics endpoint (a DC is identified within its site and a chain within its DC)
+const ALERT_ANALYTICS_GROUPS = {
+  site: [{ column: 'site', alias: 'site' }],
+  dc: [{ column: 'site', alias: 'site' }, { column: 'dc', alias: 'dc' }],
+  chain: [{ column: 'site', alias: 'site' }, { column: 'dc', alias: 'dc' }, { column: 'chain', alias: 'chain' }],
+  month: [{ column: 'CONVERT(CHAR(7), created_at, 120)', alias: 'period' }]
+};
+
+/**
+ * Mean time between alerts per group: average gap between consecutive alert starts of each rack
+ * Alerts of the same rack opened in the same minute (several PDUs or reasons in one cycle) count once
+ */
+function buildAlertMtbfQuery(groupColumns, where) {
+  const aliases = groupColumns.map(({ alias }) => alias);
+  const partition = [...aliases, 'rack_id'].join(', ');
+
+  return `
+    WITH starts AS (
+      SELECT DISTINCT ${[...groupColumns.map(({ column, alias }) => `${column} AS ${alias}`), 'rack_id'].join(', ')},
+             DATEADD(MINUTE, DATEDIFF(MINUTE, 0, created_at), 0) AS started_minute
+      FROM alerts_history
+      ${where}
+    ),
+    gaps AS (
+      SELECT ${aliases.length > 0 ? `${aliases.join(', ')}, ` : ''}
+             DATEDIFF(MINUTE, LAG(started_minute) OVER (PARTITION BY ${partition} ORDER BY started_minute), started_minute) AS gap_minutes
+      FROM starts
+    )
+    SELECT ${aliases.length > 0 ? `${aliases.join(', ')}, ` : ''}AVG(CAST(gap_minutes AS FLOAT)) AS mtbf_minutes
+    FROM gaps
+    ${aliases.length > 0 ? `GROUP BY ${aliases.join(', ')}` : ''}
+  `;
+}
+
+const roundMinutes = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+// GET /api/alerts/analytics - MTTR, MTBF, counts by metric and top racks/chains of alerts_history
+// Same filters as /api/alerts/history, plus groupBy = site | dc | chain | month
+app.get('/api/alerts/analytics', requireAuth, async (req, res) => {
+  try {
+    const filters = buildAlertHistoryFilters(req);
+    if (filters.error) {
+      return res.status(400).json({ success: false, message: filters.error, timestamp: new Date().toISOString() });
+    }
+
+    const groupBy = ALERT_ANALYTICS_GROUPS[req.query.groupBy] ? req.query.groupBy : 'site';
+    const groupColumns = ALERT_ANALYTICS_GROUPS[groupBy];
+    const groupSelect = groupColumns.map(({ column, alias }) => `${column} AS ${alias}`).join(', ');
+    const groupAliases = groupColumns.map(({ alias }) => alias);
+    const groupExpressions = groupColumns.map(({ column }) => column).join(', ');
+    const whereWith = (condition) => (filters.where ? `${filters.where} AND ${condition}` : `WHERE ${condition}`);
+
+    const analytics = await executeQuery(async (pool) => {
+      const summaryResult = await createAlertHistoryRequest(pool, filters.inputs).query(`
+        SELECT COUNT(*) AS alert_count,
+               COUNT(DISTINCT rack_id) AS rack_count,
+               SUM(CASE WHEN resolved_at IS NULL THEN 1 ELSE 0 END) AS open_count,
+               AVG(CAST(duration_minutes AS FLOAT)) AS mttr_minutes
+        FROM alerts_history
+        ${filters.where}
+      `);
+      const summaryMtbfResult = await createAlertHistoryRequest(pool, filters.inputs)
+        .query(buildAlertMtbfQuery([], filters.where));
+
+      const groupsResult = await createAlertHistoryRequest(pool, filters.inputs).query(`
+        SELECT ${groupSelect},
+               COUNT(*) AS alert_count,
+               COUNT(DISTINCT rack_id) AS rack_count,
+               SUM(CASE WHEN resolved_at IS NULL THEN 1 ELSE 0 END) AS open_count,
+               AVG(CAST(duration_minutes AS FLOAT)) AS mttr_minutes
+        FROM alerts_history
+        ${filters.where}
+        GROUP BY ${groupExpressions}
+      `);
+      const groupsMtbfResult = await createAlertHistoryRequest(pool, filters.inputs)
+        .query(buildAlertMtbfQuery(groupColumns, filters.where));
+
+      const metricsResult = await createAlertHistoryRequest(pool, filters.inputs).query(`
+        SELECT metric_type,
+               COUNT(*) AS alert_count,
+               SUM(CASE WHEN alert_reason LIKE 'critical[_]%' THEN 1 ELSE 0 END) AS critical_count,
+               AVG(CAST(duration_minutes AS FLOAT)) AS mttr_minutes
+        FROM alerts_history
+        ${filters.where}
+        GROUP BY metric_type
+        ORDER BY alert_count DESC
+      `);
+
+      const topRacksResult = await createAlertHistoryRequest(pool, filters.inputs).query(`
+        SELECT TOP 10 rack_id, MAX(name) AS name, MAX(site) AS site, MAX(dc) AS dc, MAX(chain) AS chain,
+               COUNT(*) AS alert_count,
+               AVG(CAST(duration_minutes AS FLOAT)) AS mttr_minutes,
+               SUM(duration_minutes) AS total_minutes
+        FROM alerts_history
+        ${whereWith('rack_id IS NOT NULL')}
+        GROUP BY rack_id
+        ORDER BY alert_count DESC, total_minutes DESC
+      `);
+
+      const topChainsResult = await createAlertHistoryRequest(pool, filters.inputs).query(`
+        SELECT TOP 10 site, dc, chain,
+               COUNT(*) AS alert_count,
+               COUNT(DISTINCT rack_id) AS rack_count,
+               AVG(CAST(duration_minutes AS FLOAT)) AS mttr_minutes
+        FROM alerts_history
+        ${whereWith("chain IS NOT NULL AND chain <> ''")}
+        GROUP BY site, dc, chain
+        ORDER BY alert_count DESC
+      `);
+
+      const groupKey = (row) => JSON.stringify(groupAliases.map(alias => row[alias]));
+      const mtbfByGroup = new Map(groupsMtbfResult.recordset.map(row => [groupKey(row), row.mtbf_minutes]));
+
+      const groups = groupsResult.recordset.map(row => ({
+        site: row.site !== undefined ? row.site : null,
+        dc: row.dc !== undefined ? row.dc : null,
+        chain: row.chain !== undefined ? row.chain : null,
+        month: row.period !== undefined ? row.period : null,
+        alertCount: row.alert_count,
+        rackCount: row.rack_count,
+        openCount: row.open_count,
+        mttrMinutes: roundMinutes(row.mttr_minutes),
+        mtbfMinutes: roundMinutes(mtbfByGroup.get(groupKey(row)))
+      }));
+      groups.sort((a, b) => (groupBy === 'month'
+        ? String(a.month).localeCompare(String(b.month))
+        : b.alertCount - a.alertCount));
+
+      const summary = summaryResult.recordset[0];
+
+      return {
+        summary: {
+          alertCount: summary.alert_count,
+          rackCount: summary.rack_count,
+          openCount: summary.open_count || 0,
+          mttrMinutes: roundMinutes(summary.mttr_minutes),
+          mtbfMinutes: roundMinutes(summaryMtbfResult.recordset[0]?.mtbf_minutes)
+        },
+        groups,
+        byMetric: metricsResult.recordset.map(row => ({
+          metricType: row.metric_type,
+          alertCount: row.alert_count,
+          criticalCount: row.critical_count,
+          mttrMinutes: roundMinutes(row.mttr_minutes)
+        })),
+        topRacks: topRacksResult.recordset.map(row => ({
+          rackId: row.rack_id,
+          name: row.name,
+          site: row.site,
+          dc: row.dc,
+          chain: row.chain,
+          alertCount: row.alert_count,
+          mttrMinutes: roundMinutes(row.mttr_minutes),
+          totalMinutes: row.total_minutes || 0
+        })),
+        topChains: topChainsResult.recordset.map(row => ({
+          site: row.site,
+          dc: row.dc,
+          chain: row.chain,
+          alertCount: row.alert_count,
+          rackCount: row.rack_count,
+          mttrMinutes: roundMinutes(row.mttr_minutes)
+        }))
+      };
+    });
+
+    res.json({
+      success: true,
+      data: analytics,
+      groupBy,
+      message: 'Alert analytics retrieved successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Alert analytics fetch failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch alert analytics',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============================================
+// MAINTENANCE MODE ENDPOINTS
+// ============================================
+
+// Get all maintenance entries with their racks
+app.get('/api/maintenance', requireAuth, async (req, res) => {
+  try {
+    logger.info('[MAINT-READ] === GET MAINTENANCE START ===');
+
+    const results = await executeQuery(async (pool) => {
+      const entriesResult = await pool.request().query(`
+        SELECT id, entry_type, rack_id, chain, site, dc, reason, [user], started_at, started_by, created_at
+        FROM maintenance_entries
+        ORDER BY started_at DESC
+      `);
+
+      const detailsResult = await pool.request().query(`
+        SELECT mrd.maintenance_entry_id, mrd.rack_id, mrd.name, mrd.country, mrd.site, mrd.dc, mrd.phase, mrd.chain, mrd.node, mrd.gwName, mrd.gwIp
+        FROM maintenance_rack_details mrd
+      `);
+
+      return {
+        entries: entriesResult.recordset || [],
+        details: detailsResult.recordset || []
+      };
+    });
+
+    const { entries, details } = results;
+
+    logger.info('[MAINT-READ] STEP 1: Data from DB', {
+      entriesCount: entries.length,
+      detailsCount: details.length,
+      sampleDetails: details.slice(0, 3).map(d => ({
+        rack_id: d.rack_id,
+        name: d.name,
+        site: d.site,
+        dc: d.dc,
+        phase: d.phase,
+        chain: d.chain,
+        node: d.node,
+        gwName: d.gwName,
+        gwIp: d.gwIp
+      }))
+    });
+
+    const detailsNeedingEnrichment = details.filter(d => {
+      const site = String(d.site || '').trim();
+      const dc = String(d.dc || '').trim();
+      const chain = String(d.chain || '').trim();
+      const phase = String(d.phase || '').trim();
+      const node = String(d.node || '').trim();
+      const gwName = String(d.gwName || '').trim();
+      const gwIp = String(d.gwIp || '').trim();
+      return site === 'Unknown' || site === '' ||
+             dc === 'Unknown' || dc === '' ||
+             chain === 'Unknown' || chain === '' ||
+             phase === 'Unknown' || phase === '' ||
+             node === 'Unknown' || node === '' ||
+             !gwName || gwName === 'N/A' ||
+             !gwIp || gwIp === 'N/A';
+    });
+
+    logger.info('[MAINT-READ] STEP 2: Racks needing enrichment (have Unknown/empty values)', {
+      needingEnrichment: detailsNeedingEnrichment.length,
+      racksWithIncompleteData: detailsNeedingEnrichment.slice(0, 5).map(d => ({
+        rack_id: d.rack_id,
+        name: d.name,
+        site: d.site || '(empty)',
+        dc: d.dc || '(empty)',
+        chain: d.chain || '(empty)',
+        phase: d.phase || '(empty)',
+        node: d.node || '(empty)',
+        gwName: d.gwName || '(empty)',
+        gwIp: d.gwIp || '(empty)'
+      }))
+    });
+
+    if (detailsNeedingEnrichment.length > 0 && process.env.NENG_API_URL && process.env.NENG_API_KEY) {
+      try {
+        let allPowerData = [];
+        let skip = 0;
+        const limit = 100;
+        let hasMore = true;
+        let pageCount = 0;
+        const maxPages = 100;
+
+        logger.info('[MAINT-READ] STEP 2b: Starting API pagination...', { limit, maxPages });
+
+        while (hasMore && pageCount < maxPages) {
+          const response = await fetchFromNengApi(
+            `${process.env.NENG_API_URL}?skip=${skip}&limit=${limit}`,
+            { method: 'GET', headers: { 'Authorization': `Bearer ${process.env.NENG_API_KEY}`, 'Content-Type': 'application/json' } }
+          );
+
+          pageCount++;
+
+          if (response.success && Array.isArray(response.data)) {
+            const recordsInPage = response.data.length;
+            allPowerData = allPowerData.concat(response.data);
+
+            logger.info('[MAINT-READ] API page loaded', {
+              page: pageCount,
+              skip,
+              recordsInPage,
+              totalSoFar: allPowerData.length,
+              willContinue: recordsInPage >= limit
+            });
 
-        if (matchingSensor) {
-          // Check for N/A before parsing temperature
-          mapped.sensorTemperature = (matchingSensor.temperature === 'N/A' || matchingSensor.temperature === null || matchingSensor.temperature === undefined)
-            ? 'N/A'
-            : (parseFloat(matchingSensor.temperature) || null);
+            hasMore = recordsInPage >= limit;
+            skip += limit;
+          } else {
+            logger.warn('[MAINT-READ] API pagination stopped - invalid response', {
+              page: pageCount,
+              skip,
+              responseSuccess: response.success,
+              isArray: Array.isArray(response.data)
+            });
+            hasMore = false;
+          }
+        }
 
-          // Check for N/A before parsing humidity
-          mapped.sensorHumidity = (matchingSensor.humidity === 'N/A' || matchingSensor.humidity === null || matchingSensor.humidity === undefined)
-            ? 'N/A'
-            : (parseFloat(matchingSensor.humidity) || null);
+        if (pageCount >= maxPages) {
+          logger.warn('[MAINT-READ] Reached max pages limit', { maxPages, totalRecords: allPowerData.length });
+        }
+
+        logger.info('[MAINT-READ] STEP 3: Fetched data from NENG API for enrichment', {
+          totalRecords: allPowerData.length,
+          samplePDU: allPowerData.length > 0 ? {
+            rackName: allPowerData[0].rackName,
+            site: allPowerData[0].site,
+            dc: allPowerData[0].dc,
+            phase: allPowerData[0].phase,
+            chain: allPowerData[0].chain,
+            chainType: typeof allPowerData[0].chain,
+            node: allPowerData[0].node,
+            nodeType: typeof allPowerData[0].node,
+            gwName: allPowerData[0].gwName,
+            gwIp: allPowerData[0].gwIp
+          } : null
+        });
+
+        const rackApiDataMap = new Map();
+        const rackApiDataMapLower = new Map();
+        allPowerData.forEach(pdu => {
+          const rackName = String(pdu.rackName || '').trim();
+          if (rackName) {
+            const apiData = {
+              site: pdu.site || null,
+              dc: pdu.dc || null,
+              phase: pdu.phase || null,
+              chain: pdu.chain !== undefined && pdu.chain !== null ? String(pdu.chain) : null,
+              node: pdu.node !== undefined && pdu.node !== null ? String(pdu.node) : null,
+              gwName: pdu.gwName || null,
+              gwIp: pdu.gwIp || null
+            };
+            rackApiDataMap.set(rackName, apiData);
+            rackApiDataMapLower.set(rackName.toLowerCase(), apiData);
+          }
+        });
+
+        logger.info('[MAINT-READ] STEP 4: Created lookup map from API data', {
+          uniqueRackNames: rackApiDataMap.size,
+          sampleMapEntries: Array.from(rackApiDataMap.entries()).slice(0, 3).map(([k, v]) => ({
+            rackName: k,
+            data: v
+          }))
+        });
+
+        let enrichedCount = 0;
+        let notFoundCount = 0;
+        const notFoundRacks = [];
+        const pool = await getPool();
+
+        for (const detail of detailsNeedingEnrichment) {
+          const rackName = String(detail.name || detail.rack_id || '').trim();
+          let apiData = rackApiDataMap.get(rackName);
+          if (!apiData) {
+            apiData = rackApiDataMapLower.get(rackName.toLowerCase());
+          }
+
+          if (apiData) {
+            let needsUpdate = false;
+            const updates = {};
+
+            if (apiData.site && (detail.site === 'Unknown' || !detail.site)) {
+              detail.site = apiData.site;
+              updates.site = apiData.site;
+              needsUpdate = true;
+            }
+            if (apiData.dc && (detail.dc === 'Unknown' || !detail.dc)) {
+              detail.dc = apiData.dc;
+              updates.dc = apiData.dc;
+              needsUpdate = true;
+            }
+            if (apiData.phase && (detail.phase === 'Unknown' || !detail.phase)) {
+              detail.phase = apiData.phase;
+              updates.phase = apiData.phase;
+              needsUpdate = true;
+            }
+            if (apiData.chain && (detail.chain === 'Unknown' || !detail.chain)) {
+              detail.chain = apiData.chain;
+              updates.chain = apiData.chain;
+              needsUpdate = true;
+            }
+            if (apiData.node && (detail.node === 'Unknown' || !detail.node)) {
+              detail.node = apiData.node;
+              updates.node = apiData.node;
+              needsUpdate = true;
+            }
+            if (apiData.gwName && (!detail.gwName || detail.gwName === 'N/A')) {
+              detail.gwName = apiData.gwName;
+              updates.gwName = apiData.gwName;
+              needsUpdate = true;
+            }
+            if (apiData.gwIp && (!detail.gwIp || detail.gwIp === 'N/A')) {
+              detail.gwIp = apiData.gwIp;
+              updates.gwIp = apiData.gwIp;
+              needsUpdate = true;
+            }
+
+            if (needsUpdate) {
+              logger.info('[MAINT-READ] STEP 5a: Enriching rack from API', {
+                rackName: rackName,
+                beforeUpdate: {
+                  site: detail.site,
+                  dc: detail.dc,
+                  chain: detail.chain,
+                  phase: detail.phase,
+                  node: detail.node,
+                  gwName: detail.gwName,
+                  gwIp: detail.gwIp
+                },
+                apiData: apiData,
+                updates: updates
+              });
+
+              try {
+                const setClauses = Object.keys(updates).map(k => `${k} = @${k}`).join(', ');
+                const request = pool.request()
+                  .input('rack_id', sql.NVarChar, String(detail.rack_id))
+                  .input('maintenance_entry_id', sql.UniqueIdentifier, detail.maintenance_entry_id);
+
+                Object.entries(updates).forEach(([key, value]) => {
+                  request.input(key, sql.NVarChar, String(value));
+                });
+
+                await request.query(`UPDATE maintenance_rack_details SET ${setClauses} WHERE rack_id = @rack_id AND maintenance_entry_id = @maintenance_entry_id`);
+                enrichedCount++;
+              } catch (updateError) {
+                logger.error('[MAINT-READ] STEP 5b: Update FAILED for rack', { rack: rackName, error: updateError.message });
+              }
+            }
+          } else {
+            notFoundCount++;
+            if (notFoundRacks.length < 10) {
+              notFoundRacks.push(rackName);
+            }
+          }
         }
 
-        return mapped;
+        logger.info('[MAINT-READ] STEP 6: Enrichment completed', {
+          enrichedCount,
+          notFoundInAPI: notFoundCount,
+          notFoundRacksSample: notFoundRacks
+        });
+      } catch (apiError) {
+        logger.error('[MAINT-READ] API NENG error during enrichment', { error: apiError.message });
+      }
+    } else if (detailsNeedingEnrichment.length > 0) {
+      logger.warn('[MAINT-READ] NENG API not configured - cannot enrich incomplete data', {
+        needingEnrichment: detailsNeedingEnrichment.length,
+        hasUrl: !!process.env.NENG_API_URL,
+        hasKey: !!process.env.NENG_API_KEY
+      });
+    }
+
+    const maintenanceData = entries.map(entry => ({
+      ...entry,
+      racks: details.filter(d => d.maintenance_entry_id === entry.id)
+    }));
+
+    logger.info('[MAINT-READ] === GET MAINTENANCE END ===', {
+      entriesReturned: maintenanceData.length,
+      totalRacksReturned: details.length,
+      sampleFinalData: maintenanceData.slice(0, 2).map(e => ({
+        id: e.id,
+        entry_type: e.entry_type,
+        racksCount: e.racks?.length || 0,
+        firstRack: e.racks?.[0] ? {
+          rack_id: e.racks[0].rack_id,
+          name: e.racks[0].name,
+          site: e.racks[0].site,
+          dc: e.racks[0].dc,
+          chain: e.racks[0].chain,
+          node: e.racks[0].node,
+          gwName: e.racks[0].gwName,
+          gwIp: e.racks[0].gwIp
+        } : null
+      }))
+    });
+
+    res.json({
+      success: true,
+      data: maintenanceData,
+      message: 'Maintenance entries retrieved successfully',
+      count: entries.length,
+      totalRacks: details.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Maintenance entries fetch failed', { error: error.message });
+    res.json({
+      success: false,
+      message: 'Failed to fetch maintenance entries',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Add single rack to maintenance
+app.post('/api/maintenance/rack', requireAuth, async (req, res) => {
+  try {
+    const {
+      rackId,
+      rackData,
+      reason = 'Mantenimiento programado',
+      user = 'Sistema'
+    } = req.body;
+
+    logger.info('[MAINT] === ADD RACK START ===', {
+      rackId,
+      hasRackData: !!rackData,
+      rackDataKeys: rackData ? Object.keys(rackData) : [],
+      rackDataValues: rackData ? {
+        name: rackData.name,
+        site: rackData.site,
+        dc: rackData.dc,
+        phase: rackData.phase,
+        chain: rackData.chain,
+        node: rackData.node,
+        gwName: rackData.gwName,
+        gwIp: rackData.gwIp
+      } : null,
+      reason,
+      user
+    });
+
+    if (!rackId) {
+      return res.status(400).json({
+        success: false,
+        message: 'rackId is required',
+        timestamp: new Date().toISOString()
       });
+    }
 
-    if (combinedData.length === 0) {
-      logger.warn('No data received from API', { requestId });
-      return res.json({
-        success: true,
-        data: [],
-        message: 'No rack data available from NENG API',
-        count: 0,
+    const sanitizedRackId = String(rackId || '').trim();
+    if (!sanitizedRackId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rackId: must be a non-empty string',
         timestamp: new Date().toISOString()
       });
     }
-    
-    // Data collected and combined
 
-    // Get maintenance rack IDs BEFORE processing
-    const maintenanceRackIds = await getMaintenanceRackIds();
+    let rack = rackData || {};
+    let chain = rackData?.chain;
+    let apiDataSource = 'none';
 
-    // ADD RACKS FROM SENSORS THAT ARE NOT IN POWER DATA
-    // This ensures all racks (especially in maintenance) are visible and evaluated
-    const powerRackIds = new Set(combinedData.map(pdu => pdu.rackId));
-    const addedFromSensorsBeforeProcessing = [];
+    logger.info('[MAINT] STEP 1: Initial rack object from frontend', {
+      rackObject: rack,
+      chain
+    });
 
-    // Check all sensors for racks not in power data
-    allSensorsData.forEach(sensorData => {
-      const sensorRackId = String(sensorData.rackId);
+    if (process.env.NENG_API_URL && process.env.NENG_API_KEY) {
+      try {
+        let skip = 0;
+        const limit = 100;
+        let hasMore = true;
+        let found = false;
+        let totalRecords = 0;
+        let pageCount = 0;
+        const maxPages = 100;
 
-      // Only add if not already in power data
-      if (!powerRackIds.has(sensorRackId)) {
-        // Create a PDU entry from sensor data
-        const pduFromSensor = {
-          id: sensorData.id || sensorRackId,
-          rackId: sensorRackId,
-          name: sensorData.rackName || sensorRackId,
-          country: 'España',
-          site: sensorData.site || 'Unknown',
-          dc: sensorData.dc || 'Unknown',
-          phase: sensorData.phase || 'Unknown',
-          chain: sensorData.chain || 'Unknown',
-          node: sensorData.node || 'Unknown',
-          serial: sensorData.serial || 'Unknown',
-          current: 0,
-          voltage: 0,
-          temperature: 0,
-          sensorTemperature: (sensorData.temperature === 'N/A' || sensorData.temperature === null || sensorData.temperature === undefined)
-            ? 'N/A'
-            : (parseFloat(sensorData.temperature) || null),
-          sensorHumidity: (sensorData.humidity === 'N/A' || sensorData.humidity === null || sensorData.humidity === undefined)
-            ? 'N/A'
-            : (parseFloat(sensorData.humidity) || null),
-          gwName: sensorData.gwName || 'N/A',
-          gwIp: sensorData.gwIp || 'N/A',
-          lastUpdated: sensorData.lastUpdate || new Date().toISOString()
-        };
+        logger.info('[MAINT] Searching rack in NENG API...', { rackId: sanitizedRackId, limit });
 
-        combinedData.push(pduFromSensor);
-        powerRackIds.add(sensorRackId);
-        addedFromSensorsBeforeProcessing.push(sensorRackId);
+        while (hasMore && !found && pageCount < maxPages) {
+          const response = await fetchFromNengApi(
+            `${process.env.NENG_API_URL}?skip=${skip}&limit=${limit}`,
+            { method: 'GET' }
+          );
+          pageCount++;
+
+          if (response.success && Array.isArray(response.data)) {
+            totalRecords += response.data.length;
+
+            for (const pdu of response.data) {
+              const pduRackName = String(pdu.rackName || '').trim();
+              if (pduRackName.toLowerCase() === sanitizedRackId.toLowerCase()) {
+                logger.info('[MAINT] STEP 2a: FOUND in API - Raw PDU data', {
+                  searchedFor: sanitizedRackId,
+                  rawData: {
+                    rackName: pdu.rackName,
+                    rackId: pdu.rackId,
+                    id: pdu.id,
+                    site: pdu.site,
+                    dc: pdu.dc,
+                    phase: pdu.phase,
+                    chain: pdu.chain,
+                    chainType: typeof pdu.chain,
+                    node: pdu.node,
+                    nodeType: typeof pdu.node,
+                    gwName: pdu.gwName,
+                    gwIp: pdu.gwIp
+                  }
+                });
+
+                rack = {
+                  name: pdu.rackName || sanitizedRackId,
+                  rackId: pdu.rackId || pdu.id || sanitizedRackId,
+                  site: pdu.site || 'Unknown',
+                  dc: pdu.dc || 'Unknown',
+                  phase: pdu.phase || 'Unknown',
+                  chain: pdu.chain !== undefined && pdu.chain !== null ? String(pdu.chain) : 'Unknown',
+                  node: pdu.node !== undefined && pdu.node !== null ? String(pdu.node) : 'Unknown',
+                  gwName: pdu.gwName || 'N/A',
+                  gwIp: pdu.gwIp || 'N/A',
+                  country: 'Spain'
+                };
+                chain = rack.chain;
+                found = true;
+                apiDataSource = 'NENG_API';
+
+                logger.info('[MAINT] STEP 2b: Transformed rack object from API', {
+                  transformedRack: rack
+                });
+                break;
+              }
+            }
+            hasMore = response.data.length >= limit;
+            skip += limit;
+
+            if (pageCount % 10 === 0) {
+              logger.info('[MAINT] Search progress', { page: pageCount, totalRecordsSearched: totalRecords, found });
+            }
+          } else {
+            hasMore = false;
+          }
+        }
+
+        if (!found) {
+          logger.warn('[MAINT] Rack NOT FOUND in NENG API after searching', {
+            rackName: sanitizedRackId,
+            totalRecordsSearched: totalRecords,
+            pagesSearched: pageCount,
+            willUseDataFrom: rackData ? 'frontend_rackData' : 'defaults'
+          });
+        }
+      } catch (apiError) {
+        logger.error('[MAINT] API NENG error during search', { error: apiError.message, rackName: sanitizedRackId });
       }
+    } else {
+      logger.warn('[MAINT] NENG API not configured - using frontend data only', {
+        hasUrl: !!process.env.NENG_API_URL,
+        hasKey: !!process.env.NENG_API_KEY
+      });
+    }
+
+    logger.info('[MAINT] STEP 2c: Final rack object before DB insert', {
+      dataSource: apiDataSource,
+      rack,
+      chain
     });
 
-    // Process data with thresholds evaluation (includes sensor-only racks now)
-    const processedData = await processRackData(combinedData, thresholds);
+    const result = await executeQuery(async (pool) => {
+      const existingCheck = await pool.request()
+        .input('rack_id', sql.NVarChar, sanitizedRackId)
+        .query(`
+          SELECT COUNT(*) as count
+          FROM maintenance_rack_details
+          WHERE rack_id = @rack_id
+        `);
 
-    // DO NOT filter out maintenance racks - send them to frontend for visual indication
-    const filteredData = processedData;
+      if (existingCheck.recordset[0].count > 0) {
+        return { error: 'already_exists' };
+      }
 
-    // Manage active critical alerts in database (excluding maintenance racks from alerts)
-    const nonMaintenanceData = processedData.filter(pdu => {
-      const isInMaintenance = maintenanceRackIds.has(pdu.rackId);
-      return !isInMaintenance;
-    });
-    await manageActiveCriticalAlerts(nonMaintenanceData, thresholds);
+      if ((!rack.site || rack.site === 'Unknown') && (!rack.dc || rack.dc === 'Unknown')) {
+        const rackDbData = await pool.request()
+          .input('rack_id', sql.NVarChar, sanitizedRackId)
+          .query(`
+            SELECT TOP 1
+              pdu_id, rack_id, name, country, site, dc, phase, chain, node, serial
+            FROM active_critical_alerts
+            WHERE rack_id = @rack_id OR name = @rack_id
+          `);
+
+        if (rackDbData.recordset.length > 0) {
+          const dbRack = rackDbData.recordset[0];
+          rack = {
+            ...rack,
+            name: rack.name || dbRack.name || sanitizedRackId,
+            site: rack.site || dbRack.site,
+            dc: rack.dc || dbRack.dc,
+            phase: rack.phase || dbRack.phase,
+            chain: rack.chain || dbRack.chain,
+            node: rack.node || dbRack.node,
+            country: rack.country || dbRack.country
+          };
+          chain = rack.chain;
+        }
+      }
+
+      const dc = rack.dc || 'Unknown';
+      const site = rack.site || 'Unknown';
+
+      // Check site permission for users with assigned sites (but NOT for Administrators)
+      if (req.session.userRole !== 'Administrador') {
+        if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, site)) {
+          if (!site || site === 'Unknown') {
+            return { error: 'site_unknown', message: 'No se puede determinar el sitio del rack.' };
+          }
+          return { error: 'forbidden', message: `No tienes permisos para gestionar mantenimientos en el sitio "${site}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`, site: site };
+        }
+      }
+
+      // Create maintenance entry
+      const entryId = require('crypto').randomUUID();
+
+      await pool.request()
+        .input('entry_id', sql.UniqueIdentifier, entryId)
+        .input('entry_type', sql.NVarChar, 'individual_rack')
+        .input('rack_id', sql.NVarChar, sanitizedRackId)
+        .input('chain', sql.NVarChar, String(chain || 'Unknown'))
+        .input('site', sql.NVarChar, site)
+        .input('dc', sql.NVarChar, dc)
+        .input('reason', sql.NVarChar, reason)
+        .input('user', sql.NVarChar, user)
+        .input('started_by', sql.NVarChar, user)
+        .query(`
+          INSERT INTO maintenance_entries
+          (id, entry_type, rack_id, chain, site, dc, reason, [user], started_by)
+          VALUES
+          (@entry_id, @entry_type, @rack_id, @chain, @site, @dc, @reason, @user, @started_by)
+        `);
+
+      const actualRackId = String(rack.rackId || sanitizedRackId);
+
+      const insertData = {
+        entry_id: entryId,
+        rack_id: actualRackId,
+        name: String(rack.name || sanitizedRackId),
+        country: String(rack.country || 'Unknown'),
+        site: site,
+        dc: dc,
+        phase: String(rack.phase || 'Unknown'),
+        chain: String(chain || 'Unknown'),
+        node: String(rack.node || 'Unknown'),
+        gwName: String(rack.gwName || 'N/A'),
+        gwIp: String(rack.gwIp || 'N/A')
+      };
 
-    // Agrupar por rackId para formar grupos
-    const rackGroups = [];
-    const rackMap = new Map();
+      logger.info('[MAINT] STEP 3: Data to INSERT into maintenance_rack_details', insertData);
 
-    filteredData.forEach(pdu => {
-      const rackId = pdu.rackId || pdu.id;
+      // Insert rack details
+      await pool.request()
+        .input('entry_id', sql.UniqueIdentifier, entryId)
+        .input('rack_id', sql.NVarChar, insertData.rack_id)
+        .input('name', sql.NVarChar, insertData.name)
+        .input('country', sql.NVarChar, insertData.country)
+        .input('site', sql.NVarChar, insertData.site)
+        .input('dc', sql.NVarChar, insertData.dc)
+        .input('phase', sql.NVarChar, insertData.phase)
+        .input('chain', sql.NVarChar, insertData.chain)
+        .input('node', sql.NVarChar, insertData.node)
+        .input('gwName', sql.NVarChar, insertData.gwName)
+        .input('gwIp', sql.NVarChar, insertData.gwIp)
+        .query(`
+          INSERT INTO maintenance_rack_details
+          (maintenance_entry_id, rack_id, name, country, site, dc, phase, chain, node, gwName, gwIp)
+          VALUES
+          (@entry_id, @rack_id, @name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp)
+        `);
 
-      if (!rackMap.has(rackId)) {
-        rackMap.set(rackId, []);
-      }
+      // Verify what was actually inserted
+      const verifyResult = await pool.request()
+        .input('entry_id', sql.UniqueIdentifier, entryId)
+        .query(`
+          SELECT rack_id, name, country, site, dc, phase, chain, node, gwName, gwIp
+          FROM maintenance_rack_details
+          WHERE maintenance_entry_id = @entry_id
+        `);
 
-      rackMap.get(rackId).push(pdu);
-    });
+      logger.info('[MAINT] STEP 4: VERIFY - Data actually saved in DB', {
+        rowsInserted: verifyResult.recordset.length,
+        savedData: verifyResult.recordset[0] || 'NO DATA FOUND'
+      });
 
-    // Convertir el Map en arrays
-    Array.from(rackMap.values()).forEach(rackGroup => {
-      rackGroups.push(rackGroup);
+      return { success: true, entryId, chain, dc };
     });
 
-    // Grouped into rack groups
+    if (result.error === 'already_exists') {
+      return res.status(409).json({
+        success: false,
+        message: `Rack ${sanitizedRackId} is already in maintenance`,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    // Get racks with alerts sent to SONAR
-    const sonarSentRacks = await getRacksWithSonarAlerts();
+    if (result.error === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Rack not found. Please provide rack data in request body.',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    // Update cache
-    racksCache.data = rackGroups;
-    racksCache.sonarSentRacks = Array.from(sonarSentRacks);
-    racksCache.timestamp = Date.now();
+    if (result.error === 'site_unknown') {
+      return res.status(400).json({
+        success: false,
+        message: result.message || 'No se puede determinar el sitio del rack.',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    const response = {
-      success: true,
-      data: rackGroups,
-      sonarErrors: getAllSonarErrors(),
-      sonarSentRacks: Array.from(sonarSentRacks),
-      message: 'Rack data retrieved successfully',
-      count: processedData.length,
-      timestamp: new Date().toISOString()
-    };
+    if (result.error === 'forbidden') {
+      return res.status(403).json({
+        success: false,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    res.json(response);
+    logger.info('[MAINT] === ADD RACK END - SUCCESS ===', {
+      rackId: sanitizedRackId,
+      entryId: result.entryId,
+      chain: result.chain,
+      dc: result.dc
+    });
 
-  } catch (error) {
-    logger.error('Energy racks fetch failed', { error: error.message, requestId });
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch energy racks data',
-      error: error.message,
-      requestId,
-      timestamp: new Date().toISOString()
+    closeSonarAlertsForMaintenance(sanitizedRackId).catch(err => {
+      logger.error('Failed to close SONAR alerts for rack maintenance', { rackId: sanitizedRackId, error: err.message });
     });
-  }
-});
 
-// Endpoint para obtener umbrales globales (requires auth)
-app.get('/api/thresholds', requireAuth, async (req, res) => {
-  try {
-    const thresholds = await fetchThresholdsFromDatabase();
-    
     res.json({
       success: true,
-      data: thresholds,
-      message: 'Thresholds retrieved successfully',
-      count: thresholds.length,
+      message: `Rack ${sanitizedRackId} added to maintenance`,
+      data: { rackId: sanitizedRackId, chain: result.chain, dc: result.dc, entryId: result.entryId },
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
-    logger.error('Thresholds fetch failed', { error: error.message });
-    
+    logger.error('Error adding rack to maintenance:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch thresholds',
+      message: 'Failed to add rack to maintenance',
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Endpoint para actualizar umbrales globales (only Administrador and Operador)
-app.put('/api/thresholds', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+// Add all racks from a chain to maintenance
+app.post('/api/maintenance/chain', requireAuth, async (req, res) => {
   try {
+    const {
+      chain,
+      site,
+      dc,
+      reason = 'Mantenimiento programado de chain',
+      user = 'Sistema'
+    } = req.body;
 
-    const { thresholds } = req.body;
-    
-    if (!thresholds || typeof thresholds !== 'object') {
+    if (!chain || !dc) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid thresholds data',
+        message: 'chain and dc are required',
         timestamp: new Date().toISOString()
       });
     }
-    
-    // Define valid threshold keys
-    const validKeys = [
-      'critical_temperature_low', 'critical_temperature_high', 
-      'warning_temperature_low', 'warning_temperature_high',
-      'critical_humidity_low', 'critical_humidity_high',
-      'warning_humidity_low', 'warning_humidity_high',
-      'critical_amperage_low_single_phase', 'critical_amperage_high_single_phase',
-      'warning_amperage_low_single_phase', 'warning_amperage_high_single_phase',
-      'critical_amperage_low_3_phase', 'critical_amperage_high_3_phase',
-      'warning_amperage_low_3_phase', 'warning_amperage_high_3_phase',
-      'critical_voltage_low', 'critical_voltage_high',
-      'warning_voltage_low', 'warning_voltage_high',
-      'critical_power_high', 'warning_power_high'
-    ];
-    
-    // Filter out invalid keys
-    const filteredThresholds = {};
-    Object.entries(thresholds).forEach(([key, value]) => {
-      if (validKeys.includes(key)) {
-        filteredThresholds[key] = value;
+
+    // Check site permission for users with assigned sites (but NOT for Administrators)
+    if (req.session.userRole !== 'Administrador') {
+      if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, site)) {
+        if (!site) {
+          return res.status(400).json({
+            success: false,
+            message: 'No se puede determinar el sitio de la chain. Información de sitio requerida para usuarios con sitios asignados.',
+            timestamp: new Date().toISOString()
+          });
+        }
+        return res.status(403).json({
+          success: false,
+          message: `No tienes permisos para gestionar mantenimientos en el sitio "${site}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // Validate and sanitize inputs
+    const sanitizedChain = String(chain || '').trim();
+    const sanitizedDc = String(dc || '').trim();
+
+    if (!sanitizedChain || !sanitizedDc) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid chain or dc values',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Fetch ALL power data from NENG API to get all racks in this chain and dc
+    let allPowerData = [];
+    let powerSkip = 0;
+    const pageSize = 100;
+    let hasMorePowerData = true;
+
+    while (hasMorePowerData) {
+      const powerResponse = await fetchFromNengApi(
+        `${process.env.NENG_API_URL}?skip=${powerSkip}&limit=${pageSize}`,
+        {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      if (!powerResponse.success || !powerResponse.data) {
+        throw new Error('Invalid response from NENG Power API');
+      }
+
+      const pageData = Array.isArray(powerResponse.data) ? powerResponse.data : [];
+
+      if (pageData.length === 0) {
+        hasMorePowerData = false;
+      } else {
+        allPowerData = allPowerData.concat(pageData);
+        powerSkip += pageSize;
+
+        if (pageData.length < pageSize) {
+          hasMorePowerData = false;
+        }
+      }
+    }
+
+    // Filter racks that belong to this chain in the specified datacenter only
+    let chainRacks = allPowerData.filter(rack => {
+      const rackChain = String(rack.chain).trim();
+      const rackDc = String(rack.dc).trim();
+      return rackChain === sanitizedChain && rackDc === sanitizedDc;
+    });
+
+    // Filter out items without valid rackName
+    const beforeRackNameFilter = chainRacks.length;
+
+    chainRacks = chainRacks.filter(rack => {
+      const hasValidRackName = rack.rackName &&
+                                String(rack.rackName).trim() !== '' &&
+                                String(rack.rackName).trim() !== 'null' &&
+                                String(rack.rackName).trim() !== 'undefined';
+      return hasValidRackName;
+    });
+
+    if (chainRacks.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: `No se encontraron racks para la chain ${sanitizedChain} en DC ${sanitizedDc}. Es posible que la chain esté vacía o que los racks no tengan rackName válido.`,
+        racksAdded: 0,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Group by rackId to avoid inserting multiple records for the same physical rack
+    const rackMap = new Map();
+
+    chainRacks.forEach((rack) => {
+      let rackId = null;
+
+      if (rack.rackId && String(rack.rackId).trim()) {
+        rackId = String(rack.rackId).trim();
+      } else if (rack.id && String(rack.id).trim()) {
+        rackId = String(rack.id).trim();
+      }
+
+      if (rackId && !rackMap.has(rackId)) {
+        rackMap.set(rackId, { ...rack, sanitizedRackId: rackId });
       }
     });
-    
-    if (Object.keys(filteredThresholds).length === 0) {
+
+    const uniqueRacks = Array.from(rackMap.values());
+
+    if (uniqueRacks.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'No valid threshold keys provided',
+        message: `No valid racks found for chain ${sanitizedChain} in DC ${sanitizedDc}`,
         timestamp: new Date().toISOString()
       });
     }
-    
-    const updatedCount = await saveThresholdsToDatabase(filteredThresholds);
-    
-    res.json({
-      success: true,
-      message: 'Thresholds updated successfully',
-      count: updatedCount,
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    logger.error('Thresholds update failed', { error: error.message });
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update thresholds',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-// Endpoint para obtener umbrales específicos de un rack (requires auth)
-app.get('/api/racks/:rackId/thresholds', requireAuth, async (req, res) => {
-  try {
-    const { rackId } = req.params;
 
-    const results = await executeQuery(async (pool) => {
-      // Get global thresholds
-      const globalResult = await pool.request().query(`
-        SELECT threshold_key as [key], value, unit, description, created_at as createdAt, updated_at as updatedAt
-        FROM dbo.threshold_configs
-        ORDER BY threshold_key
-      `);
+    const result = await executeQuery(async (pool) => {
+      // Create a single maintenance entry for the entire chain
+      const entryId = require('crypto').randomUUID();
 
-      // Get rack-specific thresholds
-      const rackResult = await pool.request()
-        .input('rackId', sql.NVarChar, rackId)
+      await pool.request()
+        .input('entry_id', sql.UniqueIdentifier, entryId)
+        .input('entry_type', sql.NVarChar, 'chain')
+        .input('chain', sql.NVarChar, sanitizedChain)
+        .input('site', sql.NVarChar, site || 'Unknown')
+        .input('dc', sql.NVarChar, sanitizedDc)
+        .input('reason', sql.NVarChar, reason)
+        .input('user', sql.NVarChar, user)
+        .input('started_by', sql.NVarChar, user)
         .query(`
-          SELECT threshold_key as [key], value, unit, description, created_at as createdAt, updated_at as updatedAt
-          FROM dbo.rack_threshold_overrides
-          WHERE rack_id = @rackId
-          ORDER BY threshold_key
+          INSERT INTO maintenance_entries
+          (id, entry_type, rack_id, chain, site, dc, reason, [user], started_by)
+          VALUES
+          (@entry_id, @entry_type, NULL, @chain, @site, @dc, @reason, @user, @started_by)
         `);
 
-      return {
-        global: globalResult.recordset || [],
-        rackSpecific: rackResult.recordset || []
-      };
+      // Insert all racks as details of this maintenance entry
+      let insertedCount = 0;
+      let failedCount = 0;
+
+      for (const rack of uniqueRacks) {
+        try {
+          const rackId = rack.sanitizedRackId;
+          const pduId = String(rack.id || rackId);
+
+          // Check if this rack is already in maintenance
+          const existingCheck = await pool.request()
+            .input('rack_id', sql.NVarChar, rackId)
+            .query(`
+              SELECT COUNT(*) as count
+              FROM maintenance_rack_details
+              WHERE rack_id = @rack_id
+            `);
+
+          if (existingCheck.recordset[0].count > 0) {
+            failedCount++;
+            continue;
+          }
+
+          await pool.request()
+            .input('entry_id', sql.UniqueIdentifier, entryId)
+            .input('rack_id', sql.NVarChar, rackId)
+            .input('name', sql.NVarChar, String(rack.rackName || rack.name || 'Unknown'))
+            .input('country', sql.NVarChar, 'España')
+            .input('site', sql.NVarChar, site || String(rack.site || 'Unknown'))
+            .input('dc', sql.NVarChar, sanitizedDc)
+            .input('phase', sql.NVarChar, String(rack.phase || 'Unknown'))
+            .input('chain', sql.NVarChar, sanitizedChain)
+            .input('node', sql.NVarChar, String(rack.node || 'Unknown'))
+            .input('gwName', sql.NVarChar, String(rack.gwName || 'N/A'))
+            .input('gwIp', sql.NVarChar, String(rack.gwIp || 'N/A'))
+            .query(`
+              INSERT INTO maintenance_rack_details
+              (maintenance_entry_id, rack_id, name, country, site, dc, phase, chain, node, gwName, gwIp)
+              VALUES
+              (@entry_id, @rack_id, @name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp)
+            `);
+
+          insertedCount++;
+        } catch (insertError) {
+          failedCount++;
+          logger.error(`Failed to insert rack ${rack.sanitizedRackId} to maintenance:`, insertError);
+        }
+      }
+
+      return { entryId, insertedCount, failedCount };
+    });
+
+    logger.info('Chain added to maintenance', {
+      chain: sanitizedChain,
+      dc: sanitizedDc,
+      inserted: result.insertedCount,
+      skipped: result.failedCount,
+      total: uniqueRacks.length
+    });
+
+    const rackIdsForSonar = uniqueRacks.map(r => r.sanitizedRackId).filter(Boolean);
+    closeSonarAlertsForMaintenanceBatch(rackIdsForSonar).catch(err => {
+      logger.error('Failed to close SONAR alerts for chain maintenance', { chain: sanitizedChain, error: err.message });
     });
 
     res.json({
       success: true,
-      data: results,
-      message: `Thresholds retrieved successfully for rack ${rackId}`,
+      message: `Chain ${sanitizedChain} from DC ${sanitizedDc} added to maintenance: ${result.insertedCount} racks added successfully${result.failedCount > 0 ? `, ${result.failedCount} skipped (already in maintenance)` : ''}`,
+      data: {
+        entryId: result.entryId,
+        chain: sanitizedChain,
+        dc: sanitizedDc,
+        racksAdded: result.insertedCount,
+        racksFailed: result.failedCount,
+        totalRacks: uniqueRacks.length,
+        totalPdusFiltered: chainRacks.length
+      },
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
-    logger.error('Rack thresholds fetch failed', { error: error.message, rackId: req.params.rackId });
-    
+    logger.error('Add chain to maintenance failed', { error: error.message, body: req.body });
     res.status(500).json({
       success: false,
-      message: `Failed to fetch thresholds for rack ${req.params.rackId}`,
+      message: 'Failed to add chain to maintenance',
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Endpoint para actualizar umbrales específicos de un rack (only Administrador and Operador)
-app.put('/api/racks/:rackId/thresholds', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+// Remove a single rack from maintenance
+app.delete('/api/maintenance/rack/:rackId', requireAuth, async (req, res) => {
   try {
     const { rackId } = req.params;
-    const { thresholds } = req.body;
 
-    if (!thresholds || typeof thresholds !== 'object') {
+    if (!rackId) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid thresholds data',
+        message: 'rackId parameter is required',
         timestamp: new Date().toISOString()
       });
     }
 
-    // Define valid threshold keys
-    const validKeys = [
-      'critical_temperature_low', 'critical_temperature_high',
-      'warning_temperature_low', 'warning_temperature_high',
-      'critical_humidity_low', 'critical_humidity_high',
-      'warning_humidity_low', 'warning_humidity_high',
-      'critical_amperage_low_single_phase', 'critical_amperage_high_single_phase',
-      'warning_amperage_low_single_phase', 'warning_amperage_high_single_phase',
-      'critical_amperage_low_3_phase', 'critical_amperage_high_3_phase',
-      'warning_amperage_low_3_phase', 'warning_amperage_high_3_phase',
-      'critical_voltage_low', 'critical_voltage_high',
-      'warning_voltage_low', 'warning_voltage_high'
-    ];
+    const sanitizedRackId = String(rackId).trim();
 
-    // Filter out invalid keys
-    const filteredThresholds = {};
-    Object.entries(thresholds).forEach(([key, value]) => {
-      if (validKeys.includes(key)) {
-        filteredThresholds[key] = value;
+    const result = await executeQuery(async (pool) => {
+      // Get the maintenance entry ID for this rack and check permissions
+      const entryResult = await pool.request()
+        .input('rack_id', sql.NVarChar, sanitizedRackId)
+        .query(`
+          SELECT mrd.maintenance_entry_id, me.entry_type, mrd.site
+          FROM maintenance_rack_details mrd
+          JOIN maintenance_entries me ON mrd.maintenance_entry_id = me.id
+          WHERE mrd.rack_id = @rack_id
+        `);
+
+      if (entryResult.recordset.length === 0) {
+        return { error: 'not_found' };
       }
-    });
 
-    if (Object.keys(filteredThresholds).length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No valid threshold keys provided',
-        timestamp: new Date().toISOString()
-      });
-    }
+      const entryId = entryResult.recordset[0].maintenance_entry_id;
+      const entryType = entryResult.recordset[0].entry_type;
+      const rackSite = entryResult.recordset[0].site;
 
-    const updatedCount = await executeQuery(async (pool) => {
-      let count = 0;
+      // Check site permission for users with assigned sites (but NOT for Administrators)
+      if (req.session.userRole !== 'Administrador') {
+        if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, rackSite)) {
+          if (!rackSite || rackSite === 'Unknown') {
+            return { error: 'site_unknown', message: 'No se puede determinar el sitio del rack.' };
+          }
+          return { error: 'forbidden', message: `No tienes permisos para gestionar mantenimientos en el sitio "${rackSite}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`, site: rackSite };
+        }
+      }
 
-      for (const [key, value] of Object.entries(filteredThresholds)) {
-        // Get the unit from global threshold_configs
-        const unitResult = await pool.request()
-          .input('key', sql.NVarChar, key)
-          .query(`SELECT unit FROM dbo.threshold_configs WHERE threshold_key = @key`);
+      // Guardar en historial antes de eliminar
+      const endedBy = req.session.usuario || 'Sistema';
+      await saveRackMaintenanceToHistory(pool, sanitizedRackId, endedBy);
 
-        const unit = unitResult.recordset.length > 0 ? unitResult.recordset[0].unit : null;
+      // Delete the rack detail
+      await pool.request()
+        .input('rack_id', sql.NVarChar, sanitizedRackId)
+        .query(`
+          DELETE FROM maintenance_rack_details
+          WHERE rack_id = @rack_id
+        `);
 
+      // If this was an individual rack entry, delete the entry too
+      // If it was a chain entry, check if there are any racks left
+      if (entryType === 'individual_rack') {
         await pool.request()
-          .input('rackId', sql.NVarChar, rackId)
-          .input('key', sql.NVarChar, key)
-          .input('value', sql.Decimal(18, 4), value)
-          .input('unit', sql.NVarChar, unit)
+          .input('entry_id', sql.UniqueIdentifier, entryId)
+          .query(`
+            DELETE FROM maintenance_entries
+            WHERE id = @entry_id
+          `);
+      } else {
+        // Check if the chain entry has any remaining racks
+        const remainingRacks = await pool.request()
+          .input('entry_id', sql.UniqueIdentifier, entryId)
           .query(`
-            MERGE dbo.rack_threshold_overrides AS target
-            USING (SELECT @rackId as rack_id, @key as threshold_key, @value as value, @unit as unit) AS source
-            ON target.rack_id = source.rack_id AND target.threshold_key = source.threshold_key
-            WHEN MATCHED THEN
-              UPDATE SET value = source.value, unit = source.unit, updated_at = GETDATE()
-            WHEN NOT MATCHED THEN
-              INSERT (rack_id, threshold_key, value, unit) VALUES (source.rack_id, source.threshold_key, source.value, source.unit);
+            SELECT COUNT(*) as count
+            FROM maintenance_rack_details
+            WHERE maintenance_entry_id = @entry_id
           `);
 
-        count++;
+        // If no racks remain, delete the entry
+        if (remainingRacks.recordset[0].count === 0) {
+          await pool.request()
+            .input('entry_id', sql.UniqueIdentifier, entryId)
+            .query(`
+              DELETE FROM maintenance_entries
+              WHERE id = @entry_id
+            `);
+        }
       }
 
-      return count;
-    });
-    
-    res.json({
-      success: true,
-      message: `Rack-specific thresholds updated successfully for ${rackId}`,
-      count: updatedCount,
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    logger.error('Rack thresholds update failed', { error: error.message, rackId: req.params.rackId });
-    
-    res.status(500).json({
-      success: false,
-      message: `Failed to update thresholds for rack ${req.params.rackId}`,
-      error: error.message,
-      timestamp: new Date().toISOString()
+      return { success: true };
     });
-  }
-});
 
-// Endpoint para resetear umbrales específicos de un rack (only Administrador and Operador)
-app.delete('/api/racks/:rackId/thresholds', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
-  try {
-    const { rackId } = req.params;
+    if (result.error === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: `Rack ${sanitizedRackId} is not in maintenance`,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    const result = await executeQuery(async (pool) => {
-      return await pool.request()
-        .input('rackId', sql.NVarChar, rackId)
-        .query(`
-          DELETE FROM dbo.rack_threshold_overrides WHERE rack_id = @rackId
-        `);
-    });
+    logger.info(`Rack ${sanitizedRackId} removed from maintenance`);
 
-    const deletedCount = result.rowsAffected[0];
-    
     res.json({
       success: true,
-      message: `Rack-specific thresholds reset to global values for ${rackId}`,
-      count: deletedCount,
+      message: `Rack ${sanitizedRackId} removed from maintenance`,
+      data: { rackId: sanitizedRackId },
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
-    logger.error('Rack thresholds reset failed', { error: error.message, rackId: req.params.rackId });
-    
+    logger.error('Remove rack from maintenance failed', { error: error.message, rackId: req.params.rackId });
+
     res.status(500).json({
       success: false,
-      message: `Failed to reset thresholds for rack ${req.params.rackId}`,
+      message: 'Failed to remove rack from maintenance',
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// ============================================
-// MAINTENANCE MODE ENDPOINTS
-// ============================================
-
-// Get all maintenance entries with their racks
-app.get('/api/maintenance', requireAuth, async (req, res) => {
+// Remove an entire maintenance entry (individual rack or full chain) by entry ID
+app.delete('/api/maintenance/entry/:entryId', requireAuth, async (req, res) => {
   try {
-    logger.info('[MAINT-READ] === GET MAINTENANCE START ===');
-
-    const results = await executeQuery(async (pool) => {
-      const entriesResult = await pool.request().query(`
-        SELECT id, entry_type, rack_id, chain, site, dc, reason, [user], started_at, started_by, created_at
-        FROM maintenance_entries
-        ORDER BY started_at DESC
-      `);
-
-      const detailsResult = await pool.request().query(`
-        SELECT mrd.maintenance_entry_id, mrd.rack_id, mrd.name, mrd.country, mrd.site, mrd.dc, mrd.phase, mrd.chain, mrd.node, mrd.gwName, mrd.gwIp
-        FROM maintenance_rack_details mrd
-      `);
+    const { entryId } = req.params;
 
-      return {
-        entries: entriesResult.recordset || [],
-        details: detailsResult.recordset || []
-      };
-    });
+    if (!entryId) {
+      return res.status(400).json({
+        success: false,
+        message: 'entryId parameter is required',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    const { entries, details } = results;
+    const result = await executeQuery(async (pool) => {
+      // Get entry info before deleting and check permissions
+      const entryInfo = await pool.request()
+        .input('entry_id', sql.UniqueIdentifier, entryId)
+        .query(`
+          SELECT me.entry_type, me.rack_id, me.chain, me.dc, me.site,
+                 (SELECT COUNT(*) FROM maintenance_rack_details WHERE maintenance_entry_id = @entry_id) as rack_count
+          FROM maintenance_entries me
+          WHERE me.id = @entry_id
+        `);
 
-    logger.info('[MAINT-READ] STEP 1: Data from DB', {
-      entriesCount: entries.length,
-      detailsCount: details.length,
-      sampleDetails: details.slice(0, 3).map(d => ({
-        rack_id: d.rack_id,
-        name: d.name,
-        site: d.site,
-        dc: d.dc,
-        phase: d.phase,
-        chain: d.chain,
-        node: d.node,
-        gwName: d.gwName,
-        gwIp: d.gwIp
-      }))
-    });
+      if (entryInfo.recordset.length === 0) {
+        return { error: 'not_found' };
+      }
 
-    const detailsNeedingEnrichment = details.filter(d => {
-      const site = String(d.site || '').trim();
-      const dc = String(d.dc || '').trim();
-      const chain = String(d.chain || '').trim();
-      const phase = String(d.phase || '').trim();
-      const node = String(d.node || '').trim();
-      const gwName = String(d.gwName || '').trim();
-      const gwIp = String(d.gwIp || '').trim();
-      return site === 'Unknown' || site === '' ||
-             dc === 'Unknown' || dc === '' ||
-             chain === 'Unknown' || chain === '' ||
-             phase === 'Unknown' || phase === '' ||
-             node === 'Unknown' || node === '' ||
-             !gwName || gwName === 'N/A' ||
-             !gwIp || gwIp === 'N/A';
-    });
+      const entry = entryInfo.recordset[0];
 
-    logger.info('[MAINT-READ] STEP 2: Racks needing enrichment (have Unknown/empty values)', {
-      needingEnrichment: detailsNeedingEnrichment.length,
-      racksWithIncompleteData: detailsNeedingEnrichment.slice(0, 5).map(d => ({
-        rack_id: d.rack_id,
-        name: d.name,
-        site: d.site || '(empty)',
-        dc: d.dc || '(empty)',
-        chain: d.chain || '(empty)',
-        phase: d.phase || '(empty)',
-        node: d.node || '(empty)',
-        gwName: d.gwName || '(empty)',
-        gwIp: d.gwIp || '(empty)'
-      }))
-    });
+      // Check site permission for users with assigned sites (but NOT for Administrators)
+      if (req.session.userRole !== 'Administrador') {
+        if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, entry.site)) {
+          if (!entry.site || entry.site === 'Unknown') {
+            return { error: 'site_unknown', message: 'No se puede determinar el sitio de esta entrada de mantenimiento.' };
+          }
+          return { error: 'forbidden', message: `No tienes permisos para gestionar mantenimientos en el sitio "${entry.site}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`, site: entry.site };
+        }
+      }
 
-    if (detailsNeedingEnrichment.length > 0 && process.env.NENG_API_URL && process.env.NENG_API_KEY) {
-      try {
-        let allPowerData = [];
-        let skip = 0;
-        const limit = 100;
-        let hasMore = true;
-        let pageCount = 0;
-        const maxPages = 100;
+      // Guardar en historial antes de eliminar
+      const endedBy = req.session.usuario || 'Sistema';
+      await saveMaintenanceToHistory(pool, entryId, endedBy);
 
-        logger.info('[MAINT-READ] STEP 2b: Starting API pagination...', { limit, maxPages });
+      // Delete the maintenance entry (CASCADE will delete all related rack details)
+      await pool.request()
+        .input('entry_id', sql.UniqueIdentifier, entryId)
+        .query(`
+          DELETE FROM maintenance_entries
+          WHERE id = @entry_id
+        `);
 
-        while (hasMore && pageCount < maxPages) {
-          const response = await fetchFromNengApi(
-            `${process.env.NENG_API_URL}?skip=${skip}&limit=${limit}`,
-            { method: 'GET', headers: { 'Authorization': `Bearer ${process.env.NENG_API_KEY}`, 'Content-Type': 'application/json' } }
-          );
+      return { success: true, entry };
+    });
 
-          pageCount++;
+    if (result.error === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance entry not found',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-          if (response.success && Array.isArray(response.data)) {
-            const recordsInPage = response.data.length;
-            allPowerData = allPowerData.concat(response.data);
+    if (result.error === 'site_unknown') {
+      return res.status(400).json({
+        success: false,
+        message: result.message || 'No se puede determinar el sitio de esta entrada.',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-            logger.info('[MAINT-READ] API page loaded', {
-              page: pageCount,
-              skip,
-              recordsInPage,
-              totalSoFar: allPowerData.length,
-              willContinue: recordsInPage >= limit
-            });
+    if (result.error === 'forbidden') {
+      return res.status(403).json({
+        success: false,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-            hasMore = recordsInPage >= limit;
-            skip += limit;
-          } else {
-            logger.warn('[MAINT-READ] API pagination stopped - invalid response', {
-              page: pageCount,
-              skip,
-              responseSuccess: response.success,
-              isArray: Array.isArray(response.data)
-            });
-            hasMore = false;
-          }
-        }
+    const entry = result.entry;
 
-        if (pageCount >= maxPages) {
-          logger.warn('[MAINT-READ] Reached max pages limit', { maxPages, totalRecords: allPowerData.length });
-        }
+    const message = entry.entry_type === 'chain'
+      ? `Chain ${entry.chain} from DC ${entry.dc} removed from maintenance (${entry.rack_count} racks)`
+      : `Rack ${entry.rack_id} removed from maintenance`;
 
-        logger.info('[MAINT-READ] STEP 3: Fetched data from NENG API for enrichment', {
-          totalRecords: allPowerData.length,
-          samplePDU: allPowerData.length > 0 ? {
-            rackName: allPowerData[0].rackName,
-            site: allPowerData[0].site,
-            dc: allPowerData[0].dc,
-            phase: allPowerData[0].phase,
-            chain: allPowerData[0].chain,
-            chainType: typeof allPowerData[0].chain,
-            node: allPowerData[0].node,
-            nodeType: typeof allPowerData[0].node,
-            gwName: allPowerData[0].gwName,
-            gwIp: allPowerData[0].gwIp
-          } : null
-        });
+    logger.info(message);
 
-        const rackApiDataMap = new Map();
-        const rackApiDataMapLower = new Map();
-        allPowerData.forEach(pdu => {
-          const rackName = String(pdu.rackName || '').trim();
-          if (rackName) {
-            const apiData = {
-              site: pdu.site || null,
-              dc: pdu.dc || null,
-              phase: pdu.phase || null,
-              chain: pdu.chain !== undefined && pdu.chain !== null ? String(pdu.chain) : null,
-              node: pdu.node !== undefined && pdu.node !== null ? String(pdu.node) : null,
-              gwName: pdu.gwName || null,
-              gwIp: pdu.gwIp || null
-            };
-            rackApiDataMap.set(rackName, apiData);
-            rackApiDataMapLower.set(rackName.toLowerCase(), apiData);
-          }
-        });
+    res.json({
+      success: true,
+      message,
+      data: {
+        entryId,
+        entryType: entry.entry_type,
+        chain: entry.chain,
+        dc: entry.dc,
+        racksRemoved: entry.rack_count
+      },
+      timestamp: new Date().toISOString()
+    });
 
-        logger.info('[MAINT-READ] STEP 4: Created lookup map from API data', {
-          uniqueRackNames: rackApiDataMap.size,
-          sampleMapEntries: Array.from(rackApiDataMap.entries()).slice(0, 3).map(([k, v]) => ({
-            rackName: k,
-            data: v
-          }))
-        });
+  } catch (error) {
+    logger.error('Remove maintenance entry failed', { error: error.message, entryId: req.params.entryId });
 
-        let enrichedCount = 0;
-        let notFoundCount = 0;
-        const notFoundRacks = [];
-        const pool = await getPool();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove maintenance entry',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-        for (const detail of detailsNeedingEnrichment) {
-          const rackName = String(detail.name || detail.rack_id || '').trim();
-          let apiData = rackApiDataMap.get(rackName);
-          if (!apiData) {
-            apiData = rackApiDataMapLower.get(rackName.toLowerCase());
-          }
+// Remove ALL maintenance entries and racks
+app.delete('/api/maintenance/all', requireAuth, async (req, res) => {
+  try {
+    const result = await executeQuery(async (pool) => {
+      // For users with assigned sites (but NOT Administrators), only delete entries from their sites
+      let whereClause = '';
+      if (req.session.userRole !== 'Administrador' && req.session.sitiosAsignados && Array.isArray(req.session.sitiosAsignados) && req.session.sitiosAsignados.length > 0) {
+        const sitesCondition = req.session.sitiosAsignados.map(site => `'${site.replace("'", "''")}'`).join(',');
+        whereClause = `WHERE site IN (${sitesCondition})`;
+      }
 
-          if (apiData) {
-            let needsUpdate = false;
-            const updates = {};
+      // Get count before deletion
+      let countQuery = '';
+      if (whereClause) {
+        countQuery = `
+          SELECT
+            (SELECT COUNT(*) FROM maintenance_entries ${whereClause}) as entry_count,
+            (SELECT COUNT(*) FROM maintenance_rack_details mrd
+             JOIN maintenance_entries me ON mrd.maintenance_entry_id = me.id
+             WHERE me.site IN (${req.session.sitiosAsignados.map(site => `'${site.replace("'", "''")}'`).join(',')})) as rack_count
+        `;
+      } else {
+        countQuery = `
+          SELECT
+            (SELECT COUNT(*) FROM maintenance_entries) as entry_count,
+            (SELECT COUNT(*) FROM maintenance_rack_details) as rack_count
+        `;
+      }
 
-            if (apiData.site && (detail.site === 'Unknown' || !detail.site)) {
-              detail.site = apiData.site;
-              updates.site = apiData.site;
-              needsUpdate = true;
-            }
-            if (apiData.dc && (detail.dc === 'Unknown' || !detail.dc)) {
-              detail.dc = apiData.dc;
-              updates.dc = apiData.dc;
-              needsUpdate = true;
-            }
-            if (apiData.phase && (detail.phase === 'Unknown' || !detail.phase)) {
-              detail.phase = apiData.phase;
-              updates.phase = apiData.phase;
-              needsUpdate = true;
-            }
-            if (apiData.chain && (detail.chain === 'Unknown' || !detail.chain)) {
-              detail.chain = apiData.chain;
-              updates.chain = apiData.chain;
-              needsUpdate = true;
-            }
-            if (apiData.node && (detail.node === 'Unknown' || !detail.node)) {
-              detail.node = apiData.node;
-              updates.node = apiData.node;
-              needsUpdate = true;
-            }
-            if (apiData.gwName && (!detail.gwName || detail.gwName === 'N/A')) {
-              detail.gwName = apiData.gwName;
-              updates.gwName = apiData.gwName;
-              needsUpdate = true;
-            }
-            if (apiData.gwIp && (!detail.gwIp || detail.gwIp === 'N/A')) {
-              detail.gwIp = apiData.gwIp;
-              updates.gwIp = apiData.gwIp;
-              needsUpdate = true;
-            }
+      const countResult = await pool.request().query(countQuery);
 
-            if (needsUpdate) {
-              logger.info('[MAINT-READ] STEP 5a: Enriching rack from API', {
-                rackName: rackName,
-                beforeUpdate: {
-                  site: detail.site,
-                  dc: detail.dc,
-                  chain: detail.chain,
-                  phase: detail.phase,
-                  node: detail.node,
-                  gwName: detail.gwName,
-                  gwIp: detail.gwIp
-                },
-                apiData: apiData,
-                updates: updates
-              });
+      const { entry_count, rack_count } = countResult.recordset[0];
 
-              try {
-                const setClauses = Object.keys(updates).map(k => `${k} = @${k}`).join(', ');
-                const request = pool.request()
-                  .input('rack_id', sql.NVarChar, String(detail.rack_id))
-                  .input('maintenance_entry_id', sql.UniqueIdentifier, detail.maintenance_entry_id);
+      if (entry_count === 0) {
+        return { entry_count: 0, rack_count: 0, deleted: false };
+      }
 
-                Object.entries(updates).forEach(([key, value]) => {
-                  request.input(key, sql.NVarChar, String(value));
-                });
+      // Obtener todos los entry IDs para guardar en historial
+      const endedBy = req.session.usuario || 'Sistema';
+      let entriesQuery = `SELECT id FROM maintenance_entries ${whereClause}`;
+      const entriesResult = await pool.request().query(entriesQuery);
 
-                await request.query(`UPDATE maintenance_rack_details SET ${setClauses} WHERE rack_id = @rack_id AND maintenance_entry_id = @maintenance_entry_id`);
-                enrichedCount++;
-              } catch (updateError) {
-                logger.error('[MAINT-READ] STEP 5b: Update FAILED for rack', { rack: rackName, error: updateError.message });
-              }
-            }
-          } else {
-            notFoundCount++;
-            if (notFoundRacks.length < 10) {
-              notFoundRacks.push(rackName);
-            }
-          }
-        }
+      // Guardar cada entrada en el historial antes de eliminar
+      for (const row of entriesResult.recordset) {
+        await saveMaintenanceToHistory(pool, row.id, endedBy);
+      }
 
-        logger.info('[MAINT-READ] STEP 6: Enrichment completed', {
-          enrichedCount,
-          notFoundInAPI: notFoundCount,
-          notFoundRacksSample: notFoundRacks
-        });
-      } catch (apiError) {
-        logger.error('[MAINT-READ] API NENG error during enrichment', { error: apiError.message });
+      // Delete rack details first (foreign key constraint)
+      if (whereClause) {
+        await pool.request().query(`
+          DELETE FROM maintenance_rack_details
+          WHERE maintenance_entry_id IN (
+            SELECT id FROM maintenance_entries ${whereClause}
+          )
+        `);
+      } else {
+        await pool.request().query(`DELETE FROM maintenance_rack_details`);
       }
-    } else if (detailsNeedingEnrichment.length > 0) {
-      logger.warn('[MAINT-READ] NENG API not configured - cannot enrich incomplete data', {
-        needingEnrichment: detailsNeedingEnrichment.length,
-        hasUrl: !!process.env.NENG_API_URL,
-        hasKey: !!process.env.NENG_API_KEY
+
+      // Delete maintenance entries
+      await pool.request().query(`DELETE FROM maintenance_entries ${whereClause}`);
+
+      return { entry_count, rack_count, deleted: true };
+    });
+
+    if (!result.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'No maintenance entries to remove',
+        timestamp: new Date().toISOString()
       });
     }
 
-    const maintenanceData = entries.map(entry => ({
-      ...entry,
-      racks: details.filter(d => d.maintenance_entry_id === entry.id)
-    }));
-
-    logger.info('[MAINT-READ] === GET MAINTENANCE END ===', {
-      entriesReturned: maintenanceData.length,
-      totalRacksReturned: details.length,
-      sampleFinalData: maintenanceData.slice(0, 2).map(e => ({
-        id: e.id,
-        entry_type: e.entry_type,
-        racksCount: e.racks?.length || 0,
-        firstRack: e.racks?.[0] ? {
-          rack_id: e.racks[0].rack_id,
-          name: e.racks[0].name,
-          site: e.racks[0].site,
-          dc: e.racks[0].dc,
-          chain: e.racks[0].chain,
-          node: e.racks[0].node,
-          gwName: e.racks[0].gwName,
-          gwIp: e.racks[0].gwIp
-        } : null
-      }))
+    logger.info('Maintenance entries removed', {
+      entries: result.entry_count,
+      racks: result.rack_count,
+      user: req.session.usuario,
+      sites: req.session.sitiosAsignados || 'all'
     });
 
+    const responseMessage = req.session.sitiosAsignados && req.session.sitiosAsignados.length > 0
+      ? `Maintenance entries removed for your assigned sites (${result.entry_count} entries, ${result.rack_count} racks)`
+      : `All maintenance entries removed (${result.entry_count} entries, ${result.rack_count} racks)`;
+
     res.json({
       success: true,
-      data: maintenanceData,
-      message: 'Maintenance entries retrieved successfully',
-      count: entries.length,
-      totalRacks: details.length,
+      message: responseMessage,
+      data: {
+        entriesRemoved: result.entry_count,
+        racksRemoved: result.rack_count
+      },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    logger.error('Maintenance entries fetch failed', { error: error.message });
-    res.json({
+    logger.error('Remove all maintenance entries failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove all maintenance entries',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Configure multer for file uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimeTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel'
+    ];
+    if (allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only Excel files (.xlsx, .xls) are allowed'));
+    }
+  }
+});
+
+// Endpoint to download template
+app.get('/api/maintenance/template', (req, res) => {
+  const filePath = path.join(__dirname, 'plantilla_mantenimiento.xlsx');
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
       success: false,
-      message: 'Failed to fetch maintenance entries',
-      error: error.message,
+      message: 'Template file not found',
       timestamp: new Date().toISOString()
     });
   }
-});
 
-// Add single rack to maintenance
-app.post('/api/maintenance/rack', requireAuth, async (req, res) => {
-  try {
-    const {
-      rackId,
-      rackData,
-      reason = 'Mantenimiento programado',
-      user = 'Sistema'
-    } = req.body;
+  res.download(filePath, 'plantilla_mantenimiento_racks.xlsx', (err) => {
+    if (err) {
+      logger.error('Error downloading template:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Error downloading template',
+        error: err.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+});
 
-    logger.info('[MAINT] === ADD RACK START ===', {
-      rackId,
-      hasRackData: !!rackData,
-      rackDataKeys: rackData ? Object.keys(rackData) : [],
-      rackDataValues: rackData ? {
-        name: rackData.name,
-        site: rackData.site,
-        dc: rackData.dc,
-        phase: rackData.phase,
-        chain: rackData.chain,
-        node: rackData.node,
-        gwName: rackData.gwName,
-        gwIp: rackData.gwIp
-      } : null,
-      reason,
-      user
+// Endpoint to import racks from Excel (requires auth, not for Observador)
+app.post('/api/maintenance/import-excel', requireAuth, upload.single('file'), async (req, res) => {
+  if (req.session.userRole === 'Observador') {
+    return res.status(403).json({
+      success: false,
+      message: 'No tiene permisos para importar mantenimientos.',
+      timestamp: new Date().toISOString()
     });
-
-    if (!rackId) {
+  }
+  try {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'rackId is required',
+        message: 'No file uploaded',
         timestamp: new Date().toISOString()
       });
     }
 
-    const sanitizedRackId = String(rackId || '').trim();
-    if (!sanitizedRackId) {
+    const { defaultReason = 'Mantenimiento' } = req.body;
+    const user = req.session.usuario || 'Sistema';
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(req.file.buffer);
+
+    const worksheet = workbook.getWorksheet('Datos');
+    if (!worksheet) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid rackId: must be a non-empty string',
+        message: 'Excel file must contain a sheet named "Datos"',
         timestamp: new Date().toISOString()
       });
     }
 
-    let rack = rackData || {};
-    let chain = rackData?.chain;
-    let apiDataSource = 'none';
+    const racks = [];
+    const errors = [];
+    const duplicatesInFile = new Set();
+    const rackNamesInFile = new Set();
+    const exampleRackNames = new Set(['RACK-001', 'RACK-002', 'RACK-003']);
 
-    logger.info('[MAINT] STEP 1: Initial rack object from frontend', {
-      rackObject: rack,
-      chain
-    });
+    const getCellValue = (cell) => {
+      if (!cell) return '';
+      const value = cell.value;
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'string') return value.trim();
+      if (typeof value === 'number') return String(value).trim();
+      if (typeof value === 'boolean') return String(value);
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value === 'object') {
+        if (value.richText && Array.isArray(value.richText)) {
+          return value.richText.map(rt => rt.text || '').join('').trim();
+        }
+        if (value.text !== undefined) return String(value.text).trim();
+        if (value.result !== undefined) return String(value.result).trim();
+        if (value.hyperlink) return String(value.text || value.hyperlink).trim();
+        if (value.formula && value.result !== undefined) return String(value.result).trim();
+      }
+      return String(value).trim();
+    };
 
-    if (process.env.NENG_API_URL && process.env.NENG_API_KEY) {
-      try {
-        let skip = 0;
-        const limit = 100;
-        let hasMore = true;
-        let found = false;
-        let totalRecords = 0;
-        let pageCount = 0;
-        const maxPages = 100;
+    const rowCount = worksheet.rowCount;
 
-        logger.info('[MAINT] Searching rack in NENG API...', { rackId: sanitizedRackId, limit });
+    let skippedEmpty = 0;
+    let skippedExample = 0;
+    let skippedNote = 0;
+    let skippedDuplicate = 0;
 
-        while (hasMore && !found && pageCount < maxPages) {
-          const response = await fetchFromNengApi(
-            `${process.env.NENG_API_URL}?skip=${skip}&limit=${limit}`,
-            { method: 'GET' }
-          );
-          pageCount++;
+    for (let rowNumber = 2; rowNumber <= rowCount; rowNumber++) {
+      const row = worksheet.getRow(rowNumber);
 
-          if (response.success && Array.isArray(response.data)) {
-            totalRecords += response.data.length;
+      const cell1 = row.getCell(1);
+      const cell2 = row.getCell(2);
 
-            for (const pdu of response.data) {
-              const pduRackName = String(pdu.rackName || '').trim();
-              if (pduRackName.toLowerCase() === sanitizedRackId.toLowerCase()) {
-                logger.info('[MAINT] STEP 2a: FOUND in API - Raw PDU data', {
-                  searchedFor: sanitizedRackId,
-                  rawData: {
-                    rackName: pdu.rackName,
-                    rackId: pdu.rackId,
-                    id: pdu.id,
-                    site: pdu.site,
-                    dc: pdu.dc,
-                    phase: pdu.phase,
-                    chain: pdu.chain,
-                    chainType: typeof pdu.chain,
-                    node: pdu.node,
-                    nodeType: typeof pdu.node,
-                    gwName: pdu.gwName,
-                    gwIp: pdu.gwIp
-                  }
-                });
+      const rackNameValue = getCellValue(cell1);
+      const reasonValue = getCellValue(cell2);
 
-                rack = {
-                  name: pdu.rackName || sanitizedRackId,
-                  rackId: pdu.rackId || pdu.id || sanitizedRackId,
-                  site: pdu.site || 'Unknown',
-                  dc: pdu.dc || 'Unknown',
-                  phase: pdu.phase || 'Unknown',
-                  chain: pdu.chain !== undefined && pdu.chain !== null ? String(pdu.chain) : 'Unknown',
-                  node: pdu.node !== undefined && pdu.node !== null ? String(pdu.node) : 'Unknown',
-                  gwName: pdu.gwName || 'N/A',
-                  gwIp: pdu.gwIp || 'N/A',
-                  country: 'Spain'
-                };
-                chain = rack.chain;
-                found = true;
-                apiDataSource = 'NENG_API';
+      if (!rackNameValue || rackNameValue === '') {
+        skippedEmpty++;
+        continue;
+      }
 
-                logger.info('[MAINT] STEP 2b: Transformed rack object from API', {
-                  transformedRack: rack
-                });
-                break;
+      if (rackNameValue.toUpperCase().startsWith('NOTA:') ||
+          rackNameValue.toUpperCase().startsWith('NOTE:') ||
+          rackNameValue.toUpperCase().startsWith('EJEMPLO') ||
+          rackNameValue.toUpperCase().startsWith('EXAMPLE')) {
+        skippedNote++;
+        continue;
+      }
+
+      if (exampleRackNames.has(rackNameValue)) {
+        skippedExample++;
+        continue;
+      }
+
+      if (rackNamesInFile.has(rackNameValue)) {
+        duplicatesInFile.add(rackNameValue);
+        skippedDuplicate++;
+        errors.push({
+          row: rowNumber,
+          error: `Duplicado en Excel: ${rackNameValue}`,
+          rackName: rackNameValue
+        });
+        continue;
+      }
+
+      rackNamesInFile.add(rackNameValue);
+      racks.push({
+        rackName: rackNameValue,
+        reason: reasonValue || defaultReason,
+        rowNumber
+      });
+    }
+
+    if (racks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se encontraron racks validos en el archivo Excel',
+        summary: {
+          totalRows: rowCount - 1,
+          skippedEmpty,
+          skippedExample,
+          skippedNote,
+          skippedDuplicate
+        },
+        errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let allRackData = [];
+    try {
+      if (process.env.NENG_API_URL && process.env.NENG_API_KEY) {
+        let skip = 0;
+        const limit = 500;
+        let hasMore = true;
+        let apiPages = 0;
+
+        while (hasMore) {
+          apiPages++;
+          const response = await fetchFromNengApi(
+            `${process.env.NENG_API_URL}?skip=${skip}&limit=${limit}`,
+            {
+              method: 'GET',
+              headers: {
+                'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
+                'Content-Type': 'application/json'
               }
             }
-            hasMore = response.data.length >= limit;
-            skip += limit;
+          );
 
-            if (pageCount % 10 === 0) {
-              logger.info('[MAINT] Search progress', { page: pageCount, totalRecordsSearched: totalRecords, found });
+          if (response.success && Array.isArray(response.data)) {
+            allRackData = allRackData.concat(response.data);
+            if (response.data.length < limit) {
+              hasMore = false;
+            } else {
+              skip += limit;
             }
           } else {
             hasMore = false;
           }
         }
-
-        if (!found) {
-          logger.warn('[MAINT] Rack NOT FOUND in NENG API after searching', {
-            rackName: sanitizedRackId,
-            totalRecordsSearched: totalRecords,
-            pagesSearched: pageCount,
-            willUseDataFrom: rackData ? 'frontend_rackData' : 'defaults'
-          });
+      }
+    } catch (error) {
+      logger.warn('[MAINT-EXCEL] Could not fetch rack data from API', { error: error.message });
+    }
+
+    const rackDataMap = new Map();
+    const rackDataMapLower = new Map();
+    allRackData.forEach(pdu => {
+      const rackName = String(pdu.rackName || '').trim();
+      if (rackName) {
+        const rackData = {
+          name: rackName,
+          rackName: rackName,
+          rackId: pdu.rackId || pdu.id || rackName,
+          country: 'España',
+          site: pdu.site || 'Unknown',
+          dc: pdu.dc || 'Unknown',
+          phase: pdu.phase || 'Unknown',
+          chain: pdu.chain !== undefined && pdu.chain !== null ? String(pdu.chain) : 'Unknown',
+          node: pdu.node !== undefined && pdu.node !== null ? String(pdu.node) : 'Unknown',
+          gwName: pdu.gwName || 'N/A',
+          gwIp: pdu.gwIp || 'N/A'
+        };
+        if (!rackDataMap.has(rackName)) {
+          rackDataMap.set(rackName, rackData);
+        }
+        const rackNameLower = rackName.toLowerCase();
+        if (!rackDataMapLower.has(rackNameLower)) {
+          rackDataMapLower.set(rackNameLower, rackData);
         }
-      } catch (apiError) {
-        logger.error('[MAINT] API NENG error during search', { error: apiError.message, rackName: sanitizedRackId });
       }
-    } else {
-      logger.warn('[MAINT] NENG API not configured - using frontend data only', {
-        hasUrl: !!process.env.NENG_API_URL,
-        hasKey: !!process.env.NENG_API_KEY
-      });
-    }
+    });
 
-    logger.info('[MAINT] STEP 2c: Final rack object before DB insert', {
-      dataSource: apiDataSource,
-      rack,
-      chain
+    const alreadyInMaintenance = [];
+    const successfulInserts = [];
+    const failedInserts = [];
+    const notFoundInAPI = [];
+
+    const existingRacksResult = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT DISTINCT rack_id FROM maintenance_rack_details
+      `);
     });
+    const existingRackIds = new Set(existingRacksResult.recordset.map(r => r.rack_id));
 
-    const result = await executeQuery(async (pool) => {
-      const existingCheck = await pool.request()
-        .input('rack_id', sql.NVarChar, sanitizedRackId)
-        .query(`
-          SELECT COUNT(*) as count
-          FROM maintenance_rack_details
-          WHERE rack_id = @rack_id
-        `);
 
-      if (existingCheck.recordset[0].count > 0) {
-        return { error: 'already_exists' };
+    const racksToInsert = [];
+    for (const rack of racks) {
+      let foundRackData = rackDataMap.get(rack.rackName);
+      if (!foundRackData) {
+        foundRackData = rackDataMapLower.get(rack.rackName.toLowerCase());
       }
 
-      if ((!rack.site || rack.site === 'Unknown') && (!rack.dc || rack.dc === 'Unknown')) {
-        const rackDbData = await pool.request()
-          .input('rack_id', sql.NVarChar, sanitizedRackId)
-          .query(`
-            SELECT TOP 1
-              pdu_id, rack_id, name, country, site, dc, phase, chain, node, serial
-            FROM active_critical_alerts
-            WHERE rack_id = @rack_id OR name = @rack_id
-          `);
+      const checkRackId = foundRackData ? String(foundRackData.rackId || rack.rackName) : rack.rackName;
 
-        if (rackDbData.recordset.length > 0) {
-          const dbRack = rackDbData.recordset[0];
-          rack = {
-            ...rack,
-            name: rack.name || dbRack.name || sanitizedRackId,
-            site: rack.site || dbRack.site,
-            dc: rack.dc || dbRack.dc,
-            phase: rack.phase || dbRack.phase,
-            chain: rack.chain || dbRack.chain,
-            node: rack.node || dbRack.node,
-            country: rack.country || dbRack.country
-          };
-          chain = rack.chain;
-        }
+      if (existingRackIds.has(checkRackId) || existingRackIds.has(rack.rackName)) {
+        alreadyInMaintenance.push({
+          row: rack.rowNumber,
+          rackName: rack.rackName,
+          message: 'Already in maintenance'
+        });
+        continue;
       }
 
-      const dc = rack.dc || 'Unknown';
-      const site = rack.site || 'Unknown';
+      let rackInfo;
+      if (foundRackData) {
+        rackInfo = {
+          ...foundRackData,
+          rack_id: String(foundRackData.rackId || rack.rackName),
+          reason: rack.reason,
+          rowNumber: rack.rowNumber,
+          foundInAPI: true
+        };
+      } else {
+        notFoundInAPI.push(rack.rackName);
+        rackInfo = {
+          rack_id: rack.rackName,
+          name: rack.rackName,
+          country: 'España',
+          site: 'Unknown',
+          dc: 'Unknown',
+          phase: 'Unknown',
+          chain: 'Unknown',
+          node: 'Unknown',
+          gwName: 'N/A',
+          gwIp: 'N/A',
+          reason: rack.reason,
+          rowNumber: rack.rowNumber,
+          foundInAPI: false
+        };
+      }
 
-      // Check site permission for users with assigned sites (but NOT for Administrators)
-      if (req.session.userRole !== 'Administrador') {
-        if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, site)) {
-          if (!site || site === 'Unknown') {
-            return { error: 'site_unknown', message: 'No se puede determinar el sitio del rack.' };
+      racksToInsert.push(rackInfo);
+    }
+
+    const BATCH_SIZE = 50;
+    for (let i = 0; i < racksToInsert.length; i += BATCH_SIZE) {
+      const batch = racksToInsert.slice(i, i + BATCH_SIZE);
+      const batchNum = Math.floor(i / BATCH_SIZE) + 1;
+      const totalBatches = Math.ceil(racksToInsert.length / BATCH_SIZE);
+
+      try {
+        await executeQuery(async (pool) => {
+          for (const rackInfo of batch) {
+            try {
+              const entryId = crypto.randomUUID();
+
+              await pool.request()
+                .input('entry_id', sql.UniqueIdentifier, entryId)
+                .input('entry_type', sql.NVarChar, 'individual_rack')
+                .input('rack_id', sql.NVarChar, String(rackInfo.rack_id))
+                .input('chain', sql.NVarChar, rackInfo.chain)
+                .input('site', sql.NVarChar, rackInfo.site)
+                .input('dc', sql.NVarChar, rackInfo.dc)
+                .input('reason', sql.NVarChar, rackInfo.reason)
+                .input('user', sql.NVarChar, user)
+                .input('started_by', sql.NVarChar, user)
+                .query(`
+                  INSERT INTO maintenance_entries
+                  (id, entry_type, rack_id, chain, site, dc, reason, [user], started_by)
+                  VALUES
+                  (@entry_id, @entry_type, @rack_id, @chain, @site, @dc, @reason, @user, @started_by)
+                `);
+
+              await pool.request()
+                .input('entry_id', sql.UniqueIdentifier, entryId)
+                .input('rack_id', sql.NVarChar, String(rackInfo.rack_id))
+                .input('name', sql.NVarChar, rackInfo.name)
+                .input('country', sql.NVarChar, rackInfo.country)
+                .input('site', sql.NVarChar, rackInfo.site)
+                .input('dc', sql.NVarChar, rackInfo.dc)
+                .input('phase', sql.NVarChar, rackInfo.phase)
+                .input('chain', sql.NVarChar, rackInfo.chain)
+                .input('node', sql.NVarChar, rackInfo.node)
+                .input('gwName', sql.NVarChar, rackInfo.gwName)
+                .input('gwIp', sql.NVarChar, rackInfo.gwIp)
+                .query(`
+                  INSERT INTO maintenance_rack_details
+                  (maintenance_entry_id, rack_id, name, country, site, dc, phase, chain, node, gwName, gwIp)
+                  VALUES
+                  (@entry_id, @rack_id, @name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp)
+                `);
+
+              successfulInserts.push({
+                row: rackInfo.rowNumber,
+                rackName: rackInfo.rack_id,
+                dc: rackInfo.dc,
+                foundInAPI: rackInfo.foundInAPI
+              });
+
+            } catch (insertError) {
+              failedInserts.push({
+                row: rackInfo.rowNumber,
+                rackName: rackInfo.rack_id,
+                error: insertError.message
+              });
+            }
+          }
+        });
+
+      } catch (batchError) {
+        for (const rackInfo of batch) {
+          if (!successfulInserts.some(s => s.rackName === rackInfo.rack_id)) {
+            failedInserts.push({
+              row: rackInfo.rowNumber,
+              rackName: rackInfo.rack_id,
+              error: `Batch error: ${batchError.message}`
+            });
           }
-          return { error: 'forbidden', message: `No tienes permisos para gestionar mantenimientos en el sitio "${site}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`, site: site };
         }
       }
+    }
 
-      // Create maintenance entry
-      const entryId = require('crypto').randomUUID();
-
-      await pool.request()
-        .input('entry_id', sql.UniqueIdentifier, entryId)
-        .input('entry_type', sql.NVarChar, 'individual_rack')
-        .input('rack_id', sql.NVarChar, sanitizedRackId)
-        .input('chain', sql.NVarChar, String(chain || 'Unknown'))
-        .input('site', sql.NVarChar, site)
-        .input('dc', sql.NVarChar, dc)
-        .input('reason', sql.NVarChar, reason)
-        .input('user', sql.NVarChar, user)
-        .input('started_by', sql.NVarChar, user)
-        .query(`
-          INSERT INTO maintenance_entries
-          (id, entry_type, rack_id, chain, site, dc, reason, [user], started_by)
-          VALUES
-          (@entry_id, @entry_type, @rack_id, @chain, @site, @dc, @reason, @user, @started_by)
-        `);
+    const result = {
+      successfulInserts,
+      alreadyInMaintenance,
+      failedInserts,
+      notFoundInAPI
+    };
 
-      const actualRackId = String(rack.rackId || sanitizedRackId);
+    const racksFoundInAPI = result.successfulInserts.filter(r => r.foundInAPI).length;
+    const racksNotFoundInAPI = result.successfulInserts.filter(r => !r.foundInAPI).length;
 
-      const insertData = {
-        entry_id: entryId,
-        rack_id: actualRackId,
-        name: String(rack.name || sanitizedRackId),
-        country: String(rack.country || 'Unknown'),
-        site: site,
-        dc: dc,
-        phase: String(rack.phase || 'Unknown'),
-        chain: String(chain || 'Unknown'),
-        node: String(rack.node || 'Unknown'),
-        gwName: String(rack.gwName || 'N/A'),
-        gwIp: String(rack.gwIp || 'N/A')
-      };
+    const summary = {
+      total: racks.length,
+      successful: result.successfulInserts.length,
+      foundInAPI: racksFoundInAPI,
+      notFoundInAPI: racksNotFoundInAPI,
+      alreadyInMaintenance: result.alreadyInMaintenance.length,
+      failed: result.failedInserts.length + errors.length,
+      errors: [
+        ...errors.map(e => ({ ...e, type: 'validation' })),
+        ...result.alreadyInMaintenance.map(e => ({ ...e, type: 'duplicate', error: 'Already in maintenance' })),
+        ...result.failedInserts.map(e => ({ ...e, type: 'insert_failed' }))
+      ]
+    };
 
-      logger.info('[MAINT] STEP 3: Data to INSERT into maintenance_rack_details', insertData);
+    const rackIdsForSonar = result.successfulInserts.map(r => r.rackName).filter(Boolean);
+    if (rackIdsForSonar.length > 0) {
+      closeSonarAlertsForMaintenanceBatch(rackIdsForSonar).catch(() => {});
+    }
 
-      // Insert rack details
-      await pool.request()
-        .input('entry_id', sql.UniqueIdentifier, entryId)
-        .input('rack_id', sql.NVarChar, insertData.rack_id)
-        .input('name', sql.NVarChar, insertData.name)
-        .input('country', sql.NVarChar, insertData.country)
-        .input('site', sql.NVarChar, insertData.site)
-        .input('dc', sql.NVarChar, insertData.dc)
-        .input('phase', sql.NVarChar, insertData.phase)
-        .input('chain', sql.NVarChar, insertData.chain)
-        .input('node', sql.NVarChar, insertData.node)
-        .input('gwName', sql.NVarChar, insertData.gwName)
-        .input('gwIp', sql.NVarChar, insertData.gwIp)
-        .query(`
-          INSERT INTO maintenance_rack_details
-          (maintenance_entry_id, rack_id, name, country, site, dc, phase, chain, node, gwName, gwIp)
-          VALUES
-          (@entry_id, @rack_id, @name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp)
-        `);
+    res.json({
+      success: true,
+      message: `Import completed: ${summary.successful} racks added to maintenance`,
+      summary,
+      timestamp: new Date().toISOString()
+    });
 
-      // Verify what was actually inserted
-      const verifyResult = await pool.request()
-        .input('entry_id', sql.UniqueIdentifier, entryId)
-        .query(`
-          SELECT rack_id, name, country, site, dc, phase, chain, node, gwName, gwIp
-          FROM maintenance_rack_details
-          WHERE maintenance_entry_id = @entry_id
-        `);
+  } catch (error) {
+    logger.error('Excel import failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import Excel file',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-      logger.info('[MAINT] STEP 4: VERIFY - Data actually saved in DB', {
-        rowsInserted: verifyResult.recordset.length,
-        savedData: verifyResult.recordset[0] || 'NO DATA FOUND'
-      });
+// Columns of the rack threshold overrides sheet; import only reads the first three
+const RACK_OVERRIDES_COLUMNS = [
+  { header: 'ID Rack', key: 'rack_id', width: 20 },
+  { header: 'Umbral', key: 'threshold_key', width: 40 },
+  { header: 'Valor', key: 'value', width: 12 },
+  { header: 'Unidad', key: 'unit', width: 10 },
+  { header: 'Nombre del Rack', key: 'rack_name', width: 30 },
+  { header: 'Sitio', key: 'site', width: 20 },
+  { header: 'Data Center', key: 'dc', width: 15 },
+  { header: 'Chain', key: 'chain', width: 12 },
+  { header: 'Actualizado', key: 'updated_at', width: 20 }
+];
+
+// Endpoint para exportar todos los umbrales específicos por rack (requires auth)
+// Query param: format (xlsx por defecto, o csv). El archivo sirve también de plantilla para la importación
+app.get('/api/thresholds/rack-overrides/export', requireAuth, async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
 
-      return { success: true, entryId, chain, dc };
+    const result = await executeQuery(async (pool) => {
+      return await pool.request().query(`
+        SELECT rack_id, threshold_key, value, unit, updated_at
+        FROM dbo.rack_threshold_overrides
+        ORDER BY rack_id, threshold_key
+      `);
     });
 
-    if (result.error === 'already_exists') {
-      return res.status(409).json({
-        success: false,
-        message: `Rack ${sanitizedRackId} is already in maintenance`,
-        timestamp: new Date().toISOString()
+    // Rack name and location from the latest cycle (racks no longer reported keep them empty)
+    const rackInfoMap = new Map();
+    if (racksCache.data && Array.isArray(racksCache.data)) {
+      racksCache.data.flat().forEach(pdu => {
+        const rackId = String(pdu.rackId || pdu.id);
+        if (!rackInfoMap.has(rackId)) {
+          rackInfoMap.set(rackId, pdu);
+        }
       });
     }
 
-    if (result.error === 'not_found') {
-      return res.status(404).json({
-        success: false,
-        message: 'Rack not found. Please provide rack data in request body.',
-        timestamp: new Date().toISOString()
-      });
-    }
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Datos');
+    worksheet.columns = RACK_OVERRIDES_COLUMNS;
 
-    if (result.error === 'site_unknown') {
-      return res.status(400).json({
-        success: false,
-        message: result.message || 'No se puede determinar el sitio del rack.',
-        timestamp: new Date().toISOString()
+    result.recordset.forEach(row => {
+      const rackInfo = rackInfoMap.get(String(row.rack_id)) || {};
+      worksheet.addRow({
+        rack_id: row.rack_id,
+        threshold_key: row.threshold_key,
+        value: parseFloat(row.value),
+        unit: row.unit || '',
+        rack_name: rackInfo.name || '',
+        site: rackInfo.site || '',
+        dc: rackInfo.dc || '',
+        chain: rackInfo.chain || '',
+        updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : ''
       });
-    }
+    });
 
-    if (result.error === 'forbidden') {
-      return res.status(403).json({
-        success: false,
-        message: result.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+    const now = new Date();
+    const timestamp = now.toISOString().replace(/[:.]/g, '-').substring(0, 19);
+    const filename = `umbrales_por_rack_${timestamp}.${format}`;
 
-    logger.info('[MAINT] === ADD RACK END - SUCCESS ===', {
-      rackId: sanitizedRackId,
-      entryId: result.entryId,
-      chain: result.chain,
-      dc: result.dc
-    });
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
 
-    closeSonarAlertsForMaintenance(sanitizedRackId).catch(err => {
-      logger.error('Failed to close SONAR alerts for rack maintenance', { rackId: sanitizedRackId, error: err.message });
-    });
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await workbook.csv.write(res, { sheetName: 'Datos' });
+    } else {
+      // Style the header row
+      worksheet.getRow(1).eachCell((cell) => {
+        cell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FF4472C4' }
+        };
+        cell.font = {
+          color: { argb: 'FFFFFFFF' },
+          bold: true,
+          size: 11
+        };
+        cell.alignment = { vertical: 'middle', horizontal: 'center' };
+      });
 
-    res.json({
-      success: true,
-      message: `Rack ${sanitizedRackId} added to maintenance`,
-      data: { rackId: sanitizedRackId, chain: result.chain, dc: result.dc, entryId: result.entryId },
-      timestamp: new Date().toISOString()
-    });
+      const instructions = workbook.addWorksheet('Instrucciones');
+      instructions.columns = [{ header: 'Instrucciones', key: 'text', width: 110 }];
+      [
+        'Cada fila de la hoja "Datos" es un umbral específico de un rack (ID Rack + Umbral + Valor).',
+        'Para crear o actualizar un valor, indica el ID del rack, la clave del umbral y el nuevo valor.',
+        'Para eliminar un valor específico (el rack vuelve a heredar), deja Valor vacío o escribe ELIMINAR.',
+        'Las filas que no aparecen en el archivo no se modifican.',
+        'Las columnas Unidad, Nombre del Rack, Sitio, Data Center, Chain y Actualizado son informativas y se ignoran al importar.',
+        `Claves válidas: ${VALID_THRESHOLD_KEYS.join(', ')}`
+      ].forEach(text => instructions.addRow({ text }));
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await workbook.xlsx.write(res);
+    }
+    res.end();
 
   } catch (error) {
-    logger.error('Error adding rack to maintenance:', error);
+    logger.error('Rack overrides export failed', { error: error.message });
     res.status(500).json({
       success: false,
-      message: 'Failed to add rack to maintenance',
+      message: 'Failed to export rack threshold overrides',
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Add all racks from a chain to maintenance
-app.post('/api/maintenance/chain', requireAuth, async (req, res) => {
-  try {
-    const {
-      chain,
-      site,
-      dc,
-      reason = 'Mantenimiento programado de chain',
-      user = 'Sistema'
-    } = req.body;
+// Same limits as upload, but also accepts the CSV produced by the export. The type is taken from the extension
+// (Windows reports .csv as application/vnd.ms-excel, the same type as the legacy .xls that ExcelJS cannot read);
+// a rejected file is answered with a 400 by the import endpoint
+const rackOverridesUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const allowedMimeTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'text/csv'
+    ];
+    if (extension === '.xlsx' || extension === '.csv' || (!extension && allowedMimeTypes.includes(file.mimetype))) {
+      cb(null, true);
+    } else {
+      req.fileValidationError = extension === '.xls'
+        ? 'Legacy Excel (.xls) files are not supported: save the file as .xlsx or CSV'
+        : 'Only Excel (.xlsx) or CSV files are allowed';
+      cb(null, false);
+    }
+  }
+});
 
-    if (!chain || !dc) {
+// Endpoint para importar umbrales específicos por rack desde Excel o CSV (Administrador/Operador, como PUT /api/racks/:rackId/thresholds)
+// Hoja "Datos" (o el CSV exportado): ID Rack, Umbral, Valor (vacío o ELIMINAR borra el valor específico).
+// Cada rack queda registrado en el historial de cambios de umbrales. Todo el archivo se aplica en una sola
+// transacción: si falla la escritura de un rack no se aplica ningún cambio
+app.post('/api/thresholds/rack-overrides/import', requireAuth, requireRole('Administrador', 'Operador'), rackOverridesUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'chain and dc are required',
+        message: req.fileValidationError || 'No file uploaded',
         timestamp: new Date().toISOString()
       });
     }
 
-    // Check site permission for users with assigned sites (but NOT for Administrators)
-    if (req.session.userRole !== 'Administrador') {
-      if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, site)) {
-        if (!site) {
-          return res.status(400).json({
-            success: false,
-            message: 'No se puede determinar el sitio de la chain. Información de sitio requerida para usuarios con sitios asignados.',
-            timestamp: new Date().toISOString()
-          });
-        }
-        return res.status(403).json({
-          success: false,
-          message: `No tienes permisos para gestionar mantenimientos en el sitio "${site}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`,
-          timestamp: new Date().toISOString()
-        });
-      }
+    const workbook = new ExcelJS.Workbook();
+    if (/\.csv$/i.test(req.file.originalname) || req.file.mimetype === 'text/csv') {
+      // Cells are kept as text so rack ids like 00123 are not turned into numbers or dates
+      const csvText = req.file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+      await workbook.csv.read(Readable.from([csvText]), {
+        sheetName: 'Datos',
+        map: (datum) => (datum === '' ? null : datum)
+      });
+    } else {
+      await workbook.xlsx.load(req.file.buffer);
     }
 
-    // Validate and sanitize inputs
-    const sanitizedChain = String(chain || '').trim();
-    const sanitizedDc = String(dc || '').trim();
-
-    if (!sanitizedChain || !sanitizedDc) {
+    const worksheet = workbook.getWorksheet('Datos');
+    if (!worksheet) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid chain or dc values',
+        message: 'Excel file must contain a sheet named "Datos"',
         timestamp: new Date().toISOString()
       });
     }
 
-    // Fetch ALL power data from NENG API to get all racks in this chain and dc
-    let allPowerData = [];
-    let powerSkip = 0;
-    const pageSize = 100;
-    let hasMorePowerData = true;
-
-    while (hasMorePowerData) {
-      const powerResponse = await fetchFromNengApi(
-        `${process.env.NENG_API_URL}?skip=${powerSkip}&limit=${pageSize}`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
+    const getCellValue = (cell) => {
+      if (!cell) return '';
+      const value = cell.value;
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'string') return value.trim();
+      if (typeof value === 'number') return String(value).trim();
+      if (typeof value === 'object') {
+        if (value.richText && Array.isArray(value.richText)) {
+          return value.richText.map(rt => rt.text || '').join('').trim();
         }
-      );
-
-      if (!powerResponse.success || !powerResponse.data) {
-        throw new Error('Invalid response from NENG Power API');
+        if (value.text !== undefined) return String(value.text).trim();
+        if (value.result !== undefined) return String(value.result).trim();
       }
+      return String(value).trim();
+    };
 
-      const pageData = Array.isArray(powerResponse.data) ? powerResponse.data : [];
+    const errors = [];
+    const rowsByRack = new Map();
+    const seenInFile = new Set();
+    let skippedEmpty = 0;
+    const rowCount = worksheet.rowCount;
 
-      if (pageData.length === 0) {
-        hasMorePowerData = false;
-      } else {
-        allPowerData = allPowerData.concat(pageData);
-        powerSkip += pageSize;
+    for (let rowNumber = 2; rowNumber <= rowCount; rowNumber++) {
+      const row = worksheet.getRow(rowNumber);
+      const rackId = getCellValue(row.getCell(1));
+      const key = getCellValue(row.getCell(2));
+      const rawValue = getCellValue(row.getCell(3));
 
-        if (pageData.length < pageSize) {
-          hasMorePowerData = false;
-        }
+      if (!rackId && !key && !rawValue) {
+        skippedEmpty++;
+        continue;
+      }
+      if (rackId.toUpperCase().startsWith('NOTA:') || rackId.toUpperCase().startsWith('NOTE:')) {
+        continue;
       }
-    }
-
-    // Filter racks that belong to this chain in the specified datacenter only
-    let chainRacks = allPowerData.filter(rack => {
-      const rackChain = String(rack.chain).trim();
-      const rackDc = String(rack.dc).trim();
-      return rackChain === sanitizedChain && rackDc === sanitizedDc;
-    });
-
-    // Filter out items without valid rackName
-    const beforeRackNameFilter = chainRacks.length;
-
-    chainRacks = chainRacks.filter(rack => {
-      const hasValidRackName = rack.rackName &&
-                                String(rack.rackName).trim() !== '' &&
-                                String(rack.rackName).trim() !== 'null' &&
-                                String(rack.rackName).trim() !== 'undefined';
-      return hasValidRackName;
-    });
-
-    if (chainRacks.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: `No se encontraron racks para la chain ${sanitizedChain} en DC ${sanitizedDc}. Es posible que la chain esté vacía o que los racks no tengan rackName válido.`,
-        racksAdded: 0,
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Group by rackId to avoid inserting multiple records for the same physical rack
-    const rackMap = new Map();
 
-    chainRacks.forEach((rack) => {
-      let rackId = null;
+      if (!rackId) {
+        errors.push({ row: rowNumber, key, error: 'Falta el ID del rack', type: 'validation' });
+        continue;
+      }
+      if (!VALID_THRESHOLD_KEYS.includes(key)) {
+        errors.push({ row: rowNumber, rackId, key, error: `Clave de umbral no válida: ${key || '(vacía)'}`, type: 'validation' });
+        continue;
+      }
 
-      if (rack.rackId && String(rack.rackId).trim()) {
-        rackId = String(rack.rackId).trim();
-      } else if (rack.id && String(rack.id).trim()) {
-        rackId = String(rack.id).trim();
+      let value = null;
+      if (rawValue !== '' && rawValue.toUpperCase() !== 'ELIMINAR' && rawValue.toUpperCase() !== 'DELETE') {
+        value = parseFloat(rawValue.replace(',', '.'));
+        if (isNaN(value) || value < 0) {
+          errors.push({ row: rowNumber, rackId, key, error: `Valor no válido: ${rawValue}`, type: 'validation' });
+          continue;
+        }
+        if (key.startsWith('evaluate_') && value !== 0 && value !== 1) {
+          errors.push({ row: rowNumber, rackId, key, error: 'Los indicadores solo admiten 0 o 1', type: 'validation' });
+          continue;
+        }
       }
 
-      if (rackId && !rackMap.has(rackId)) {
-        rackMap.set(rackId, { ...rack, sanitizedRackId: rackId });
+      const fileKey = `${rackId}|${key}`;
+      if (seenInFile.has(fileKey)) {
+        errors.push({ row: rowNumber, rackId, key, error: `Duplicado en Excel: ${rackId} / ${key}`, type: 'duplicate' });
+        continue;
       }
-    });
+      seenInFile.add(fileKey);
 
-    const uniqueRacks = Array.from(rackMap.values());
+      if (!rowsByRack.has(rackId)) {
+        rowsByRack.set(rackId, []);
+      }
+      rowsByRack.get(rackId).push({ rowNumber, key, value });
+    }
 
-    if (uniqueRacks.length === 0) {
+    if (rowsByRack.size === 0) {
       return res.status(400).json({
         success: false,
-        message: `No valid racks found for chain ${sanitizedChain} in DC ${sanitizedDc}`,
+        message: 'No se encontraron filas válidas en el archivo Excel',
+        summary: {
+          total: rowCount - 1 - skippedEmpty,
+          created: 0,
+          updated: 0,
+          deleted: 0,
+          unchanged: 0,
+          failed: errors.length,
+          unknownRacks: [],
+          errors
+        },
         timestamp: new Date().toISOString()
       });
     }
 
-    const result = await executeQuery(async (pool) => {
-      // Create a single maintenance entry for the entire chain
-      const entryId = require('crypto').randomUUID();
+    const knownRackIds = new Set(
+      racksCache.data && Array.isArray(racksCache.data)
+        ? racksCache.data.flat().map(pdu => String(pdu.rackId || pdu.id))
+        : []
+    );
 
-      await pool.request()
-        .input('entry_id', sql.UniqueIdentifier, entryId)
-        .input('entry_type', sql.NVarChar, 'chain')
-        .input('chain', sql.NVarChar, sanitizedChain)
-        .input('site', sql.NVarChar, site || 'Unknown')
-        .input('dc', sql.NVarChar, sanitizedDc)
-        .input('reason', sql.NVarChar, reason)
-        .input('user', sql.NVarChar, user)
-        .input('started_by', sql.NVarChar, user)
-        .query(`
-          INSERT INTO maintenance_entries
-          (id, entry_type, rack_id, chain, site, dc, reason, [user], started_by)
-          VALUES
-          (@entry_id, @entry_type, NULL, @chain, @site, @dc, @reason, @user, @started_by)
-        `);
+    const unknownRacks = [...rowsByRack.keys()].filter(rackId => knownRackIds.size > 0 && !knownRackIds.has(rackId));
+    const comment = getThresholdChangeComment(`Importación Excel: ${req.file.originalname}`);
 
-      // Insert all racks as details of this maintenance entry
-      let insertedCount = 0;
-      let failedCount = 0;
+    // Counts and not-found rows are built inside the callback, which executeQuery may run again on a retry
+    const { counts, notFoundErrors, changeSetIds } = await executeQuery(async (pool) => {
+      const transaction = new sql.Transaction(pool);
+      await transaction.begin();
 
-      for (const rack of uniqueRacks) {
-        try {
-          const rackId = rack.sanitizedRackId;
-          const pduId = String(rack.id || rackId);
+      try {
+        const existingResult = await transaction.request()
+          .query(`SELECT rack_id, threshold_key, value FROM dbo.rack_threshold_overrides`);
+        const existingValues = new Map();
+        existingResult.recordset.forEach(row => {
+          existingValues.set(`${row.rack_id}|${row.threshold_key}`, parseFloat(row.value));
+        });
 
-          // Check if this rack is already in maintenance
-          const existingCheck = await pool.request()
-            .input('rack_id', sql.NVarChar, rackId)
-            .query(`
-              SELECT COUNT(*) as count
-              FROM maintenance_rack_details
-              WHERE rack_id = @rack_id
-            `);
+        const importCounts = { created: 0, updated: 0, deleted: 0, unchanged: 0 };
+        const importErrors = [];
+        const importChangeSetIds = [];
+
+        for (const [rackId, rows] of rowsByRack.entries()) {
+          // Classify each row against the stored overrides; unchanged rows are not written
+          const values = {};
+          rows.forEach(({ rowNumber, key, value }) => {
+            const existing = existingValues.get(`${rackId}|${key}`);
+            if (value === null) {
+              if (existing === undefined) {
+                importErrors.push({ row: rowNumber, rackId, key, error: 'No existe un valor específico que eliminar', type: 'not_found' });
+                return;
+              }
+              values[key] = null;
+              importCounts.deleted++;
+            } else if (existing === undefined) {
+              values[key] = value;
+              importCounts.created++;
+            } else if (existing !== value) {
+              values[key] = value;
+              importCounts.updated++;
+            } else {
+              importCounts.unchanged++;
+            }
+          });
 
-          if (existingCheck.recordset[0].count > 0) {
-            failedCount++;
+          if (Object.keys(values).length === 0) {
             continue;
           }
 
-          await pool.request()
-            .input('entry_id', sql.UniqueIdentifier, entryId)
-            .input('rack_id', sql.NVarChar, rackId)
-            .input('name', sql.NVarChar, String(rack.rackName || rack.name || 'Unknown'))
-            .input('country', sql.NVarChar, 'España')
-            .input('site', sql.NVarChar, site || String(rack.site || 'Unknown'))
-            .input('dc', sql.NVarChar, sanitizedDc)
-            .input('phase', sql.NVarChar, String(rack.phase || 'Unknown'))
-            .input('chain', sql.NVarChar, sanitizedChain)
-            .input('node', sql.NVarChar, String(rack.node || 'Unknown'))
-            .input('gwName', sql.NVarChar, String(rack.gwName || 'N/A'))
-            .input('gwIp', sql.NVarChar, String(rack.gwIp || 'N/A'))
-            .query(`
-              INSERT INTO maintenance_rack_details
-              (maintenance_entry_id, rack_id, name, country, site, dc, phase, chain, node, gwName, gwIp)
-              VALUES
-              (@entry_id, @rack_id, @name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp)
-            `);
-
-          insertedCount++;
-        } catch (insertError) {
-          failedCount++;
-          logger.error(`Failed to insert rack ${rack.sanitizedRackId} to maintenance:`, insertError);
+          const changeSet = await writeThresholdChangeSet(transaction, { scopeType: 'rack', rackId }, values, {
+            changedBy: req.session.usuario,
+            comment
+          });
+          if (changeSet.changeSetId) {
+            importChangeSetIds.push(changeSet.changeSetId);
+          }
         }
-      }
 
-      return { entryId, insertedCount, failedCount };
+        await transaction.commit();
+        return { counts: importCounts, notFoundErrors: importErrors, changeSetIds: importChangeSetIds };
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
     });
 
-    logger.info('Chain added to maintenance', {
-      chain: sanitizedChain,
-      dc: sanitizedDc,
-      inserted: result.insertedCount,
-      skipped: result.failedCount,
-      total: uniqueRacks.length
-    });
+    errors.push(...notFoundErrors);
+    errors.sort((a, b) => a.row - b.row);
 
-    const rackIdsForSonar = uniqueRacks.map(r => r.sanitizedRackId).filter(Boolean);
-    closeSonarAlertsForMaintenanceBatch(rackIdsForSonar).catch(err => {
-      logger.error('Failed to close SONAR alerts for chain maintenance', { chain: sanitizedChain, error: err.message });
-    });
+    const summary = {
+      total: rowCount - 1 - skippedEmpty,
+      ...counts,
+      failed: errors.length,
+      unknownRacks,
+      errors
+    };
+
+    logger.info(`Rack overrides imported by ${req.session.usuario}: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted, ${errors.length} errors (${changeSetIds.length} change sets)`);
 
     res.json({
       success: true,
-      message: `Chain ${sanitizedChain} from DC ${sanitizedDc} added to maintenance: ${result.insertedCount} racks added successfully${result.failedCount > 0 ? `, ${result.failedCount} skipped (already in maintenance)` : ''}`,
-      data: {
-        entryId: result.entryId,
-        chain: sanitizedChain,
-        dc: sanitizedDc,
-        racksAdded: result.insertedCount,
-        racksFailed: result.failedCount,
-        totalRacks: uniqueRacks.length,
-        totalPdusFiltered: chainRacks.length
-      },
+      message: `Import completed: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted`,
+      summary,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    logger.error('Add chain to maintenance failed', { error: error.message, body: req.body });
+    logger.error('Rack overrides import failed', { error: error.message });
     res.status(500).json({
       success: false,
-      message: 'Failed to add chain to maintenance',
+      message: 'Failed to import rack threshold overrides: no changes were applied',
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Remove a single rack from maintenance
-app.delete('/api/maintenance/rack/:rackId', requireAuth, async (req, res) => {
-  try {
-    const { rackId } = req.params;
-
-    if (!rackId) {
-      return res.status(400).json({
-        success: false,
-        message: 'rackId parameter is required',
-        timestamp: new Date().toISOString()
-      });
-    }
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Energy Monitoring API is running',
+    version: process.env.APP_VERSION || '1.0.0',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
 
-    const sanitizedRackId = String(rackId).trim();
+// SONAR errors endpoint
+app.get('/api/sonar/errors', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: getAllSonarErrors(),
+    enabled: SONAR_CONFIG.enabled,
+    timestamp: new Date().toISOString()
+  });
+});
 
-    const result = await executeQuery(async (pool) => {
-      // Get the maintenance entry ID for this rack and check permissions
-      const entryResult = await pool.request()
-        .input('rack_id', sql.NVarChar, sanitizedRackId)
-        .query(`
-          SELECT mrd.maintenance_entry_id, me.entry_type, mrd.site
-          FROM maintenance_rack_details mrd
-          JOIN maintenance_entries me ON mrd.maintenance_entry_id = me.id
-          WHERE mrd.rack_id = @rack_id
-        `);
+// SONAR status endpoint
+app.get('/api/sonar/status', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    enabled: SONAR_CONFIG.enabled,
+    configured: !!(SONAR_CONFIG.apiUrl && SONAR_CONFIG.bearerToken),
+    errorCount: sonarErrorCache.size,
+    timestamp: new Date().toISOString()
+  });
+});
 
-      if (entryResult.recordset.length === 0) {
-        return { error: 'not_found' };
-      }
+app.get('/api/alert-sending', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    enabled: alertSendingEnabled,
+    configured: SONAR_CONFIG.enabled,
+    timestamp: new Date().toISOString()
+  });
+});
 
-      const entryId = entryResult.recordset[0].maintenance_entry_id;
-      const entryType = entryResult.recordset[0].entry_type;
-      const rackSite = entryResult.recordset[0].site;
+app.post('/api/alert-sending', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  const { enabled } = req.body;
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'Field "enabled" must be a boolean' });
+  }
+  alertSendingEnabled = enabled;
+  logger.info('[ALERT-SENDING] Toggle changed', {
+    enabled: alertSendingEnabled,
+    changedBy: req.session.usuario || 'unknown'
+  });
+  res.json({
+    success: true,
+    enabled: alertSendingEnabled,
+    timestamp: new Date().toISOString()
+  });
+  if (enabled && SONAR_CONFIG.enabled) {
+    sendExistingAlertsToSonar().then(result => {
+      logger.info('[ALERT-SENDING] Sent existing unsent alerts after activation', result);
+    }).catch(err => {
+      logger.error('[ALERT-SENDING] Error sending existing alerts after activation', { error: err.message });
+    });
+  }
+});
 
-      // Check site permission for users with assigned sites (but NOT for Administrators)
-      if (req.session.userRole !== 'Administrador') {
-        if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, rackSite)) {
-          if (!rackSite || rackSite === 'Unknown') {
-            return { error: 'site_unknown', message: 'No se puede determinar el sitio del rack.' };
-          }
-          return { error: 'forbidden', message: `No tienes permisos para gestionar mantenimientos en el sitio "${rackSite}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`, site: rackSite };
-        }
-      }
+app.post('/api/sonar/send-individual', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const { rackId, rackName } = req.body;
+    if (!rackId) {
+      return res.status(400).json({ success: false, message: 'rackId is required' });
+    }
 
-      // Guardar en historial antes de eliminar
-      const endedBy = req.session.usuario || 'Sistema';
-      await saveRackMaintenanceToHistory(pool, sanitizedRackId, endedBy);
+    if (!SONAR_CONFIG.enabled) {
+      return res.status(400).json({ success: false, message: 'SONAR integration is not configured' });
+    }
 
-      // Delete the rack detail
-      await pool.request()
-        .input('rack_id', sql.NVarChar, sanitizedRackId)
+    const alertsResult = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('rack_id', sql.NVarChar, String(rackId))
         .query(`
-          DELETE FROM maintenance_rack_details
-          WHERE rack_id = @rack_id
+          SELECT id, pdu_id, rack_id, name, country, site, dc, phase, chain, node, serial,
+                 metric_type, alert_reason, alert_value, alert_field, threshold_exceeded,
+                 alert_started_at
+          FROM active_critical_alerts
+          WHERE rack_id = @rack_id AND uuid_open IS NULL
+          ORDER BY alert_started_at ASC
         `);
+    });
+
+    if (!alertsResult.recordset || alertsResult.recordset.length === 0) {
+      return res.json({ success: true, sent: 0, message: 'No pending alerts found for this rack' });
+    }
+
+    let sent = 0;
+    let errors = 0;
 
-      // If this was an individual rack entry, delete the entry too
-      // If it was a chain entry, check if there are any racks left
-      if (entryType === 'individual_rack') {
-        await pool.request()
-          .input('entry_id', sql.UniqueIdentifier, entryId)
-          .query(`
-            DELETE FROM maintenance_entries
-            WHERE id = @entry_id
-          `);
-      } else {
-        // Check if the chain entry has any remaining racks
-        const remainingRacks = await pool.request()
-          .input('entry_id', sql.UniqueIdentifier, entryId)
-          .query(`
-            SELECT COUNT(*) as count
-            FROM maintenance_rack_details
-            WHERE maintenance_entry_id = @entry_id
-          `);
+    for (const alert of alertsResult.recordset) {
+      const alertData = {
+        pdu_id: alert.pdu_id,
+        rack_id: alert.rack_id,
+        name: alert.name,
+        country: alert.country || 'N/A',
+        site: alert.site || 'N/A',
+        dc: alert.dc || 'N/A',
+        phase: alert.phase || 'N/A',
+        chain: alert.chain || 'N/A',
+        node: alert.node || 'N/A',
+        serial: alert.serial || 'N/A',
+        alert_reason: alert.alert_reason,
+        current: alert.alert_field === 'current' ? alert.alert_value : 0,
+        voltage: alert.alert_field === 'voltage' ? alert.alert_value : 0,
+        temperature: alert.alert_field === 'sensorTemperature' ? alert.alert_value : null,
+        humidity: alert.alert_field === 'sensorHumidity' ? alert.alert_value : null,
+        power: alert.alert_field === 'power' ? alert.alert_value : null,
+        dewPoint: alert.alert_field === 'dewPoint' ? alert.alert_value : null,
+        loadPercentage: alert.alert_field === 'loadPercentage' ? alert.alert_value : null,
+        failoverLoadPercentage: alert.alert_field === 'failoverLoadPercentage' ? alert.alert_value : null,
+        temperatureDelta: alert.alert_field === 'temperatureDelta' ? alert.alert_value : null,
+        currentDelta: alert.alert_field === 'currentDelta' ? alert.alert_value : null,
+        gwName: 'N/A',
+        gwIp: 'N/A',
+        alert_started: formatDateForSonar(alert.alert_started_at || new Date())
+      };
 
-        // If no racks remain, delete the entry
-        if (remainingRacks.recordset[0].count === 0) {
-          await pool.request()
-            .input('entry_id', sql.UniqueIdentifier, entryId)
-            .query(`
-              DELETE FROM maintenance_entries
-              WHERE id = @entry_id
-            `);
+      const result = await sendToSonar(alertData, 'OPEN', true);
+
+      if (result.success && result.uuid) {
+        try {
+          await executeQuery(async (pool) => {
+            await pool.request()
+              .input('uuid_open', sql.NVarChar, result.uuid)
+              .input('alert_id', sql.UniqueIdentifier, alert.id)
+              .query(`
+                UPDATE active_critical_alerts
+                SET uuid_open = @uuid_open
+                WHERE id = @alert_id
+              `);
+          });
+          sonarErrorCache.delete(alert.rack_id);
+          sent++;
+        } catch (dbError) {
+          logger.warn('[SONAR] Individual alert sent but failed to save UUID', { rackId: alert.rack_id, uuid: result.uuid });
+          sent++;
         }
+      } else {
+        sonarErrorCache.set(alert.rack_id, {
+          error: result.error,
+          timestamp: new Date(),
+          alertReason: alert.alert_reason
+        });
+        errors++;
       }
-
-      return { success: true };
-    });
-
-    if (result.error === 'not_found') {
-      return res.status(404).json({
-        success: false,
-        message: `Rack ${sanitizedRackId} is not in maintenance`,
-        timestamp: new Date().toISOString()
-      });
     }
 
-    logger.info(`Rack ${sanitizedRackId} removed from maintenance`);
+    logger.info('[SONAR] Individual alert send completed', {
+      rackId,
+      rackName: rackName || rackId,
+      sent,
+      errors,
+      total: alertsResult.recordset.length,
+      triggeredBy: req.session.usuario || 'unknown'
+    });
 
     res.json({
       success: true,
-      message: `Rack ${sanitizedRackId} removed from maintenance`,
-      data: { rackId: sanitizedRackId },
-      timestamp: new Date().toISOString()
+      sent,
+      errors,
+      total: alertsResult.recordset.length,
+      message: sent > 0
+        ? `${sent} alerta(s) enviada(s) a SONAR exitosamente`
+        : errors > 0
+          ? 'No se pudieron enviar las alertas a SONAR'
+          : 'No hay alertas pendientes para este rack'
     });
 
   } catch (error) {
-    logger.error('Remove rack from maintenance failed', { error: error.message, rackId: req.params.rackId });
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to remove rack from maintenance',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    logger.error('[SONAR] Individual alert send error', { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Remove an entire maintenance entry (individual rack or full chain) by entry ID
-app.delete('/api/maintenance/entry/:entryId', requireAuth, async (req, res) => {
+// Endpoint para reconocer las alertas criticas activas de un rack
+app.post('/api/alerts/acknowledge', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
   try {
-    const { entryId } = req.params;
+    const { rackId } = req.body;
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
 
-    if (!entryId) {
-      return res.status(400).json({
-        success: false,
-        message: 'entryId parameter is required',
-        timestamp: new Date().toISOString()
-      });
+    if (!rackId) {
+      return res.status(400).json({ success: false, message: 'rackId is required' });
+    }
+    if (comment.length > 1000) {
+      return res.status(400).json({ success: false, message: 'comment must be 1000 characters or less' });
     }
 
+    const acknowledgedBy = req.session.usuario || 'unknown';
     const result = await executeQuery(async (pool) => {
-      // Get entry info before deleting and check permissions
-      const entryInfo = await pool.request()
-        .input('entry_id', sql.UniqueIdentifier, entryId)
+      const siteResult = await pool.request()
+        .input('rack_id', sql.NVarChar, String(rackId))
         .query(`
-          SELECT me.entry_type, me.rack_id, me.chain, me.dc, me.site,
-                 (SELECT COUNT(*) FROM maintenance_rack_details WHERE maintenance_entry_id = @entry_id) as rack_count
-          FROM maintenance_entries me
-          WHERE me.id = @entry_id
+          SELECT TOP 1 site FROM active_critical_alerts
+          WHERE rack_id = @rack_id AND acknowledged_at IS NULL
         `);
 
-      if (entryInfo.recordset.length === 0) {
-        return { error: 'not_found' };
+      if (siteResult.recordset.length === 0) {
+        return { count: 0 };
       }
 
-      const entry = entryInfo.recordset[0];
+      const rackSite = siteResult.recordset[0].site;
 
       // Check site permission for users with assigned sites (but NOT for Administrators)
       if (req.session.userRole !== 'Administrador') {
-        if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, entry.site)) {
-          if (!entry.site || entry.site === 'Unknown') {
-            return { error: 'site_unknown', message: 'No se puede determinar el sitio de esta entrada de mantenimiento.' };
-          }
-          return { error: 'forbidden', message: `No tienes permisos para gestionar mantenimientos en el sitio "${entry.site}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`, site: entry.site };
+        if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, rackSite)) {
+          return { forbiddenSite: rackSite || 'desconocido' };
         }
       }
 
-      // Guardar en historial antes de eliminar
-      const endedBy = req.session.usuario || 'Sistema';
-      await saveMaintenanceToHistory(pool, entryId, endedBy);
-
-      // Delete the maintenance entry (CASCADE will delete all related rack details)
-      await pool.request()
-        .input('entry_id', sql.UniqueIdentifier, entryId)
+      const updateResult = await pool.request()
+        .input('rack_id', sql.NVarChar, String(rackId))
+        .input('acknowledged_by', sql.NVarChar, acknowledgedBy)
+        .input('acknowledged_comment', sql.NVarChar, comment || null)
         .query(`
-          DELETE FROM maintenance_entries
-          WHERE id = @entry_id
+          UPDATE active_critical_alerts
+          SET acknowledged_by = @acknowledged_by,
+              acknowledged_at = GETDATE(),
+              acknowledged_comment = @acknowledged_comment
+          WHERE rack_id = @rack_id AND acknowledged_at IS NULL
         `);
-
-      return { success: true, entry };
+      return { count: updateResult.rowsAffected[0] || 0 };
     });
 
-    if (result.error === 'not_found') {
-      return res.status(404).json({
-        success: false,
-        message: 'Maintenance entry not found',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    if (result.error === 'site_unknown') {
-      return res.status(400).json({
-        success: false,
-        message: result.message || 'No se puede determinar el sitio de esta entrada.',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    if (result.error === 'forbidden') {
+    if (result.forbiddenSite) {
       return res.status(403).json({
         success: false,
-        message: result.message,
-        timestamp: new Date().toISOString()
+        message: `No tienes permisos para reconocer alertas en el sitio "${result.forbiddenSite}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`
       });
     }
 
-    const entry = result.entry;
+    const count = result.count;
+    if (count === 0) {
+      return res.status(404).json({ success: false, message: 'No unacknowledged critical alerts found for this rack' });
+    }
 
-    const message = entry.entry_type === 'chain'
-      ? `Chain ${entry.chain} from DC ${entry.dc} removed from maintenance (${entry.rack_count} racks)`
-      : `Rack ${entry.rack_id} removed from maintenance`;
+    racksCache.acknowledgedRacks = await getAcknowledgedRacks();
 
-    logger.info(message);
+    logger.info('Critical alerts acknowledged', { rackId, count, acknowledgedBy });
 
     res.json({
       success: true,
-      message,
-      data: {
-        entryId,
-        entryType: entry.entry_type,
-        chain: entry.chain,
-        dc: entry.dc,
-        racksRemoved: entry.rack_count
-      },
+      data: racksCache.acknowledgedRacks[String(rackId)] || null,
+      count,
+      message: `${count} alerta(s) reconocida(s)`,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    logger.error('Remove maintenance entry failed', { error: error.message, entryId: req.params.entryId });
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to remove maintenance entry',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    logger.error('Alert acknowledge error', { error: error.message });
+    res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Remove ALL maintenance entries and racks
-app.delete('/api/maintenance/all', requireAuth, async (req, res) => {
-  try {
-    const result = await executeQuery(async (pool) => {
-      // For users with assigned sites (but NOT Administrators), only delete entries from their sites
-      let whereClause = '';
-      if (req.session.userRole !== 'Administrador' && req.session.sitiosAsignados && Array.isArray(req.session.sitiosAsignados) && req.session.sitiosAsignados.length > 0) {
-        const sitesCondition = req.session.sitiosAsignados.map(site => `'${site.replace("'", "''")}'`).join(',');
-        whereClause = `WHERE site IN (${sitesCondition})`;
-      }
-
-      // Get count before deletion
-      let countQuery = '';
-      if (whereClause) {
-        countQuery = `
-          SELECT
-            (SELECT COUNT(*) FROM maintenance_entries ${whereClause}) as entry_count,
-            (SELECT COUNT(*) FROM maintenance_rack_details mrd
-             JOIN maintenance_entries me ON mrd.maintenance_entry_id = me.id
-             WHERE me.site IN (${req.session.sitiosAsignados.map(site => `'${site.replace("'", "''")}'`).join(',')})) as rack_count
-        `;
-      } else {
-        countQuery = `
-          SELECT
-            (SELECT COUNT(*) FROM maintenance_entries) as entry_count,
-            (SELECT COUNT(*) FROM maintenance_rack_details) as rack_count
-        `;
-      }
-
-      const countResult = await pool.request().query(countQuery);
-
-      const { entry_count, rack_count } = countResult.recordset[0];
-
-      if (entry_count === 0) {
-        return { entry_count: 0, rack_count: 0, deleted: false };
-      }
-
-      // Obtener todos los entry IDs para guardar en historial
-      const endedBy = req.session.usuario || 'Sistema';
-      let entriesQuery = `SELECT id FROM maintenance_entries ${whereClause}`;
-      const entriesResult = await pool.request().query(entriesQuery);
-
-      // Guardar cada entrada en el historial antes de eliminar
-      for (const row of entriesResult.recordset) {
-        await saveMaintenanceToHistory(pool, row.id, endedBy);
-      }
-
-      // Delete rack details first (foreign key constraint)
-      if (whereClause) {
-        await pool.request().query(`
-          DELETE FROM maintenance_rack_details
-          WHERE maintenance_entry_id IN (
-            SELECT id FROM maintenance_entries ${whereClause}
-          )
-        `);
-      } else {
-        await pool.request().query(`DELETE FROM maintenance_rack_details`);
-      }
+// ============================================
+// Escalation policies
+// ============================================
 
-      // Delete maintenance entries
-      await pool.request().query(`DELETE FROM maintenance_entries ${whereClause}`);
+// GET /api/escalation-policies - List escalation tiers (default policy has site null)
+app.get('/api/escalation-policies', requireAuth, async (req, res) => {
+  try {
+    const policies = await loadEscalationPolicies();
 
-      return { entry_count, rack_count, deleted: true };
+    res.json({
+      success: true,
+      data: policies,
+      count: policies.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Get escalation policies error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las políticas de escalado',
+      timestamp: new Date().toISOString()
     });
+  }
+});
 
-    if (!result.deleted) {
-      return res.status(404).json({
+// PUT /api/escalation-policies - Replace the tiers of a site (site null = default policy)
+// An empty tiers list removes the site's policy, so the site falls back to the default one
+app.put('/api/escalation-policies', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const site = typeof req.body.site === 'string' && req.body.site.trim() ? req.body.site.trim() : null;
+    const tiers = Array.isArray(req.body.tiers) ? req.body.tiers : null;
+
+    if (!tiers || tiers.length > 5) {
+      return res.status(400).json({
         success: false,
-        message: 'No maintenance entries to remove',
+        message: 'Se requiere una lista de niveles (máximo 5)',
         timestamp: new Date().toISOString()
       });
     }
 
-    logger.info('Maintenance entries removed', {
-      entries: result.entry_count,
-      racks: result.rack_count,
-      user: req.session.usuario,
-      sites: req.session.sitiosAsignados || 'all'
+    const parsedTiers = [];
+    for (let index = 0; index < tiers.length; index++) {
+      const tier = tiers[index] || {};
+      const delayMinutes = parseInt(tier.delayMinutes);
+      const notifyTarget = typeof tier.notifyTarget === 'string' ? tier.notifyTarget.trim() : '';
+      const notifyContact = typeof tier.notifyContact === 'string' ? tier.notifyContact.trim() : '';
+
+      if (isNaN(delayMinutes) || delayMinutes < 1 || delayMinutes > 10080) {
+        return res.status(400).json({
+          success: false,
+          message: `Nivel ${index + 1}: el tiempo debe estar entre 1 y 10080 minutos`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (index > 0 && delayMinutes <= parsedTiers[index - 1].delayMinutes) {
+        return res.status(400).json({
+          success: false,
+          message: `Nivel ${index + 1}: el tiempo debe ser mayor que el del nivel anterior`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (!notifyTarget || notifyTarget.length > 255 || notifyContact.length > 500) {
+        return res.status(400).json({
+          success: false,
+          message: `Nivel ${index + 1}: el destinatario es requerido (máximo 255 caracteres, contacto máximo 500)`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      parsedTiers.push({
+        level: index + 1,
+        delayMinutes,
+        notifyTarget,
+        notifyContact: notifyContact || null,
+        enabled: tier.enabled !== false
+      });
+    }
+
+    await executeQuery(async (pool) => {
+      await pool.request()
+        .input('site', sql.NVarChar, site)
+        .query(`DELETE FROM escalation_policies WHERE ${site ? 'site = @site' : 'site IS NULL'}`);
+
+      for (const tier of parsedTiers) {
+        await pool.request()
+          .input('site', sql.NVarChar, site)
+          .input('level', sql.Int, tier.level)
+          .input('delay_minutes', sql.Int, tier.delayMinutes)
+          .input('notify_target', sql.NVarChar, tier.notifyTarget)
+          .input('notify_contact', sql.NVarChar, tier.notifyContact)
+          .input('enabled', sql.Bit, tier.enabled)
+          .input('updated_by', sql.NVarChar, req.session.usuario)
+          .query(`
+            INSERT INTO escalation_policies
+            (site, level, delay_minutes, notify_target, notify_contact, enabled, updated_by)
+            VALUES
+            (@site, @level, @delay_minutes, @notify_target, @notify_contact, @enabled, @updated_by)
+          `);
+      }
     });
 
-    const responseMessage = req.session.sitiosAsignados && req.session.sitiosAsignados.length > 0
-      ? `Maintenance entries removed for your assigned sites (${result.entry_count} entries, ${result.rack_count} racks)`
-      : `All maintenance entries removed (${result.entry_count} entries, ${result.rack_count} racks)`;
+    escalationPoliciesCache.data = null;
+    escalationPoliciesCache.timestamp = null;
+
+    logger.info(`Escalation policy ${site || 'default'} saved with ${parsedTiers.length} tier(s) by ${req.session.usuario}`);
 
     res.json({
       success: true,
-      message: responseMessage,
-      data: {
-        entriesRemoved: result.entry_count,
-        racksRemoved: result.rack_count
-      },
+      message: parsedTiers.length > 0 ? 'Política de escalado guardada' : 'Política de escalado eliminada',
+      data: await loadEscalationPolicies(),
       timestamp: new Date().toISOString()
     });
-
   } catch (error) {
-    logger.error('Remove all maintenance entries failed', { error: error.message });
+    logger.error('Save escalation policy error', { error: error.message });
     res.status(500).json({
       success: false,
-      message: 'Failed to remove all maintenance entries',
-      error: error.message,
+      message: 'Error al guardar la política de escalado',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Configure multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 5 * 1024 * 1024
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedMimeTypes = [
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-excel'
-    ];
-    if (allowedMimeTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only Excel files (.xlsx, .xls) are allowed'));
-    }
-  }
-});
+// ============================================
+// Email notifications
+// ============================================
 
-// Endpoint to download template
-app.get('/api/maintenance/template', (req, res) => {
-  const filePath = path.join(__dirname, 'plantilla_mantenimiento.xlsx');
+// GET /api/email-notifications - SMTP settings (without credentials) and per-site recipient lists
+app.get('/api/email-notifications', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const lists = await loadEmailRecipients();
 
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({
+    res.json({
+      success: true,
+      data: {
+        config: {
+          configured: EMAIL_CONFIG.enabled,
+          host: EMAIL_CONFIG.host || null,
+          port: EMAIL_CONFIG.port,
+          secure: EMAIL_CONFIG.secure,
+          from: EMAIL_CONFIG.from || null,
+          defaultRecipients: EMAIL_CONFIG.defaultRecipients,
+          sendWarnings: EMAIL_CONFIG.sendWarnings
+        },
+        lists
+      },
+      count: lists.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Get email notifications error', { error: error.message });
+    res.status(500).json({
       success: false,
-      message: 'Template file not found',
+      message: 'Error al obtener la configuración de email',
       timestamp: new Date().toISOString()
     });
   }
+});
 
-  res.download(filePath, 'plantilla_mantenimiento_racks.xlsx', (err) => {
-    if (err) {
-      logger.error('Error downloading template:', err);
-      res.status(500).json({
+// PUT /api/email-notifications/recipients - Replace the recipient list of a site (site null = default list)
+// An empty recipients list removes the site's list, so the site falls back to the default one
+app.put('/api/email-notifications/recipients', requireAuth, requireRole('Administrador'), async (req, res) => {
+  try {
+    const site = typeof req.body.site === 'string' && req.body.site.trim() ? req.body.site.trim() : null;
+    const recipients = Array.isArray(req.body.recipients)
+      ? [...new Set(req.body.recipients.map(address => String(address || '').trim().toLowerCase()).filter(Boolean))]
+      : null;
+
+    if (!recipients || recipients.length > 50) {
+      return res.status(400).json({
         success: false,
-        message: 'Error downloading template',
-        error: err.message,
+        message: 'Se requiere una lista de destinatarios (máximo 50)',
         timestamp: new Date().toISOString()
       });
     }
-  });
-});
 
-// Endpoint to import racks from Excel (requires auth, not for Observador)
-app.post('/api/maintenance/import-excel', requireAuth, upload.single('file'), async (req, res) => {
-  if (req.session.userRole === 'Observador') {
-    return res.status(403).json({
-      success: false,
-      message: 'No tiene permisos para importar mantenimientos.',
-      timestamp: new Date().toISOString()
-    });
-  }
-  try {
-    if (!req.file) {
+    const invalid = recipients.filter(address => address.length > 255 || !EMAIL_ADDRESS_PATTERN.test(address));
+    if (invalid.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'No file uploaded',
+        message: `Direcciones de email no válidas: ${invalid.join(', ')}`,
         timestamp: new Date().toISOString()
       });
     }
 
-    const { defaultReason = 'Mantenimiento' } = req.body;
-    const user = req.session.usuario || 'Sistema';
-
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.load(req.file.buffer);
-
-    const worksheet = workbook.getWorksheet('Datos');
-    if (!worksheet) {
+    const joined = recipients.join(', ');
+    if (joined.length > 2000) {
       return res.status(400).json({
         success: false,
-        message: 'Excel file must contain a sheet named "Datos"',
+        message: 'La lista de destinatarios no puede superar 2000 caracteres',
         timestamp: new Date().toISOString()
       });
     }
 
-    const racks = [];
-    const errors = [];
-    const duplicatesInFile = new Set();
-    const rackNamesInFile = new Set();
-    const exampleRackNames = new Set(['RACK-001', 'RACK-002', 'RACK-003']);
+    await executeQuery(async (pool) => {
+      await pool.request()
+        .input('site', sql.NVarChar, site)
+        .query(`DELETE FROM email_notification_recipients WHERE ${site ? 'site = @site' : 'site IS NULL'}`);
 
-    const getCellValue = (cell) => {
-      if (!cell) return '';
-      const value = cell.value;
-      if (value === null || value === undefined) return '';
-      if (typeof value === 'string') return value.trim();
-      if (typeof value === 'number') return String(value).trim();
-      if (typeof value === 'boolean') return String(value);
-      if (value instanceof Date) return value.toISOString();
-      if (typeof value === 'object') {
-        if (value.richText && Array.isArray(value.richText)) {
-          return value.richText.map(rt => rt.text || '').join('').trim();
-        }
-        if (value.text !== undefined) return String(value.text).trim();
-        if (value.result !== undefined) return String(value.result).trim();
-        if (value.hyperlink) return String(value.text || value.hyperlink).trim();
-        if (value.formula && value.result !== undefined) return String(value.result).trim();
+      if (recipients.length > 0) {
+        await pool.request()
+          .input('site', sql.NVarChar, site)
+          .input('recipients', sql.NVarChar, joined)
+          .input('send_warnings', sql.Bit, req.body.sendWarnings === true)
+          .input('enabled', sql.Bit, req.body.enabled !== false)
+          .input('updated_by', sql.NVarChar, req.session.usuario)
+          .query(`
+            INSERT INTO email_notification_recipients
+            (site, recipients, send_warnings, enabled, updated_by)
+            VALUES
+            (@site, @recipients, @send_warnings, @enabled, @updated_by)
+          `);
       }
-      return String(value).trim();
-    };
-
-    const rowCount = worksheet.rowCount;
-
-    let skippedEmpty = 0;
-    let skippedExample = 0;
-    let skippedNote = 0;
-    let skippedDuplicate = 0;
-
-    for (let rowNumber = 2; rowNumber <= rowCount; rowNumber++) {
-      const row = worksheet.getRow(rowNumber);
-
-      const cell1 = row.getCell(1);
-      const cell2 = row.getCell(2);
-
-      const rackNameValue = getCellValue(cell1);
-      const reasonValue = getCellValue(cell2);
+    });
 
-      if (!rackNameValue || rackNameValue === '') {
-        skippedEmpty++;
-        continue;
-      }
+    emailRecipientsCache.data = null;
+    emailRecipientsCache.timestamp = null;
 
-      if (rackNameValue.toUpperCase().startsWith('NOTA:') ||
-          rackNameValue.toUpperCase().startsWith('NOTE:') ||
-          rackNameValue.toUpperCase().startsWith('EJEMPLO') ||
-          rackNameValue.toUpperCase().startsWith('EXAMPLE')) {
-        skippedNote++;
-        continue;
-      }
+    logger.info(`Email recipients ${site || 'default'} saved with ${recipients.length} address(es) by ${req.session.usuario}`);
 
-      if (exampleRackNames.has(rackNameValue)) {
-        skippedExample++;
-        continue;
-      }
+    res.json({
+      success: true,
+      message: recipients.length > 0 ? 'Destinatarios guardados' : 'Lista de destinatarios eliminada',
+      data: await loadEmailRecipients(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Save email recipients error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al guardar los destinatarios',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-      if (rackNamesInFile.has(rackNameValue)) {
-        duplicatesInFile.add(rackNameValue);
-        skippedDuplicate++;
-        errors.push({
-          row: rowNumber,
-          error: `Duplicado en Excel: ${rackNameValue}`,
-          rackName: rackNameValue
-        });
-        continue;
-      }
+// POST /api/email-notifications/test - Send a sample alert email to an address or to the recipients of a site
+app.post('/api/email-notifications/test', requireAuth, requireRole('Administrador'), async (req, res) => {
+  if (!EMAIL_CONFIG.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'El envío de email no está configurado (SMTP_HOST y SMTP_FROM)',
+      timestamp: new Date().toISOString()
+    });
+  }
 
-      rackNamesInFile.add(rackNameValue);
-      racks.push({
-        rackName: rackNameValue,
-        reason: reasonValue || defaultReason,
-        rowNumber
-      });
-    }
+  const site = typeof req.body.site === 'string' && req.body.site.trim() ? req.body.site.trim() : null;
+  const to = typeof req.body.to === 'string' ? req.body.to.trim() : '';
+  let recipients = [];
 
-    if (racks.length === 0) {
+  if (to) {
+    if (!EMAIL_ADDRESS_PATTERN.test(to)) {
       return res.status(400).json({
         success: false,
-        message: 'No se encontraron racks validos en el archivo Excel',
-        summary: {
-          totalRows: rowCount - 1,
-          skippedEmpty,
-          skippedExample,
-          skippedNote,
-          skippedDuplicate
-        },
-        errors,
+        message: 'Dirección de email no válida',
         timestamp: new Date().toISOString()
       });
     }
+    recipients = [to];
+  } else {
+    const list = getEmailRecipientsForSite(await loadEmailRecipients(), site);
+    recipients = list ? list.recipients : [];
+  }
+
+  if (recipients.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No hay destinatarios para el email de prueba',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const message = renderAlertEmail({
+      name: 'RACK-PRUEBA',
+      site: site || 'Sitio de prueba',
+      dc: 'DC1',
+      chain: '1',
+      alert_reason: 'critical_amperage_high_single_phase',
+      current: 32.5,
+      metric_type: 'amperage',
+      alert_value: 32.5,
+      threshold_exceeded: 30,
+      alert_started: formatDateForSonar(new Date())
+    }, 'OPEN');
+
+    await getEmailTransporter().sendMail({
+      from: EMAIL_CONFIG.from,
+      to: recipients.join(', '),
+      subject: `[PRUEBA] ${message.subject}`,
+      html: message.html,
+      text: message.text
+    });
+
+    logger.info(`Test email sent to ${recipients.length} recipient(s) by ${req.session.usuario}`);
+
+    res.json({
+      success: true,
+      message: `Email de prueba enviado a ${recipients.join(', ')}`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Test email error', { error: error.message });
+    res.status(502).json({
+      success: false,
+      message: `Error al enviar el email de prueba: ${error.message}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-    let allRackData = [];
-    try {
-      if (process.env.NENG_API_URL && process.env.NENG_API_KEY) {
-        let skip = 0;
-        const limit = 500;
-        let hasMore = true;
-        let apiPages = 0;
+// ============================================
+// Alert silences
+// ============================================
 
-        while (hasMore) {
-          apiPages++;
-          const response = await fetchFromNengApi(
-            `${process.env.NENG_API_URL}?skip=${skip}&limit=${limit}`,
-            {
-              method: 'GET',
-              headers: {
-                'Authorization': `Bearer ${process.env.NENG_API_KEY}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
+const SILENCE_METRIC_TYPES = ['amperage', 'temperature', 'humidity', 'dewpoint', 'voltage', 'power', 'load', 'redundancy', 'composite'];
+const SILENCE_MAX_MINUTES = 43200; // 30 dias
 
-          if (response.success && Array.isArray(response.data)) {
-            allRackData = allRackData.concat(response.data);
-            if (response.data.length < limit) {
-              hasMore = false;
-            } else {
-              skip += limit;
-            }
-          } else {
-            hasMore = false;
-          }
-        }
-      }
-    } catch (error) {
-      logger.warn('[MAINT-EXCEL] Could not fetch rack data from API', { error: error.message });
-    }
+// Refresh the silences shown in the dashboard after a change
+async function refreshSilencedRacksCache() {
+  silencesCache.data = null;
+  silencesCache.timestamp = null;
+  if (racksCache.data) {
+    racksCache.silencedRacks = await getSilencedRacks(racksCache.data);
+  }
+}
 
-    const rackDataMap = new Map();
-    const rackDataMapLower = new Map();
-    allRackData.forEach(pdu => {
-      const rackName = String(pdu.rackName || '').trim();
-      if (rackName) {
-        const rackData = {
-          name: rackName,
-          rackName: rackName,
-          rackId: pdu.rackId || pdu.id || rackName,
-          country: 'España',
-          site: pdu.site || 'Unknown',
-          dc: pdu.dc || 'Unknown',
-          phase: pdu.phase || 'Unknown',
-          chain: pdu.chain !== undefined && pdu.chain !== null ? String(pdu.chain) : 'Unknown',
-          node: pdu.node !== undefined && pdu.node !== null ? String(pdu.node) : 'Unknown',
-          gwName: pdu.gwName || 'N/A',
-          gwIp: pdu.gwIp || 'N/A'
-        };
-        if (!rackDataMap.has(rackName)) {
-          rackDataMap.set(rackName, rackData);
-        }
-        const rackNameLower = rackName.toLowerCase();
-        if (!rackDataMapLower.has(rackNameLower)) {
-          rackDataMapLower.set(rackNameLower, rackData);
+// GET /api/silences - Silences in force (includeEnded=true adds the latest ended/expired ones)
+app.get('/api/silences', requireAuth, async (req, res) => {
+  try {
+    const includeEnded = req.query.includeEnded === 'true';
+    const userSites = req.session.sitiosAsignados || [];
+
+    const silences = await executeQuery(async (pool) => {
+      const request = pool.request();
+      const conditions = includeEnded ? [] : ['ended_at IS NULL AND expires_at > GETDATE()'];
+
+      // Users with assigned sites only see the silences of those sites
+      if (userSites.length > 0) {
+        const siteConditions = userSites.map((assignedSite, index) => {
+          request.input(`userSite${index}`, sql.NVarChar, assignedSite);
+          return `site = @userSite${index}`;
+        });
+        if (userSites.some(assignedSite => assignedSite.toLowerCase().includes('cantabria'))) {
+          siteConditions.push("site LIKE '%cantabria%'");
         }
+        conditions.push(`(${siteConditions.join(' OR ')})`);
       }
-    });
 
-    const alreadyInMaintenance = [];
-    const successfulInserts = [];
-    const failedInserts = [];
-    const notFoundInAPI = [];
-
-    const existingRacksResult = await executeQuery(async (pool) => {
-      return await pool.request().query(`
-        SELECT DISTINCT rack_id FROM maintenance_rack_details
+      const result = await request.query(`
+        SELECT TOP 200 id, scope_type, rack_id, rack_name, site, dc, chain, metric_type, alert_reason,
+               comment, created_by, created_at, expires_at, ended_by, ended_at,
+               CASE WHEN ended_at IS NULL AND expires_at > GETDATE() THEN 1 ELSE 0 END AS is_active
+        FROM alert_silences
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY created_at DESC
       `);
+      return result.recordset.map(mapSilenceRow);
     });
-    const existingRackIds = new Set(existingRacksResult.recordset.map(r => r.rack_id));
 
+    res.json({
+      success: true,
+      data: silences,
+      count: silences.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Get alert silences error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los silencios',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-    const racksToInsert = [];
-    for (const rack of racks) {
-      let foundRackData = rackDataMap.get(rack.rackName);
-      if (!foundRackData) {
-        foundRackData = rackDataMapLower.get(rack.rackName.toLowerCase());
-      }
+// POST /api/silences - Mute notifications of a rack, chain or site (optionally one metric or reason) until it expires
+app.post('/api/silences', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const { scopeType } = req.body;
+    const text = (value, maxLength) => (typeof value === 'string' && value.trim() ? value.trim().substring(0, maxLength) : null);
+    const rackId = text(req.body.rackId, 255);
+    // A rack silence takes the site of the rack from the NENG data rather than from the request
+    const site = (scopeType === 'rack' && rackId && findRackLocation(rackId).site) || text(req.body.site, 255);
+    const dc = text(req.body.dc, 255);
+    const chain = text(req.body.chain, 255);
+    const metricType = text(req.body.metricType, 50);
+    const alertReason = text(req.body.alertReason, 255);
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+    const durationMinutes = parseInt(req.body.durationMinutes);
+
+    let validationError = null;
+    if (!SILENCE_SCOPE_TYPES.includes(scopeType)) {
+      validationError = 'El alcance debe ser rack, chain o site';
+    } else if (scopeType === 'rack' && !rackId) {
+      validationError = 'Se requiere el rack a silenciar';
+    } else if (scopeType === 'chain' && (!dc || !chain)) {
+      validationError = 'Se requieren el DC y la chain a silenciar';
+    } else if (scopeType === 'site' && !site) {
+      validationError = 'Se requiere el sitio a silenciar';
+    } else if (metricType && !SILENCE_METRIC_TYPES.includes(metricType)) {
+      validationError = 'Métrica no válida';
+    } else if (!comment || comment.length > 1000) {
+      validationError = 'El comentario es requerido (máximo 1000 caracteres)';
+    } else if (isNaN(durationMinutes) || durationMinutes < 5 || durationMinutes > SILENCE_MAX_MINUTES) {
+      validationError = 'La duración debe estar entre 5 minutos y 30 días';
+    }
 
-      const checkRackId = foundRackData ? String(foundRackData.rackId || rack.rackName) : rack.rackName;
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-      if (existingRackIds.has(checkRackId) || existingRackIds.has(rack.rackName)) {
-        alreadyInMaintenance.push({
-          row: rack.rowNumber,
-          rackName: rack.rackName,
-          message: 'Already in maintenance'
+    // Check site permission for users with assigned sites (but NOT for Administrators)
+    if (req.session.userRole !== 'Administrador') {
+      if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, site)) {
+        if (!site || site === 'Unknown') {
+          return res.status(400).json({
+            success: false,
+            message: 'No se puede determinar el sitio a silenciar. Información de sitio requerida para usuarios con sitios asignados.',
+            timestamp: new Date().toISOString()
+          });
+        }
+        return res.status(403).json({
+          success: false,
+          message: `No tienes permisos para silenciar alertas en el sitio "${site}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}`,
+          timestamp: new Date().toISOString()
         });
-        continue;
       }
+    }
 
-      let rackInfo;
-      if (foundRackData) {
-        rackInfo = {
-          ...foundRackData,
-          rack_id: String(foundRackData.rackId || rack.rackName),
-          reason: rack.reason,
-          rowNumber: rack.rowNumber,
-          foundInAPI: true
-        };
-      } else {
-        notFoundInAPI.push(rack.rackName);
-        rackInfo = {
-          rack_id: rack.rackName,
-          name: rack.rackName,
-          country: 'España',
-          site: 'Unknown',
-          dc: 'Unknown',
-          phase: 'Unknown',
-          chain: 'Unknown',
-          node: 'Unknown',
-          gwName: 'N/A',
-          gwIp: 'N/A',
-          reason: rack.reason,
-          rowNumber: rack.rowNumber,
-          foundInAPI: false
-        };
-      }
+    const result = await executeQuery(async (pool) => {
+      return await pool.request()
+        .input('scope_type', sql.NVarChar, scopeType)
+        .input('rack_id', sql.NVarChar, scopeType === 'rack' ? rackId : null)
+        .input('rack_name', sql.NVarChar, scopeType === 'rack' ? text(req.body.rackName, 500) : null)
+        .input('site', sql.NVarChar, site)
+        .input('dc', sql.NVarChar, scopeType === 'site' ? null : dc)
+        .input('chain', sql.NVarChar, scopeType === 'chain' ? chain : null)
+        .input('metric_type', sql.NVarChar, metricType)
+        .input('alert_reason', sql.NVarChar, alertReason)
+        .input('comment', sql.NVarChar, comment)
+        .input('created_by', sql.NVarChar, req.session.usuario)
+        .input('duration_minutes', sql.Int, durationMinutes)
+        .query(`
+          INSERT INTO alert_silences
+          (scope_type, rack_id, rack_name, site, dc, chain, metric_type, alert_reason, comment, created_by, expires_at)
+          OUTPUT INSERTED.id, INSERTED.expires_at
+          VALUES
+          (@scope_type, @rack_id, @rack_name, @site, @dc, @chain, @metric_type, @alert_reason, @comment, @created_by,
+           DATEADD(MINUTE, @duration_minutes, GETDATE()))
+        `);
+    });
+    // Same clock as the readers that compare expires_at with GETDATE(); the driver reads the local DATETIME as UTC
+    const expiresAt = result.recordset[0].expires_at;
 
-      racksToInsert.push(rackInfo);
-    }
+    await refreshSilencedRacksCache();
 
-    const BATCH_SIZE = 50;
-    for (let i = 0; i < racksToInsert.length; i += BATCH_SIZE) {
-      const batch = racksToInsert.slice(i, i + BATCH_SIZE);
-      const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-      const totalBatches = Math.ceil(racksToInsert.length / BATCH_SIZE);
+    logger.info('Alert silence created', {
+      id: result.recordset[0].id,
+      scopeType,
+      rackId,
+      site,
+      dc,
+      chain,
+      metricType,
+      alertReason,
+      durationMinutes,
+      createdBy: req.session.usuario
+    });
 
-      try {
-        await executeQuery(async (pool) => {
-          for (const rackInfo of batch) {
-            try {
-              const entryId = crypto.randomUUID();
+    res.json({
+      success: true,
+      message: `Notificaciones silenciadas hasta ${expiresAt.toLocaleString('es-ES', { timeZone: 'UTC' })}`,
+      data: { id: result.recordset[0].id, expiresAt },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Create alert silence error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear el silencio',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-              await pool.request()
-                .input('entry_id', sql.UniqueIdentifier, entryId)
-                .input('entry_type', sql.NVarChar, 'individual_rack')
-                .input('rack_id', sql.NVarChar, String(rackInfo.rack_id))
-                .input('chain', sql.NVarChar, rackInfo.chain)
-                .input('site', sql.NVarChar, rackInfo.site)
-                .input('dc', sql.NVarChar, rackInfo.dc)
-                .input('reason', sql.NVarChar, rackInfo.reason)
-                .input('user', sql.NVarChar, user)
-                .input('started_by', sql.NVarChar, user)
-                .query(`
-                  INSERT INTO maintenance_entries
-                  (id, entry_type, rack_id, chain, site, dc, reason, [user], started_by)
-                  VALUES
-                  (@entry_id, @entry_type, @rack_id, @chain, @site, @dc, @reason, @user, @started_by)
-                `);
+// DELETE /api/silences/:id - End a silence before it expires
+app.delete('/api/silences/:id', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de silencio inválido',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-              await pool.request()
-                .input('entry_id', sql.UniqueIdentifier, entryId)
-                .input('rack_id', sql.NVarChar, String(rackInfo.rack_id))
-                .input('name', sql.NVarChar, rackInfo.name)
-                .input('country', sql.NVarChar, rackInfo.country)
-                .input('site', sql.NVarChar, rackInfo.site)
-                .input('dc', sql.NVarChar, rackInfo.dc)
-                .input('phase', sql.NVarChar, rackInfo.phase)
-                .input('chain', sql.NVarChar, rackInfo.chain)
-                .input('node', sql.NVarChar, rackInfo.node)
-                .input('gwName', sql.NVarChar, rackInfo.gwName)
-                .input('gwIp', sql.NVarChar, rackInfo.gwIp)
-                .query(`
-                  INSERT INTO maintenance_rack_details
-                  (maintenance_entry_id, rack_id, name, country, site, dc, phase, chain, node, gwName, gwIp)
-                  VALUES
-                  (@entry_id, @rack_id, @name, @country, @site, @dc, @phase, @chain, @node, @gwName, @gwIp)
-                `);
+    const result = await executeQuery(async (pool) => {
+      const silenceResult = await pool.request()
+        .input('id', sql.Int, id)
+        .query(`
+          SELECT site FROM alert_silences
+          WHERE id = @id AND ended_at IS NULL AND expires_at > GETDATE()
+        `);
 
-              successfulInserts.push({
-                row: rackInfo.rowNumber,
-                rackName: rackInfo.rack_id,
-                dc: rackInfo.dc,
-                foundInAPI: rackInfo.foundInAPI
-              });
+      if (silenceResult.recordset.length === 0) {
+        return { error: 'not_found' };
+      }
 
-            } catch (insertError) {
-              failedInserts.push({
-                row: rackInfo.rowNumber,
-                rackName: rackInfo.rack_id,
-                error: insertError.message
-              });
-            }
-          }
-        });
+      const silenceSite = silenceResult.recordset[0].site;
 
-      } catch (batchError) {
-        for (const rackInfo of batch) {
-          if (!successfulInserts.some(s => s.rackName === rackInfo.rack_id)) {
-            failedInserts.push({
-              row: rackInfo.rowNumber,
-              rackName: rackInfo.rack_id,
-              error: `Batch error: ${batchError.message}`
-            });
-          }
+      // Check site permission for users with assigned sites (but NOT for Administrators)
+      if (req.session.userRole !== 'Administrador') {
+        if (!userHasAccessToSiteMaintenance(req.session.sitiosAsignados, silenceSite)) {
+          return { error: 'forbidden', message: `No tienes permisos para finalizar silencios en el sitio "${silenceSite || 'desconocido'}". Solo puedes gestionar: ${req.session.sitiosAsignados.join(', ')}` };
         }
       }
-    }
 
-    const result = {
-      successfulInserts,
-      alreadyInMaintenance,
-      failedInserts,
-      notFoundInAPI
-    };
+      const updateResult = await pool.request()
+        .input('id', sql.Int, id)
+        .input('ended_by', sql.NVarChar, req.session.usuario)
+        .query(`
+          UPDATE alert_silences
+          SET ended_at = GETDATE(), ended_by = @ended_by
+          WHERE id = @id AND ended_at IS NULL AND expires_at > GETDATE()
+        `);
 
-    const racksFoundInAPI = result.successfulInserts.filter(r => r.foundInAPI).length;
-    const racksNotFoundInAPI = result.successfulInserts.filter(r => !r.foundInAPI).length;
+      return updateResult.rowsAffected[0] === 0 ? { error: 'not_found' } : {};
+    });
 
-    const summary = {
-      total: racks.length,
-      successful: result.successfulInserts.length,
-      foundInAPI: racksFoundInAPI,
-      notFoundInAPI: racksNotFoundInAPI,
-      alreadyInMaintenance: result.alreadyInMaintenance.length,
-      failed: result.failedInserts.length + errors.length,
-      errors: [
-        ...errors.map(e => ({ ...e, type: 'validation' })),
-        ...result.alreadyInMaintenance.map(e => ({ ...e, type: 'duplicate', error: 'Already in maintenance' })),
-        ...result.failedInserts.map(e => ({ ...e, type: 'insert_failed' }))
-      ]
-    };
+    if (result.error === 'forbidden') {
+      return res.status(403).json({
+        success: false,
+        message: result.message,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    const rackIdsForSonar = result.successfulInserts.map(r => r.rackName).filter(Boolean);
-    if (rackIdsForSonar.length > 0) {
-      closeSonarAlertsForMaintenanceBatch(rackIdsForSonar).catch(() => {});
+    if (result.error === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Silencio no encontrado o ya finalizado',
+        timestamp: new Date().toISOString()
+      });
     }
 
+    await refreshSilencedRacksCache();
+
+    logger.info(`Alert silence ${id} ended by ${req.session.usuario}`);
+
     res.json({
       success: true,
-      message: `Import completed: ${summary.successful} racks added to maintenance`,
-      summary,
+      message: 'Silencio finalizado. Las alertas activas se notificarán en el próximo ciclo.',
       timestamp: new Date().toISOString()
     });
-
   } catch (error) {
-    logger.error('Excel import failed', { error: error.message });
+    logger.error('End alert silence error', { error: error.message });
     res.status(500).json({
       success: false,
-      message: 'Failed to import Excel file',
-      error: error.message,
+      message: 'Error al finalizar el silencio',
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Energy Monitoring API is running',
-    version: process.env.APP_VERSION || '1.0.0',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
-
-// SONAR errors endpoint
-app.get('/api/sonar/errors', requireAuth, (req, res) => {
-  res.json({
-    success: true,
-    data: getAllSonarErrors(),
-    enabled: SONAR_CONFIG.enabled,
-    timestamp: new Date().toISOString()
-  });
-});
+// ============================================
+// Correlated incidents
+// ============================================
 
-// SONAR status endpoint
-app.get('/api/sonar/status', requireAuth, (req, res) => {
-  res.json({
-    success: true,
-    enabled: SONAR_CONFIG.enabled,
-    configured: !!(SONAR_CONFIG.apiUrl && SONAR_CONFIG.bearerToken),
-    errorCount: sonarErrorCache.size,
-    timestamp: new Date().toISOString()
-  });
-});
+// GET /api/incidents - Correlated gateway/chain incidents with their affected racks (includeResolved=true adds the latest resolved ones)
+app.get('/api/incidents', requireAuth, async (req, res) => {
+  try {
+    const includeResolved = req.query.includeResolved === 'true';
+
+    const incidents = await executeQuery(async (pool) => {
+      const result = await pool.request().query(`
+        SELECT ci.id, ci.incident_type, ci.name, ci.site, ci.dc, ci.chain, ci.gwName, ci.gwIp,
+               ci.rack_count, ci.affected_count, ci.uuid_open, ci.started_at, ci.last_updated_at, ci.resolved_at,
+               cir.rack_id, cir.rack_name, cir.added_at
+        FROM (
+          SELECT TOP 100 * FROM correlated_incidents
+          ${includeResolved ? '' : 'WHERE resolved_at IS NULL'}
+          ORDER BY started_at DESC
+        ) ci
+        LEFT JOIN correlated_incident_racks cir ON cir.incident_id = ci.id
+        ORDER BY ci.started_at DESC, cir.added_at ASC
+      `);
 
-app.get('/api/alert-sending', requireAuth, (req, res) => {
-  res.json({
-    success: true,
-    enabled: alertSendingEnabled,
-    configured: SONAR_CONFIG.enabled,
-    timestamp: new Date().toISOString()
-  });
-});
+      const byId = new Map();
+      result.recordset.forEach(row => {
+        if (!byId.has(row.id)) {
+          byId.set(row.id, {
+            id: row.id,
+            incidentType: row.incident_type,
+            name: row.name,
+            site: row.site,
+            dc: row.dc,
+            chain: row.chain,
+            gwName: row.gwName,
+            gwIp: row.gwIp,
+            rackCount: row.rack_count,
+            affectedCount: row.affected_count,
+            sonarSent: !!row.uuid_open,
+            startedAt: row.started_at,
+            lastUpdatedAt: row.last_updated_at,
+            resolvedAt: row.resolved_at,
+            racks: []
+          });
+        }
+        if (row.rack_id) {
+          byId.get(row.id).racks.push({ rackId: row.rack_id, rackName: row.rack_name, addedAt: row.added_at });
+        }
+      });
+      return [...byId.values()];
+    });
 
-app.post('/api/alert-sending', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
-  const { enabled } = req.body;
-  if (typeof enabled !== 'boolean') {
-    return res.status(400).json({ success: false, message: 'Field "enabled" must be a boolean' });
-  }
-  alertSendingEnabled = enabled;
-  logger.info('[ALERT-SENDING] Toggle changed', {
-    enabled: alertSendingEnabled,
-    changedBy: req.session.usuario || 'unknown'
-  });
-  res.json({
-    success: true,
-    enabled: alertSendingEnabled,
-    timestamp: new Date().toISOString()
-  });
-  if (enabled && SONAR_CONFIG.enabled) {
-    sendExistingAlertsToSonar().then(result => {
-      logger.info('[ALERT-SENDING] Sent existing unsent alerts after activation', result);
-    }).catch(err => {
-      logger.error('[ALERT-SENDING] Error sending existing alerts after activation', { error: err.message });
+    res.json({
+      success: true,
+      data: incidents,
+      count: incidents.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Get correlated incidents error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los incidentes correlacionados',
+      timestamp: new Date().toISOString()
     });
   }
 });
 
-app.post('/api/sonar/send-individual', requireAuth, requireRole('Administrador', 'Operador'), async (req, res) => {
+// GET /api/flapping/daily - Racks that flapped on a given day (date=YYYY-MM-DD, today by default)
+app.get('/api/flapping/daily', requireAuth, async (req, res) => {
   try {
-    const { rackId, rackName } = req.body;
-    if (!rackId) {
-      return res.status(400).json({ success: false, message: 'rackId is required' });
-    }
-
-    if (!SONAR_CONFIG.enabled) {
-      return res.status(400).json({ success: false, message: 'SONAR integration is not configured' });
-    }
-
-    const alertsResult = await executeQuery(async (pool) => {
-      return await pool.request()
-        .input('rack_id', sql.NVarChar, String(rackId))
-        .query(`
-          SELECT id, pdu_id, rack_id, name, country, site, dc, phase, chain, node, serial,
-                 metric_type, alert_reason, alert_value, alert_field, threshold_exceeded,
-                 alert_started_at
-          FROM active_critical_alerts
-          WHERE rack_id = @rack_id AND uuid_open IS NULL
-          ORDER BY alert_started_at ASC
-        `);
-    });
-
-    if (!alertsResult.recordset || alertsResult.recordset.length === 0) {
-      return res.json({ success: true, sent: 0, message: 'No pending alerts found for this rack' });
+    const date = req.query.date ? String(req.query.date) : null;
+    const dayStart = date ? new Date(`${date}T00:00:00`) : new Date();
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(dayStart.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date: expected YYYY-MM-DD',
+        timestamp: new Date().toISOString()
+      });
     }
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
 
-    let sent = 0;
-    let errors = 0;
-
-    for (const alert of alertsResult.recordset) {
-      const alertData = {
-        pdu_id: alert.pdu_id,
-        rack_id: alert.rack_id,
-        name: alert.name,
-        country: alert.country || 'N/A',
-        site: alert.site || 'N/A',
-        dc: alert.dc || 'N/A',
-        phase: alert.phase || 'N/A',
-        chain: alert.chain || 'N/A',
-        node: alert.node || 'N/A',
-        serial: alert.serial || 'N/A',
-        alert_reason: alert.alert_reason,
-        current: alert.alert_field === 'current' ? alert.alert_value : 0,
-        voltage: alert.alert_field === 'voltage' ? alert.alert_value : 0,
-        temperature: alert.alert_field === 'sensorTemperature' ? alert.alert_value : null,
-        humidity: alert.alert_field === 'sensorHumidity' ? alert.alert_value : null,
-        gwName: 'N/A',
-        gwIp: 'N/A',
-        alert_started: formatDateForSonar(alert.alert_started_at || new Date())
-      };
+    const userSites = req.session.sitiosAsignados || [];
 
-      const result = await sendToSonar(alertData, 'OPEN', true);
+    const events = await executeQuery(async (pool) => {
+      const request = pool.request()
+        .input('day_start', sql.DateTime, dayStart)
+        .input('day_end', sql.DateTime, dayEnd);
 
-      if (result.success && result.uuid) {
-        try {
-          await executeQuery(async (pool) => {
-            await pool.request()
-              .input('uuid_open', sql.NVarChar, result.uuid)
-              .input('alert_id', sql.UniqueIdentifier, alert.id)
-              .query(`
-                UPDATE active_critical_alerts
-                SET uuid_open = @uuid_open
-                WHERE id = @alert_id
-              `);
-          });
-          sonarErrorCache.delete(alert.rack_id);
-          sent++;
-        } catch (dbError) {
-          logger.warn('[SONAR] Individual alert sent but failed to save UUID', { rackId: alert.rack_id, uuid: result.uuid });
-          sent++;
-        }
-      } else {
-        sonarErrorCache.set(alert.rack_id, {
-          error: result.error,
-          timestamp: new Date(),
-          alertReason: alert.alert_reason
-        });
-        errors++;
+      const siteConditions = userSites.map((assignedSite, index) => {
+        request.input(`userSite${index}`, sql.NVarChar, assignedSite);
+        return `site = @userSite${index}`;
+      });
+      if (userSites.some(assignedSite => assignedSite.toLowerCase().includes('cantabria'))) {
+        siteConditions.push("site LIKE '%cantabria%'");
       }
-    }
 
-    logger.info('[SONAR] Individual alert send completed', {
-      rackId,
-      rackName: rackName || rackId,
-      sent,
-      errors,
-      total: alertsResult.recordset.length,
-      triggeredBy: req.session.usuario || 'unknown'
+      const result = await request.query(`
+        SELECT id, rack_id, name, site, dc, alert_reason, max_cycles, started_at, last_detected_at, ended_at
+        FROM rack_flapping_events
+        WHERE started_at < @day_end AND (ended_at IS NULL OR ended_at >= @day_start)
+        ${siteConditions.length > 0 ? `AND (${siteConditions.join(' OR ')})` : ''}
+        ORDER BY max_cycles DESC, started_at ASC
+      `);
+
+      return result.recordset.map(row => ({
+        id: row.id,
+        rackId: row.rack_id,
+        name: row.name,
+        site: row.site,
+        dc: row.dc,
+        alertReason: row.alert_reason,
+        maxCycles: row.max_cycles,
+        startedAt: row.started_at,
+        lastDetectedAt: row.last_detected_at,
+        endedAt: row.ended_at
+      }));
     });
 
     res.json({
       success: true,
-      sent,
-      errors,
-      total: alertsResult.recordset.length,
-      message: sent > 0
-        ? `${sent} alerta(s) enviada(s) a SONAR exitosamente`
-        : errors > 0
-          ? 'No se pudieron enviar las alertas a SONAR'
-          : 'No hay alertas pendientes para este rack'
+      data: events,
+      count: events.length,
+      config: FLAPPING_CONFIG,
+      timestamp: new Date().toISOString()
     });
-
   } catch (error) {
-    logger.error('[SONAR] Individual alert send error', { error: error.message });
-    res.status(500).json({ success: false, message: error.message });
+    logger.error('Get daily flapping racks error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener los racks intermitentes',
+      timestamp: new Date().toISOString()
+    });
   }
 });
 
@@ -5138,9 +10556,15 @@ app.post('/api/export/alerts', requireAuth, async (req, res) => {
       { header: 'N° Serie', key: 'serial', width: 20 },
       { header: 'Fase', key: 'phase', width: 15 },
       { header: 'Amperaje (A)', key: 'current', width: 15 },
+      { header: 'Carga (%)', key: 'load_percentage', width: 12 },
+      { header: 'Total Rack A/B (A)', key: 'rack_total_current', width: 18 },
+      { header: 'Carga N+N (%)', key: 'failover_load_percentage', width: 15 },
       { header: 'Voltaje (V)', key: 'voltage', width: 15 },
       { header: 'Temperatura (°C)', key: 'temperature', width: 18 },
       { header: 'Humedad (%)', key: 'humidity', width: 15 },
+      { header: 'Punto de Rocío (°C)', key: 'dew_point', width: 18 },
+      { header: 'Potencia (W)', key: 'power', width: 15 },
+      { header: 'Potencia Aparente (kVA)', key: 'apparent_power', width: 22 },
       { header: 'Estado de Alerta', key: 'alert_status', width: 18 },
       { header: 'Razones de Alerta', key: 'alert_reasons', width: 50 }
     ];
@@ -5184,6 +10608,9 @@ app.post('/api/export/alerts', requireAuth, async (req, res) => {
         serial: pdu.serial || 'N/A',
         phase: pdu.phase || 'N/A',
         current: pdu.current != null ? parseFloat(pdu.current).toFixed(2) : 'N/A',
+        load_percentage: pdu.loadPercentage != null ? parseFloat(pdu.loadPercentage).toFixed(1) : 'N/A',
+        rack_total_current: pdu.rackTotalCurrent != null ? parseFloat(pdu.rackTotalCurrent).toFixed(2) : 'N/A',
+        failover_load_percentage: pdu.failoverLoadPercentage != null ? parseFloat(pdu.failoverLoadPercentage).toFixed(1) : 'N/A',
         voltage: pdu.voltage != null && !isNaN(pdu.voltage) && pdu.voltage > 0
           ? parseFloat(pdu.voltage).toFixed(2)
           : 'N/A',
@@ -5193,6 +10620,9 @@ app.post('/api/export/alerts', requireAuth, async (req, res) => {
         humidity: pdu.sensorHumidity != null
           ? parseFloat(pdu.sensorHumidity).toFixed(1)
           : 'N/A',
+        dew_point: pdu.dewPoint != null ? parseFloat(pdu.dewPoint).toFixed(1) : 'N/A',
+        power: pdu.power != null ? parseFloat(pdu.power).toFixed(1) : 'N/A',
+        apparent_power: pdu.apparentPower != null ? parseFloat(pdu.apparentPower).toFixed(3) : 'N/A',
         alert_status: pdu.status === 'critical' ? 'CRÍTICO' : 'ADVERTENCIA',
         alert_reasons: alertReasons
       });
@@ -5215,8 +10645,8 @@ app.post('/api/export/alerts', requireAuth, async (req, res) => {
         pdu.reasons.forEach(reason => {
           const reasonLower = reason.toLowerCase();
 
-          // Check if alert is related to amperage/current (only HIGH alerts, not low or zero)
-          if (reasonLower.includes('amperage') && reasonLower.includes('high')) {
+          // Check if alert is related to amperage/current (low alerts only exist when opted in per phase)
+          if (reasonLower.includes('amperage')) {
             const currentCell = row.getCell('current');
             currentCell.fill = {
               type: 'pattern',
@@ -5226,6 +10656,28 @@ app.post('/api/export/alerts', requireAuth, async (req, res) => {
             currentCell.font = { color: { argb: fontColor }, bold: true };
           }
 
+          // Check if alert is related to the load percentage of the rated capacity
+          if (reasonLower.includes('load_percentage')) {
+            const loadCell = row.getCell('load_percentage');
+            loadCell.fill = {
+              type: 'pattern',
+              pattern: 'solid',
+              fgColor: { argb: alertColor }
+            };
+            loadCell.font = { color: { argb: fontColor }, bold: true };
+          }
+
+          // Check if alert is related to the N+N redundancy of the rack feeds
+          if (reasonLower.includes('redundancy_load')) {
+            const failoverCell = row.getCell('failover_load_percentage');
+            failoverCell.fill = {
+              type: 'pattern',
+              pattern: 'solid',
+              fgColor: { argb: alertColor }
+            };
+            failoverCell.font = { color: { argb: fontColor }, bold: true };
+          }
+
           // Check if alert is related to voltage
           if (reasonLower.includes('voltage')) {
             const voltageCell = row.getCell('voltage');
@@ -5258,6 +10710,28 @@ app.post('/api/export/alerts', requireAuth, async (req, res) => {
             };
             humidityCell.font = { color: { argb: fontColor }, bold: true };
           }
+
+          // Check if alert is related to dew point (condensation risk)
+          if (reasonLower.includes('dewpoint')) {
+            const dewPointCell = row.getCell('dew_point');
+            dewPointCell.fill = {
+              type: 'pattern',
+              pattern: 'solid',
+              fgColor: { argb: alertColor }
+            };
+            dewPointCell.font = { color: { argb: fontColor }, bold: true };
+          }
+
+          // Check if alert is related to power
+          if (reasonLower.includes('power')) {
+            const powerCell = row.getCell('power');
+            powerCell.fill = {
+              type: 'pattern',
+              pattern: 'solid',
+              fgColor: { argb: alertColor }
+            };
+            powerCell.font = { color: { argb: fontColor }, bold: true };
+          }
         });
       }
 
@@ -5343,7 +10817,7 @@ const server = app.listen(port, async () => {
     autoAlertInterval: `${ALERT_PROCESSING_INTERVAL / 60000} minutes`
   });
 
-  if (SONAR_CONFIG.enabled) {
+  if (SONAR_CONFIG.enabled && RUNS_ALERT_PROCESSING) {
     setTimeout(async () => {
       try {
         await sendExistingAlertsToSonar();
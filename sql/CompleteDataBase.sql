@@ -23,6 +23,24 @@
 --   6. usersAlertado               - Usuarios del sistema con roles y permisos
 --   7. alerts_history              - Historico permanente de todas las alertas
 --   8. maintenance_history         - Historico permanente de todos los mantenimientos
+--   9. rack_telemetry              - Lecturas por PDU de cada ciclo de sondeo (series temporales)
+--  10. threshold_scope_overrides   - Umbrales por sitio, DC o chain (herencia global -> sitio -> DC -> chain -> rack)
+--  11. threshold_change_history    - Auditoria de cambios de umbrales (valor anterior/nuevo, usuario, comentario)
+--  12. composite_alert_rules       - Reglas de alerta que combinan varias metricas con AND/OR
+--  13. pdu_rated_capacity          - Capacidad nominal (A del breaker) por rack o por PDU para el % de carga
+--  14. active_warning_alerts       - Alertas de advertencia activas (mismo ciclo de vida que las criticas)
+--  15. escalation_policies         - Niveles de escalado por sitio para alertas criticas sin reconocer
+--  16. alert_escalation_history    - Registro de cada paso de escalado de una alerta
+--  17. alert_silences              - Silencios temporales de notificaciones por rack, chain o sitio
+--  18. correlated_incidents        - Incidentes padre que agrupan las alertas de un gateway o una chain caidos
+--  19. correlated_incident_racks   - Racks afectados (hijos) de cada incidente correlacionado
+--  20. rack_flapping_events        - Episodios de racks cuyas alertas se abren y cierran repetidamente
+--  21. email_notification_recipients - Destinatarios por sitio de las notificaciones de alertas por email
+--  22. alert_debounce_state        - Estado de histeresis/debounce de cada PDU, compartido por los workers de PM2
+--
+-- TIPOS DE TABLA (TVP):
+--   ActiveAlertSet / ResolvedAlertSet - Reconciliacion por conjuntos de las alertas activas en cada ciclo
+--   AlertDebounceStateSet             - Guardado del estado de debounce de cada ciclo
 --
 -- ============================================================================================================
 
@@ -98,6 +116,9 @@ USING (VALUES
     ('warning_humidity_low', 30.0, '%', 'Humedad advertencia minima - Fuera del rango optimo'),
     ('warning_humidity_high', 70.0, '%', 'Humedad advertencia maxima - Fuera del rango optimo'),
 
+    ('critical_dewpoint_high', 17.0, 'C', 'Punto de rocio critico maximo - Riesgo alto de condensacion'),
+    ('warning_dewpoint_high', 15.0, 'C', 'Punto de rocio advertencia maximo - Fuera del rango recomendado'),
+
     ('critical_amperage_low_single_phase', 1.0, 'A', 'Amperaje critico minimo monofasico - Posible desconexion'),
     ('critical_amperage_high_single_phase', 25.0, 'A', 'Amperaje critico maximo monofasico - Sobrecarga'),
     ('warning_amperage_low_single_phase', 2.0, 'A', 'Amperaje advertencia minimo monofasico - Consumo bajo'),
@@ -114,7 +135,54 @@ USING (VALUES
     ('warning_voltage_high', 240.0, 'V', 'Voltaje advertencia maximo - Fuera del rango nominal'),
 
     ('critical_power_high', 5000.0, 'W', 'Potencia critica maxima - Sobrecarga del PDU'),
-    ('warning_power_high', 4000.0, 'W', 'Potencia advertencia maxima - Acercandose al limite del PDU')
+    ('warning_power_high', 4000.0, 'W', 'Potencia advertencia maxima - Acercandose al limite del PDU'),
+
+    ('critical_load_percentage_high', 95.0, '%', 'Carga critica maxima respecto a la capacidad nominal del breaker - Riesgo de disparo'),
+    ('warning_load_percentage_high', 80.0, '%', 'Carga advertencia maxima respecto a la capacidad nominal del breaker'),
+    ('critical_redundancy_load_high', 100.0, '%', 'Carga total del rack sobre la capacidad de un solo feed - Sin redundancia N+N si cae el otro feed'),
+    ('warning_redundancy_load_high', 90.0, '%', 'Carga total del rack sobre la capacidad de un solo feed - Redundancia N+N cerca del limite'),
+
+    ('critical_temperature_rising', 5.0, 'C', 'Aumento critico de temperatura dentro de la ventana - Posible falla de refrigeracion'),
+    ('warning_temperature_rising', 3.0, 'C', 'Aumento de temperatura en advertencia dentro de la ventana'),
+    ('temperature_rising_window_minutes', 10.0, 'min', 'Ventana de tiempo para evaluar el aumento de temperatura'),
+    ('critical_amperage_surge', 10.0, 'A', 'Aumento critico de corriente dentro de la ventana - Pico de carga'),
+    ('warning_amperage_surge', 6.0, 'A', 'Aumento de corriente en advertencia dentro de la ventana'),
+    ('amperage_surge_window_minutes', 10.0, 'min', 'Ventana de tiempo para evaluar el aumento de corriente'),
+
+    ('evaluate_amperage_low_single_phase', 0.0, 'flag', 'Evaluar amperaje minimo monofasico (1 = activado, 0 = desactivado)'),
+    ('evaluate_amperage_low_3_phase', 0.0, 'flag', 'Evaluar amperaje minimo trifasico (1 = activado, 0 = desactivado)'),
+
+    ('alert_raise_cycles_amperage', 1.0, 'ciclos', 'Ciclos consecutivos fuera de umbral para abrir una alerta de amperaje'),
+    ('alert_clear_margin_amperage', 1.0, 'A', 'Margen dentro del umbral requerido para resolver una alerta de amperaje'),
+    ('alert_clear_cycles_amperage', 2.0, 'ciclos', 'Ciclos consecutivos dentro del margen para resolver una alerta de amperaje'),
+
+    ('alert_raise_cycles_temperature', 1.0, 'ciclos', 'Ciclos consecutivos fuera de umbral para abrir una alerta de temperatura'),
+    ('alert_clear_margin_temperature', 1.0, 'C', 'Margen dentro del umbral requerido para resolver una alerta de temperatura'),
+    ('alert_clear_cycles_temperature', 2.0, 'ciclos', 'Ciclos consecutivos dentro del margen para resolver una alerta de temperatura'),
+
+    ('alert_raise_cycles_humidity', 1.0, 'ciclos', 'Ciclos consecutivos fuera de umbral para abrir una alerta de humedad'),
+    ('alert_clear_margin_humidity', 2.0, '%', 'Margen dentro del umbral requerido para resolver una alerta de humedad'),
+    ('alert_clear_cycles_humidity', 2.0, 'ciclos', 'Ciclos consecutivos dentro del margen para resolver una alerta de humedad'),
+
+    ('alert_raise_cycles_dewpoint', 1.0, 'ciclos', 'Ciclos consecutivos fuera de umbral para abrir una alerta de punto de rocio'),
+    ('alert_clear_margin_dewpoint', 1.0, 'C', 'Margen dentro del umbral requerido para resolver una alerta de punto de rocio'),
+    ('alert_clear_cycles_dewpoint', 2.0, 'ciclos', 'Ciclos consecutivos dentro del margen para resolver una alerta de punto de rocio'),
+
+    ('alert_raise_cycles_voltage', 1.0, 'ciclos', 'Ciclos consecutivos fuera de umbral para abrir una alerta de voltaje'),
+    ('alert_clear_margin_voltage', 2.0, 'V', 'Margen dentro del umbral requerido para resolver una alerta de voltaje'),
+    ('alert_clear_cycles_voltage', 2.0, 'ciclos', 'Ciclos consecutivos dentro del margen para resolver una alerta de voltaje'),
+
+    ('alert_raise_cycles_power', 1.0, 'ciclos', 'Ciclos consecutivos fuera de umbral para abrir una alerta de potencia'),
+    ('alert_clear_margin_power', 100.0, 'W', 'Margen dentro del umbral requerido para resolver una alerta de potencia'),
+    ('alert_clear_cycles_power', 2.0, 'ciclos', 'Ciclos consecutivos dentro del margen para resolver una alerta de potencia'),
+
+    ('alert_raise_cycles_load', 1.0, 'ciclos', 'Ciclos consecutivos fuera de umbral para abrir una alerta de carga'),
+    ('alert_clear_margin_load', 5.0, '%', 'Margen dentro del umbral requerido para resolver una alerta de carga'),
+    ('alert_clear_cycles_load', 2.0, 'ciclos', 'Ciclos consecutivos dentro del margen para resolver una alerta de carga'),
+
+    ('alert_raise_cycles_redundancy', 2.0, 'ciclos', 'Ciclos consecutivos fuera de umbral para abrir una alerta de redundancia A/B'),
+    ('alert_clear_margin_redundancy', 5.0, '%', 'Margen dentro del umbral requerido para resolver una alerta de redundancia A/B'),
+    ('alert_clear_cycles_redundancy', 2.0, 'ciclos', 'Ciclos consecutivos dentro del margen para resolver una alerta de redundancia A/B')
 ) AS source (threshold_key, value, unit, description)
 ON target.threshold_key = source.threshold_key
 WHEN MATCHED THEN
@@ -169,7 +237,7 @@ GO
 -- ============================================================================================================
 -- TABLA 3: active_critical_alerts
 -- Almacena SOLO las alertas criticas actualmente activas
--- Incluye campos: gwName, gwIp, [group], uuid_open, uuid_closed
+-- Incluye campos: gwName, gwIp, [group], uuid_open, uuid_closed, acknowledged_by/at/comment, escalation_level, sonar_silenced, sonar_flapping, parent_incident_id
 -- ============================================================================================================
 
 PRINT '';
@@ -204,6 +272,14 @@ BEGIN
         gwName NVARCHAR(255) NULL,
         gwIp NVARCHAR(50) NULL,
         [group] NVARCHAR(100) NULL,
+        acknowledged_by NVARCHAR(255) NULL,
+        acknowledged_at DATETIME NULL,
+        acknowledged_comment NVARCHAR(1000) NULL,
+        escalation_level INT NOT NULL DEFAULT 0,
+        last_escalated_at DATETIME NULL,
+        sonar_silenced BIT NOT NULL DEFAULT 0,
+        sonar_flapping BIT NOT NULL DEFAULT 0,
+        parent_incident_id UNIQUEIDENTIFIER NULL,
         CONSTRAINT UK_active_critical_alerts_pdu_metric UNIQUE (pdu_id, metric_type, alert_reason)
     );
 
@@ -252,6 +328,36 @@ BEGIN
         ALTER TABLE dbo.active_critical_alerts ADD [group] NVARCHAR(100) NULL;
         PRINT 'Campo [group] agregado a active_critical_alerts';
     END
+
+    IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'dbo' AND TABLE_NAME = 'active_critical_alerts' AND COLUMN_NAME = 'acknowledged_at')
+    BEGIN
+        ALTER TABLE dbo.active_critical_alerts ADD acknowledged_by NVARCHAR(255) NULL, acknowledged_at DATETIME NULL, acknowledged_comment NVARCHAR(1000) NULL;
+        PRINT 'Campos de reconocimiento agregados a active_critical_alerts';
+    END
+
+    IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'dbo' AND TABLE_NAME = 'active_critical_alerts' AND COLUMN_NAME = 'escalation_level')
+    BEGIN
+        ALTER TABLE dbo.active_critical_alerts ADD escalation_level INT NOT NULL DEFAULT 0, last_escalated_at DATETIME NULL;
+        PRINT 'Campos de escalado agregados a active_critical_alerts';
+    END
+
+    IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'dbo' AND TABLE_NAME = 'active_critical_alerts' AND COLUMN_NAME = 'sonar_silenced')
+    BEGIN
+        ALTER TABLE dbo.active_critical_alerts ADD sonar_silenced BIT NOT NULL DEFAULT 0;
+        PRINT 'Campo sonar_silenced agregado a active_critical_alerts';
+    END
+
+    IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'dbo' AND TABLE_NAME = 'active_critical_alerts' AND COLUMN_NAME = 'parent_incident_id')
+    BEGIN
+        ALTER TABLE dbo.active_critical_alerts ADD parent_incident_id UNIQUEIDENTIFIER NULL;
+        PRINT 'Campo parent_incident_id agregado a active_critical_alerts';
+    END
+
+    IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'dbo' AND TABLE_NAME = 'active_critical_alerts' AND COLUMN_NAME = 'sonar_flapping')
+    BEGIN
+        ALTER TABLE dbo.active_critical_alerts ADD sonar_flapping BIT NOT NULL DEFAULT 0;
+        PRINT 'Campo sonar_flapping agregado a active_critical_alerts';
+    END
 END
 GO
 
@@ -650,6 +756,659 @@ IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_maintenance_history_ch
     CREATE INDEX IX_maintenance_history_chain ON maintenance_history(chain);
 GO
 
+-- ============================================================================================================
+-- TABLA 9: rack_telemetry
+-- Lecturas por PDU guardadas en cada ciclo de sondeo (corriente, voltaje, temperatura, humedad)
+-- Se usa para el historico por rack con agregacion (raw, 5 minutos, horaria)
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: rack_telemetry';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'rack_telemetry')
+BEGIN
+    CREATE TABLE rack_telemetry (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+
+        pdu_id NVARCHAR(255) NOT NULL,
+        rack_id NVARCHAR(255) NOT NULL,
+        site NVARCHAR(255),
+        dc NVARCHAR(100),
+        chain NVARCHAR(100),
+
+        [current] DECIMAL(18, 4) NULL,
+        voltage DECIMAL(18, 4) NULL,
+        temperature DECIMAL(18, 4) NULL,
+        humidity DECIMAL(18, 4) NULL,
+
+        status NVARCHAR(20),
+
+        recorded_at DATETIME NOT NULL DEFAULT GETDATE()
+    );
+
+    PRINT 'Tabla rack_telemetry creada correctamente';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla rack_telemetry ya existe';
+END
+GO
+
+-- Indices para rack_telemetry
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_rack_telemetry_rack_recorded')
+    CREATE INDEX IX_rack_telemetry_rack_recorded ON rack_telemetry(rack_id, recorded_at)
+    INCLUDE (pdu_id, [current], voltage, temperature, humidity);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_rack_telemetry_recorded_at')
+    CREATE INDEX IX_rack_telemetry_recorded_at ON rack_telemetry(recorded_at);
+GO
+
+-- ============================================================================================================
+-- TABLA 10: threshold_scope_overrides
+-- Umbrales especificos por sitio, DC o chain
+-- Resolucion: global -> sitio -> DC -> chain -> rack (gana el ambito mas especifico)
+-- Los DC se identifican dentro de su sitio y las chains dentro de su DC
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: threshold_scope_overrides';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='threshold_scope_overrides' AND xtype='U')
+BEGIN
+    CREATE TABLE threshold_scope_overrides (
+        id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        scope_type NVARCHAR(20) NOT NULL CHECK (scope_type IN ('site', 'dc', 'chain')),
+        site NVARCHAR(255) NOT NULL,
+        dc NVARCHAR(100) NULL,
+        chain NVARCHAR(100) NULL,
+        threshold_key NVARCHAR(255) NOT NULL,
+        value DECIMAL(18, 4) NOT NULL,
+        unit NVARCHAR(50),
+        created_at DATETIME DEFAULT GETDATE(),
+        updated_at DATETIME DEFAULT GETDATE(),
+        CONSTRAINT UK_threshold_scope_overrides_scope_key UNIQUE (scope_type, site, dc, chain, threshold_key)
+    );
+
+    CREATE INDEX IX_threshold_scope_overrides_site ON threshold_scope_overrides(site, dc, chain);
+
+    PRINT 'Tabla threshold_scope_overrides creada con indices';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla threshold_scope_overrides ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 11: threshold_change_history
+-- Auditoria de cada cambio de umbral en cualquier ambito (global, sitio, DC, chain o rack)
+-- Las filas de un mismo guardado comparten change_set_id, que es la unidad que se puede revertir
+-- old_value / new_value NULL indica que el ambito no tenia valor propio (heredaba del superior)
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: threshold_change_history';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='threshold_change_history' AND xtype='U')
+BEGIN
+    CREATE TABLE threshold_change_history (
+        id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        change_set_id UNIQUEIDENTIFIER NOT NULL,
+        scope_type NVARCHAR(20) NOT NULL CHECK (scope_type IN ('global', 'site', 'dc', 'chain', 'rack')),
+        site NVARCHAR(255) NULL,
+        dc NVARCHAR(100) NULL,
+        chain NVARCHAR(100) NULL,
+        rack_id NVARCHAR(255) NULL,
+        threshold_key NVARCHAR(255) NOT NULL,
+        old_value DECIMAL(18, 4) NULL,
+        new_value DECIMAL(18, 4) NULL,
+        action NVARCHAR(20) NOT NULL DEFAULT 'update' CHECK (action IN ('update', 'reset', 'rollback')),
+        rollback_of UNIQUEIDENTIFIER NULL,
+        changed_by NVARCHAR(255),
+        comment NVARCHAR(500) NULL,
+        changed_at DATETIME NOT NULL DEFAULT GETDATE()
+    );
+
+    CREATE INDEX IX_threshold_change_history_change_set ON threshold_change_history(change_set_id);
+    CREATE INDEX IX_threshold_change_history_scope ON threshold_change_history(scope_type, site, dc, chain, rack_id, changed_at);
+    CREATE INDEX IX_threshold_change_history_changed_at ON threshold_change_history(changed_at DESC);
+
+    PRINT 'Tabla threshold_change_history creada con indices';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla threshold_change_history ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 12: composite_alert_rules
+-- Reglas definidas por administradores que combinan condiciones sobre varias metricas (AND / OR)
+-- conditions es un JSON: [{ "metric": "temperature", "operator": ">", "value": 30 }, ...]
+-- Cada regla genera el motivo <severity>_composite_<reason_code> y se guarda como una alerta normal
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: composite_alert_rules';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='composite_alert_rules' AND xtype='U')
+BEGIN
+    CREATE TABLE composite_alert_rules (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        name NVARCHAR(255) NOT NULL,
+        reason_code NVARCHAR(100) NOT NULL,
+        severity NVARCHAR(20) NOT NULL CHECK (severity IN ('critical', 'warning')),
+        logic_operator NVARCHAR(3) NOT NULL DEFAULT 'AND' CHECK (logic_operator IN ('AND', 'OR')),
+        conditions NVARCHAR(MAX) NOT NULL,
+        description NVARCHAR(500) NULL,
+        enabled BIT NOT NULL DEFAULT 1,
+        created_by NVARCHAR(255),
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        updated_by NVARCHAR(255),
+        updated_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UK_composite_alert_rules_reason_code UNIQUE (reason_code)
+    );
+
+    PRINT 'Tabla composite_alert_rules creada';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla composite_alert_rules ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 13: pdu_rated_capacity
+-- Capacidad nominal de cada feed (amperios del breaker de un PDU: 16A, 32A, 63A...) usada para calcular
+-- el % de carga y la carga N+N (corriente total del rack sobre el breaker de un solo feed)
+-- pdu_id NULL = capacidad por defecto de cada feed del rack (no la suma del rack);
+-- una fila con pdu_id tiene prioridad sobre la del rack
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: pdu_rated_capacity';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='pdu_rated_capacity' AND xtype='U')
+BEGIN
+    CREATE TABLE pdu_rated_capacity (
+        id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        rack_id NVARCHAR(255) NOT NULL,
+        pdu_id NVARCHAR(255) NULL,
+        rated_amps DECIMAL(10, 2) NOT NULL CHECK (rated_amps > 0),
+        updated_by NVARCHAR(255),
+        updated_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UK_pdu_rated_capacity_rack_pdu UNIQUE (rack_id, pdu_id)
+    );
+
+    CREATE INDEX IX_pdu_rated_capacity_pdu_id ON pdu_rated_capacity(pdu_id);
+
+    PRINT 'Tabla pdu_rated_capacity creada con indices';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla pdu_rated_capacity ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 14: active_warning_alerts
+-- Alertas de advertencia actualmente activas; mismo ciclo de vida que active_critical_alerts
+-- Al resolverse se cierran en alerts_history (resolution_type 'escalated' si pasaron a critica)
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: active_warning_alerts';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='active_warning_alerts' AND xtype='U')
+BEGIN
+    CREATE TABLE active_warning_alerts (
+        id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        pdu_id NVARCHAR(255) NOT NULL,
+        rack_id NVARCHAR(255),
+        name NVARCHAR(500),
+        country NVARCHAR(255),
+        site NVARCHAR(255),
+        dc NVARCHAR(255),
+        phase NVARCHAR(100),
+        chain NVARCHAR(255),
+        node NVARCHAR(255),
+        serial NVARCHAR(255),
+        metric_type NVARCHAR(50) NOT NULL,
+        alert_reason NVARCHAR(255) NOT NULL,
+        alert_value DECIMAL(18, 4),
+        alert_field NVARCHAR(100),
+        threshold_exceeded DECIMAL(18, 4),
+        alert_started_at DATETIME DEFAULT GETDATE(),
+        last_updated_at DATETIME DEFAULT GETDATE(),
+        uuid_open NVARCHAR(255) NULL,
+        uuid_closed NVARCHAR(255) NULL,
+        [group] NVARCHAR(100) NULL,
+        sonar_silenced BIT NOT NULL DEFAULT 0,
+        sonar_flapping BIT NOT NULL DEFAULT 0,
+        CONSTRAINT UK_active_warning_alerts_pdu_metric UNIQUE (pdu_id, metric_type, alert_reason)
+    );
+
+    CREATE INDEX IX_active_warning_alerts_pdu_id ON active_warning_alerts(pdu_id);
+    CREATE INDEX IX_active_warning_alerts_rack_id ON active_warning_alerts(rack_id);
+    CREATE INDEX IX_active_warning_alerts_alert_started_at ON active_warning_alerts(alert_started_at);
+
+    PRINT 'Tabla active_warning_alerts creada con indices';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla active_warning_alerts ya existe';
+
+    IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'dbo' AND TABLE_NAME = 'active_warning_alerts' AND COLUMN_NAME = 'sonar_silenced')
+    BEGIN
+        ALTER TABLE dbo.active_warning_alerts ADD sonar_silenced BIT NOT NULL DEFAULT 0;
+        PRINT 'Campo sonar_silenced agregado a active_warning_alerts';
+    END
+
+    IF NOT EXISTS (SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'dbo' AND TABLE_NAME = 'active_warning_alerts' AND COLUMN_NAME = 'sonar_flapping')
+    BEGIN
+        ALTER TABLE dbo.active_warning_alerts ADD sonar_flapping BIT NOT NULL DEFAULT 0;
+        PRINT 'Campo sonar_flapping agregado a active_warning_alerts';
+    END
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 15: escalation_policies
+-- Niveles de escalado de alertas criticas sin reconocer, contados desde alert_started_at
+-- site NULL = politica por defecto; un sitio con filas propias no usa la politica por defecto
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: escalation_policies';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='escalation_policies' AND xtype='U')
+BEGIN
+    CREATE TABLE escalation_policies (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        site NVARCHAR(255) NULL,
+        level INT NOT NULL CHECK (level BETWEEN 1 AND 5),
+        delay_minutes INT NOT NULL CHECK (delay_minutes > 0),
+        notify_target NVARCHAR(255) NOT NULL,
+        notify_contact NVARCHAR(500) NULL,
+        enabled BIT NOT NULL DEFAULT 1,
+        updated_by NVARCHAR(255),
+        updated_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UK_escalation_policies_site_level UNIQUE (site, level)
+    );
+
+    PRINT 'Tabla escalation_policies creada';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla escalation_policies ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 16: alert_escalation_history
+-- Un registro por alerta y paso de escalado, enlazado a su fila abierta de alerts_history
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: alert_escalation_history';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='alert_escalation_history' AND xtype='U')
+BEGIN
+    CREATE TABLE alert_escalation_history (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        alert_history_id INT NULL,
+        pdu_id NVARCHAR(255) NOT NULL,
+        rack_id NVARCHAR(255),
+        name NVARCHAR(500),
+        site NVARCHAR(255),
+        dc NVARCHAR(255),
+        metric_type NVARCHAR(50),
+        alert_reason NVARCHAR(255),
+        level INT NOT NULL,
+        delay_minutes INT NOT NULL,
+        notify_target NVARCHAR(255) NOT NULL,
+        notify_contact NVARCHAR(500) NULL,
+        minutes_open INT,
+        sonar_notified BIT NOT NULL DEFAULT 0,
+        escalated_at DATETIME NOT NULL DEFAULT GETDATE()
+    );
+
+    CREATE INDEX IX_alert_escalation_history_alert_history_id ON alert_escalation_history(alert_history_id);
+    CREATE INDEX IX_alert_escalation_history_rack_id ON alert_escalation_history(rack_id);
+
+    PRINT 'Tabla alert_escalation_history creada con indices';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla alert_escalation_history ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 17: alert_silences
+-- Silencia notificaciones (SONAR y escalado) de un rack, una chain o un sitio, opcionalmente solo de una
+-- metrica o un motivo. A diferencia del mantenimiento el rack sigue mostrando su estado real.
+-- Un silencio deja de aplicar al llegar a expires_at o al terminarlo manualmente (ended_at)
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: alert_silences';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='alert_silences' AND xtype='U')
+BEGIN
+    CREATE TABLE alert_silences (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        scope_type NVARCHAR(20) NOT NULL CHECK (scope_type IN ('rack', 'chain', 'site')),
+        rack_id NVARCHAR(255) NULL,
+        rack_name NVARCHAR(500) NULL,
+        site NVARCHAR(255) NULL,
+        dc NVARCHAR(255) NULL,
+        chain NVARCHAR(255) NULL,
+        metric_type NVARCHAR(50) NULL,
+        alert_reason NVARCHAR(255) NULL,
+        comment NVARCHAR(1000) NOT NULL,
+        created_by NVARCHAR(255),
+        created_at DATETIME NOT NULL DEFAULT GETDATE(),
+        expires_at DATETIME NOT NULL,
+        ended_by NVARCHAR(255) NULL,
+        ended_at DATETIME NULL
+    );
+
+    CREATE INDEX IX_alert_silences_expires_at ON alert_silences(expires_at);
+
+    PRINT 'Tabla alert_silences creada con indices';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla alert_silences ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 18: correlated_incidents
+-- Cuando la mayoria de los racks detras de un mismo gateway o de una misma chain se quedan sin tension
+-- (alertas critical_voltage_*, incluidas las PDUs que dejan de reportar) a la vez se abre un unico incidente padre con un solo evento en SONAR (pid ALERTA_GW_<gw> / ALERTA_CHAIN_<...>).
+-- Las alertas de tension de esos racks (active_critical_alerts.parent_incident_id) no abren su propio evento en SONAR.
+-- incident_key identifica el grupo: gwIp/gwName para 'gateway' y site|dc|chain para 'chain'
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: correlated_incidents';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='correlated_incidents' AND xtype='U')
+BEGIN
+    CREATE TABLE correlated_incidents (
+        id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+        incident_type NVARCHAR(20) NOT NULL CHECK (incident_type IN ('gateway', 'chain')),
+        incident_key NVARCHAR(800) NOT NULL,
+        name NVARCHAR(500) NOT NULL,
+        site NVARCHAR(255) NULL,
+        dc NVARCHAR(255) NULL,
+        chain NVARCHAR(255) NULL,
+        gwName NVARCHAR(255) NULL,
+        gwIp NVARCHAR(50) NULL,
+        rack_count INT NOT NULL,
+        affected_count INT NOT NULL,
+        uuid_open NVARCHAR(255) NULL,
+        uuid_closed NVARCHAR(255) NULL,
+        started_at DATETIME NOT NULL DEFAULT GETDATE(),
+        last_updated_at DATETIME NOT NULL DEFAULT GETDATE(),
+        resolved_at DATETIME NULL
+    );
+
+    CREATE INDEX IX_correlated_incidents_resolved_at ON correlated_incidents(resolved_at);
+    CREATE INDEX IX_correlated_incidents_key ON correlated_incidents(incident_type, incident_key);
+
+    PRINT 'Tabla correlated_incidents creada con indices';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla correlated_incidents ya existe';
+END
+GO
+
+-- Un solo incidente abierto por gateway/chain (tambien para tablas ya existentes)
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_correlated_incidents_open_key')
+    CREATE UNIQUE INDEX UX_correlated_incidents_open_key ON correlated_incidents(incident_type, incident_key)
+    WHERE resolved_at IS NULL;
+GO
+
+-- ============================================================================================================
+-- TABLA 19: correlated_incident_racks
+-- Racks hijos de cada incidente correlacionado (se conservan al resolverlo para el historico)
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: correlated_incident_racks';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='correlated_incident_racks' AND xtype='U')
+BEGIN
+    CREATE TABLE correlated_incident_racks (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        incident_id UNIQUEIDENTIFIER NOT NULL,
+        rack_id NVARCHAR(255) NOT NULL,
+        rack_name NVARCHAR(500) NULL,
+        added_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UK_correlated_incident_racks UNIQUE (incident_id, rack_id)
+    );
+
+    CREATE INDEX IX_correlated_incident_racks_rack_id ON correlated_incident_racks(rack_id);
+
+    PRINT 'Tabla correlated_incident_racks creada con indices';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla correlated_incident_racks ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 20: rack_flapping_events
+-- Un rack esta en flapping cuando una misma alerta (PDU + motivo) se abre y se cierra mas de N veces dentro
+-- de la ventana configurada (FLAPPING_THRESHOLD / FLAPPING_WINDOW_MINUTES), segun alerts_history.
+-- Cada fila es un episodio: empieza al detectarse y termina (ended_at) cuando el rack se estabiliza.
+-- Mientras dura, las alertas nuevas del rack no se abren en SONAR (sonar_flapping en las tablas activas)
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: rack_flapping_events';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='rack_flapping_events' AND xtype='U')
+BEGIN
+    CREATE TABLE rack_flapping_events (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        rack_id NVARCHAR(255) NOT NULL,
+        name NVARCHAR(500) NULL,
+        site NVARCHAR(255) NULL,
+        dc NVARCHAR(255) NULL,
+        alert_reason NVARCHAR(255) NULL,
+        max_cycles INT NOT NULL,
+        started_at DATETIME NOT NULL DEFAULT GETDATE(),
+        last_detected_at DATETIME NOT NULL DEFAULT GETDATE(),
+        ended_at DATETIME NULL
+    );
+
+    CREATE INDEX IX_rack_flapping_events_rack_id ON rack_flapping_events(rack_id);
+    CREATE INDEX IX_rack_flapping_events_started_at ON rack_flapping_events(started_at);
+    CREATE INDEX IX_rack_flapping_events_ended_at ON rack_flapping_events(ended_at);
+
+    PRINT 'Tabla rack_flapping_events creada con indices';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla rack_flapping_events ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 21: email_notification_recipients
+-- Destinatarios de los emails de apertura/cierre de alertas (SMTP), separados por comas
+-- site NULL = lista por defecto; un sitio con lista propia no usa la lista por defecto
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: email_notification_recipients';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='email_notification_recipients' AND xtype='U')
+BEGIN
+    CREATE TABLE email_notification_recipients (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        site NVARCHAR(255) NULL,
+        recipients NVARCHAR(2000) NOT NULL,
+        send_warnings BIT NOT NULL DEFAULT 0,
+        enabled BIT NOT NULL DEFAULT 1,
+        updated_by NVARCHAR(255),
+        updated_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UK_email_notification_recipients_site UNIQUE (site)
+    );
+
+    PRINT 'Tabla email_notification_recipients creada';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla email_notification_recipients ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TABLA 22: alert_debounce_state
+-- Contadores de histeresis/debounce por PDU y motivo (alert_raise_cycles_*, alert_clear_cycles_*).
+-- El ciclo automatico (un solo worker de PM2) la reemplaza completa en cada ciclo; todas las evaluaciones la leen
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tabla: alert_debounce_state';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='alert_debounce_state' AND xtype='U')
+BEGIN
+    CREATE TABLE alert_debounce_state (
+        pdu_id NVARCHAR(255) NOT NULL,
+        alert_reason NVARCHAR(255) NOT NULL,
+        active BIT NOT NULL DEFAULT 0,
+        breach_cycles INT NOT NULL DEFAULT 0,
+        clear_cycles INT NOT NULL DEFAULT 0,
+        updated_at DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT PK_alert_debounce_state PRIMARY KEY (pdu_id, alert_reason)
+    );
+
+    PRINT 'Tabla alert_debounce_state creada';
+END
+ELSE
+BEGIN
+    PRINT 'Tabla alert_debounce_state ya existe';
+END
+GO
+
+-- ============================================================================================================
+-- TIPOS DE TABLA: ActiveAlertSet / ResolvedAlertSet
+-- Parametros con valores de tabla (TVP) con los que el servidor reconcilia en cada ciclo, en una sola operacion
+-- MERGE, las tablas active_critical_alerts y active_warning_alerts, y resuelve en alerts_history las cerradas.
+-- match_by_rack = 1 para incidentes de rack (una sola alerta por rack, guardada con el id del rack como pdu_id)
+-- ============================================================================================================
+
+PRINT '';
+PRINT '------------------------------------------------------------------------------------------------------------';
+PRINT 'Creando tipos de tabla: ActiveAlertSet, ResolvedAlertSet, AlertDebounceStateSet';
+PRINT '------------------------------------------------------------------------------------------------------------';
+
+IF NOT EXISTS (SELECT * FROM sys.types WHERE is_table_type = 1 AND name = 'ActiveAlertSet')
+BEGIN
+    CREATE TYPE dbo.ActiveAlertSet AS TABLE (
+        pdu_id NVARCHAR(255) NOT NULL,
+        rack_id NVARCHAR(255) NULL,
+        name NVARCHAR(500) NULL,
+        country NVARCHAR(255) NULL,
+        site NVARCHAR(255) NULL,
+        dc NVARCHAR(255) NULL,
+        phase NVARCHAR(100) NULL,
+        chain NVARCHAR(255) NULL,
+        node NVARCHAR(255) NULL,
+        serial NVARCHAR(255) NULL,
+        metric_type NVARCHAR(50) NOT NULL,
+        alert_reason NVARCHAR(255) NOT NULL,
+        alert_value DECIMAL(18, 4) NULL,
+        alert_field NVARCHAR(100) NULL,
+        threshold_exceeded DECIMAL(18, 4) NULL,
+        [group] NVARCHAR(100) NULL,
+        match_by_rack BIT NOT NULL,
+        sonar_silenced BIT NOT NULL,
+        sonar_flapping BIT NOT NULL,
+        parent_incident_id UNIQUEIDENTIFIER NULL
+    );
+
+    PRINT 'Tipo ActiveAlertSet creado';
+END
+ELSE
+BEGIN
+    PRINT 'Tipo ActiveAlertSet ya existe';
+END
+
+IF NOT EXISTS (SELECT * FROM sys.types WHERE is_table_type = 1 AND name = 'ResolvedAlertSet')
+BEGIN
+    CREATE TYPE dbo.ResolvedAlertSet AS TABLE (
+        pdu_id NVARCHAR(255) NOT NULL,
+        metric_type NVARCHAR(50) NOT NULL,
+        alert_reason NVARCHAR(255) NOT NULL,
+        resolution_type NVARCHAR(50) NOT NULL,
+        uuid_open NVARCHAR(255) NULL,
+        uuid_closed NVARCHAR(255) NULL
+    );
+
+    PRINT 'Tipo ResolvedAlertSet creado';
+END
+ELSE
+BEGIN
+    PRINT 'Tipo ResolvedAlertSet ya existe';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.types WHERE is_table_type = 1 AND name = 'AlertDebounceStateSet')
+BEGIN
+    CREATE TYPE dbo.AlertDebounceStateSet AS TABLE (
+        pdu_id NVARCHAR(255) NOT NULL,
+        alert_reason NVARCHAR(255) NOT NULL,
+        active BIT NOT NULL,
+        breach_cycles INT NOT NULL,
+        clear_cycles INT NOT NULL
+    );
+
+    PRINT 'Tipo AlertDebounceStateSet creado';
+END
+ELSE
+BEGIN
+    PRINT 'Tipo AlertDebounceStateSet ya existe';
+END
+GO
+
 -- ============================================================================================================
 -- VERIFICACION FINAL
 -- ============================================================================================================
@@ -666,7 +1425,21 @@ UNION ALL SELECT 'maintenance_entries', COUNT(*) FROM maintenance_entries
 UNION ALL SELECT 'maintenance_rack_details', COUNT(*) FROM maintenance_rack_details
 UNION ALL SELECT 'usersAlertado', COUNT(*) FROM usersAlertado
 UNION ALL SELECT 'alerts_history', COUNT(*) FROM alerts_history
-UNION ALL SELECT 'maintenance_history', COUNT(*) FROM maintenance_history;
+UNION ALL SELECT 'maintenance_history', COUNT(*) FROM maintenance_history
+UNION ALL SELECT 'rack_telemetry', COUNT(*) FROM rack_telemetry
+UNION ALL SELECT 'threshold_scope_overrides', COUNT(*) FROM threshold_scope_overrides
+UNION ALL SELECT 'threshold_change_history', COUNT(*) FROM threshold_change_history
+UNION ALL SELECT 'composite_alert_rules', COUNT(*) FROM composite_alert_rules
+UNION ALL SELECT 'pdu_rated_capacity', COUNT(*) FROM pdu_rated_capacity
+UNION ALL SELECT 'active_warning_alerts', COUNT(*) FROM active_warning_alerts
+UNION ALL SELECT 'escalation_policies', COUNT(*) FROM escalation_policies
+UNION ALL SELECT 'alert_escalation_history', COUNT(*) FROM alert_escalation_history
+UNION ALL SELECT 'alert_silences', COUNT(*) FROM alert_silences
+UNION ALL SELECT 'correlated_incidents', COUNT(*) FROM correlated_incidents
+UNION ALL SELECT 'correlated_incident_racks', COUNT(*) FROM correlated_incident_racks
+UNION ALL SELECT 'rack_flapping_events', COUNT(*) FROM rack_flapping_events
+UNION ALL SELECT 'email_notification_recipients', COUNT(*) FROM email_notification_recipients
+UNION ALL SELECT 'alert_debounce_state', COUNT(*) FROM alert_debounce_state;
 
 PRINT '';
 PRINT '============================================================================================================';
@@ -682,6 +1455,24 @@ PRINT '  - maintenance_rack_details  : Detalles de mantenimiento (con gwName/gwI
 PRINT '  - usersAlertado             : Sistema de usuarios';
 PRINT '  - alerts_history            : Historico de alertas (con gwName/gwIp, [group])';
 PRINT '  - maintenance_history       : Historico de mantenimientos';
+PRINT '  - rack_telemetry            : Series temporales de lecturas por PDU';
+PRINT '  - threshold_scope_overrides : Umbrales por sitio, DC o chain';
+PRINT '  - threshold_change_history  : Auditoria de cambios de umbrales';
+PRINT '  - composite_alert_rules     : Reglas de alerta compuestas (varias metricas con AND/OR)';
+PRINT '  - pdu_rated_capacity        : Capacidad nominal por rack o PDU (% de carga)';
+PRINT '  - active_warning_alerts     : Alertas de advertencia activas';
+PRINT '  - escalation_policies       : Niveles de escalado por sitio';
+PRINT '  - alert_escalation_history  : Pasos de escalado de cada alerta';
+PRINT '  - alert_silences            : Silencios temporales de notificaciones';
+PRINT '  - correlated_incidents      : Incidentes padre por gateway o chain caidos';
+PRINT '  - correlated_incident_racks : Racks afectados de cada incidente';
+PRINT '  - rack_flapping_events      : Episodios de racks con alertas intermitentes (flapping)';
+PRINT '  - email_notification_recipients : Destinatarios por sitio de los emails de alertas';
+PRINT '  - alert_debounce_state      : Estado de debounce por PDU (compartido entre workers)';
+PRINT '';
+PRINT 'TIPOS DE TABLA:';
+PRINT '  - ActiveAlertSet / ResolvedAlertSet : Reconciliacion por conjuntos de las alertas activas';
+PRINT '  - AlertDebounceStateSet              : Guardado del estado de debounce de cada ciclo';
 PRINT '';
 PRINT 'USUARIO ADMIN: admin / Admin123!';
 PRINT '============================================================================================================';
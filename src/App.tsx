@@ -1,15 +1,21 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Routes, Route } from 'react-router-dom';
-import { Activity, AlertTriangle, Settings, BarChart3, Zap, Download, RefreshCw, Wrench, LogOut, User, ChevronDown, ChevronUp, Bell, BellOff } from 'lucide-react';
+import { Activity, AlertTriangle, Settings, BarChart3, Zap, Download, RefreshCw, Wrench, LogOut, User, ChevronDown, ChevronUp, Bell, BellOff, History } from 'lucide-react';
 import CountryGroup from './components/CountryGroup';
 import ThresholdManager from './components/ThresholdManager';
 import RackThresholdManager from './components/RackThresholdManager';
+import SilenceModal from './components/SilenceModal';
+import SilencesPanel from './components/SilencesPanel';
 import MaintenancePage from './pages/MaintenancePage';
+import AlertHistoryPage from './pages/AlertHistoryPage';
+import AlertAnalyticsPage from './pages/AlertAnalyticsPage';
+import RackDetailPage from './pages/RackDetailPage';
 import { useRackData } from './hooks/useRackData';
 import { useThresholds } from './hooks/useThresholds';
 import { getThresholdValue } from './utils/thresholdUtils';
 import { getMetricStatusColor, getAmperageStatusColor } from './utils/uiUtils';
 import { useAuth } from './contexts/AuthContext';
+import { RackData } from './types';
 
 function App() {
   const { user, logout } = useAuth();
@@ -22,7 +28,7 @@ function App() {
   const [exportError, setExportError] = useState<string | null>(null);
   const [showAllDcs, setShowAllDcs] = useState(false);
   const [showAllGateways, setShowAllGateways] = useState(false);
-  const [activeView, setActiveView] = useState<'principal' | 'alertas' | 'mantenimiento'>('principal');
+  const [activeView, setActiveView] = useState<'principal' | 'alertas' | 'mantenimiento' | 'historico' | 'analitica'>('principal');
   const [isGeoFiltersExpanded, setIsGeoFiltersExpanded] = useState(false);
   const [hasInitializedFilters, setHasInitializedFilters] = useState(false);
   const [showExportMenu, setShowExportMenu] = useState(false);
@@ -31,6 +37,7 @@ function App() {
   const [alertSendingEnabled, setAlertSendingEnabled] = useState(false);
   const [alertSendingConfigured, setAlertSendingConfigured] = useState(false);
   const [alertSendingLoading, setAlertSendingLoading] = useState(false);
+  const [silenceTarget, setSilenceTarget] = useState<RackData | null>(null);
 
   // Helper function to check if user has access to a site
   // Handles Cantabria Norte/Sur unification
@@ -93,6 +100,8 @@ function App() {
     setActiveGwFilter,
     activeMetricFilter,
     setActiveMetricFilter,
+    activeAckFilter,
+    setActiveAckFilter,
     searchQuery,
     setSearchQuery,
     searchField,
@@ -757,6 +766,32 @@ function App() {
     }
   };
 
+  const handleAcknowledgeAlert = async (rackId: string, rackName: string) => {
+    const comment = prompt(`Comentario para reconocer la alerta del rack "${rackName}" (opcional):`);
+    if (comment === null) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/alerts/acknowledge', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rackId, comment })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
+
+      refreshData();
+    } catch (error) {
+      alert(`Error al reconocer la alerta: ${error instanceof Error ? error.message : 'Error desconocido'}`);
+    }
+  };
+
   const handleExportAlerts = async (filterBySite: boolean = false) => {
     setIsExporting(true);
     setExportMessage(null);
@@ -1175,6 +1210,28 @@ function App() {
                     <Wrench className="h-4 w-4 inline mr-2" />
                     Mantenimiento
                   </button>
+                  <button
+                    onClick={() => setActiveView('historico')}
+                    className={`px-5 py-2.5 rounded-md text-sm font-medium transition-all ${
+                      activeView === 'historico'
+                        ? 'bg-blue-600 text-white shadow-md'
+                        : 'text-gray-700 hover:text-gray-900 hover:bg-white'
+                    }`}
+                  >
+                    <History className="h-4 w-4 inline mr-2" />
+                    Histórico
+                  </button>
+                  <button
+                    onClick={() => setActiveView('analitica')}
+                    className={`px-5 py-2.5 rounded-md text-sm font-medium transition-all ${
+                      activeView === 'analitica'
+                        ? 'bg-blue-600 text-white shadow-md'
+                        : 'text-gray-700 hover:text-gray-900 hover:bg-white'
+                    }`}
+                  >
+                    <BarChart3 className="h-4 w-4 inline mr-2" />
+                    Análisis
+                  </button>
                 </div>
 
                 {/* Action Buttons */}
@@ -1408,13 +1465,14 @@ function App() {
             {showThresholds ? (
               <ThresholdManager
                 thresholds={thresholds}
+                rackGroups={userFilteredRackGroups}
                 onSaveSuccess={handleThresholdSaveSuccess}
                 onClose={() => setShowThresholds(false)}
               />
             ) : (
               <>
             {/* Search Bar - Only show when threshold manager is closed and NOT in maintenance view */}
-            {!showRackThresholdsModal && activeView !== 'mantenimiento' && (
+            {!showRackThresholdsModal && activeView !== 'mantenimiento' && activeView !== 'historico' && activeView !== 'analitica' && (
               <div className="bg-white rounded-lg shadow mb-6 p-4">
                 <div className="flex items-center space-x-4 flex-wrap gap-2">
                   <label htmlFor="search-input" className="text-sm font-medium text-gray-700 whitespace-nowrap">
@@ -1479,12 +1537,29 @@ function App() {
                       )}
                     </div>
                   </div>
+                  {activeView === 'alertas' && (
+                    <div className="flex items-center space-x-2">
+                      <label htmlFor="ack-filter-select" className="text-sm font-medium text-gray-700 whitespace-nowrap">
+                        Reconocimiento:
+                      </label>
+                      <select
+                        id="ack-filter-select"
+                        value={activeAckFilter}
+                        onChange={(e) => setActiveAckFilter(e.target.value as 'all' | 'acknowledged' | 'unacknowledged')}
+                        className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm"
+                      >
+                        <option value="all">Todas</option>
+                        <option value="unacknowledged">Sin reconocer</option>
+                        <option value="acknowledged">Reconocidas</option>
+                      </select>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
 
             {/* Geographical Filters - Only show when threshold manager is closed and NOT in maintenance view */}
-            {!showThresholds && !showRackThresholdsModal && activeView !== 'mantenimiento' && (
+            {!showThresholds && !showRackThresholdsModal && activeView !== 'mantenimiento' && activeView !== 'historico' && activeView !== 'analitica' && (
               <div className="bg-white rounded-lg shadow mb-6 overflow-hidden">
                 <div
                   className="flex items-center justify-between p-4 cursor-pointer hover:bg-gray-50 transition-colors"
@@ -1667,7 +1742,14 @@ function App() {
             )}
             {/* Main Content */}
             {activeView === 'mantenimiento' ? (
-              <MaintenancePage />
+              <div className="space-y-6">
+                <MaintenancePage />
+                <SilencesPanel />
+              </div>
+            ) : activeView === 'historico' ? (
+              <AlertHistoryPage availableSites={availableSites} availableDcs={availableDcs} />
+            ) : activeView === 'analitica' ? (
+              <AlertAnalyticsPage availableSites={availableSites} availableDcs={availableDcs} />
             ) : (
               <>
                 {!showRackThresholdsModal && (
@@ -1696,6 +1778,8 @@ function App() {
                       onSendRackToMaintenance={(user?.rol !== 'Observador') ? handleSendRackToMaintenance : undefined}
                       onSendChainToMaintenance={(user?.rol !== 'Observador') ? handleSendChainToMaintenance : undefined}
                       onSendAlertToSonar={(!alertSendingEnabled && alertSendingConfigured && (user?.rol === 'Administrador' || user?.rol === 'Operador')) ? handleSendAlertToSonar : undefined}
+                      onAcknowledgeAlert={(user?.rol === 'Administrador' || user?.rol === 'Operador') ? handleAcknowledgeAlert : undefined}
+                      onSilenceAlerts={(user?.rol === 'Administrador' || user?.rol === 'Operador') ? setSilenceTarget : undefined}
                       maintenanceRacks={maintenanceRacks}
                       expandedRackNames={expandedRackNames}
                       onToggleRackExpansion={handleToggleRackExpansion}
@@ -1704,6 +1788,18 @@ function App() {
                   </div>
                 )}
 
+                {silenceTarget && (
+                  <SilenceModal
+                    rack={silenceTarget}
+                    onClose={() => setSilenceTarget(null)}
+                    onCreated={(message) => {
+                      setSilenceTarget(null);
+                      alert(message);
+                      refreshData();
+                    }}
+                  />
+                )}
+
                 {/* No Data Message */}
                 {Object.keys(groupedRacks).length === 0 && !showRackThresholdsModal && (
                   <div className="text-center py-12">
@@ -1723,6 +1819,9 @@ function App() {
           </div>
         </div>
       } />
+      <Route path="/rack/:rackId" element={
+        <RackDetailPage rackGroups={userFilteredRackGroups} maintenanceRacks={maintenanceRacks} />
+      } />
     </Routes>
   );
 }
@@ -1,5 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Server, Settings, Wrench, MoreVertical, Zap, Send } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Server, Settings, Wrench, MoreVertical, Zap, Send, LineChart, Clock, GitMerge, PowerOff, Unplug, CheckCheck, BellOff, Network, Repeat } from 'lucide-react';
 import { RackData } from '../types';
 
 interface CombinedRackCardProps {
@@ -18,6 +19,8 @@ interface CombinedRackCardProps {
   onSendRackToMaintenance?: (rackId: string, chain: string, rackName: string, rackData?: any) => void;
   onSendChainToMaintenance?: (chain: string, site: string, dc: string, rackData?: any) => void;
   onSendAlertToSonar?: (rackId: string, rackName: string) => void;
+  onAcknowledgeAlert?: (rackId: string, rackName: string) => void;
+  onSilenceAlerts?: (rack: RackData) => void;
   maintenanceRacks: Set<string>;
   isExpanded: boolean;
   onToggleExpansion: () => void;
@@ -33,6 +36,8 @@ export default function CombinedRackCard({
   onSendRackToMaintenance,
   onSendChainToMaintenance,
   onSendAlertToSonar,
+  onAcknowledgeAlert,
+  onSilenceAlerts,
   maintenanceRacks,
   isExpanded,
   onToggleExpansion
@@ -57,7 +62,7 @@ export default function CombinedRackCard({
   }, [showMenu]);
 
   // Helper function to determine metric background color based on alerts
-  const getMetricBgColor = (rack: RackData, metricType: 'amperage' | 'temperature' | 'humidity' | 'voltage'): string => {
+  const getMetricBgColor = (rack: RackData, metricType: 'amperage' | 'temperature' | 'humidity' | 'dewpoint' | 'voltage' | 'power'): string => {
     // Check for critical alerts first (higher priority)
     const hasCritical = rack.reasons && rack.reasons.some(reason => 
       reason.startsWith('critical_') && reason.includes(metricType)
@@ -129,16 +134,58 @@ export default function CombinedRackCard({
     }
   };
 
+  // Load bar colour follows the load percentage thresholds
+  const getLoadBarColor = (loadPercentage: number): string => {
+    const critical = getThresholdValue('critical_load_percentage_high');
+    const warning = getThresholdValue('warning_load_percentage_high');
+    if (critical !== undefined && loadPercentage > critical) return 'bg-red-500';
+    if (warning !== undefined && loadPercentage > warning) return 'bg-yellow-500';
+    return 'bg-green-500';
+  };
+
+  // Human readable text for a pending alert reason (e.g. critical_amperage_high_3_phase)
+  const formatPendingReason = (reason: string): string => {
+    const severity = reason.startsWith('critical_') ? 'crítico' : 'advertencia';
+    if (reason.includes('_composite_')) {
+      return `Regla ${reason.split('_composite_')[1]} (${severity})`;
+    }
+    if (reason.includes('rack_down')) return `Rack sin energía (${severity})`;
+    if (reason.includes('redundancy_lost')) return `Pérdida de redundancia (${severity})`;
+    const metricLabels: Record<string, string> = {
+      amperage: 'Amperaje',
+      temperature: 'Temperatura',
+      humidity: 'Humedad',
+      dewpoint: 'Punto de rocío',
+      load_percentage: 'Carga',
+      redundancy_load: 'Carga N+N',
+      voltage: 'Voltaje',
+      power: 'Potencia'
+    };
+    const metric = Object.keys(metricLabels).find(m => reason.includes(m));
+    const direction = reason.includes('_rising') ? 'en aumento'
+      : reason.includes('_surge') ? 'pico'
+      : reason.includes('_low') ? 'bajo' : 'alto';
+    return `${metric ? metricLabels[metric] : reason} ${direction} (${severity})`;
+  };
+
   const commonInfo = racks[0];
   const rackName = String(commonInfo.name || '').trim();
   const rackId = String(commonInfo.rackId || commonInfo.id || '').trim();
   const isInMaintenance = (rackName && maintenanceRacks.has(rackName)) || (rackId && maintenanceRacks.has(rackId));
   const hasCriticalAlerts = overallStatus === 'critical';
   const sonarSent = hasCriticalAlerts && racks.some(r => r.sonarSent);
+  const pendingCount = racks.reduce((total, r) => total + (r.pendingAlerts?.length || 0), 0);
+  const acknowledgement = hasCriticalAlerts ? racks.find(r => r.acknowledgement)?.acknowledgement : undefined;
+  const isRackDown = racks.some(r => r.reasons?.includes('critical_voltage_rack_down'));
+  const isRedundancyLost = !isRackDown && racks.some(r => r.reasons?.includes('critical_voltage_redundancy_lost'));
+  const silences = racks.find(r => r.silences && r.silences.length > 0)?.silences || [];
+  const flapping = racks.find(r => r.flapping)?.flapping;
+  const correlatedIncident = hasCriticalAlerts ? racks.find(r => r.correlatedIncident)?.correlatedIncident : undefined;
 
   return (
     <div className={`rounded-lg shadow hover:shadow-md transition-all bg-white ${
       isInMaintenance ? 'border-l-4 border-blue-500' :
+      acknowledgement ? 'border-l-4 border-purple-400' :
       overallStatus === 'critical' ? 'border-l-4 border-red-700' :
       overallStatus === 'warning' ? 'border-l-4 border-yellow-500' : ''
     }`}>
@@ -154,7 +201,7 @@ export default function CombinedRackCard({
         >
           <div className="flex items-center gap-3 flex-1">
             <div className={`w-3 h-3 rounded-full ${isInMaintenance ? 'bg-blue-500' : getStatusColor(overallStatus)} ${
-              !isInMaintenance && overallStatus !== 'normal' ? 'animate-pulse' : ''
+              !isInMaintenance && !acknowledgement && overallStatus !== 'normal' ? 'animate-pulse' : ''
             }`}></div>
             <Server className="text-gray-600 h-5 w-5" />
             <h3 className="font-semibold text-gray-900 text-base flex items-center gap-1">
@@ -172,9 +219,79 @@ export default function CombinedRackCard({
                 Mantenimiento
               </span>
             )}
+            {!isInMaintenance && acknowledgement && (
+              <span
+                className="text-xs text-purple-700 bg-purple-50 px-2 py-1 rounded flex items-center gap-1"
+                title={`Reconocida el ${new Date(acknowledgement.acknowledgedAt).toLocaleString('es-ES')}${acknowledgement.comment ? `: ${acknowledgement.comment}` : ''}`}
+              >
+                <CheckCheck className="w-3 h-3" />
+                Reconocida por {acknowledgement.acknowledgedBy}
+              </span>
+            )}
+            {!isInMaintenance && silences.length > 0 && (
+              <span
+                className="text-xs text-gray-700 bg-gray-100 px-2 py-1 rounded flex items-center gap-1"
+                title={silences.map(silence =>
+                  `Hasta ${new Date(silence.expiresAt).toLocaleString('es-ES')} (${silence.createdBy || 'desconocido'}): ${silence.comment}`
+                ).join('\n')}
+              >
+                <BellOff className="w-3 h-3" />
+                Silenciada
+              </span>
+            )}
+            {!isInMaintenance && correlatedIncident && (
+              <span
+                className="text-xs text-red-700 bg-red-50 px-2 py-1 rounded flex items-center gap-1"
+                title={`${correlatedIncident.name}: ${correlatedIncident.affectedCount}/${correlatedIncident.rackCount} racks en alerta desde ${new Date(correlatedIncident.startedAt).toLocaleString('es-ES')}. Se notifica en SONAR como un único incidente.`}
+              >
+                <Network className="w-3 h-3" />
+                Incidente {correlatedIncident.incidentType === 'gateway' ? 'gateway' : 'chain'}
+              </span>
+            )}
+            {!isInMaintenance && flapping && (
+              <span
+                className="text-xs text-amber-700 bg-amber-50 px-2 py-1 rounded flex items-center gap-1"
+                title={`${flapping.alertReason} se ha abierto y cerrado ${flapping.cycles} veces (desde ${new Date(flapping.since).toLocaleString('es-ES')}). No se notifica a SONAR hasta que se estabilice.`}
+              >
+                <Repeat className="w-3 h-3" />
+                Intermitente
+              </span>
+            )}
+            {!isInMaintenance && isRackDown && (
+              <span className="text-xs text-red-700 bg-red-50 px-2 py-1 rounded flex items-center gap-1">
+                <PowerOff className="w-3 h-3" />
+                Rack sin energía
+              </span>
+            )}
+            {!isInMaintenance && isRedundancyLost && (
+              <span
+                className="text-xs text-orange-700 bg-orange-50 px-2 py-1 rounded flex items-center gap-1"
+                title="Un feed sin energía, el rack depende del otro feed"
+              >
+                <Unplug className="w-3 h-3" />
+                Sin redundancia
+              </span>
+            )}
+            {!isInMaintenance && pendingCount > 0 && (
+              <span
+                className="text-xs text-amber-700 bg-amber-50 px-2 py-1 rounded flex items-center gap-1"
+                title="Alertas pendientes de confirmar o de resolver"
+              >
+                <Clock className="w-3 h-3" />
+                {pendingCount} pendiente{pendingCount !== 1 ? 's' : ''}
+              </span>
+            )}
           </div>
           <div className="flex items-center gap-2">
-            {(onConfigureThresholds || onSendRackToMaintenance || onSendChainToMaintenance || (onSendAlertToSonar && overallStatus === 'critical')) && (
+            <Link
+              to={`/rack/${encodeURIComponent(commonInfo.rackId || commonInfo.id)}`}
+              onClick={(e) => e.stopPropagation()}
+              className="menu-button p-1 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
+              title="Ver histórico del rack"
+            >
+              <LineChart className="h-4 w-4" />
+            </Link>
+            {(onConfigureThresholds || onSendRackToMaintenance || onSendChainToMaintenance || (onSendAlertToSonar && overallStatus === 'critical') || (onAcknowledgeAlert && overallStatus === 'critical' && !acknowledgement) || onSilenceAlerts) && (
               <div className="relative menu-button" ref={menuRef}>
                 <button
                   onClick={(e) => {
@@ -280,6 +397,35 @@ export default function CombinedRackCard({
                         <span>Enviar alerta</span>
                       </button>
                     )}
+                    {onAcknowledgeAlert && overallStatus === 'critical' && !acknowledgement && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setShowMenu(false);
+                          onAcknowledgeAlert(
+                            commonInfo.rackId || commonInfo.id,
+                            commonInfo.name
+                          );
+                        }}
+                        className="w-full flex items-center gap-2 px-4 py-3 text-left text-sm text-gray-700 hover:bg-purple-50 transition-colors last:rounded-b-lg border-t border-gray-100"
+                      >
+                        <CheckCheck className="h-4 w-4 text-purple-600" />
+                        <span>Reconocer alerta</span>
+                      </button>
+                    )}
+                    {onSilenceAlerts && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setShowMenu(false);
+                          onSilenceAlerts(commonInfo);
+                        }}
+                        className="w-full flex items-center gap-2 px-4 py-3 text-left text-sm text-gray-700 hover:bg-gray-50 transition-colors last:rounded-b-lg border-t border-gray-100"
+                      >
+                        <BellOff className="h-4 w-4 text-gray-600" />
+                        <span>Silenciar notificaciones</span>
+                      </button>
+                    )}
                   </div>
                 )}
               </div>
@@ -348,7 +494,33 @@ export default function CombinedRackCard({
                     ) : (
                       <span className="text-gray-900">{rack.current}A</span>
                     )}
+                    {rack.reasons && rack.reasons.some(reason => reason.includes('amperage_low')) && (
+                      <span className="ml-2 text-xs font-medium text-orange-600">Consumo bajo</span>
+                    )}
+                    {rack.currentDelta != null && rack.reasons && rack.reasons.some(reason => reason.includes('amperage_surge')) && (
+                      <span className="ml-2 text-xs font-medium text-orange-600">+{rack.currentDelta}A</span>
+                    )}
                   </p>
+                  {rack.loadPercentage != null && rack.ratedAmps != null && (
+                    <div className="mt-1">
+                      <div className="w-full bg-gray-200 rounded-full h-1.5">
+                        <div
+                          className={`h-1.5 rounded-full ${getLoadBarColor(rack.loadPercentage)}`}
+                          style={{ width: `${Math.min(100, rack.loadPercentage)}%` }}
+                        />
+                      </div>
+                      <span className="text-xs text-gray-600">{rack.loadPercentage}% de {rack.ratedAmps}A</span>
+                    </div>
+                  )}
+                  {rack.failoverLoadPercentage != null && (
+                    <p className={`mt-1 text-xs ${
+                      rack.reasons && rack.reasons.some(reason => reason.includes('redundancy_load'))
+                        ? 'font-medium text-red-600'
+                        : 'text-gray-600'
+                    }`}>
+                      N+N: {rack.failoverLoadPercentage}% ({rack.rackTotalCurrent}A si cae el otro feed)
+                    </p>
+                  )}
                 </div>
 
                 {/* Voltage */}
@@ -361,6 +533,19 @@ export default function CombinedRackCard({
                   </p>
                 </div>
 
+                {/* Power */}
+                <div className={`${getMetricBgColor(rack, 'power')} rounded-lg p-2`}>
+                  <span className="font-medium text-gray-600 text-xs">
+                    Potencia
+                  </span>
+                  <p className="font-bold text-gray-900 mt-1 text-sm">
+                    {rack.power != null && !isNaN(rack.power) ? `${rack.power}W` : 'N/A'}
+                    {rack.apparentPower != null && !isNaN(rack.apparentPower) && (
+                      <span className="ml-2 text-xs font-medium text-gray-600">{rack.apparentPower} kVA</span>
+                    )}
+                  </p>
+                </div>
+
                 {/* Temperature */}
                 <div className={`${getMetricBgColor(rack, 'temperature')} rounded-lg p-2`}>
                   <span className="font-medium text-gray-600 text-xs">
@@ -368,6 +553,9 @@ export default function CombinedRackCard({
                   </span>
                   <p className="font-bold text-gray-900 mt-1 text-sm">
                     {rack.sensorTemperature != null && !isNaN(rack.sensorTemperature) ? `${rack.sensorTemperature}°C` : 'N/A'}
+                    {rack.temperatureDelta != null && rack.reasons && rack.reasons.some(reason => reason.includes('temperature_rising')) && (
+                      <span className="ml-2 text-xs font-medium text-orange-600">+{rack.temperatureDelta}°C</span>
+                    )}
                   </p>
                 </div>
 
@@ -380,8 +568,56 @@ export default function CombinedRackCard({
                     {rack.sensorHumidity != null && !isNaN(rack.sensorHumidity) ? `${rack.sensorHumidity}%` : 'N/A'}
                   </p>
                 </div>
+
+                {/* Dew point (condensation risk), only when the sensor reports temperature and humidity */}
+                {rack.dewPoint != null && (
+                  <div className={`${getMetricBgColor(rack, 'dewpoint')} rounded-lg p-2`}>
+                    <span className="font-medium text-gray-600 text-xs">
+                      Punto de Rocío
+                    </span>
+                    <p className="font-bold text-gray-900 mt-1 text-sm">
+                      {`${rack.dewPoint}°C`}
+                    </p>
+                  </div>
+                )}
               </div>
 
+              {/* Composite rules (several metrics combined) that are alerting */}
+              {rack.compositeAlerts && rack.compositeAlerts.length > 0 && (
+                <div className="mt-3 space-y-1">
+                  {rack.compositeAlerts.map(alert => (
+                    <div
+                      key={alert.reason}
+                      className={`flex items-center gap-1 text-xs rounded px-2 py-1 ${
+                        alert.severity === 'critical' ? 'bg-red-50 text-red-700' : 'bg-yellow-50 text-yellow-700'
+                      }`}
+                    >
+                      <GitMerge className="w-3 h-3" />
+                      <span>Regla: {alert.name}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Pending alert transitions (hysteresis/debounce) */}
+              {rack.pendingAlerts && rack.pendingAlerts.length > 0 && (
+                <div className="mt-3 space-y-1">
+                  {rack.pendingAlerts.map(pending => (
+                    <div
+                      key={`${pending.reason}-${pending.transition}`}
+                      className={`flex items-center gap-1 text-xs rounded px-2 py-1 ${
+                        pending.transition === 'raise' ? 'bg-amber-50 text-amber-700' : 'bg-green-50 text-green-700'
+                      }`}
+                    >
+                      <Clock className="w-3 h-3" />
+                      <span>
+                        {pending.transition === 'raise' ? 'Pendiente de confirmar' : 'Pendiente de resolver'}: {formatPendingReason(pending.reason)} ({pending.cycles}/{pending.requiredCycles} ciclos)
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
             </div>
             ))}
             </div>
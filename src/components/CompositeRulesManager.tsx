@@ -0,0 +1,449 @@
+import React, { useState, useEffect } from 'react';
+import { GitMerge, Plus, Edit2, Trash2, Save, X, AlertTriangle, CheckCircle } from 'lucide-react';
+import { CompositeAlertRule, CompositeRuleCondition, CompositeRuleMetric, CompositeRuleOperator } from '../types';
+
+const METRIC_LABELS: Record<CompositeRuleMetric, string> = {
+  current: 'Amperaje (A)',
+  voltage: 'Voltaje (V)',
+  temperature: 'Temperatura (°C)',
+  humidity: 'Humedad (%)',
+  dewPoint: 'Punto de rocío (°C)',
+  power: 'Potencia (W)',
+  apparentPower: 'Potencia aparente (kVA)',
+  loadPercentage: 'Carga (% de capacidad)',
+  temperatureDelta: 'Aumento de temperatura (°C)',
+  currentDelta: 'Aumento de corriente (A)'
+};
+
+const OPERATORS: CompositeRuleOperator[] = ['>', '>=', '<', '<='];
+
+interface RuleFormData {
+  name: string;
+  reasonCode: string;
+  severity: 'critical' | 'warning';
+  logicOperator: 'AND' | 'OR';
+  conditions: Array<Omit<CompositeRuleCondition, 'value'> & { value: string }>;
+  description: string;
+  enabled: boolean;
+}
+
+const EMPTY_FORM: RuleFormData = {
+  name: '',
+  reasonCode: '',
+  severity: 'warning',
+  logicOperator: 'AND',
+  conditions: [
+    { metric: 'temperature', operator: '>', value: '' },
+    { metric: 'humidity', operator: '>', value: '' }
+  ],
+  description: '',
+  enabled: true
+};
+
+const formatCondition = (condition: CompositeRuleCondition) =>
+  `${METRIC_LABELS[condition.metric] || condition.metric} ${condition.operator} ${condition.value}`;
+
+export default function CompositeRulesManager() {
+  const [rules, setRules] = useState<CompositeAlertRule[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState<CompositeAlertRule | null>(null);
+  const [formData, setFormData] = useState<RuleFormData>(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/alert-rules', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Error al obtener las reglas');
+      }
+
+      setRules(data.data || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al cargar las reglas');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSuccess = (message: string) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 5000);
+  };
+
+  const handleCreate = () => {
+    setEditingRule(null);
+    setFormData(EMPTY_FORM);
+    setError(null);
+    setShowModal(true);
+  };
+
+  const handleEdit = (rule: CompositeAlertRule) => {
+    setEditingRule(rule);
+    setError(null);
+    setFormData({
+      name: rule.name,
+      reasonCode: rule.reasonCode,
+      severity: rule.severity,
+      logicOperator: rule.logicOperator,
+      conditions: rule.conditions.map(condition => ({ ...condition, value: String(condition.value) })),
+      description: rule.description || '',
+      enabled: rule.enabled
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (rule: CompositeAlertRule) => {
+    if (!confirm(`¿Está seguro de eliminar la regla "${rule.name}"? Sus alertas activas se resolverán en el próximo ciclo.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/alert-rules/${rule.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Error al eliminar la regla');
+      }
+
+      showSuccess('Regla eliminada exitosamente');
+      fetchRules();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al eliminar la regla');
+      setTimeout(() => setError(null), 5000);
+    }
+  };
+
+  const updateCondition = (index: number, changes: Partial<RuleFormData['conditions'][number]>) => {
+    setFormData({
+      ...formData,
+      conditions: formData.conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition))
+    });
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      setSaving(true);
+      const response = await fetch(editingRule ? `/api/alert-rules/${editingRule.id}` : '/api/alert-rules', {
+        method: editingRule ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          ...formData,
+          conditions: formData.conditions.map(condition => ({ ...condition, value: parseFloat(condition.value) }))
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Error al guardar la regla');
+      }
+
+      setShowModal(false);
+      showSuccess(editingRule ? 'Regla actualizada exitosamente' : 'Regla creada exitosamente');
+      fetchRules();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al guardar la regla');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+            <GitMerge className="h-5 w-5 mr-2 text-blue-600" />
+            Reglas de Alerta Compuestas
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Condiciones sobre varias métricas combinadas con Y / O. Se evalúan en cada ciclo junto a los umbrales y generan alertas normales.
+          </p>
+        </div>
+
+        <button
+          onClick={handleCreate}
+          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Nueva Regla
+        </button>
+      </div>
+
+      {error && !showModal && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex">
+            <AlertTriangle className="h-5 w-5 text-red-400 mr-2 mt-0.5" />
+            <div>
+              <h3 className="text-sm font-medium text-red-800">Error</h3>
+              <p className="mt-1 text-sm text-red-700">{error}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 bg-green-50 border border-green-200 rounded-lg p-4">
+          <div className="flex">
+            <CheckCircle className="h-5 w-5 text-green-400 mr-2 mt-0.5" />
+            <div>
+              <h3 className="text-sm font-medium text-green-800">Éxito</h3>
+              <p className="mt-1 text-sm text-green-700">{success}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
+          <p className="text-gray-600">Cargando reglas...</p>
+        </div>
+      ) : rules.length === 0 ? (
+        <div className="text-center py-8">
+          <GitMerge className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-600">No hay reglas compuestas definidas</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {rules.map(rule => (
+            <div key={rule.id} className={`border rounded-lg p-4 ${rule.enabled ? 'border-gray-200' : 'border-gray-200 bg-gray-50 opacity-75'}`}>
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900">{rule.name}</span>
+                    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
+                      rule.severity === 'critical' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                    }`}>
+                      {rule.severity === 'critical' ? 'Crítico' : 'Advertencia'}
+                    </span>
+                    {!rule.enabled && (
+                      <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-100 text-gray-800">Desactivada</span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1 font-mono">{rule.reason}</p>
+                  {rule.description && <p className="text-sm text-gray-600 mt-1">{rule.description}</p>}
+                  <p className="text-sm text-gray-800 mt-2">
+                    {rule.conditions.map(formatCondition).join(rule.logicOperator === 'AND' ? ' Y ' : ' O ')}
+                  </p>
+                </div>
+
+                <div className="whitespace-nowrap text-sm font-medium">
+                  <button
+                    onClick={() => handleEdit(rule)}
+                    className="text-blue-600 hover:text-blue-900 mr-3"
+                    title="Editar regla"
+                  >
+                    <Edit2 className="h-4 w-4 inline" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule)}
+                    className="text-red-600 hover:text-red-900"
+                    title="Eliminar regla"
+                  >
+                    <Trash2 className="h-4 w-4 inline" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Create / Edit Rule Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border max-w-2xl shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-medium text-gray-900">{editingRule ? 'Editar Regla' : 'Nueva Regla Compuesta'}</h3>
+              <button
+                onClick={() => setShowModal(false)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 flex items-center">
+                <AlertTriangle className="h-4 w-4 text-red-400 mr-2" />
+                {error}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Nombre</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    maxLength={255}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Código de motivo</label>
+                  <input
+                    type="text"
+                    value={formData.reasonCode}
+                    onChange={(e) => setFormData({ ...formData, reasonCode: e.target.value.toLowerCase().replace(/[^a-z0-9_]/g, '_') })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono"
+                    placeholder="calor_y_humedad"
+                    maxLength={80}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Severidad</label>
+                  <select
+                    value={formData.severity}
+                    onChange={(e) => setFormData({ ...formData, severity: e.target.value as RuleFormData['severity'] })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="warning">Advertencia</option>
+                    <option value="critical">Crítico</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Se cumple cuando</label>
+                  <select
+                    value={formData.logicOperator}
+                    onChange={(e) => setFormData({ ...formData, logicOperator: e.target.value as RuleFormData['logicOperator'] })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="AND">Todas las condiciones (Y)</option>
+                    <option value="OR">Alguna condición (O)</option>
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Condiciones</label>
+                <div className="space-y-2">
+                  {formData.conditions.map((condition, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <select
+                        value={condition.metric}
+                        onChange={(e) => updateCondition(index, { metric: e.target.value as CompositeRuleMetric })}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                      >
+                        {(Object.keys(METRIC_LABELS) as CompositeRuleMetric[]).map(metric => (
+                          <option key={metric} value={metric}>{METRIC_LABELS[metric]}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={condition.operator}
+                        onChange={(e) => updateCondition(index, { operator: e.target.value as CompositeRuleOperator })}
+                        className="w-20 px-2 py-2 border border-gray-300 rounded-md text-sm"
+                      >
+                        {OPERATORS.map(operator => (
+                          <option key={operator} value={operator}>{operator}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        step="any"
+                        value={condition.value}
+                        onChange={(e) => updateCondition(index, { value: e.target.value })}
+                        className="w-28 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        required
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setFormData({ ...formData, conditions: formData.conditions.filter((_, i) => i !== index) })}
+                        disabled={formData.conditions.length <= 1}
+                        className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                        title="Quitar condición"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setFormData({ ...formData, conditions: [...formData.conditions, { metric: 'current', operator: '>', value: '' }] })}
+                  disabled={formData.conditions.length >= 10}
+                  className="mt-2 inline-flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Añadir condición
+                </button>
+                <p className="text-xs text-gray-500 mt-1">Una condición sobre una métrica sin lectura no se cumple.</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Descripción (opcional)</label>
+                <input
+                  type="text"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  maxLength={500}
+                />
+              </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="compositeRuleEnabled"
+                  checked={formData.enabled}
+                  onChange={(e) => setFormData({ ...formData, enabled: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <label htmlFor="compositeRuleEnabled" className="ml-2 text-sm text-gray-700">
+                  Regla activa
+                </label>
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancelar
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Save className="h-4 w-4 mr-2" />
+                  {saving ? 'Guardando...' : 'Guardar'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -31,6 +31,8 @@ interface CountryGroupProps {
   onSendRackToMaintenance?: (rackId: string, chain: string, rackName: string, rackData?: any) => void;
   onSendChainToMaintenance?: (chain: string, site: string, dc: string, rackData?: any) => void;
   onSendAlertToSonar?: (rackId: string, rackName: string) => void;
+  onAcknowledgeAlert?: (rackId: string, rackName: string) => void;
+  onSilenceAlerts?: (rack: RackData) => void;
   maintenanceRacks: Set<string>;
   expandedRackNames: Set<string>;
   onToggleRackExpansion: (rackName: string) => void;
@@ -58,6 +60,8 @@ export default function CountryGroup({
   onSendRackToMaintenance,
   onSendChainToMaintenance,
   onSendAlertToSonar,
+  onAcknowledgeAlert,
+  onSilenceAlerts,
   maintenanceRacks,
   expandedRackNames,
   onToggleRackExpansion
@@ -274,6 +278,8 @@ export default function CountryGroup({
               onSendRackToMaintenance={onSendRackToMaintenance}
               onSendChainToMaintenance={onSendChainToMaintenance}
               onSendAlertToSonar={onSendAlertToSonar}
+              onAcknowledgeAlert={onAcknowledgeAlert}
+              onSilenceAlerts={onSilenceAlerts}
               maintenanceRacks={maintenanceRacks}
               expandedRackNames={expandedRackNames}
               onToggleRackExpansion={onToggleRackExpansion}
@@ -29,6 +29,8 @@ interface DcGroupProps {
   onSendRackToMaintenance?: (rackId: string, chain: string, rackName: string, rackData?: any) => void;
   onSendChainToMaintenance?: (chain: string, site: string, dc: string, rackData?: any) => void;
   onSendAlertToSonar?: (rackId: string, rackName: string) => void;
+  onAcknowledgeAlert?: (rackId: string, rackName: string) => void;
+  onSilenceAlerts?: (rack: RackData) => void;
   maintenanceRacks: Set<string>;
   expandedRackNames: Set<string>;
   onToggleRackExpansion: (rackName: string) => void;
@@ -54,6 +56,8 @@ export default function DcGroup({
   onSendRackToMaintenance,
   onSendChainToMaintenance,
   onSendAlertToSonar,
+  onAcknowledgeAlert,
+  onSilenceAlerts,
   maintenanceRacks,
   expandedRackNames,
   onToggleRackExpansion
@@ -254,6 +258,8 @@ export default function DcGroup({
                 onSendRackToMaintenance={onSendRackToMaintenance}
                 onSendChainToMaintenance={onSendChainToMaintenance}
                 onSendAlertToSonar={onSendAlertToSonar}
+                onAcknowledgeAlert={onAcknowledgeAlert}
+                onSilenceAlerts={onSilenceAlerts}
                 maintenanceRacks={maintenanceRacks}
                 expandedRackNames={expandedRackNames}
                 onToggleRackExpansion={onToggleRackExpansion}
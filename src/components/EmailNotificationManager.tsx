@@ -0,0 +1,283 @@
+import { useState, useEffect } from 'react';
+import { Mail, Save, Send, AlertTriangle, CheckCircle } from 'lucide-react';
+import { EmailNotificationConfig, EmailRecipientList } from '../types';
+
+interface EmailNotificationManagerProps {
+  siteOptions: string[];
+}
+
+interface RecipientFormData {
+  recipients: string;
+  sendWarnings: boolean;
+  enabled: boolean;
+}
+
+// Value of the site selector for the default list (site null in the API)
+const DEFAULT_SCOPE = '';
+
+const toFormData = (lists: EmailRecipientList[], site: string): RecipientFormData => {
+  const list = lists.find(entry => (entry.site || DEFAULT_SCOPE) === site);
+  return {
+    recipients: list ? list.recipients.join('\n') : '',
+    sendWarnings: list ? list.sendWarnings : false,
+    enabled: list ? list.enabled : true
+  };
+};
+
+export default function EmailNotificationManager({ siteOptions }: EmailNotificationManagerProps) {
+  const [config, setConfig] = useState<EmailNotificationConfig | null>(null);
+  const [lists, setLists] = useState<EmailRecipientList[]>([]);
+  const [site, setSite] = useState(DEFAULT_SCOPE);
+  const [form, setForm] = useState<RecipientFormData>({ recipients: '', sendWarnings: false, enabled: true });
+  const [testAddress, setTestAddress] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        setLoading(true);
+        const response = await fetch('/api/email-notifications', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || 'Error al obtener la configuración de email');
+        }
+
+        setConfig(data.data.config);
+        setLists(data.data.lists || []);
+        setForm(toFormData(data.data.lists || [], DEFAULT_SCOPE));
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error al cargar la configuración de email');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  const sitesWithOwnList = new Set(lists.filter(list => list.site).map(list => list.site as string));
+  const allSiteOptions = [...new Set([...siteOptions, ...sitesWithOwnList])].sort((a, b) => a.localeCompare(b, 'es'));
+
+  const showSuccess = (message: string) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 5000);
+  };
+
+  const handleSiteChange = (newSite: string) => {
+    setSite(newSite);
+    setForm(toFormData(lists, newSite));
+    setError(null);
+  };
+
+  const saveRecipients = async () => {
+    setError(null);
+
+    try {
+      setSaving(true);
+      const response = await fetch('/api/email-notifications/recipients', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          site: site || null,
+          recipients: form.recipients.split(/[,;\s]+/).filter(Boolean),
+          sendWarnings: form.sendWarnings,
+          enabled: form.enabled
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Error al guardar los destinatarios');
+      }
+
+      setLists(data.data || []);
+      setForm(toFormData(data.data || [], site));
+      showSuccess(data.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al guardar los destinatarios');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sendTestEmail = async () => {
+    setError(null);
+
+    try {
+      setTesting(true);
+      const response = await fetch('/api/email-notifications/test', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify(testAddress.trim() ? { to: testAddress.trim() } : { site: site || null })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Error al enviar el email de prueba');
+      }
+
+      showSuccess(data.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al enviar el email de prueba');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const usesDefaultList = site !== DEFAULT_SCOPE && !sitesWithOwnList.has(site);
+
+  return (
+    <div>
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Mail className="h-5 w-5 mr-2 text-blue-600" />
+          Notificaciones por Email
+        </h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Además de SONAR, la apertura y el cierre de cada alerta se envían por email a los destinatarios de su sitio.
+          Las alertas silenciadas, agrupadas en un incidente o de racks intermitentes no se envían.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 flex items-center">
+          <AlertTriangle className="h-4 w-4 text-red-400 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 bg-green-50 border border-green-200 rounded-lg p-3 text-sm text-green-700 flex items-center">
+          <CheckCircle className="h-4 w-4 text-green-400 mr-2" />
+          {success}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
+          <p className="text-gray-600">Cargando configuración...</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {config && (
+            <div className={`border rounded-lg p-3 text-sm ${config.configured ? 'bg-gray-50 border-gray-200 text-gray-700' : 'bg-yellow-50 border-yellow-200 text-yellow-800'}`}>
+              {config.configured ? (
+                <>
+                  <span className="font-medium">Servidor SMTP:</span> {config.host}:{config.port}{config.secure ? ' (TLS)' : ''}
+                  <span className="mx-2">·</span>
+                  <span className="font-medium">Remitente:</span> {config.from}
+                  {config.defaultRecipients.length > 0 && (
+                    <div className="mt-1 text-xs text-gray-600">
+                      Sin listas configuradas se usa EMAIL_DEFAULT_RECIPIENTS: {config.defaultRecipients.join(', ')}
+                    </div>
+                  )}
+                </>
+              ) : (
+                'El envío de email está desactivado: configura SMTP_HOST y SMTP_FROM en el servidor.'
+              )}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3 bg-gray-50 border border-gray-200 rounded-lg p-3">
+            <label className="text-sm font-medium text-gray-700">Destinatarios de</label>
+            <select
+              value={site}
+              onChange={(e) => handleSiteChange(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+            >
+              <option value={DEFAULT_SCOPE}>Por defecto (todos los sitios)</option>
+              {allSiteOptions.map(option => (
+                <option key={option} value={option}>
+                  {option}{sitesWithOwnList.has(option) ? ' (propia)' : ''}
+                </option>
+              ))}
+            </select>
+            {usesDefaultList && (
+              <span className="text-xs text-gray-600">Este sitio usa la lista por defecto; al guardar destinatarios tendrá la suya propia.</span>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Direcciones (una por línea o separadas por comas)
+            </label>
+            <textarea
+              value={form.recipients}
+              onChange={(e) => setForm({ ...form, recipients: e.target.value })}
+              rows={5}
+              placeholder="operaciones@empresa.com"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-mono"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Deja la lista vacía y guarda para eliminarla{site === DEFAULT_SCOPE ? '' : ' (el sitio volverá a usar la lista por defecto)'}.
+            </p>
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-4">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.sendWarnings}
+                  onChange={(e) => setForm({ ...form, sendWarnings: e.target.checked })}
+                  className="mr-1"
+                />
+                Enviar advertencias
+              </label>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                  className="mr-1"
+                />
+                Activo
+              </label>
+            </div>
+            <button
+              onClick={saveRecipients}
+              disabled={saving}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Save className={`h-4 w-4 mr-2 ${saving ? 'animate-pulse' : ''}`} />
+              {saving ? 'Guardando...' : 'Guardar destinatarios'}
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 border-t border-gray-200 pt-4">
+            <input
+              type="email"
+              value={testAddress}
+              onChange={(e) => setTestAddress(e.target.value)}
+              placeholder="Dirección (vacío: destinatarios del sitio)"
+              className="flex-1 min-w-[14rem] px-3 py-2 border border-gray-300 rounded-md text-sm"
+              maxLength={255}
+            />
+            <button
+              onClick={sendTestEmail}
+              disabled={testing || !config?.configured}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Send className={`h-4 w-4 mr-2 ${testing ? 'animate-pulse' : ''}`} />
+              {testing ? 'Enviando...' : 'Enviar email de prueba'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import { useState, useEffect } from 'react';
+import { BellRing, Plus, Trash2, Save, AlertTriangle, CheckCircle } from 'lucide-react';
+import { EscalationTier } from '../types';
+
+interface EscalationPolicyManagerProps {
+  siteOptions: string[];
+}
+
+interface TierFormData {
+  delayMinutes: string;
+  notifyTarget: string;
+  notifyContact: string;
+  enabled: boolean;
+}
+
+const MAX_TIERS = 5;
+
+// Value of the site selector for the default policy (site null in the API)
+const DEFAULT_SCOPE = '';
+
+const toFormTiers = (policies: EscalationTier[], site: string) =>
+  policies
+    .filter(policy => (policy.site || DEFAULT_SCOPE) === site)
+    .sort((a, b) => a.level - b.level)
+    .map(policy => ({
+      delayMinutes: String(policy.delayMinutes),
+      notifyTarget: policy.notifyTarget,
+      notifyContact: policy.notifyContact || '',
+      enabled: policy.enabled
+    }));
+
+export default function EscalationPolicyManager({ siteOptions }: EscalationPolicyManagerProps) {
+  const [policies, setPolicies] = useState<EscalationTier[]>([]);
+  const [site, setSite] = useState(DEFAULT_SCOPE);
+  const [tiers, setTiers] = useState<TierFormData[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchPolicies = async () => {
+      try {
+        setLoading(true);
+        const response = await fetch('/api/escalation-policies', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || 'Error al obtener las políticas de escalado');
+        }
+
+        setPolicies(data.data || []);
+        setTiers(toFormTiers(data.data || [], DEFAULT_SCOPE));
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error al cargar las políticas de escalado');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPolicies();
+  }, []);
+
+  const sitesWithOwnPolicy = new Set(policies.filter(policy => policy.site).map(policy => policy.site as string));
+  const allSiteOptions = [...new Set([...siteOptions, ...sitesWithOwnPolicy])].sort((a, b) => a.localeCompare(b, 'es'));
+
+  const handleSiteChange = (newSite: string) => {
+    setSite(newSite);
+    setTiers(toFormTiers(policies, newSite));
+    setError(null);
+  };
+
+  const updateTier = (index: number, changes: Partial<TierFormData>) => {
+    setTiers(tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier)));
+  };
+
+  const addTier = () => {
+    const lastDelay = tiers.length > 0 ? parseInt(tiers[tiers.length - 1].delayMinutes) || 0 : 0;
+    setTiers([...tiers, { delayMinutes: String(lastDelay > 0 ? lastDelay * 4 : 15), notifyTarget: '', notifyContact: '', enabled: true }]);
+  };
+
+  const savePolicy = async () => {
+    setError(null);
+
+    try {
+      setSaving(true);
+      const response = await fetch('/api/escalation-policies', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          site: site || null,
+          tiers: tiers.map(tier => ({
+            delayMinutes: parseInt(tier.delayMinutes),
+            notifyTarget: tier.notifyTarget,
+            notifyContact: tier.notifyContact,
+            enabled: tier.enabled
+          }))
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Error al guardar la política de escalado');
+      }
+
+      setPolicies(data.data || []);
+      setTiers(toFormTiers(data.data || [], site));
+      setSuccess(data.message);
+      setTimeout(() => setSuccess(null), 5000);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al guardar la política de escalado');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const usesDefaultPolicy = site !== DEFAULT_SCOPE && !sitesWithOwnPolicy.has(site);
+
+  return (
+    <div>
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <BellRing className="h-5 w-5 mr-2 text-blue-600" />
+          Escalado de Alertas Críticas
+        </h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Si un rack sigue con alertas críticas sin reconocer, se escala al nivel cuyo tiempo (desde el inicio de la alerta) se haya superado.
+          El escalado se notifica en SONAR, se envía por email a las direcciones del contacto y queda registrado en el histórico de la alerta.
+          Reconocer la alerta detiene el escalado.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 flex items-center">
+          <AlertTriangle className="h-4 w-4 text-red-400 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 bg-green-50 border border-green-200 rounded-lg p-3 text-sm text-green-700 flex items-center">
+          <CheckCircle className="h-4 w-4 text-green-400 mr-2" />
+          {success}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
+          <p className="text-gray-600">Cargando políticas...</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-3 bg-gray-50 border border-gray-200 rounded-lg p-3">
+            <label className="text-sm font-medium text-gray-700">Política de</label>
+            <select
+              value={site}
+              onChange={(e) => handleSiteChange(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+            >
+              <option value={DEFAULT_SCOPE}>Por defecto (todos los sitios)</option>
+              {allSiteOptions.map(option => (
+                <option key={option} value={option}>
+                  {option}{sitesWithOwnPolicy.has(option) ? ' (propia)' : ''}
+                </option>
+              ))}
+            </select>
+            {usesDefaultPolicy && (
+              <span className="text-xs text-gray-600">Este sitio usa la política por defecto; al guardar niveles tendrá la suya propia.</span>
+            )}
+          </div>
+
+          {tiers.length === 0 ? (
+            <p className="text-sm text-gray-600 text-center py-4">
+              {site === DEFAULT_SCOPE ? 'Sin niveles: las alertas no se escalan.' : 'Sin niveles propios.'}
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {tiers.map((tier, index) => (
+                <div key={index} className={`flex flex-wrap items-center gap-2 border rounded-lg p-3 ${tier.enabled ? 'border-gray-200' : 'border-gray-200 bg-gray-50 opacity-75'}`}>
+                  <span className="text-sm font-semibold text-gray-900 w-16">Nivel {index + 1}</span>
+                  <span className="text-sm text-gray-700">tras</span>
+                  <input
+                    type="number"
+                    value={tier.delayMinutes}
+                    onChange={(e) => updateTier(index, { delayMinutes: e.target.value })}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    min="1"
+                    max="10080"
+                    step="1"
+                  />
+                  <span className="text-sm text-gray-700">min, avisar a</span>
+                  <input
+                    type="text"
+                    value={tier.notifyTarget}
+                    onChange={(e) => updateTier(index, { notifyTarget: e.target.value })}
+                    placeholder="Jefe de turno"
+                    className="w-44 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    maxLength={255}
+                  />
+                  <input
+                    type="text"
+                    value={tier.notifyContact}
+                    onChange={(e) => updateTier(index, { notifyContact: e.target.value })}
+                    placeholder="Contacto (opcional, los emails reciben el aviso)"
+                    className="flex-1 min-w-[12rem] px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    maxLength={500}
+                  />
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={tier.enabled}
+                      onChange={(e) => updateTier(index, { enabled: e.target.checked })}
+                      className="mr-1"
+                    />
+                    Activo
+                  </label>
+                  <button
+                    onClick={() => setTiers(tiers.filter((_, i) => i !== index))}
+                    className="text-red-600 hover:text-red-900"
+                    title="Eliminar nivel"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-between">
+            <button
+              onClick={addTier}
+              disabled={tiers.length >= MAX_TIERS}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Añadir nivel
+            </button>
+            <button
+              onClick={savePolicy}
+              disabled={saving}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Save className={`h-4 w-4 mr-2 ${saving ? 'animate-pulse' : ''}`} />
+              {saving ? 'Guardando...' : 'Guardar política'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import { useState, useEffect } from 'react';
+import { Repeat, AlertCircle, RefreshCw } from 'lucide-react';
+import { FlappingEvent } from '../types';
+
+interface FlappingConfig {
+  threshold: number;
+  windowMinutes: number;
+}
+
+const toDateInput = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const formatDateTime = (value: string | null) =>
+  value ? new Date(value).toLocaleString('es-ES') : '-';
+
+export default function FlappingRacksPanel() {
+  const [date, setDate] = useState(toDateInput(new Date()));
+  const [events, setEvents] = useState<FlappingEvent[]>([]);
+  const [config, setConfig] = useState<FlappingConfig | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await fetch(`/api/flapping/daily?date=${date}`, {
+          credentials: 'include',
+          cache: 'no-store'
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || 'Error al obtener los racks intermitentes');
+        }
+
+        setEvents(data.data || []);
+        setConfig(data.config || null);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error al obtener los racks intermitentes');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvents();
+  }, [date, reloadKey]);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center">
+          <Repeat className="h-6 w-6 text-amber-600 mr-3" />
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Racks intermitentes</h2>
+            <p className="text-sm text-gray-600">
+              {config
+                ? `Alertas que se abren y cierran más de ${config.threshold} veces en ${config.windowMinutes} min. Revisar umbrales o sensores.`
+                : 'Racks con alertas que se abren y cierran repetidamente'}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => e.target.value && setDate(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          <button
+            onClick={() => setReloadKey(key => key + 1)}
+            disabled={loading}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 flex items-center">
+          <AlertCircle className="h-4 w-4 text-red-400 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {!loading && events.length === 0 ? (
+        <p className="text-sm text-gray-600 text-center py-4">Ningún rack intermitente este día.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-600">Rack</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-600">Sitio / DC</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-600">Alerta</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-600">Máx. ciclos</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-600">Inicio</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-600">Fin</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {events.map(event => (
+                <tr key={event.id}>
+                  <td className="px-4 py-2 font-medium text-gray-900">{event.name || event.rackId}</td>
+                  <td className="px-4 py-2 text-gray-700">{event.site} · {event.dc}</td>
+                  <td className="px-4 py-2 text-gray-700">{event.alertReason}</td>
+                  <td className="px-4 py-2 text-gray-700">{event.maxCycles}</td>
+                  <td className="px-4 py-2 text-gray-700 whitespace-nowrap">{formatDateTime(event.startedAt)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {event.endedAt
+                      ? <span className="text-gray-700">{formatDateTime(event.endedAt)}</span>
+                      : <span className="text-xs font-medium text-amber-700 bg-amber-50 px-2 py-0.5 rounded">En curso</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
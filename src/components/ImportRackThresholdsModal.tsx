@@ -0,0 +1,308 @@
+import { useState, useRef } from 'react';
+import { X, Upload, Download, FileSpreadsheet, AlertCircle, CheckCircle, Loader } from 'lucide-react';
+import { downloadRackOverrides } from '../utils/thresholdUtils';
+
+interface ImportSummary {
+  total: number;
+  created: number;
+  updated: number;
+  deleted: number;
+  unchanged: number;
+  failed: number;
+  unknownRacks: string[];
+  errors: Array<{
+    row?: number;
+    rackId?: string;
+    key?: string;
+    error: string;
+    type: string;
+  }>;
+}
+
+interface ImportRackThresholdsModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onImportComplete: () => void;
+}
+
+export default function ImportRackThresholdsModal({ isOpen, onClose, onImportComplete }: ImportRackThresholdsModalProps) {
+  const [file, setFile] = useState<File | null>(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadComplete, setUploadComplete] = useState(false);
+  const [summary, setSummary] = useState<ImportSummary | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    if (!isUploading) {
+      setFile(null);
+      setUploadComplete(false);
+      setSummary(null);
+      setError(null);
+      onClose();
+    }
+  };
+
+  const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selectedFile = e.target.files?.[0];
+    if (selectedFile) {
+      setFile(selectedFile);
+      setError(null);
+    }
+  };
+
+  const handleDownloadCurrent = async () => {
+    try {
+      await downloadRackOverrides('xlsx');
+    } catch (err) {
+      setError('Error al descargar los umbrales actuales');
+      console.error(err);
+    }
+  };
+
+  const handleUpload = async () => {
+    if (!file) return;
+
+    setIsUploading(true);
+    setError(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await fetch('/api/thresholds/rack-overrides/import', {
+        method: 'POST',
+        credentials: 'include',
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.summary) {
+          setSummary(data.summary);
+        }
+        throw new Error(data.message || 'Error al importar el archivo');
+      }
+
+      setSummary(data.summary);
+      setUploadComplete(true);
+      onImportComplete();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error desconocido');
+      console.error('Upload error:', err);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const renderErrors = () => summary && summary.errors.length > 0 && (
+    <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+      <h4 className="font-semibold text-amber-900 mb-3 flex items-center gap-2">
+        <AlertCircle className="w-5 h-5" />
+        Detalles de errores ({summary.errors.length})
+      </h4>
+      <div className="max-h-60 overflow-y-auto space-y-2">
+        {summary.errors.map((err, idx) => (
+          <div key={idx} className="text-sm bg-white rounded p-3 border border-amber-200">
+            <div className="flex items-start gap-2">
+              <span className="font-medium text-amber-900">
+                {err.row ? `Fila ${err.row}` : 'Error'}:
+              </span>
+              <span className="text-amber-700">{err.error}</span>
+            </div>
+            {(err.rackId || err.key) && (
+              <div className="text-xs text-amber-600 mt-1">
+                {err.rackId && `Rack: ${err.rackId}`}{err.rackId && err.key && ' · '}{err.key && `Umbral: ${err.key}`}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b border-slate-200 px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <FileSpreadsheet className="w-6 h-6 text-blue-600" />
+            <h2 className="text-2xl font-bold text-slate-900">Importar Umbrales por Rack</h2>
+          </div>
+          <button
+            onClick={handleClose}
+            disabled={isUploading}
+            className="p-2 hover:bg-slate-100 rounded-lg transition-colors disabled:opacity-50"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {!uploadComplete ? (
+            <>
+              <div className="mb-6">
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4">
+                  <h3 className="font-semibold text-blue-900 mb-2">Instrucciones:</h3>
+                  <ol className="list-decimal list-inside space-y-1 text-sm text-blue-800">
+                    <li>Descarga los umbrales actuales; el archivo sirve de plantilla</li>
+                    <li>En la hoja "Datos" edita ID Rack, Umbral y Valor (el resto de columnas es informativo)</li>
+                    <li>Deja Valor vacío o escribe ELIMINAR para que el rack vuelva a heredar ese umbral</li>
+                    <li>Las filas que no estén en el archivo no se modifican</li>
+                  </ol>
+                </div>
+
+                <button
+                  onClick={handleDownloadCurrent}
+                  className="w-full bg-green-600 hover:bg-green-700 text-white font-medium py-3 px-4 rounded-lg transition-colors flex items-center justify-center gap-2"
+                >
+                  <Download className="w-5 h-5" />
+                  Descargar Umbrales Actuales
+                </button>
+              </div>
+
+              <div className="border-2 border-dashed border-slate-300 hover:border-slate-400 rounded-lg p-8 text-center transition-colors">
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".xlsx,.csv"
+                  onChange={handleFileSelect}
+                  className="hidden"
+                />
+
+                <Upload className="w-12 h-12 text-slate-400 mx-auto mb-4" />
+
+                {file && (
+                  <div className="mb-4">
+                    <div className="inline-flex items-center gap-2 bg-green-50 text-green-700 px-4 py-2 rounded-lg">
+                      <FileSpreadsheet className="w-5 h-5" />
+                      <span className="font-medium">{file.name}</span>
+                      <button
+                        onClick={() => setFile(null)}
+                        className="ml-2 text-green-600 hover:text-green-800"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-6 rounded-lg transition-colors"
+                  disabled={isUploading}
+                >
+                  Seleccionar Archivo
+                </button>
+
+                <p className="text-xs text-slate-500 mt-4">
+                  Archivos Excel (.xlsx) o CSV exportado - Máximo 5MB
+                </p>
+              </div>
+
+              {error && (
+                <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-4 flex items-start gap-3">
+                  <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+                  <div>
+                    <h4 className="font-semibold text-red-900">Error</h4>
+                    <p className="text-red-700 text-sm">{error}</p>
+                  </div>
+                </div>
+              )}
+
+              {error && summary && <div className="mt-4">{renderErrors()}</div>}
+
+              <div className="mt-6 flex justify-end gap-3">
+                <button
+                  onClick={handleClose}
+                  disabled={isUploading}
+                  className="px-6 py-2 border border-slate-300 text-slate-700 font-medium rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"
+                >
+                  Cancelar
+                </button>
+                <button
+                  onClick={handleUpload}
+                  disabled={!file || isUploading}
+                  className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                >
+                  {isUploading ? (
+                    <>
+                      <Loader className="w-4 h-4 animate-spin" />
+                      Importando...
+                    </>
+                  ) : (
+                    <>
+                      <Upload className="w-4 h-4" />
+                      Importar Umbrales
+                    </>
+                  )}
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="text-center mb-6">
+                <div className="inline-flex items-center justify-center w-16 h-16 bg-green-100 rounded-full mb-4">
+                  <CheckCircle className="w-10 h-10 text-green-600" />
+                </div>
+                <h3 className="text-2xl font-bold text-slate-900 mb-2">
+                  Importación Completada
+                </h3>
+                <p className="text-slate-600">
+                  {summary?.total} filas procesadas
+                </p>
+              </div>
+
+              {summary && (
+                <div className="space-y-4 mb-6">
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                    <div className="bg-green-50 rounded-lg p-4 border border-green-200">
+                      <div className="text-2xl font-bold text-green-700">{summary.created}</div>
+                      <div className="text-sm text-green-600">Creados</div>
+                    </div>
+                    <div className="bg-blue-50 rounded-lg p-4 border border-blue-200">
+                      <div className="text-2xl font-bold text-blue-700">{summary.updated}</div>
+                      <div className="text-sm text-blue-600">Actualizados</div>
+                    </div>
+                    <div className="bg-orange-50 rounded-lg p-4 border border-orange-200">
+                      <div className="text-2xl font-bold text-orange-700">{summary.deleted}</div>
+                      <div className="text-sm text-orange-600">Eliminados</div>
+                    </div>
+                    <div className="bg-slate-50 rounded-lg p-4 border border-slate-200">
+                      <div className="text-2xl font-bold text-slate-900">{summary.unchanged}</div>
+                      <div className="text-sm text-slate-600">Sin cambios</div>
+                    </div>
+                    <div className="bg-red-50 rounded-lg p-4 border border-red-200">
+                      <div className="text-2xl font-bold text-red-700">{summary.failed}</div>
+                      <div className="text-sm text-red-600">Con errores</div>
+                    </div>
+                  </div>
+
+                  {summary.unknownRacks.length > 0 && (
+                    <div className="bg-slate-50 border border-slate-200 rounded-lg p-3 text-sm text-slate-700">
+                      Racks no encontrados en el último ciclo (se importaron igualmente): {summary.unknownRacks.join(', ')}
+                    </div>
+                  )}
+
+                  {renderErrors()}
+                </div>
+              )}
+
+              <div className="flex justify-end">
+                <button
+                  onClick={handleClose}
+                  className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors"
+                >
+                  Cerrar
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+import { TelemetryMetric, TelemetrySeries, MaintenanceWindow, AlertPeriod } from '../types';
+
+export interface MetricThresholdBands {
+  criticalLow?: number;
+  criticalHigh?: number;
+  warningLow?: number;
+  warningHigh?: number;
+}
+
+interface MetricChartProps {
+  title: string;
+  unit: string;
+  metric: TelemetryMetric;
+  series: TelemetrySeries[];
+  from: number;
+  to: number;
+  thresholds: MetricThresholdBands;
+  maintenance: MaintenanceWindow[];
+  alerts: AlertPeriod[];
+}
+
+// SVG geometry (the chart scales with its container through the viewBox)
+const WIDTH = 800;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 48 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+const SERIES_COLORS = ['#2563eb', '#7c3aed', '#059669', '#ea580c', '#db2777', '#0891b2'];
+
+const toNumber = (value: unknown): number | null => {
+  if (value === null || value === undefined) return null;
+  const numericValue = typeof value === 'number' ? value : parseFloat(String(value));
+  return isNaN(numericValue) ? null : numericValue;
+};
+
+const formatTick = (time: number, rangeMs: number): string => {
+  const date = new Date(time);
+  if (rangeMs <= 24 * 3600000) {
+    return date.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleString('es-ES', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+};
+
+export default function MetricChart({
+  title,
+  unit,
+  metric,
+  series,
+  from,
+  to,
+  thresholds,
+  maintenance,
+  alerts
+}: MetricChartProps) {
+  const rangeMs = Math.max(to - from, 1);
+
+  // Collect every plotted value (including min/max envelopes) to size the Y axis
+  const values: number[] = [];
+  series.forEach(s => {
+    s.points.forEach(point => {
+      [point[metric], point[`${metric}Min`], point[`${metric}Max`]].forEach(v => {
+        const numericValue = toNumber(v);
+        if (numericValue !== null) values.push(numericValue);
+      });
+    });
+  });
+
+  const hasData = values.length > 0;
+  const thresholdValues = [thresholds.criticalLow, thresholds.warningLow, thresholds.warningHigh, thresholds.criticalHigh]
+    .filter((v): v is number => v !== undefined && v !== null && v > 0);
+
+  let yMin = hasData ? Math.min(...values, ...thresholdValues) : 0;
+  let yMax = hasData ? Math.max(...values, ...thresholdValues) : 1;
+  if (yMin === yMax) {
+    yMin -= 1;
+    yMax += 1;
+  }
+  const yPadding = (yMax - yMin) * 0.05;
+  yMin = Math.max(0, yMin - yPadding);
+  yMax = yMax + yPadding;
+
+  const x = (time: number) => PADDING.left + ((time - from) / rangeMs) * PLOT_WIDTH;
+  const y = (value: number) => PADDING.top + (1 - (value - yMin) / (yMax - yMin)) * PLOT_HEIGHT;
+  const clampX = (time: number) => x(Math.min(Math.max(time, from), to));
+
+  // Build a line path per series, breaking it where readings are missing
+  const buildLinePath = (s: TelemetrySeries) => {
+    let path = '';
+    let penDown = false;
+    s.points.forEach(point => {
+      const value = toNumber(point[metric]);
+      if (value === null) {
+        penDown = false;
+        return;
+      }
+      const time = new Date(point.timestamp).getTime();
+      path += `${penDown ? 'L' : 'M'}${x(time).toFixed(1)},${y(value).toFixed(1)} `;
+      penDown = true;
+    });
+    return path.trim();
+  };
+
+  // Min/max envelope for aggregated resolutions
+  const buildEnvelopePath = (s: TelemetrySeries) => {
+    const points = s.points.filter(p => toNumber(p[`${metric}Min`]) !== null && toNumber(p[`${metric}Max`]) !== null);
+    if (points.length < 2) return '';
+    const upper = points.map(p => `${x(new Date(p.timestamp).getTime()).toFixed(1)},${y(toNumber(p[`${metric}Max`]) as number).toFixed(1)}`);
+    const lower = points.slice().reverse().map(p => `${x(new Date(p.timestamp).getTime()).toFixed(1)},${y(toNumber(p[`${metric}Min`]) as number).toFixed(1)}`);
+    return `M${upper.join(' L')} L${lower.join(' L')} Z`;
+  };
+
+  const renderBand = (low: number, high: number, fill: string, key: string) => {
+    const top = y(Math.min(Math.max(high, yMin), yMax));
+    const bottom = y(Math.min(Math.max(low, yMin), yMax));
+    if (bottom - top <= 0) return null;
+    return <rect key={key} x={PADDING.left} y={top} width={PLOT_WIDTH} height={bottom - top} fill={fill} />;
+  };
+
+  const renderThresholdLine = (value: number | undefined, color: string, key: string) => {
+    if (value === undefined || value === null || value < yMin || value > yMax) return null;
+    return (
+      <line
+        key={key}
+        x1={PADDING.left}
+        x2={PADDING.left + PLOT_WIDTH}
+        y1={y(value)}
+        y2={y(value)}
+        stroke={color}
+        strokeWidth={1}
+        strokeDasharray="4 3"
+      />
+    );
+  };
+
+  const yTicks = Array.from({ length: 5 }, (_, i) => yMin + ((yMax - yMin) * i) / 4);
+  const xTicks = Array.from({ length: 6 }, (_, i) => from + (rangeMs * i) / 5);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-800">{title}</h3>
+        <span className="text-xs text-gray-500">{unit}</span>
+      </div>
+
+      {!hasData ? (
+        <div className="flex items-center justify-center h-40 text-sm text-gray-500">
+          Sin datos en el rango seleccionado
+        </div>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+          {/* Threshold bands */}
+          {thresholds.criticalHigh !== undefined && renderBand(thresholds.criticalHigh, yMax, 'rgba(220, 38, 38, 0.08)', 'band-critical-high')}
+          {thresholds.warningHigh !== undefined && renderBand(thresholds.warningHigh, thresholds.criticalHigh ?? yMax, 'rgba(234, 179, 8, 0.12)', 'band-warning-high')}
+          {thresholds.criticalLow !== undefined && thresholds.criticalLow > 0 && renderBand(yMin, thresholds.criticalLow, 'rgba(220, 38, 38, 0.08)', 'band-critical-low')}
+          {thresholds.warningLow !== undefined && thresholds.warningLow > 0 && renderBand(thresholds.criticalLow ?? yMin, thresholds.warningLow, 'rgba(234, 179, 8, 0.12)', 'band-warning-low')}
+
+          {/* Maintenance windows */}
+          {maintenance.map((window, index) => {
+            const start = clampX(new Date(window.startedAt).getTime());
+            const end = clampX(window.endedAt ? new Date(window.endedAt).getTime() : to);
+            if (end - start <= 0) return null;
+            return (
+              <rect key={`maintenance-${index}`} x={start} y={PADDING.top} width={end - start} height={PLOT_HEIGHT} fill="rgba(59, 130, 246, 0.15)">
+                <title>{`Mantenimiento${window.reason ? `: ${window.reason}` : ''}`}</title>
+              </rect>
+            );
+          })}
+
+          {/* Alert periods */}
+          {alerts.map(alert => {
+            const start = clampX(new Date(alert.startedAt).getTime());
+            const end = clampX(alert.endedAt ? new Date(alert.endedAt).getTime() : to);
+            const width = Math.max(end - start, 2);
+            return (
+              <rect
+                key={`alert-${alert.id}`}
+                x={start}
+                y={PADDING.top}
+                width={width}
+                height={PLOT_HEIGHT}
+                fill={alert.severity === 'critical' ? 'rgba(220, 38, 38, 0.15)' : 'rgba(234, 179, 8, 0.18)'}
+              >
+                <title>{`${alert.alertReason} (PDU ${alert.pduId})`}</title>
+              </rect>
+            );
+          })}
+
+          {/* Axes */}
+          {yTicks.map((tick, i) => (
+            <g key={`y-${i}`}>
+              <line x1={PADDING.left} x2={PADDING.left + PLOT_WIDTH} y1={y(tick)} y2={y(tick)} stroke="#f3f4f6" />
+              <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+                {tick.toFixed(1)}
+              </text>
+            </g>
+          ))}
+          {xTicks.map((tick, i) => (
+            <text key={`x-${i}`} x={x(tick)} y={HEIGHT - 8} textAnchor={i === 0 ? 'start' : i === xTicks.length - 1 ? 'end' : 'middle'} fontSize="10" fill="#6b7280">
+              {formatTick(tick, rangeMs)}
+            </text>
+          ))}
+          <line x1={PADDING.left} x2={PADDING.left} y1={PADDING.top} y2={PADDING.top + PLOT_HEIGHT} stroke="#d1d5db" />
+          <line x1={PADDING.left} x2={PADDING.left + PLOT_WIDTH} y1={PADDING.top + PLOT_HEIGHT} y2={PADDING.top + PLOT_HEIGHT} stroke="#d1d5db" />
+
+          {/* Threshold lines */}
+          {renderThresholdLine(thresholds.criticalHigh, '#dc2626', 'line-critical-high')}
+          {renderThresholdLine(thresholds.warningHigh, '#ca8a04', 'line-warning-high')}
+          {thresholds.warningLow !== undefined && thresholds.warningLow > 0 && renderThresholdLine(thresholds.warningLow, '#ca8a04', 'line-warning-low')}
+          {thresholds.criticalLow !== undefined && thresholds.criticalLow > 0 && renderThresholdLine(thresholds.criticalLow, '#dc2626', 'line-critical-low')}
+
+          {/* Series */}
+          {series.map((s, index) => {
+            const color = SERIES_COLORS[index % SERIES_COLORS.length];
+            const envelope = buildEnvelopePath(s);
+            return (
+              <g key={s.pduId}>
+                {envelope && <path d={envelope} fill={color} fillOpacity={0.12} stroke="none" />}
+                <path d={buildLinePath(s)} fill="none" stroke={color} strokeWidth={1.5} />
+              </g>
+            );
+          })}
+        </svg>
+      )}
+
+      {/* Legend */}
+      {hasData && (
+        <div className="flex flex-wrap items-center gap-4 mt-2 text-xs text-gray-600">
+          {series.map((s, index) => (
+            <span key={s.pduId} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-0.5" style={{ backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length] }}></span>
+              PDU {s.pduId}
+            </span>
+          ))}
+          {maintenance.length > 0 && (
+            <span className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 bg-blue-200 rounded-sm"></span>
+              Mantenimiento
+            </span>
+          )}
+          {alerts.length > 0 && (
+            <span className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 bg-red-200 rounded-sm"></span>
+              Periodo de alerta
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
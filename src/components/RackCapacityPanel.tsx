@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import { Gauge, Save, AlertTriangle } from 'lucide-react';
+import { RackCapacity } from '../types';
+
+interface RackCapacityPanelProps {
+  rackId: string;
+  onSaveSuccess: (message: string) => void;
+}
+
+// Common breaker ratings, any other positive value can be typed in
+const BREAKER_PRESETS = [16, 32, 63];
+
+const toInputValue = (value: number | null) => (value === null ? '' : String(value));
+
+export default function RackCapacityPanel({ rackId, onSaveSuccess }: RackCapacityPanelProps) {
+  const [capacity, setCapacity] = useState<RackCapacity | null>(null);
+  const [rackValue, setRackValue] = useState('');
+  const [pduValues, setPduValues] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchCapacity = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await fetch(`/api/racks/${encodeURIComponent(rackId)}/capacity`, {
+          credentials: 'include',
+          cache: 'no-store'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || 'Error al cargar la capacidad nominal');
+        }
+
+        const data: RackCapacity = result.data;
+        setCapacity(data);
+        setRackValue(toInputValue(data.ratedAmps));
+        setPduValues(Object.fromEntries(data.pdus.map(pdu => [pdu.pduId, toInputValue(pdu.ratedAmps)])));
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error al cargar la capacidad nominal');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCapacity();
+  }, [rackId, reloadKey]);
+
+  const toRequestValue = (value: string) => (value.trim() === '' ? null : parseFloat(value));
+
+  const getChanges = () => {
+    if (!capacity) return null;
+
+    const changes: { ratedAmps?: number | null; pdus: Record<string, number | null> } = { pdus: {} };
+    if (toRequestValue(rackValue) !== capacity.ratedAmps) {
+      changes.ratedAmps = toRequestValue(rackValue);
+    }
+    capacity.pdus.forEach(pdu => {
+      const value = toRequestValue(pduValues[pdu.pduId] || '');
+      if (value !== pdu.ratedAmps) {
+        changes.pdus[pdu.pduId] = value;
+      }
+    });
+    return changes;
+  };
+
+  const changes = getChanges();
+  const hasChanges = !!changes && (changes.ratedAmps !== undefined || Object.keys(changes.pdus).length > 0);
+
+  const saveCapacity = async () => {
+    if (!changes || !hasChanges) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await fetch(`/api/racks/${encodeURIComponent(rackId)}/capacity`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Error al guardar la capacidad nominal');
+      }
+
+      setReloadKey(key => key + 1);
+      onSaveSuccess('Capacidad nominal guardada. El porcentaje de carga se recalcula en el próximo ciclo.');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al guardar la capacidad nominal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getLoadText = (current: number | null, ratedValue: string) => {
+    const rated = parseFloat(ratedValue || rackValue);
+    if (current === null || isNaN(rated) || rated <= 0) return null;
+    return `${Math.round((current / rated) * 1000) / 10}%`;
+  };
+
+  return (
+    <div className="mb-6 bg-indigo-50 border border-indigo-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-indigo-900 flex items-center">
+          <Gauge className="h-4 w-4 mr-2" />
+          Capacidad nominal (breaker)
+        </h3>
+        <button
+          onClick={saveCapacity}
+          disabled={saving || loading || !hasChanges}
+          className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Save className={`h-3 w-3 mr-1 ${saving ? 'animate-pulse' : ''}`} />
+          {saving ? 'Guardando...' : 'Guardar capacidad'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-3 flex items-center text-sm text-red-700">
+          <AlertTriangle className="h-4 w-4 mr-2 text-red-400" />
+          {error}
+        </div>
+      )}
+
+      {loading && !capacity ? (
+        <p className="text-sm text-indigo-800">Cargando capacidad...</p>
+      ) : capacity && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm text-indigo-900 w-40" title="Breaker de cada feed (PDU) del rack, no la suma del rack">Cada feed del rack</span>
+            {BREAKER_PRESETS.map(preset => (
+              <button
+                key={preset}
+                onClick={() => setRackValue(String(preset))}
+                className={`px-2 py-1 text-xs font-medium rounded border transition-colors ${
+                  parseFloat(rackValue) === preset
+                    ? 'bg-indigo-600 text-white border-indigo-600'
+                    : 'bg-white text-indigo-700 border-indigo-300 hover:bg-indigo-100'
+                }`}
+              >
+                {preset}A
+              </button>
+            ))}
+            <input
+              type="number"
+              value={rackValue}
+              onChange={(e) => setRackValue(e.target.value)}
+              placeholder="Sin definir"
+              className="w-28 rounded-md border-indigo-300 text-sm"
+              step="1"
+              min="1"
+            />
+            <span className="text-sm text-indigo-900">A</span>
+          </div>
+
+          {capacity.pdus.length > 1 && (
+            <div className="border-t border-indigo-200 pt-3 space-y-2">
+              <p className="text-xs text-indigo-800">Valor propio por PDU (vacío = usa el del rack):</p>
+              {capacity.pdus.map(pdu => {
+                const loadText = getLoadText(pdu.current, pduValues[pdu.pduId] || '');
+                return (
+                  <div key={pdu.pduId} className="flex items-center gap-2">
+                    <span className="text-sm text-gray-800 w-40 truncate" title={pdu.name}>{pdu.name || pdu.pduId}</span>
+                    <input
+                      type="number"
+                      value={pduValues[pdu.pduId] || ''}
+                      onChange={(e) => setPduValues({ ...pduValues, [pdu.pduId]: e.target.value })}
+                      placeholder={rackValue ? `${rackValue} (rack)` : 'Sin definir'}
+                      className="w-28 rounded-md border-indigo-300 text-sm"
+                      step="1"
+                      min="1"
+                    />
+                    <span className="text-sm text-indigo-900">A</span>
+                    {loadText && (
+                      <span className="text-xs text-gray-600">{pdu.current}A · {loadText}</span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {capacity.updatedBy && capacity.updatedAt && (
+            <p className="text-xs text-indigo-700">
+              Última modificación: {capacity.updatedBy} · {new Date(capacity.updatedAt).toLocaleString('es-ES')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
-import { Server, Activity, Wrench, Zap } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Server, Activity, Wrench, Zap, LineChart } from 'lucide-react';
 import { RackData } from '../types';
 
 interface RackCardProps {
@@ -121,6 +122,14 @@ export default function RackCard({
               </span>
             )}
           </div>
+          <Link
+            to={`/rack/${encodeURIComponent(rack.rackId || rack.id)}`}
+            onClick={(e) => e.stopPropagation()}
+            className="p-1 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors"
+            title="Ver histórico del rack"
+          >
+            <LineChart className="h-4 w-4" />
+          </Link>
         </div>
 
         {/* Expanded Content */}
@@ -228,6 +237,7 @@ export default function RackCard({
             </div>
             </div>
           </div>
+          </div>
         )}
       </div>
     </div>
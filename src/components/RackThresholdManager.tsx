@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { Settings, Save, RefreshCw, AlertTriangle, CheckCircle, Database, X, RotateCcw } from 'lucide-react';
 import { ThresholdData } from '../types';
 import { useThresholds } from '../hooks/useThresholds';
+import ThresholdHistoryPanel from './ThresholdHistoryPanel';
+import RackCapacityPanel from './RackCapacityPanel';
 
 interface RackThresholdManagerProps {
   rackId: string;
@@ -10,12 +12,26 @@ interface RackThresholdManagerProps {
   onClose: () => void;
 }
 
+// Metrics with raise/clear debounce settings (alert_raise_cycles_*, alert_clear_margin_*, alert_clear_cycles_*)
+const DEBOUNCE_METRICS = [
+  { metric: 'amperage', label: 'Amperaje' },
+  { metric: 'temperature', label: 'Temperatura' },
+  { metric: 'humidity', label: 'Humedad' },
+  { metric: 'dewpoint', label: 'Punto de Rocío' },
+  { metric: 'voltage', label: 'Voltaje' },
+  { metric: 'power', label: 'Potencia' },
+  { metric: 'load', label: 'Carga' },
+  { metric: 'redundancy', label: 'Redundancia A/B' }
+];
+
 export default function RackThresholdManager({ rackId, rackName, onSaveSuccess, onClose }: RackThresholdManagerProps) {
   const [saving, setSaving] = useState(false);
   const [resetting, setResetting] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
   const [tempValues, setTempValues] = useState<Record<string, number | string>>({});
+  const [changeComment, setChangeComment] = useState('');
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
 
   const {
     thresholds,
@@ -34,6 +50,8 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
     // Humidity thresholds
     'critical_humidity_low', 'critical_humidity_high',
     'warning_humidity_low', 'warning_humidity_high',
+    // Dew point thresholds (condensation risk)
+    'critical_dewpoint_high', 'warning_dewpoint_high',
     // Amperage thresholds - Single Phase
     'critical_amperage_low_single_phase', 'critical_amperage_high_single_phase',
     'warning_amperage_low_single_phase', 'warning_amperage_high_single_phase',
@@ -42,7 +60,22 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
     'warning_amperage_low_3_phase', 'warning_amperage_high_3_phase',
     // Voltage thresholds
     'critical_voltage_low', 'critical_voltage_high',
-    'warning_voltage_low', 'warning_voltage_high'
+    'warning_voltage_low', 'warning_voltage_high',
+    // Power thresholds
+    'critical_power_high', 'warning_power_high',
+    // Load percentage thresholds (% of the rated capacity)
+    'critical_load_percentage_high', 'warning_load_percentage_high',
+    // N+N redundancy thresholds (rack total as % of a single feed's capacity)
+    'critical_redundancy_load_high', 'warning_redundancy_load_high',
+    // Rate-of-change thresholds (increase within the window)
+    'critical_temperature_rising', 'warning_temperature_rising', 'temperature_rising_window_minutes',
+    'critical_amperage_surge', 'warning_amperage_surge', 'amperage_surge_window_minutes',
+    // Low amperage evaluation flags (1 = enabled)
+    'evaluate_amperage_low_single_phase', 'evaluate_amperage_low_3_phase',
+    // Alert debounce: cycles to raise, clear margin and cycles to clear per metric
+    ...DEBOUNCE_METRICS.flatMap(({ metric }) => [
+      `alert_raise_cycles_${metric}`, `alert_clear_margin_${metric}`, `alert_clear_cycles_${metric}`
+    ])
   ];
 
   // Initialize temporary values when thresholds change
@@ -87,7 +120,7 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ thresholds: changedValues }),
+        body: JSON.stringify({ thresholds: changedValues, comment: changeComment }),
       });
       
       if (!response.ok) {
@@ -102,6 +135,8 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
       
       setSuccess(`${result.count} umbrales específicos actualizados correctamente para ${rackName}`);
       setTimeout(() => setSuccess(null), 5000);
+      setChangeComment('');
+      setHistoryRefreshKey(key => key + 1);
       
       // Refresh thresholds and notify parent
       await refreshThresholds();
@@ -120,7 +155,9 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
     setSuccess(null);
     
     try {
-      const response = await fetch(`/api/racks/${rackId}/thresholds`, {
+      const params = new URLSearchParams();
+      if (changeComment.trim()) params.set('comment', changeComment.trim());
+      const response = await fetch(`/api/racks/${rackId}/thresholds?${params}`, {
         method: 'DELETE',
         credentials: 'include',
       });
@@ -137,6 +174,8 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
       
       setSuccess(`Umbrales de ${rackName} restablecidos a valores globales`);
       setTimeout(() => setSuccess(null), 5000);
+      setChangeComment('');
+      setHistoryRefreshKey(key => key + 1);
       
       // Refresh thresholds and notify parent
       await refreshThresholds();
@@ -156,6 +195,14 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
     }));
   };
 
+  const handleRollback = async (count: number) => {
+    setError(null);
+    setSuccess(`${count} umbrales de ${rackName} restaurados a sus valores anteriores`);
+    setTimeout(() => setSuccess(null), 5000);
+    await refreshThresholds();
+    onSaveSuccess();
+  };
+
   const resetValues = () => {
     const resetValues: Record<string, number | string> = {};
     thresholds.forEach(threshold => {
@@ -183,6 +230,17 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
     return rackSpecificThresholds.some(t => t.key === key);
   };
 
+  // Badge for values inherited from a site, DC or chain override (global values show no badge)
+  const renderInheritedBadge = (threshold: ThresholdData) => {
+    if (!threshold.source || threshold.source === 'global' || threshold.source === 'rack') return null;
+    const scopeLabels: Record<string, string> = { site: 'SITIO', dc: 'DC', chain: 'CHAIN' };
+    return (
+      <span className="bg-gray-500 text-white text-xs font-bold px-2 py-1 rounded" title="Valor heredado del sitio, DC o chain">
+        {scopeLabels[threshold.source]}
+      </span>
+    );
+  };
+
   const getThresholdLabel = (key: string) => {
     const labels: { [key: string]: string } = {
       // Temperature thresholds
@@ -195,6 +253,9 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
       'critical_humidity_high': 'Humedad Crítica Máxima',
       'warning_humidity_low': 'Humedad Advertencia Mínima',
       'warning_humidity_high': 'Humedad Advertencia Máxima',
+      // Dew point thresholds
+      'critical_dewpoint_high': 'Punto de Rocío Crítico Máximo',
+      'warning_dewpoint_high': 'Punto de Rocío Advertencia Máximo',
       // Amperage thresholds - Single Phase
       'critical_amperage_low_single_phase': 'Amperaje Crítico Mínimo (Monofásico)',
       'critical_amperage_high_single_phase': 'Amperaje Crítico Máximo (Monofásico)',
@@ -209,16 +270,39 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
       'critical_voltage_low': 'Voltaje Crítico Mínimo',
       'critical_voltage_high': 'Voltaje Crítico Máximo',
       'warning_voltage_low': 'Voltaje Advertencia Mínimo',
-      'warning_voltage_high': 'Voltaje Advertencia Máximo'
+      'warning_voltage_high': 'Voltaje Advertencia Máximo',
+      // Power thresholds
+      'critical_power_high': 'Potencia Crítica Máxima',
+      'warning_power_high': 'Potencia Advertencia Máxima',
+      // Load percentage thresholds
+      'critical_load_percentage_high': 'Carga Crítica Máxima',
+      'warning_load_percentage_high': 'Carga Advertencia Máxima',
+      'critical_redundancy_load_high': 'Carga N+N Crítica Máxima',
+      'warning_redundancy_load_high': 'Carga N+N Advertencia Máxima',
+      // Rate-of-change thresholds
+      'critical_temperature_rising': 'Aumento de Temperatura Crítico',
+      'warning_temperature_rising': 'Aumento de Temperatura Advertencia',
+      'temperature_rising_window_minutes': 'Ventana de Aumento de Temperatura',
+      'critical_amperage_surge': 'Pico de Corriente Crítico',
+      'warning_amperage_surge': 'Pico de Corriente Advertencia',
+      'amperage_surge_window_minutes': 'Ventana de Pico de Corriente',
+      // Low amperage evaluation flags
+      'evaluate_amperage_low_single_phase': 'Evaluar amperaje mínimo (Monofásico)',
+      'evaluate_amperage_low_3_phase': 'Evaluar amperaje mínimo (Trifásico)'
     };
     return labels[key] || key;
   };
 
   const getThresholdGroup = (key: string) => {
+    if (key.startsWith('alert_')) return 'debounce';
+    if (key.includes('_rising') || key.includes('_surge')) return 'rate';
     if (key.includes('temperature')) return 'temperature';
     if (key.includes('humidity')) return 'humidity';
+    if (key.includes('dewpoint')) return 'dewpoint';
     if (key.includes('amperage')) return 'amperage';
     if (key.includes('voltage')) return 'voltage';
+    if (key.includes('power')) return 'power';
+    if (key.includes('load_percentage') || key.includes('redundancy_load')) return 'load';
     return 'other';
   };
 
@@ -312,13 +396,23 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
           <div>
             <h3 className="text-sm font-medium text-blue-800">Configuración Específica por Rack</h3>
             <p className="mt-1 text-sm text-blue-700">
-              Los valores específicos del rack tienen prioridad sobre los umbrales globales. 
-              Si no se configura un valor específico, se utilizará automáticamente el umbral global.
+              Los valores específicos del rack tienen prioridad sobre los umbrales heredados.
+              Si no se configura un valor específico, se utilizará automáticamente el umbral del chain, DC, sitio o global (en ese orden).
             </p>
           </div>
         </div>
       </div>
 
+      {/* Rated capacity used for load percentage */}
+      <RackCapacityPanel
+        rackId={rackId}
+        onSaveSuccess={(message) => {
+          setSuccess(message);
+          setTimeout(() => setSuccess(null), 5000);
+          onSaveSuccess();
+        }}
+      />
+
       {/* Controls */}
       <div className="flex items-center justify-between mb-6">
         <div className="flex items-center space-x-2">
@@ -342,14 +436,25 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
           )}
         </div>
 
-        <button
-          onClick={saveThresholds}
-          disabled={saving || !hasChanges()}
-          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-        >
-          <Save className={`h-4 w-4 mr-2 ${saving ? 'animate-pulse' : ''}`} />
-          {saving ? 'Guardando...' : 'Guardar Cambios'}
-        </button>
+        <div className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={changeComment}
+            onChange={(e) => setChangeComment(e.target.value)}
+            placeholder="Comentario del cambio (opcional)"
+            maxLength={500}
+            className="w-64 rounded-md border-gray-300 text-sm"
+          />
+
+          <button
+            onClick={saveThresholds}
+            disabled={saving || !hasChanges()}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Save className={`h-4 w-4 mr-2 ${saving ? 'animate-pulse' : ''}`} />
+            {saving ? 'Guardando...' : 'Guardar Cambios'}
+          </button>
+        </div>
       </div>
 
       {/* Thresholds Grid */}
@@ -391,6 +496,7 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
                               RACK
                             </span>
                           )}
+                          {!isSpecific && renderInheritedBadge(threshold)}
                         </div>
                         <div className="flex items-center space-x-2">
                           <input
@@ -448,6 +554,68 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
                               RACK
                             </span>
                           )}
+                          {!isSpecific && renderInheritedBadge(threshold)}
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={tempValues[threshold.key] ?? ''}
+                            onChange={(e) => handleValueChange(threshold.key, e.target.value)}
+                            className={`flex-1 block w-full rounded-md shadow-sm text-sm ${inputColor}`}
+                            step="0.1"
+                            min="0"
+                          />
+                          {threshold.unit && (
+                            <span className={`text-sm font-medium ${textColor}`}>
+                              {threshold.unit}
+                            </span>
+                          )}
+                        </div>
+                        {threshold.description && (
+                          <p className={`mt-1 text-xs ${textColor}`}>{threshold.description}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            </div>
+          )}
+
+          {/* Dew Point Thresholds (condensation risk) */}
+          {thresholds.some(t => getThresholdGroup(t.key) === 'dewpoint') && (
+            <div>
+              <h3 className="text-lg font-semibold text-cyan-700 mb-1 flex items-center">
+                <div className="w-3 h-3 bg-cyan-500 rounded-full mr-2"></div>
+                Umbrales de Punto de Rocío
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Calculado a partir de la temperatura y la humedad del sensor. Un punto de rocío alto indica riesgo de condensación.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {thresholds
+                  .filter(threshold => getThresholdGroup(threshold.key) === 'dewpoint')
+                  .map((threshold) => {
+                    const isCritical = getThresholdCategory(threshold.key) === 'critical';
+                    const isSpecific = isRackSpecific(threshold.key);
+                    const bgColor = isCritical ? 'bg-red-50' : 'bg-yellow-50';
+                    const borderColor = isSpecific 
+                      ? isCritical ? 'border-red-400' : 'border-yellow-400'
+                      : isCritical ? 'border-red-200' : 'border-yellow-200';
+                    const textColor = isCritical ? 'text-red-800' : 'text-yellow-800';
+                    const inputColor = isCritical ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-yellow-300 focus:border-yellow-500 focus:ring-yellow-500';
+                    
+                    return (
+                      <div key={threshold.key} className={`${bgColor} border-2 ${borderColor} rounded-lg p-4 ${isSpecific ? 'shadow-md' : ''}`}>
+                        <div className="flex items-center justify-between mb-2">
+                          <label className={`block text-sm font-medium ${textColor}`}>
+                            {getThresholdLabel(threshold.key)}
+                          </label>
+                          {isSpecific && (
+                            <span className="bg-blue-600 text-white text-xs font-bold px-2 py-1 rounded" title="Valor específico del rack">
+                              RACK
+                            </span>
+                          )}
+                          {!isSpecific && renderInheritedBadge(threshold)}
                         </div>
                         <div className="flex items-center space-x-2">
                           <input
@@ -483,8 +651,10 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
               </h3>
               {['single_phase', '3_phase'].map(phase => {
                 const phaseThresholds = thresholds.filter(t => 
-                  getThresholdGroup(t.key) === 'amperage' && t.key.includes(`_${phase}`)
+                  getThresholdGroup(t.key) === 'amperage' && t.key.includes(`_${phase}`) && !t.key.startsWith('evaluate_')
                 );
+                const lowFlagKey = `evaluate_amperage_low_${phase}`;
+                const hasLowFlag = thresholds.some(t => t.key === lowFlagKey);
                 
                 if (phaseThresholds.length === 0) return null;
                 
@@ -495,6 +665,23 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
                     <h4 className="text-md font-semibold text-purple-600 mb-2">
                       {phaseLabel}
                     </h4>
+                    {hasLowFlag && (
+                      <label className="flex items-center space-x-2 mb-3 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={parseFloat(String(tempValues[lowFlagKey])) === 1}
+                          onChange={(e) => handleValueChange(lowFlagKey, e.target.checked ? '1' : '0')}
+                          className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                        />
+                        <span>{getThresholdLabel(lowFlagKey)}</span>
+                        <span className="text-xs text-gray-500">(los mínimos solo generan alertas si está activado)</span>
+                        {isRackSpecific(lowFlagKey) && (
+                          <span className="bg-blue-600 text-white text-xs font-bold px-2 py-1 rounded" title="Valor específico del rack">
+                            RACK
+                          </span>
+                        )}
+                      </label>
+                    )}
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
                       {phaseThresholds.map((threshold) => {
                         const isCritical = getThresholdCategory(threshold.key) === 'critical';
@@ -517,6 +704,7 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
                                   RACK
                                 </span>
                               )}
+                              {!isSpecific && renderInheritedBadge(threshold)}
                             </div>
                             <div className="flex items-center space-x-2">
                               <input
@@ -577,6 +765,7 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
                               RACK
                             </span>
                           )}
+                          {!isSpecific && renderInheritedBadge(threshold)}
                         </div>
                         <div className="flex items-center space-x-2">
                           <input
@@ -602,6 +791,248 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
               </div>
             </div>
           )}
+
+          {/* Power Thresholds */}
+          {thresholds.some(t => getThresholdGroup(t.key) === 'power') && (
+            <div>
+              <h3 className="text-lg font-semibold text-purple-700 mb-3 flex items-center">
+                <div className="w-3 h-3 bg-purple-500 rounded-full mr-2"></div>
+                Umbrales de Potencia
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                {thresholds
+                  .filter(threshold => getThresholdGroup(threshold.key) === 'power')
+                  .map((threshold) => {
+                    const isCritical = getThresholdCategory(threshold.key) === 'critical';
+                    const isSpecific = isRackSpecific(threshold.key);
+                    const bgColor = isCritical ? 'bg-red-50' : 'bg-yellow-50';
+                    const borderColor = isSpecific
+                      ? isCritical ? 'border-red-400' : 'border-yellow-400'
+                      : isCritical ? 'border-red-200' : 'border-yellow-200';
+                    const textColor = isCritical ? 'text-red-800' : 'text-yellow-800';
+                    const inputColor = isCritical ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-yellow-300 focus:border-yellow-500 focus:ring-yellow-500';
+
+                    return (
+                      <div key={threshold.key} className={`${bgColor} border-2 ${borderColor} rounded-lg p-4 ${isSpecific ? 'shadow-md' : ''}`}>
+                        <div className="flex items-center justify-between mb-2">
+                          <label className={`block text-sm font-medium ${textColor}`}>
+                            {getThresholdLabel(threshold.key)}
+                          </label>
+                          {isSpecific && (
+                            <span className="bg-blue-600 text-white text-xs font-bold px-2 py-1 rounded" title="Valor específico del rack">
+                              RACK
+                            </span>
+                          )}
+                          {!isSpecific && renderInheritedBadge(threshold)}
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={tempValues[threshold.key] ?? ''}
+                            onChange={(e) => handleValueChange(threshold.key, e.target.value)}
+                            className={`flex-1 block w-full rounded-md shadow-sm text-sm ${inputColor}`}
+                            step="1"
+                            min="0"
+                          />
+                          {threshold.unit && (
+                            <span className={`text-sm font-medium ${textColor}`}>
+                              {threshold.unit}
+                            </span>
+                          )}
+                        </div>
+                        {threshold.description && (
+                          <p className={`mt-1 text-xs ${textColor}`}>{threshold.description}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            </div>
+          )}
+
+          {/* Load Percentage Thresholds (% of the rated capacity) */}
+          {thresholds.some(t => getThresholdGroup(t.key) === 'load') && (
+            <div>
+              <h3 className="text-lg font-semibold text-indigo-700 mb-1 flex items-center">
+                <div className="w-3 h-3 bg-indigo-500 rounded-full mr-2"></div>
+                Umbrales de Carga
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Porcentaje del amperaje sobre la capacidad nominal del breaker. Solo se evalúa en PDUs con capacidad configurada.
+                La carga N+N suma todos los PDUs del rack: es la carga que soportaría un feed si cayera el otro.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {thresholds
+                  .filter(threshold => getThresholdGroup(threshold.key) === 'load')
+                  .map((threshold) => {
+                    const isCritical = getThresholdCategory(threshold.key) === 'critical';
+                    const isSpecific = isRackSpecific(threshold.key);
+                    const bgColor = isCritical ? 'bg-red-50' : 'bg-yellow-50';
+                    const borderColor = isSpecific 
+                      ? isCritical ? 'border-red-400' : 'border-yellow-400'
+                      : isCritical ? 'border-red-200' : 'border-yellow-200';
+                    const textColor = isCritical ? 'text-red-800' : 'text-yellow-800';
+                    const inputColor = isCritical ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-yellow-300 focus:border-yellow-500 focus:ring-yellow-500';
+                    
+                    return (
+                      <div key={threshold.key} className={`${bgColor} border-2 ${borderColor} rounded-lg p-4 ${isSpecific ? 'shadow-md' : ''}`}>
+                        <div className="flex items-center justify-between mb-2">
+                          <label className={`block text-sm font-medium ${textColor}`}>
+                            {getThresholdLabel(threshold.key)}
+                          </label>
+                          {isSpecific && (
+                            <span className="bg-blue-600 text-white text-xs font-bold px-2 py-1 rounded" title="Valor específico del rack">
+                              RACK
+                            </span>
+                          )}
+                          {!isSpecific && renderInheritedBadge(threshold)}
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={tempValues[threshold.key] ?? ''}
+                            onChange={(e) => handleValueChange(threshold.key, e.target.value)}
+                            className={`flex-1 block w-full rounded-md shadow-sm text-sm ${inputColor}`}
+                            step="1"
+                            min="0"
+                          />
+                          {threshold.unit && (
+                            <span className={`text-sm font-medium ${textColor}`}>
+                              {threshold.unit}
+                            </span>
+                          )}
+                        </div>
+                        {threshold.description && (
+                          <p className={`mt-1 text-xs ${textColor}`}>{threshold.description}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            </div>
+          )}
+
+          {/* Rate-of-change Thresholds */}
+          {thresholds.some(t => getThresholdGroup(t.key) === 'rate') && (
+            <div>
+              <h3 className="text-lg font-semibold text-orange-700 mb-1 flex items-center">
+                <div className="w-3 h-3 bg-orange-500 rounded-full mr-2"></div>
+                Tasa de Cambio
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Aumento máximo permitido respecto a la lectura más baja dentro de la ventana. Un valor de 0 desactiva el nivel.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {thresholds
+                  .filter(threshold => getThresholdGroup(threshold.key) === 'rate')
+                  .map((threshold) => {
+                    const isWindow = threshold.key.endsWith('_window_minutes');
+                    const isCritical = getThresholdCategory(threshold.key) === 'critical';
+                    const isSpecific = isRackSpecific(threshold.key);
+                    const bgColor = isWindow ? 'bg-gray-50' : isCritical ? 'bg-red-50' : 'bg-yellow-50';
+                    const borderColor = isWindow
+                      ? isSpecific ? 'border-gray-400' : 'border-gray-200'
+                      : isSpecific
+                        ? isCritical ? 'border-red-400' : 'border-yellow-400'
+                        : isCritical ? 'border-red-200' : 'border-yellow-200';
+                    const textColor = isWindow ? 'text-gray-800' : isCritical ? 'text-red-800' : 'text-yellow-800';
+                    const inputColor = isWindow
+                      ? 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
+                      : isCritical ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-yellow-300 focus:border-yellow-500 focus:ring-yellow-500';
+
+                    return (
+                      <div key={threshold.key} className={`${bgColor} border-2 ${borderColor} rounded-lg p-4 ${isSpecific ? 'shadow-md' : ''}`}>
+                        <div className="flex items-center justify-between mb-2">
+                          <label className={`block text-sm font-medium ${textColor}`}>
+                            {getThresholdLabel(threshold.key)}
+                          </label>
+                          {isSpecific && (
+                            <span className="bg-blue-600 text-white text-xs font-bold px-2 py-1 rounded" title="Valor específico del rack">
+                              RACK
+                            </span>
+                          )}
+                          {!isSpecific && renderInheritedBadge(threshold)}
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={tempValues[threshold.key] ?? ''}
+                            onChange={(e) => handleValueChange(threshold.key, e.target.value)}
+                            className={`flex-1 block w-full rounded-md shadow-sm text-sm ${inputColor}`}
+                            step={isWindow ? '1' : '0.1'}
+                            min="0"
+                          />
+                          {threshold.unit && (
+                            <span className={`text-sm font-medium ${textColor}`}>
+                              {threshold.unit}
+                            </span>
+                          )}
+                        </div>
+                        {threshold.description && (
+                          <p className={`mt-1 text-xs ${textColor}`}>{threshold.description}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            </div>
+          )}
+
+          {/* Alert Debounce Settings */}
+          {thresholds.some(t => getThresholdGroup(t.key) === 'debounce') && (
+            <div>
+              <h3 className="text-lg font-semibold text-gray-700 mb-1 flex items-center">
+                <div className="w-3 h-3 bg-gray-500 rounded-full mr-2"></div>
+                Confirmación y Resolución de Alertas
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Ciclos consecutivos fuera de umbral para abrir una alerta, y margen que debe mantenerse durante los ciclos indicados para resolverla.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {DEBOUNCE_METRICS.map(({ metric, label }) => {
+                  const raiseKey = `alert_raise_cycles_${metric}`;
+                  const marginKey = `alert_clear_margin_${metric}`;
+                  const clearKey = `alert_clear_cycles_${metric}`;
+                  const marginThreshold = thresholds.find(t => t.key === marginKey);
+
+                  if (![raiseKey, marginKey, clearKey].some(key => thresholds.some(t => t.key === key))) return null;
+
+                  return (
+                    <div key={metric} className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-2">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-semibold text-gray-800">{label}</span>
+                        {[raiseKey, marginKey, clearKey].some(key => isRackSpecific(key)) && (
+                          <span className="bg-blue-600 text-white text-xs font-bold px-2 py-1 rounded" title="Valor específico del rack">
+                            RACK
+                          </span>
+                        )}
+                      </div>
+                      {[
+                        { key: raiseKey, text: 'Ciclos para abrir', unit: 'ciclos', step: '1' },
+                        { key: marginKey, text: 'Margen de resolución', unit: marginThreshold?.unit || '', step: '0.1' },
+                        { key: clearKey, text: 'Ciclos para resolver', unit: 'ciclos', step: '1' }
+                      ].map(field => (
+                        <div key={field.key}>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">{field.text}</label>
+                          <div className="flex items-center space-x-2">
+                            <input
+                              type="number"
+                              value={tempValues[field.key] ?? ''}
+                              onChange={(e) => handleValueChange(field.key, e.target.value)}
+                              className="flex-1 block w-full rounded-md shadow-sm text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                              step={field.step}
+                              min="0"
+                            />
+                            {field.unit && <span className="text-xs font-medium text-gray-600">{field.unit}</span>}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -612,6 +1043,14 @@ export default function RackThresholdManager({ rackId, rackName, onSaveSuccess,
           </p>
         </div>
       )}
+
+      <ThresholdHistoryPanel
+        query={{ scopeType: 'rack', rackId }}
+        getThresholdLabel={getThresholdLabel}
+        canRollback={true}
+        refreshKey={historyRefreshKey}
+        onRollback={handleRollback}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,223 @@
+import { useState } from 'react';
+import { X, BellOff, AlertCircle, Loader } from 'lucide-react';
+import { RackData } from '../types';
+
+interface SilenceModalProps {
+  rack: RackData;
+  onClose: () => void;
+  onCreated: (message: string) => void;
+}
+
+type SilenceScope = 'rack' | 'chain' | 'site';
+
+const DURATION_PRESETS = [
+  { minutes: 60, label: '1 h' },
+  { minutes: 240, label: '4 h' },
+  { minutes: 480, label: '8 h' },
+  { minutes: 1440, label: '24 h' },
+  { minutes: 4320, label: '3 días' },
+  { minutes: 10080, label: '7 días' }
+];
+
+const METRIC_OPTIONS = [
+  { value: 'amperage', label: 'Amperaje' },
+  { value: 'temperature', label: 'Temperatura' },
+  { value: 'humidity', label: 'Humedad' },
+  { value: 'dewpoint', label: 'Punto de rocío' },
+  { value: 'voltage', label: 'Voltaje' },
+  { value: 'power', label: 'Potencia' },
+  { value: 'load', label: 'Carga' },
+  { value: 'redundancy', label: 'Redundancia A/B' },
+  { value: 'composite', label: 'Regla compuesta' }
+];
+
+export default function SilenceModal({ rack, onClose, onCreated }: SilenceModalProps) {
+  const [scopeType, setScopeType] = useState<SilenceScope>('rack');
+  const [metricType, setMetricType] = useState('');
+  const [alertReason, setAlertReason] = useState('');
+  const [durationMinutes, setDurationMinutes] = useState(240);
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const rackId = String(rack.rackId || rack.id);
+  const scopeLabels: Record<SilenceScope, string> = {
+    rack: `Rack ${rack.name}`,
+    chain: `Chain ${rack.chain || '-'} de ${rack.dc}`,
+    site: `Sitio ${rack.site}`
+  };
+
+  const handleSubmit = async () => {
+    if (!comment.trim()) {
+      setError('El comentario es requerido');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await fetch('/api/silences', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          scopeType,
+          rackId,
+          rackName: rack.name,
+          site: rack.site,
+          dc: rack.dc,
+          chain: rack.chain,
+          metricType: metricType || null,
+          alertReason: scopeType === 'rack' && alertReason ? alertReason : null,
+          comment: comment.trim(),
+          durationMinutes
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Error al silenciar las notificaciones');
+      }
+
+      onCreated(data.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al silenciar las notificaciones');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b border-slate-200 px-6 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <BellOff className="w-6 h-6 text-gray-600" />
+            <h2 className="text-xl font-bold text-slate-900">Silenciar notificaciones</h2>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="p-2 hover:bg-slate-100 rounded-lg transition-colors disabled:opacity-50"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-slate-600">
+            Mientras dure el silencio no se envían alertas a SONAR ni se escalan. El estado del rack se sigue mostrando en el panel.
+          </p>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4 text-red-400" />
+              {error}
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Alcance</label>
+            <div className="space-y-1">
+              {(Object.keys(scopeLabels) as SilenceScope[])
+                .filter(scope => scope !== 'chain' || rack.chain)
+                .map(scope => (
+                  <label key={scope} className="flex items-center text-sm text-slate-700">
+                    <input
+                      type="radio"
+                      name="silence-scope"
+                      checked={scopeType === scope}
+                      onChange={() => setScopeType(scope)}
+                      className="mr-2"
+                    />
+                    {scopeLabels[scope]}
+                  </label>
+                ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Métrica</label>
+              <select
+                value={metricType}
+                onChange={(e) => setMetricType(e.target.value)}
+                className="w-full px-3 py-2 border border-slate-300 rounded-md text-sm"
+              >
+                <option value="">Todas</option>
+                {METRIC_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            {scopeType === 'rack' && rack.reasons && rack.reasons.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Alerta</label>
+                <select
+                  value={alertReason}
+                  onChange={(e) => setAlertReason(e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md text-sm"
+                >
+                  <option value="">Todas</option>
+                  {rack.reasons.map(reason => (
+                    <option key={reason} value={reason}>{reason}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Duración</label>
+            <div className="flex flex-wrap gap-2">
+              {DURATION_PRESETS.map(preset => (
+                <button
+                  key={preset.minutes}
+                  onClick={() => setDurationMinutes(preset.minutes)}
+                  className={`px-3 py-1 text-sm font-medium rounded border transition-colors ${
+                    durationMinutes === preset.minutes
+                      ? 'bg-slate-700 text-white border-slate-700'
+                      : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-100'
+                  }`}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Comentario</label>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={3}
+              maxLength={1000}
+              placeholder="Motivo del silencio (obligatorio)"
+              className="w-full px-3 py-2 border border-slate-300 rounded-md text-sm"
+            />
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={onClose}
+              disabled={saving}
+              className="px-4 py-2 border border-slate-300 text-sm font-medium rounded-md text-slate-700 bg-white hover:bg-slate-50 disabled:opacity-50"
+            >
+              Cancelar
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={saving || !comment.trim()}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-slate-700 hover:bg-slate-800 disabled:opacity-50"
+            >
+              {saving ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <BellOff className="w-4 h-4 mr-2" />}
+              Silenciar
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react';
+import { BellOff, AlertCircle, XCircle } from 'lucide-react';
+import { AlertSilence } from '../types';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatDateTime = (value: string | null) =>
+  value ? new Date(value).toLocaleString('es-ES') : '-';
+
+const describeScope = (silence: AlertSilence) => {
+  if (silence.scopeType === 'rack') return `Rack ${silence.rackName || silence.rackId}`;
+  if (silence.scopeType === 'chain') return `Chain ${silence.chain} · ${silence.dc}${silence.site ? ` · ${silence.site}` : ''}`;
+  return `Sitio ${silence.site}`;
+};
+
+export default function SilencesPanel() {
+  const { user } = useAuth();
+  const [silences, setSilences] = useState<AlertSilence[]>([]);
+  const [includeEnded, setIncludeEnded] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [endingId, setEndingId] = useState<number | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchSilences = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await fetch(`/api/silences${includeEnded ? '?includeEnded=true' : ''}`, {
+          credentials: 'include',
+          cache: 'no-store'
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || 'Error al obtener los silencios');
+        }
+
+        setSilences(data.data || []);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error al obtener los silencios');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSilences();
+  }, [includeEnded, reloadKey]);
+
+  const endSilence = async (silence: AlertSilence) => {
+    if (!confirm(`¿Finalizar el silencio de ${describeScope(silence)}? Las alertas activas volverán a notificarse.`)) {
+      return;
+    }
+
+    try {
+      setEndingId(silence.id);
+      const response = await fetch(`/api/silences/${silence.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Error al finalizar el silencio');
+      }
+
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al finalizar el silencio');
+    } finally {
+      setEndingId(null);
+    }
+  };
+
+  // Worked out by the server against its own clock, the one that wrote expiresAt
+  const isActive = (silence: AlertSilence) => silence.active;
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-slate-900 flex items-center gap-2">
+          <BellOff className="w-5 h-5 text-gray-600" />
+          Notificaciones silenciadas
+        </h2>
+        <label className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            checked={includeEnded}
+            onChange={(e) => setIncludeEnded(e.target.checked)}
+            className="mr-2"
+          />
+          Mostrar finalizados
+        </label>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 text-red-400" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="px-6 py-6 text-sm text-slate-600">Cargando silencios...</p>
+      ) : silences.length === 0 ? (
+        <p className="px-6 py-6 text-sm text-slate-600">No hay silencios {includeEnded ? 'registrados' : 'activos'}.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-200 text-sm">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Alcance</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Métrica / alerta</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Comentario</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Creado</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Expira</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {silences.map(silence => (
+                <tr key={silence.id} className={isActive(silence) ? '' : 'text-slate-400'}>
+                  <td className="px-4 py-2">{describeScope(silence)}</td>
+                  <td className="px-4 py-2">{[silence.metricType, silence.alertReason].filter(Boolean).join(' · ') || 'Todas'}</td>
+                  <td className="px-4 py-2 max-w-xs truncate" title={silence.comment}>{silence.comment}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">{silence.createdBy} · {formatDateTime(silence.createdAt)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {silence.endedAt
+                      ? `Finalizado por ${silence.endedBy} · ${formatDateTime(silence.endedAt)}`
+                      : formatDateTime(silence.expiresAt)}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    {isActive(silence) && user?.rol !== 'Observador' && (
+                      <button
+                        onClick={() => endSilence(silence)}
+                        disabled={endingId === silence.id}
+                        className="inline-flex items-center gap-1 text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        <XCircle className="w-4 h-4" />
+                        Finalizar
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -30,6 +30,8 @@ interface SiteGroupProps {
   onSendRackToMaintenance?: (rackId: string, chain: string, rackName: string, rackData?: any) => void;
   onSendChainToMaintenance?: (chain: string, site: string, dc: string, rackData?: any) => void;
   onSendAlertToSonar?: (rackId: string, rackName: string) => void;
+  onAcknowledgeAlert?: (rackId: string, rackName: string) => void;
+  onSilenceAlerts?: (rack: RackData) => void;
   maintenanceRacks: Set<string>;
   expandedRackNames: Set<string>;
   onToggleRackExpansion: (rackName: string) => void;
@@ -56,6 +58,8 @@ export default function SiteGroup({
   onSendRackToMaintenance,
   onSendChainToMaintenance,
   onSendAlertToSonar,
+  onAcknowledgeAlert,
+  onSilenceAlerts,
   maintenanceRacks,
   expandedRackNames,
   onToggleRackExpansion
@@ -260,6 +264,8 @@ export default function SiteGroup({
               onSendRackToMaintenance={onSendRackToMaintenance}
               onSendChainToMaintenance={onSendChainToMaintenance}
               onSendAlertToSonar={onSendAlertToSonar}
+              onAcknowledgeAlert={onAcknowledgeAlert}
+              onSilenceAlerts={onSilenceAlerts}
               maintenanceRacks={maintenanceRacks}
               expandedRackNames={expandedRackNames}
               onToggleRackExpansion={onToggleRackExpansion}
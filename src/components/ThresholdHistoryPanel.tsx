@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import { History, RotateCcw, ChevronDown, ChevronUp, AlertTriangle } from 'lucide-react';
+import { ThresholdChangeSet } from '../types';
+
+interface ThresholdHistoryPanelProps {
+  // Filters of /api/thresholds/history (scopeType, site, dc, chain, rackId)
+  query: Record<string, string>;
+  getThresholdLabel: (key: string) => string;
+  canRollback: boolean;
+  // Changing it reloads the history (e.g. after saving)
+  refreshKey: number;
+  onRollback: (count: number) => void;
+}
+
+const ACTION_LABELS: Record<ThresholdChangeSet['action'], { label: string; className: string }> = {
+  update: { label: 'Cambio', className: 'bg-blue-100 text-blue-800' },
+  reset: { label: 'Restablecido', className: 'bg-orange-100 text-orange-800' },
+  rollback: { label: 'Reversión', className: 'bg-purple-100 text-purple-800' }
+};
+
+const formatValue = (value: number | null) => (value === null ? 'heredado' : String(value));
+
+export default function ThresholdHistoryPanel({ query, getThresholdLabel, canRollback, refreshKey, onRollback }: ThresholdHistoryPanelProps) {
+  const [expanded, setExpanded] = useState(false);
+  const [changeSets, setChangeSets] = useState<ThresholdChangeSet[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [rollingBack, setRollingBack] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const queryString = new URLSearchParams(query).toString();
+
+  useEffect(() => {
+    if (!expanded) {
+      return;
+    }
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await fetch(`/api/thresholds/history?${queryString}`, {
+          credentials: 'include',
+          cache: 'no-store'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || 'Error al cargar el historial de cambios');
+        }
+
+        setChangeSets(result.data || []);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error al cargar el historial de cambios');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [expanded, queryString, refreshKey, reloadKey]);
+
+  const rollbackChangeSet = async (changeSet: ThresholdChangeSet) => {
+    if (!confirm(`¿Deseas restaurar los valores anteriores al cambio de ${changeSet.changedBy || 'Sistema'} del ${new Date(changeSet.changedAt).toLocaleString('es-ES')}?`)) {
+      return;
+    }
+
+    try {
+      setRollingBack(changeSet.changeSetId);
+      setError(null);
+
+      const response = await fetch(`/api/thresholds/history/${changeSet.changeSetId}/rollback`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({}),
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Error al revertir el cambio');
+      }
+
+      setReloadKey(key => key + 1);
+      onRollback(result.count);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al revertir el cambio');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  return (
+    <div className="mt-6 border border-gray-200 rounded-lg">
+      <button
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-semibold text-gray-800 hover:bg-gray-50 transition-colors"
+      >
+        <span className="flex items-center">
+          <History className="h-4 w-4 mr-2 text-gray-600" />
+          Historial de cambios
+        </span>
+        {expanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+      </button>
+
+      {expanded && (
+        <div className="border-t border-gray-200 p-4">
+          {error && (
+            <div className="mb-3 flex items-center text-sm text-red-700">
+              <AlertTriangle className="h-4 w-4 mr-2 text-red-400" />
+              {error}
+            </div>
+          )}
+
+          {loading && changeSets.length === 0 ? (
+            <p className="text-sm text-gray-500">Cargando historial...</p>
+          ) : changeSets.length === 0 ? (
+            <p className="text-sm text-gray-500">No hay cambios registrados para este ámbito.</p>
+          ) : (
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {changeSets.map(changeSet => {
+                const action = ACTION_LABELS[changeSet.action] || ACTION_LABELS.update;
+                return (
+                  <div key={changeSet.changeSetId} className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+                    <div className="flex items-start justify-between gap-3">
+                      <div>
+                        <div className="flex items-center gap-2 text-sm">
+                          <span className={`text-xs font-medium px-2 py-0.5 rounded ${action.className}`}>{action.label}</span>
+                          <span className="font-medium text-gray-900">{changeSet.changedBy || 'Sistema'}</span>
+                          <span className="text-gray-500">{new Date(changeSet.changedAt).toLocaleString('es-ES')}</span>
+                        </div>
+                        {changeSet.comment && (
+                          <p className="mt-1 text-xs text-gray-600 italic">"{changeSet.comment}"</p>
+                        )}
+                      </div>
+
+                      {changeSet.rolledBackBy ? (
+                        <span className="text-xs text-gray-500 whitespace-nowrap">Revertido</span>
+                      ) : canRollback && (
+                        <button
+                          onClick={() => rollbackChangeSet(changeSet)}
+                          disabled={rollingBack !== null}
+                          className="inline-flex items-center px-2 py-1 border border-purple-300 text-xs font-medium rounded-md text-purple-700 bg-white hover:bg-purple-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors whitespace-nowrap"
+                          title="Restaurar los valores que había antes de este cambio"
+                        >
+                          <RotateCcw className={`h-3 w-3 mr-1 ${rollingBack === changeSet.changeSetId ? 'animate-spin' : ''}`} />
+                          Restaurar valores anteriores
+                        </button>
+                      )}
+                    </div>
+
+                    <ul className="mt-2 space-y-1">
+                      {changeSet.changes.map(change => (
+                        <li key={change.key} className="text-xs text-gray-700">
+                          <span className="font-medium">{getThresholdLabel(change.key)}</span>:{' '}
+                          <span className="text-gray-500">{formatValue(change.oldValue)}</span>
+                          {' → '}
+                          <span className="font-semibold text-gray-900">{formatValue(change.newValue)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
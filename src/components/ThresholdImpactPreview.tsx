@@ -0,0 +1,159 @@
+import { Activity, AlertTriangle, CheckCircle, Save } from 'lucide-react';
+import { RackStatusCounts, SimulatedRackChange, ThresholdSimulationResult } from '../types';
+
+interface ThresholdImpactPreviewProps {
+  result: ThresholdSimulationResult | null;
+  loading: boolean;
+  error: string | null;
+  saving: boolean;
+  onConfirm: () => void;
+  onCancel: () => void;
+}
+
+// Racks listed per group before collapsing the rest into "y N más"
+const MAX_LISTED_RACKS = 20;
+
+const STATUS_LABELS: Record<string, string> = {
+  normal: 'Normal',
+  warning: 'Advertencia',
+  critical: 'Crítico'
+};
+
+const hasDifferences = (current: RackStatusCounts, proposed: RackStatusCounts) =>
+  current.warning !== proposed.warning || current.critical !== proposed.critical;
+
+const renderCountChange = (current: number, proposed: number) => {
+  const diff = proposed - current;
+  return (
+    <span>
+      {current} → <span className="font-semibold">{proposed}</span>
+      {diff !== 0 && (
+        <span className={`ml-1 text-xs ${diff > 0 ? 'text-red-600' : 'text-green-600'}`}>
+          ({diff > 0 ? '+' : ''}{diff})
+        </span>
+      )}
+    </span>
+  );
+};
+
+const renderRackList = (racks: SimulatedRackChange[], title: string, className: string) => {
+  if (racks.length === 0) return null;
+  return (
+    <div>
+      <h4 className={`text-sm font-semibold mb-1 ${className}`}>{title} ({racks.length})</h4>
+      <ul className="space-y-1 max-h-48 overflow-y-auto">
+        {racks.slice(0, MAX_LISTED_RACKS).map(rack => (
+          <li key={rack.rackId} className="text-xs text-gray-700">
+            <span className="font-medium">{rack.name || rack.rackId}</span>
+            <span className="text-gray-500"> · {[rack.site, rack.dc, rack.chain ? `Chain ${rack.chain}` : ''].filter(Boolean).join(' / ')}</span>
+            {' '}({rack.currentStatus === rack.proposedStatus
+              ? STATUS_LABELS[rack.currentStatus]
+              : `${STATUS_LABELS[rack.currentStatus]} → ${STATUS_LABELS[rack.proposedStatus]}`})
+            {rack.addedReasons.length > 0 && (
+              <span className="text-red-600"> · + {rack.addedReasons.join(', ')}</span>
+            )}
+            {rack.removedReasons.length > 0 && (
+              <span className="text-green-600"> · − {rack.removedReasons.join(', ')}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+      {racks.length > MAX_LISTED_RACKS && (
+        <p className="text-xs text-gray-500 mt-1">y {racks.length - MAX_LISTED_RACKS} más</p>
+      )}
+    </div>
+  );
+};
+
+export default function ThresholdImpactPreview({ result, loading, error, saving, onConfirm, onCancel }: ThresholdImpactPreviewProps) {
+  const changedSites = result ? result.bySite.filter(site => hasDifferences(site.current, site.proposed)) : [];
+  const hasRackChanges = result
+    ? result.newlyAlerting.length + result.clearing.length + result.reasonChanges.length > 0
+    : false;
+
+  return (
+    <div className="mb-6 bg-indigo-50 border border-indigo-200 rounded-lg p-4">
+      <h3 className="text-sm font-semibold text-indigo-900 flex items-center mb-3">
+        <Activity className="h-4 w-4 mr-2" />
+        Vista previa del impacto
+      </h3>
+
+      {loading ? (
+        <div className="flex items-center py-2">
+          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-indigo-600 mr-3"></div>
+          <p className="text-sm text-indigo-800">Simulando los cambios con las lecturas del último ciclo...</p>
+        </div>
+      ) : error ? (
+        <div className="flex items-center text-sm text-red-700">
+          <AlertTriangle className="h-4 w-4 mr-2 text-red-400" />
+          {error}
+        </div>
+      ) : result && (
+        <div className="space-y-4">
+          <p className="text-xs text-indigo-800">
+            Estado de los {result.totalRacks} racks con las lecturas del último ciclo, antes y después del cambio (sin confirmación por ciclos).
+          </p>
+
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            <div className="bg-white border border-yellow-200 rounded-md p-3">
+              <span className="block text-xs font-medium text-yellow-800">Advertencia</span>
+              {renderCountChange(result.totals.current.warning, result.totals.proposed.warning)}
+            </div>
+            <div className="bg-white border border-red-200 rounded-md p-3">
+              <span className="block text-xs font-medium text-red-800">Crítico</span>
+              {renderCountChange(result.totals.current.critical, result.totals.proposed.critical)}
+            </div>
+          </div>
+
+          {changedSites.length > 0 ? (
+            <table className="w-full text-xs text-left bg-white rounded-md overflow-hidden">
+              <thead className="bg-gray-100 text-gray-600">
+                <tr>
+                  <th className="px-3 py-2 font-medium">Sitio</th>
+                  <th className="px-3 py-2 font-medium">Advertencia</th>
+                  <th className="px-3 py-2 font-medium">Crítico</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changedSites.map(site => (
+                  <tr key={site.site} className="border-t border-gray-100">
+                    <td className="px-3 py-2 font-medium text-gray-800">{site.site}</td>
+                    <td className="px-3 py-2">{renderCountChange(site.current.warning, site.proposed.warning)}</td>
+                    <td className="px-3 py-2">{renderCountChange(site.current.critical, site.proposed.critical)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : !hasRackChanges && (
+            <p className="text-sm text-indigo-800 flex items-center">
+              <CheckCircle className="h-4 w-4 mr-2 text-green-500" />
+              El cambio no modifica el estado de ningún rack con las lecturas actuales.
+            </p>
+          )}
+
+          {renderRackList(result.newlyAlerting, 'Racks que pasarían a alertar o escalarían', 'text-red-700')}
+          {renderRackList(result.clearing, 'Racks cuya alerta se resolvería o bajaría de nivel', 'text-green-700')}
+          {renderRackList(result.reasonChanges, 'Racks que mantendrían su estado con otros motivos de alerta', 'text-yellow-700')}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2 mt-4">
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Cancelar
+        </button>
+        <button
+          onClick={onConfirm}
+          disabled={saving || loading}
+          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Save className={`h-4 w-4 mr-2 ${saving ? 'animate-pulse' : ''}`} />
+          {saving ? 'Guardando...' : 'Confirmar y guardar'}
+        </button>
+      </div>
+    </div>
+  );
+}
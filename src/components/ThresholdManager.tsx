@@ -1,22 +1,67 @@
 import React, { useState, useEffect } from 'react';
-import { Settings, Save, RefreshCw, AlertTriangle, CheckCircle, Database, X, Users } from 'lucide-react';
-import { ThresholdData } from '../types';
+import { Settings, Save, RefreshCw, AlertTriangle, CheckCircle, Database, X, Users, Download, Upload, GitMerge, BellRing, Mail } from 'lucide-react';
+import { ThresholdData, RackData, ThresholdSimulationResult } from '../types';
 import { useAuth } from '../contexts/AuthContext';
 import UserManagement from './UserManagement';
+import CompositeRulesManager from './CompositeRulesManager';
+import EscalationPolicyManager from './EscalationPolicyManager';
+import EmailNotificationManager from './EmailNotificationManager';
+import ThresholdHistoryPanel from './ThresholdHistoryPanel';
+import ThresholdImpactPreview from './ThresholdImpactPreview';
+import ImportRackThresholdsModal from './ImportRackThresholdsModal';
+import { downloadRackOverrides } from '../utils/thresholdUtils';
 
 interface ThresholdManagerProps {
   thresholds: ThresholdData[];
+  rackGroups?: RackData[][];
   onSaveSuccess: () => void;
   onClose: () => void;
 }
 
-export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }: ThresholdManagerProps) {
+type EditableScope = 'global' | 'site' | 'dc' | 'chain';
+
+const SCOPE_LABELS: Record<string, string> = {
+  global: 'Global',
+  site: 'Sitio',
+  dc: 'DC',
+  chain: 'Chain',
+  rack: 'Rack'
+};
+
+// Metrics with raise/clear debounce settings (alert_raise_cycles_*, alert_clear_margin_*, alert_clear_cycles_*)
+const DEBOUNCE_METRICS = [
+  { metric: 'amperage', label: 'Amperaje' },
+  { metric: 'temperature', label: 'Temperatura' },
+  { metric: 'humidity', label: 'Humedad' },
+  { metric: 'dewpoint', label: 'Punto de Rocío' },
+  { metric: 'voltage', label: 'Voltaje' },
+  { metric: 'power', label: 'Potencia' },
+  { metric: 'load', label: 'Carga' },
+  { metric: 'redundancy', label: 'Redundancia A/B' }
+];
+
+export default function ThresholdManager({ thresholds, rackGroups = [], onSaveSuccess, onClose }: ThresholdManagerProps) {
   const { user } = useAuth();
-  const [activeTab, setActiveTab] = useState<'thresholds' | 'users'>('thresholds');
+  const [activeTab, setActiveTab] = useState<'thresholds' | 'rules' | 'escalation' | 'email' | 'users'>('thresholds');
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
   const [tempValues, setTempValues] = useState<Record<string, number | string>>({});
+  const [scopeType, setScopeType] = useState<EditableScope>('global');
+  const [scopeSite, setScopeSite] = useState('');
+  const [scopeDc, setScopeDc] = useState('');
+  const [scopeChain, setScopeChain] = useState('');
+  const [scopeThresholds, setScopeThresholds] = useState<ThresholdData[]>([]);
+  const [scopeLoading, setScopeLoading] = useState(false);
+  const [scopeRefreshKey, setScopeRefreshKey] = useState(0);
+  const [changeComment, setChangeComment] = useState('');
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+  const [showPreview, setShowPreview] = useState(false);
+  const [simulation, setSimulation] = useState<ThresholdSimulationResult | null>(null);
+  const [simulating, setSimulating] = useState(false);
+  const [simulationError, setSimulationError] = useState<string | null>(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
   // Define supported threshold keys (must match backend validKeys)
   const supportedKeys = [
@@ -26,6 +71,8 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
     // Humidity thresholds
     'critical_humidity_low', 'critical_humidity_high',
     'warning_humidity_low', 'warning_humidity_high',
+    // Dew point thresholds (condensation risk)
+    'critical_dewpoint_high', 'warning_dewpoint_high',
     // Amperage thresholds - Single Phase
     'critical_amperage_low_single_phase', 'critical_amperage_high_single_phase',
     'warning_amperage_low_single_phase', 'warning_amperage_high_single_phase',
@@ -34,7 +81,22 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
     'warning_amperage_low_3_phase', 'warning_amperage_high_3_phase',
     // Voltage thresholds
     'critical_voltage_low', 'critical_voltage_high',
-    'warning_voltage_low', 'warning_voltage_high'
+    'warning_voltage_low', 'warning_voltage_high',
+    // Power thresholds
+    'critical_power_high', 'warning_power_high',
+    // Load percentage thresholds (% of the rated capacity)
+    'critical_load_percentage_high', 'warning_load_percentage_high',
+    // N+N redundancy thresholds (rack total as % of a single feed's capacity)
+    'critical_redundancy_load_high', 'warning_redundancy_load_high',
+    // Rate-of-change thresholds (increase within the window)
+    'critical_temperature_rising', 'warning_temperature_rising', 'temperature_rising_window_minutes',
+    'critical_amperage_surge', 'warning_amperage_surge', 'amperage_surge_window_minutes',
+    // Low amperage evaluation flags (1 = enabled)
+    'evaluate_amperage_low_single_phase', 'evaluate_amperage_low_3_phase',
+    // Alert debounce: cycles to raise, clear margin and cycles to clear per metric
+    ...DEBOUNCE_METRICS.flatMap(({ metric }) => [
+      `alert_raise_cycles_${metric}`, `alert_clear_margin_${metric}`, `alert_clear_cycles_${metric}`
+    ])
   ];
 
   // Initialize temporary values when thresholds change
@@ -52,7 +114,239 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
     }
   }, [thresholds]);
 
+  // Site, DC and chain options come from the racks currently monitored
+  const allPdus = rackGroups.flat();
+  const uniqueSorted = (values: (string | undefined)[]) =>
+    [...new Set(values.filter((v): v is string => !!v && v !== 'N/A'))].sort((a, b) => a.localeCompare(b, 'es', { numeric: true }));
+  const siteOptions = uniqueSorted(allPdus.map(p => p.site));
+  const dcOptions = uniqueSorted(allPdus.filter(p => p.site === scopeSite).map(p => p.dc));
+  const chainOptions = uniqueSorted(allPdus.filter(p => p.site === scopeSite && p.dc === scopeDc).map(p => p.chain));
+
+  const isScopeComplete = scopeType === 'global' ||
+    (scopeType === 'site' && !!scopeSite) ||
+    (scopeType === 'dc' && !!scopeSite && !!scopeDc) ||
+    (scopeType === 'chain' && !!scopeSite && !!scopeDc && !!scopeChain);
+
+  // Thresholds being edited: global values, or the effective values of the selected site/DC/chain
+  const activeThresholds = scopeType === 'global' ? thresholds : (isScopeComplete ? scopeThresholds : []);
+
+  const getScopeParams = () => {
+    const params: Record<string, string> = { site: scopeSite };
+    if (scopeType === 'dc' || scopeType === 'chain') params.dc = scopeDc;
+    if (scopeType === 'chain') params.chain = scopeChain;
+    return params;
+  };
+
+  // Load the effective thresholds (with the scope each value comes from) of the selected location
+  useEffect(() => {
+    if (scopeType === 'global' || !isScopeComplete) {
+      return;
+    }
+
+    const fetchScopeThresholds = async () => {
+      try {
+        setScopeLoading(true);
+        setError(null);
+
+        const params = new URLSearchParams({ site: scopeSite });
+        if (scopeType === 'dc' || scopeType === 'chain') params.set('dc', scopeDc);
+        if (scopeType === 'chain') params.set('chain', scopeChain);
+        const response = await fetch(`/api/thresholds/effective?${params}`, {
+          credentials: 'include',
+          cache: 'no-store'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || 'Error al cargar los umbrales del ámbito');
+        }
+
+        const effectiveThresholds: ThresholdData[] = result.data.thresholds || [];
+        const initialValues: Record<string, number | string> = {};
+        effectiveThresholds.forEach(threshold => {
+          initialValues[threshold.key] = threshold.value;
+        });
+        setScopeThresholds(effectiveThresholds);
+        setTempValues(initialValues);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error al cargar los umbrales del ámbito');
+        setScopeThresholds([]);
+      } finally {
+        setScopeLoading(false);
+      }
+    };
+
+    fetchScopeThresholds();
+  }, [scopeType, scopeSite, scopeDc, scopeChain, isScopeComplete, scopeRefreshKey]);
+
+  const handleScopeTypeChange = (newScope: EditableScope) => {
+    setScopeType(newScope);
+    closePreview();
+    setSuccess(null);
+    setError(null);
+    if (newScope === 'global') {
+      const globalValues: Record<string, number | string> = {};
+      thresholds.forEach(threshold => {
+        if (supportedKeys.includes(threshold.key)) {
+          globalValues[threshold.key] = threshold.value;
+        }
+      });
+      setTempValues(globalValues);
+    }
+  };
+
+  const getScopeDescription = () => {
+    return [scopeSite, scopeType !== 'site' ? scopeDc : '', scopeType === 'chain' ? `Chain ${scopeChain}` : '']
+      .filter(Boolean)
+      .join(' / ');
+  };
+
+  // Values that differ from the ones currently in effect for the selected scope
+  const getChangedValues = () => {
+    const changedValues: Record<string, number> = {};
+    Object.entries(tempValues).forEach(([key, value]) => {
+      if (supportedKeys.includes(key)) {
+        const numericValue = parseFloat(String(value));
+        const currentThreshold = activeThresholds.find(t => t.key === key);
+        if (!isNaN(numericValue) && currentThreshold && numericValue !== currentThreshold.value) {
+          changedValues[key] = numericValue;
+        }
+      }
+    });
+    return changedValues;
+  };
+
+  // Dry run of the pending changes on the last monitoring cycle, shown before they are saved
+  const previewChanges = async () => {
+    setShowPreview(true);
+    setSimulation(null);
+    setSimulationError(null);
+    setSimulating(true);
+
+    try {
+      const response = await fetch('/api/thresholds/simulate', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          scopeType,
+          ...(scopeType !== 'global' ? getScopeParams() : {}),
+          thresholds: getChangedValues()
+        }),
+      });
+
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Error al simular los cambios');
+      }
+
+      setSimulation(result.data);
+    } catch (err) {
+      setSimulationError(err instanceof Error ? err.message : 'Error al simular los cambios');
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const closePreview = () => {
+    setShowPreview(false);
+    setSimulation(null);
+    setSimulationError(null);
+  };
+
+  const confirmSave = async () => {
+    await saveThresholds();
+    closePreview();
+  };
+
+  const saveScopeThresholds = async () => {
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      // Only values that differ from the effective ones are stored at this scope
+      const changedValues = getChangedValues();
+
+      const response = await fetch('/api/thresholds/scopes', {
+        method: 'PUT',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ scopeType, ...getScopeParams(), thresholds: changedValues, comment: changeComment }),
+      });
+
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to save scope thresholds');
+      }
+
+      setSuccess(`${result.count} umbrales actualizados correctamente para ${SCOPE_LABELS[scopeType]} ${getScopeDescription()}`);
+      setTimeout(() => setSuccess(null), 5000);
+      setChangeComment('');
+      setHistoryRefreshKey(key => key + 1);
+      setScopeRefreshKey(key => key + 1);
+      onSaveSuccess();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al guardar los umbrales del ámbito');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetScopeThresholds = async () => {
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const params = new URLSearchParams({ scopeType, ...getScopeParams() });
+      if (changeComment.trim()) params.set('comment', changeComment.trim());
+      const response = await fetch(`/api/thresholds/scopes?${params}`, {
+        method: 'DELETE',
+        credentials: 'include',
+      });
+
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to reset scope thresholds');
+      }
+
+      setSuccess(`${result.count} umbrales eliminados de ${SCOPE_LABELS[scopeType]} ${getScopeDescription()}`);
+      setTimeout(() => setSuccess(null), 5000);
+      setChangeComment('');
+      setHistoryRefreshKey(key => key + 1);
+      setScopeRefreshKey(key => key + 1);
+      onSaveSuccess();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al restablecer los umbrales del ámbito');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Badge with the scope each effective value comes from
+  const renderSourceBadge = (threshold: ThresholdData) => {
+    if (scopeType === 'global' || !threshold.source) return null;
+    const isOwnScope = threshold.source === scopeType;
+    return (
+      <span
+        className={`ml-2 text-xs font-bold px-2 py-0.5 rounded ${isOwnScope ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+        title={isOwnScope ? 'Valor definido en este ámbito' : `Valor heredado de ${SCOPE_LABELS[threshold.source]}`}
+      >
+        {SCOPE_LABELS[threshold.source]}
+      </span>
+    );
+  };
+
   const saveThresholds = async () => {
+    if (scopeType !== 'global') {
+      return saveScopeThresholds();
+    }
+
     setSaving(true);
     setError(null);
     setSuccess(null);
@@ -75,7 +369,7 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ thresholds: filteredValues }),
+        body: JSON.stringify({ thresholds: filteredValues, comment: changeComment }),
       });
       
       if (!response.ok) {
@@ -90,6 +384,8 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
       
       setSuccess(`${result.count} umbrales actualizados correctamente`);
       setTimeout(() => setSuccess(null), 5000);
+      setChangeComment('');
+      setHistoryRefreshKey(key => key + 1);
       
       // Reset saving state and notify parent to refresh data
       setSaving(false);
@@ -102,16 +398,48 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
   };
 
   const handleValueChange = (key: string, value: string) => {
+    // The preview no longer matches the values being edited
+    closePreview();
     setTempValues(prev => ({
       ...prev,
       [key]: value
     }));
   };
 
+  // After a rollback the values of the current scope are reloaded from the server
+  const handleRollback = (count: number) => {
+    setError(null);
+    setSuccess(`${count} umbrales restaurados a sus valores anteriores`);
+    setTimeout(() => setSuccess(null), 5000);
+    if (scopeType === 'global') {
+      setTempValues({});
+    } else {
+      setScopeRefreshKey(key => key + 1);
+    }
+    onSaveSuccess();
+  };
+
+  const exportRackOverrides = async (format: 'xlsx' | 'csv') => {
+    try {
+      setExporting(true);
+      setError(null);
+      await downloadRackOverrides(format);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al exportar los umbrales por rack');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleImportComplete = () => {
+    setHistoryRefreshKey(key => key + 1);
+    onSaveSuccess();
+  };
+
   const resetValues = () => {
     const resetValues: Record<string, number | string> = {};
     // Only reset supported threshold keys
-    thresholds.forEach(threshold => {
+    activeThresholds.forEach(threshold => {
       if (supportedKeys.includes(threshold.key)) {
         resetValues[threshold.key] = threshold.value;
       }
@@ -119,11 +447,12 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
     setTempValues(resetValues);
     setSuccess(null);
     setError(null);
+    closePreview();
   };
 
   const hasChanges = () => {
     // Only check for changes in supported threshold keys
-    return thresholds.some(threshold => {
+    return activeThresholds.some(threshold => {
       if (!supportedKeys.includes(threshold.key)) {
         return false; // Ignore unsupported keys
       }
@@ -146,6 +475,9 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
       'critical_humidity_high': 'Humedad Crítica Máxima',
       'warning_humidity_low': 'Humedad Advertencia Mínima',
       'warning_humidity_high': 'Humedad Advertencia Máxima',
+      // Dew point thresholds
+      'critical_dewpoint_high': 'Punto de Rocío Crítico Máximo',
+      'warning_dewpoint_high': 'Punto de Rocío Advertencia Máximo',
       // Amperage thresholds - Single Phase
       'critical_amperage_low_single_phase': 'Amperaje Crítico Mínimo (Monofásico)',
       'critical_amperage_high_single_phase': 'Amperaje Crítico Máximo (Monofásico)',
@@ -160,16 +492,39 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
       'critical_voltage_low': 'Voltaje Crítico Mínimo',
       'critical_voltage_high': 'Voltaje Crítico Máximo',
       'warning_voltage_low': 'Voltaje Advertencia Mínimo',
-      'warning_voltage_high': 'Voltaje Advertencia Máximo'
+      'warning_voltage_high': 'Voltaje Advertencia Máximo',
+      // Power thresholds
+      'critical_power_high': 'Potencia Crítica Máxima',
+      'warning_power_high': 'Potencia Advertencia Máxima',
+      // Load percentage thresholds
+      'critical_load_percentage_high': 'Carga Crítica Máxima',
+      'warning_load_percentage_high': 'Carga Advertencia Máxima',
+      'critical_redundancy_load_high': 'Carga N+N Crítica Máxima',
+      'warning_redundancy_load_high': 'Carga N+N Advertencia Máxima',
+      // Rate-of-change thresholds
+      'critical_temperature_rising': 'Aumento de Temperatura Crítico',
+      'warning_temperature_rising': 'Aumento de Temperatura Advertencia',
+      'temperature_rising_window_minutes': 'Ventana de Aumento de Temperatura',
+      'critical_amperage_surge': 'Pico de Corriente Crítico',
+      'warning_amperage_surge': 'Pico de Corriente Advertencia',
+      'amperage_surge_window_minutes': 'Ventana de Pico de Corriente',
+      // Low amperage evaluation flags
+      'evaluate_amperage_low_single_phase': 'Evaluar amperaje mínimo (Monofásico)',
+      'evaluate_amperage_low_3_phase': 'Evaluar amperaje mínimo (Trifásico)'
     };
     return labels[key] || key;
   };
 
   const getThresholdGroup = (key: string) => {
+    if (key.startsWith('alert_')) return 'debounce';
+    if (key.includes('_rising') || key.includes('_surge')) return 'rate';
     if (key.includes('temperature')) return 'temperature';
     if (key.includes('humidity')) return 'humidity';
+    if (key.includes('dewpoint')) return 'dewpoint';
     if (key.includes('amperage')) return 'amperage';
     if (key.includes('voltage')) return 'voltage';
+    if (key.includes('power')) return 'power';
+    if (key.includes('load_percentage') || key.includes('redundancy_load')) return 'load';
     return 'other';
   };
 
@@ -213,6 +568,39 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
               <Database className="h-4 w-4 inline mr-2" />
               Umbrales Generales
             </button>
+            <button
+              onClick={() => setActiveTab('rules')}
+              className={`px-4 py-2 text-sm font-medium transition-colors ${
+                activeTab === 'rules'
+                  ? 'border-b-2 border-blue-600 text-blue-600'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <GitMerge className="h-4 w-4 inline mr-2" />
+              Reglas Compuestas
+            </button>
+            <button
+              onClick={() => setActiveTab('escalation')}
+              className={`px-4 py-2 text-sm font-medium transition-colors ${
+                activeTab === 'escalation'
+                  ? 'border-b-2 border-blue-600 text-blue-600'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <BellRing className="h-4 w-4 inline mr-2" />
+              Escalado
+            </button>
+            <button
+              onClick={() => setActiveTab('email')}
+              className={`px-4 py-2 text-sm font-medium transition-colors ${
+                activeTab === 'email'
+                  ? 'border-b-2 border-blue-600 text-blue-600'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <Mail className="h-4 w-4 inline mr-2" />
+              Email
+            </button>
             <button
               onClick={() => setActiveTab('users')}
               className={`px-4 py-2 text-sm font-medium transition-colors ${
@@ -231,12 +619,86 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
       {/* Content */}
       {activeTab === 'users' && isAdmin ? (
         <UserManagement />
+      ) : activeTab === 'rules' && isAdmin ? (
+        <CompositeRulesManager />
+      ) : activeTab === 'escalation' && isAdmin ? (
+        <EscalationPolicyManager siteOptions={siteOptions} />
+      ) : activeTab === 'email' && isAdmin ? (
+        <EmailNotificationManager siteOptions={siteOptions} />
       ) : (
         <>
           <div className="mb-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">
-              Umbrales Generales del Sistema
+              {scopeType === 'global' ? 'Umbrales Generales del Sistema' : `Umbrales por ${SCOPE_LABELS[scopeType]}`}
             </h3>
+
+            {/* Scope selector: global -> site -> DC -> chain (racks are configured from each rack card) */}
+            <div className="flex flex-wrap items-center gap-3 bg-gray-50 border border-gray-200 rounded-lg p-3">
+              <div className="flex items-center bg-white border border-gray-200 rounded-lg p-1 gap-1">
+                {(['global', 'site', 'dc', 'chain'] as EditableScope[]).map(scope => (
+                  <button
+                    key={scope}
+                    onClick={() => handleScopeTypeChange(scope)}
+                    className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all ${
+                      scopeType === scope
+                        ? 'bg-blue-600 text-white shadow-md'
+                        : 'text-gray-700 hover:text-gray-900 hover:bg-gray-100'
+                    }`}
+                  >
+                    {SCOPE_LABELS[scope]}
+                  </button>
+                ))}
+              </div>
+
+              {scopeType !== 'global' && (
+                <select
+                  value={scopeSite}
+                  onChange={(e) => { setScopeSite(e.target.value); setScopeDc(''); setScopeChain(''); closePreview(); }}
+                  className="rounded-md border-gray-300 text-sm"
+                >
+                  <option value="">Seleccionar sitio</option>
+                  {siteOptions.map(site => (
+                    <option key={site} value={site}>{site}</option>
+                  ))}
+                </select>
+              )}
+
+              {(scopeType === 'dc' || scopeType === 'chain') && (
+                <select
+                  value={scopeDc}
+                  onChange={(e) => { setScopeDc(e.target.value); setScopeChain(''); closePreview(); }}
+                  disabled={!scopeSite}
+                  className="rounded-md border-gray-300 text-sm disabled:opacity-50"
+                >
+                  <option value="">Seleccionar DC</option>
+                  {dcOptions.map(dc => (
+                    <option key={dc} value={dc}>{dc}</option>
+                  ))}
+                </select>
+              )}
+
+              {scopeType === 'chain' && (
+                <select
+                  value={scopeChain}
+                  onChange={(e) => { setScopeChain(e.target.value); closePreview(); }}
+                  disabled={!scopeDc}
+                  className="rounded-md border-gray-300 text-sm disabled:opacity-50"
+                >
+                  <option value="">Seleccionar chain</option>
+                  {chainOptions.map(chain => (
+                    <option key={chain} value={chain}>Chain {chain}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            {scopeType !== 'global' && (
+              <p className="mt-2 text-xs text-gray-500">
+                {isScopeComplete
+                  ? 'Cada valor indica el ámbito del que proviene. Al guardar, solo los valores modificados se definen en este ámbito; el resto se sigue heredando (global → sitio → DC → chain → rack).'
+                  : 'Selecciona la ubicación para ver y editar sus umbrales efectivos.'}
+              </p>
+            )}
           </div>
 
       {/* Status Messages */}
@@ -274,20 +736,93 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
           >
             Restablecer
           </button>
+
+          {scopeType !== 'global' && !isReadOnly && activeThresholds.some(t => t.source === scopeType) && (
+            <button
+              onClick={resetScopeThresholds}
+              disabled={saving}
+              className="inline-flex items-center px-3 py-2 border border-orange-300 text-sm font-medium rounded-md text-orange-700 bg-orange-50 hover:bg-orange-100 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Heredar del ámbito superior
+            </button>
+          )}
         </div>
 
-        <button
-          onClick={saveThresholds}
-          disabled={saving || !hasChanges() || isReadOnly}
-          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-        >
-          <Save className={`h-4 w-4 mr-2 ${saving ? 'animate-pulse' : ''}`} />
-          {saving ? 'Guardando...' : 'Guardar Cambios'}
-        </button>
+        <div className="flex items-center space-x-2">
+          {!isReadOnly && (
+            <input
+              type="text"
+              value={changeComment}
+              onChange={(e) => setChangeComment(e.target.value)}
+              placeholder="Comentario del cambio (opcional)"
+              maxLength={500}
+              className="w-64 rounded-md border-gray-300 text-sm"
+            />
+          )}
+
+          <button
+            onClick={previewChanges}
+            disabled={saving || showPreview || !hasChanges() || isReadOnly}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Save className={`h-4 w-4 mr-2 ${saving ? 'animate-pulse' : ''}`} />
+            {saving ? 'Guardando...' : 'Guardar Cambios'}
+          </button>
+        </div>
       </div>
 
+      {/* Rack overrides bulk edit */}
+      <div className="flex items-center justify-between mb-6 bg-gray-50 border border-gray-200 rounded-lg px-4 py-3">
+        <p className="text-sm text-gray-700">
+          Umbrales específicos por rack: exporta o importa todos en un archivo Excel.
+        </p>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => exportRackOverrides('xlsx')}
+            disabled={exporting}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Excel
+          </button>
+          <button
+            onClick={() => exportRackOverrides('csv')}
+            disabled={exporting}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            CSV
+          </button>
+          {!isReadOnly && (
+            <button
+              onClick={() => setShowImportModal(true)}
+              className="inline-flex items-center px-3 py-2 border border-blue-300 text-sm font-medium rounded-md text-blue-700 bg-blue-50 hover:bg-blue-100 transition-colors"
+            >
+              <Upload className="h-4 w-4 mr-2" />
+              Importar
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showPreview && (
+        <ThresholdImpactPreview
+          result={simulation}
+          loading={simulating}
+          error={simulationError}
+          saving={saving}
+          onConfirm={confirmSave}
+          onCancel={closePreview}
+        />
+      )}
+
       {/* Thresholds Grid */}
-      {thresholds.length === 0 ? (
+      {scopeLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mr-4"></div>
+          <p className="text-gray-600">Cargando umbrales del ámbito...</p>
+        </div>
+      ) : activeThresholds.length === 0 ? (
         <div className="text-center py-8">
           <Settings className="mx-auto h-8 w-8 text-gray-400" />
           <p className="mt-2 text-sm text-gray-500">No hay umbrales configurados</p>
@@ -295,14 +830,14 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
       ) : (
         <div className="space-y-6">
           {/* Temperature Thresholds */}
-          {thresholds.some(t => getThresholdGroup(t.key) === 'temperature') && (
+          {activeThresholds.some(t => getThresholdGroup(t.key) === 'temperature') && (
             <div>
               <h3 className="text-lg font-semibold text-orange-700 mb-3 flex items-center">
                 <div className="w-3 h-3 bg-orange-500 rounded-full mr-2"></div>
                 Umbrales de Temperatura
               </h3>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                {thresholds
+                {activeThresholds
                   .filter(threshold => getThresholdGroup(threshold.key) === 'temperature')
                   .map((threshold) => {
                     const isCritical = getThresholdCategory(threshold.key) === 'critical';
@@ -315,6 +850,7 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
                       <div key={threshold.key} className={`${bgColor} border ${borderColor} rounded-lg p-4`}>
                         <label className={`block text-sm font-medium ${textColor} mb-2`}>
                           {getThresholdLabel(threshold.key)}
+                          {renderSourceBadge(threshold)}
                         </label>
                         <div className="flex items-center space-x-2">
                           <input
@@ -343,14 +879,14 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
           )}
 
           {/* Humidity Thresholds */}
-          {thresholds.some(t => getThresholdGroup(t.key) === 'humidity') && (
+          {activeThresholds.some(t => getThresholdGroup(t.key) === 'humidity') && (
             <div>
               <h3 className="text-lg font-semibold text-blue-700 mb-3 flex items-center">
                 <div className="w-3 h-3 bg-blue-500 rounded-full mr-2"></div>
                 Umbrales de Humedad
               </h3>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                {thresholds
+                {activeThresholds
                   .filter(threshold => getThresholdGroup(threshold.key) === 'humidity')
                   .map((threshold) => {
                     const isCritical = getThresholdCategory(threshold.key) === 'critical';
@@ -363,6 +899,7 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
                       <div key={threshold.key} className={`${bgColor} border ${borderColor} rounded-lg p-4`}>
                         <label className={`block text-sm font-medium ${textColor} mb-2`}>
                           {getThresholdLabel(threshold.key)}
+                          {renderSourceBadge(threshold)}
                         </label>
                         <div className="flex items-center space-x-2">
                           <input
@@ -392,17 +929,71 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
 
 
 
+          {/* Dew Point Thresholds (condensation risk) */}
+          {activeThresholds.some(t => getThresholdGroup(t.key) === 'dewpoint') && (
+            <div>
+              <h3 className="text-lg font-semibold text-cyan-700 mb-1 flex items-center">
+                <div className="w-3 h-3 bg-cyan-500 rounded-full mr-2"></div>
+                Umbrales de Punto de Rocío
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Calculado a partir de la temperatura y la humedad del sensor. Un punto de rocío alto indica riesgo de condensación.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {activeThresholds
+                  .filter(threshold => getThresholdGroup(threshold.key) === 'dewpoint')
+                  .map((threshold) => {
+                    const isCritical = getThresholdCategory(threshold.key) === 'critical';
+                    const bgColor = isCritical ? 'bg-red-50' : 'bg-yellow-50';
+                    const borderColor = isCritical ? 'border-red-200' : 'border-yellow-200';
+                    const textColor = isCritical ? 'text-red-800' : 'text-yellow-800';
+                    const inputColor = isCritical ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-yellow-300 focus:border-yellow-500 focus:ring-yellow-500';
+                    
+                    return (
+                      <div key={threshold.key} className={`${bgColor} border ${borderColor} rounded-lg p-4`}>
+                        <label className={`block text-sm font-medium ${textColor} mb-2`}>
+                          {getThresholdLabel(threshold.key)}
+                          {renderSourceBadge(threshold)}
+                        </label>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={tempValues[threshold.key] ?? ''}
+                            onChange={(e) => handleValueChange(threshold.key, e.target.value)}
+                            className={`flex-1 block w-full rounded-md shadow-sm text-sm ${inputColor}`}
+                            step="0.1"
+                            min="0"
+                            disabled={isReadOnly}
+                          />
+                          {threshold.unit && (
+                            <span className={`text-sm font-medium ${textColor}`}>
+                              {threshold.unit}
+                            </span>
+                          )}
+                        </div>
+                        {threshold.description && (
+                          <p className={`mt-1 text-xs ${textColor}`}>{threshold.description}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            </div>
+          )}
+
           {/* Amperage Thresholds by Phase */}
-          {thresholds.some(t => getThresholdGroup(t.key) === 'amperage') && (
+          {activeThresholds.some(t => getThresholdGroup(t.key) === 'amperage') && (
             <div>
               <h3 className="text-lg font-semibold text-indigo-700 mb-3 flex items-center">
                 <div className="w-3 h-3 bg-indigo-500 rounded-full mr-2"></div>
                 Umbrales de Amperaje por Fase
               </h3>
               {['single_phase', '3_phase'].map(phase => {
-                const phaseThresholds = thresholds.filter(t => 
-                  getThresholdGroup(t.key) === 'amperage' && t.key.includes(`_${phase}`)
+                const phaseThresholds = activeThresholds.filter(t => 
+                  getThresholdGroup(t.key) === 'amperage' && t.key.includes(`_${phase}`) && !t.key.startsWith('evaluate_')
                 );
+                const lowFlagKey = `evaluate_amperage_low_${phase}`;
+                const hasLowFlag = activeThresholds.some(t => t.key === lowFlagKey);
                 
                 if (phaseThresholds.length === 0) return null;
                 
@@ -413,6 +1004,19 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
                     <h4 className="text-md font-semibold text-purple-600 mb-2">
                       {phaseLabel}
                     </h4>
+                    {hasLowFlag && (
+                      <label className="flex items-center space-x-2 mb-3 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={parseFloat(String(tempValues[lowFlagKey])) === 1}
+                          onChange={(e) => handleValueChange(lowFlagKey, e.target.checked ? '1' : '0')}
+                          className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                          disabled={isReadOnly}
+                        />
+                        <span>{getThresholdLabel(lowFlagKey)}</span>
+                        <span className="text-xs text-gray-500">(los mínimos solo generan alertas si está activado)</span>
+                      </label>
+                    )}
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
                       {phaseThresholds.map((threshold) => {
                         const isCritical = getThresholdCategory(threshold.key) === 'critical';
@@ -425,6 +1029,8 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
                           <div key={threshold.key} className={`${bgColor} border ${borderColor} rounded-lg p-4`}>
                             <label className={`block text-sm font-medium ${textColor} mb-2`}>
                               {getThresholdLabel(threshold.key)}
+                              {renderSourceBadge(threshold)}
+                          {renderSourceBadge(threshold)}
                             </label>
                             <div className="flex items-center space-x-2">
                               <input
@@ -455,14 +1061,14 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
           )}
 
           {/* Voltage Thresholds */}
-          {thresholds.some(t => getThresholdGroup(t.key) === 'voltage') && (
+          {activeThresholds.some(t => getThresholdGroup(t.key) === 'voltage') && (
             <div>
               <h3 className="text-lg font-semibold text-green-700 mb-3 flex items-center">
                 <div className="w-3 h-3 bg-green-500 rounded-full mr-2"></div>
                 Umbrales de Voltaje
               </h3>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                {thresholds
+                {activeThresholds
                   .filter(threshold => getThresholdGroup(threshold.key) === 'voltage')
                   .map((threshold) => {
                     const isCritical = getThresholdCategory(threshold.key) === 'critical';
@@ -475,6 +1081,7 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
                       <div key={threshold.key} className={`${bgColor} border ${borderColor} rounded-lg p-4`}>
                         <label className={`block text-sm font-medium ${textColor} mb-2`}>
                           {getThresholdLabel(threshold.key)}
+                          {renderSourceBadge(threshold)}
                         </label>
                         <div className="flex items-center space-x-2">
                           <input
@@ -501,6 +1108,215 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
               </div>
             </div>
           )}
+
+          {/* Power Thresholds */}
+          {activeThresholds.some(t => getThresholdGroup(t.key) === 'power') && (
+            <div>
+              <h3 className="text-lg font-semibold text-purple-700 mb-3 flex items-center">
+                <div className="w-3 h-3 bg-purple-500 rounded-full mr-2"></div>
+                Umbrales de Potencia
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                {activeThresholds
+                  .filter(threshold => getThresholdGroup(threshold.key) === 'power')
+                  .map((threshold) => {
+                    const isCritical = getThresholdCategory(threshold.key) === 'critical';
+                    const bgColor = isCritical ? 'bg-red-50' : 'bg-yellow-50';
+                    const borderColor = isCritical ? 'border-red-200' : 'border-yellow-200';
+                    const textColor = isCritical ? 'text-red-800' : 'text-yellow-800';
+                    const inputColor = isCritical ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-yellow-300 focus:border-yellow-500 focus:ring-yellow-500';
+
+                    return (
+                      <div key={threshold.key} className={`${bgColor} border ${borderColor} rounded-lg p-4`}>
+                        <label className={`block text-sm font-medium ${textColor} mb-2`}>
+                          {getThresholdLabel(threshold.key)}
+                          {renderSourceBadge(threshold)}
+                        </label>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={tempValues[threshold.key] ?? ''}
+                            onChange={(e) => handleValueChange(threshold.key, e.target.value)}
+                            className={`flex-1 block w-full rounded-md shadow-sm text-sm ${inputColor}`}
+                            step="1"
+                            min="0"
+                            disabled={isReadOnly}
+                          />
+                          {threshold.unit && (
+                            <span className={`text-sm font-medium ${textColor}`}>
+                              {threshold.unit}
+                            </span>
+                          )}
+                        </div>
+                        {threshold.description && (
+                          <p className={`mt-1 text-xs ${textColor}`}>{threshold.description}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            </div>
+          )}
+
+          {/* Load Percentage Thresholds (% of the rated capacity) */}
+          {activeThresholds.some(t => getThresholdGroup(t.key) === 'load') && (
+            <div>
+              <h3 className="text-lg font-semibold text-indigo-700 mb-1 flex items-center">
+                <div className="w-3 h-3 bg-indigo-500 rounded-full mr-2"></div>
+                Umbrales de Carga
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Porcentaje del amperaje sobre la capacidad nominal del breaker. Solo se evalúa en PDUs con capacidad configurada.
+                La carga N+N suma todos los PDUs del rack: es la carga que soportaría un feed si cayera el otro.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {activeThresholds
+                  .filter(threshold => getThresholdGroup(threshold.key) === 'load')
+                  .map((threshold) => {
+                    const isCritical = getThresholdCategory(threshold.key) === 'critical';
+                    const bgColor = isCritical ? 'bg-red-50' : 'bg-yellow-50';
+                    const borderColor = isCritical ? 'border-red-200' : 'border-yellow-200';
+                    const textColor = isCritical ? 'text-red-800' : 'text-yellow-800';
+                    const inputColor = isCritical ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-yellow-300 focus:border-yellow-500 focus:ring-yellow-500';
+                    
+                    return (
+                      <div key={threshold.key} className={`${bgColor} border ${borderColor} rounded-lg p-4`}>
+                        <label className={`block text-sm font-medium ${textColor} mb-2`}>
+                          {getThresholdLabel(threshold.key)}
+                          {renderSourceBadge(threshold)}
+                        </label>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={tempValues[threshold.key] ?? ''}
+                            onChange={(e) => handleValueChange(threshold.key, e.target.value)}
+                            className={`flex-1 block w-full rounded-md shadow-sm text-sm ${inputColor}`}
+                            step="1"
+                            min="0"
+                            disabled={isReadOnly}
+                          />
+                          {threshold.unit && (
+                            <span className={`text-sm font-medium ${textColor}`}>
+                              {threshold.unit}
+                            </span>
+                          )}
+                        </div>
+                        {threshold.description && (
+                          <p className={`mt-1 text-xs ${textColor}`}>{threshold.description}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            </div>
+          )}
+
+          {/* Rate-of-change Thresholds */}
+          {activeThresholds.some(t => getThresholdGroup(t.key) === 'rate') && (
+            <div>
+              <h3 className="text-lg font-semibold text-orange-700 mb-1 flex items-center">
+                <div className="w-3 h-3 bg-orange-500 rounded-full mr-2"></div>
+                Tasa de Cambio
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Aumento máximo permitido respecto a la lectura más baja dentro de la ventana. Un valor de 0 desactiva el nivel.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {activeThresholds
+                  .filter(threshold => getThresholdGroup(threshold.key) === 'rate')
+                  .map((threshold) => {
+                    const isWindow = threshold.key.endsWith('_window_minutes');
+                    const isCritical = getThresholdCategory(threshold.key) === 'critical';
+                    const bgColor = isWindow ? 'bg-gray-50' : isCritical ? 'bg-red-50' : 'bg-yellow-50';
+                    const borderColor = isWindow ? 'border-gray-200' : isCritical ? 'border-red-200' : 'border-yellow-200';
+                    const textColor = isWindow ? 'text-gray-800' : isCritical ? 'text-red-800' : 'text-yellow-800';
+                    const inputColor = isWindow
+                      ? 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
+                      : isCritical ? 'border-red-300 focus:border-red-500 focus:ring-red-500' : 'border-yellow-300 focus:border-yellow-500 focus:ring-yellow-500';
+
+                    return (
+                      <div key={threshold.key} className={`${bgColor} border ${borderColor} rounded-lg p-4`}>
+                        <label className={`block text-sm font-medium ${textColor} mb-2`}>
+                          {getThresholdLabel(threshold.key)}
+                          {renderSourceBadge(threshold)}
+                        </label>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={tempValues[threshold.key] ?? ''}
+                            onChange={(e) => handleValueChange(threshold.key, e.target.value)}
+                            className={`flex-1 block w-full rounded-md shadow-sm text-sm ${inputColor}`}
+                            step={isWindow ? '1' : '0.1'}
+                            min="0"
+                            disabled={isReadOnly}
+                          />
+                          {threshold.unit && (
+                            <span className={`text-sm font-medium ${textColor}`}>
+                              {threshold.unit}
+                            </span>
+                          )}
+                        </div>
+                        {threshold.description && (
+                          <p className={`mt-1 text-xs ${textColor}`}>{threshold.description}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            </div>
+          )}
+
+          {/* Alert Debounce Settings */}
+          {activeThresholds.some(t => getThresholdGroup(t.key) === 'debounce') && (
+            <div>
+              <h3 className="text-lg font-semibold text-gray-700 mb-1 flex items-center">
+                <div className="w-3 h-3 bg-gray-500 rounded-full mr-2"></div>
+                Confirmación y Resolución de Alertas
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Ciclos consecutivos fuera de umbral para abrir una alerta, y margen que debe mantenerse durante los ciclos indicados para resolverla.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {DEBOUNCE_METRICS.map(({ metric, label }) => {
+                  const raiseKey = `alert_raise_cycles_${metric}`;
+                  const marginKey = `alert_clear_margin_${metric}`;
+                  const clearKey = `alert_clear_cycles_${metric}`;
+                  const marginThreshold = activeThresholds.find(t => t.key === marginKey);
+
+                  if (![raiseKey, marginKey, clearKey].some(key => activeThresholds.some(t => t.key === key))) return null;
+
+                  return (
+                    <div key={metric} className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-2">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-semibold text-gray-800">{label}</span>
+                      </div>
+                      {[
+                        { key: raiseKey, text: 'Ciclos para abrir', unit: 'ciclos', step: '1' },
+                        { key: marginKey, text: 'Margen de resolución', unit: marginThreshold?.unit || '', step: '0.1' },
+                        { key: clearKey, text: 'Ciclos para resolver', unit: 'ciclos', step: '1' }
+                      ].map(field => (
+                        <div key={field.key}>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">{field.text}</label>
+                          <div className="flex items-center space-x-2">
+                            <input
+                              type="number"
+                              value={tempValues[field.key] ?? ''}
+                              onChange={(e) => handleValueChange(field.key, e.target.value)}
+                              className="flex-1 block w-full rounded-md shadow-sm text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                              step={field.step}
+                              min="0"
+                              disabled={isReadOnly}
+                            />
+                            {field.unit && <span className="text-xs font-medium text-gray-600">{field.unit}</span>}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -511,6 +1327,22 @@ export default function ThresholdManager({ thresholds, onSaveSuccess, onClose }:
           </p>
         </div>
       )}
+
+      {isScopeComplete && (
+        <ThresholdHistoryPanel
+          query={scopeType === 'global' ? { scopeType } : { scopeType, ...getScopeParams() }}
+          getThresholdLabel={getThresholdLabel}
+          canRollback={!isReadOnly}
+          refreshKey={historyRefreshKey}
+          onRollback={handleRollback}
+        />
+      )}
+
+      <ImportRackThresholdsModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImportComplete={handleImportComplete}
+      />
         </>
       )}
     </div>
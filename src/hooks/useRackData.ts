@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { RackData } from '../types';
+import { RackData, AlertAcknowledgement, AlertSilence, CorrelatedIncident, FlappingInfo } from '../types';
 import { groupRacksByCountry, filterRacks } from '../utils/dataProcessing';
 
 interface UseRackDataOptions {
@@ -35,6 +35,7 @@ interface UseRackDataReturn {
   availableDcs: string[];
   availableGateways: string[];
   activeMetricFilter: string;
+  activeAckFilter: 'all' | 'acknowledged' | 'unacknowledged';
   toggleCountryExpansion: (country: string) => void;
   toggleSiteExpansion: (site: string) => void;
   toggleDcExpansion: (dc: string) => void;
@@ -45,6 +46,7 @@ interface UseRackDataReturn {
   setActiveDcFilter: (dc: string) => void;
   setActiveGwFilter: (gwKey: string) => void;
   setActiveMetricFilter: (metric: string) => void;
+  setActiveAckFilter: (filter: 'all' | 'acknowledged' | 'unacknowledged') => void;
   refreshData: () => void;
   searchQuery: string;
   setSearchQuery: (query: string) => void;
@@ -73,6 +75,7 @@ export function useRackData(options: UseRackDataOptions = {}): UseRackDataReturn
   const [searchQuery, setSearchQuery] = useState<string>('');
   const [searchField, setSearchField] = useState<string>('all');
   const [activeMetricFilter, setActiveMetricFilter] = useState<string>('all');
+  const [activeAckFilter, setActiveAckFilter] = useState<'all' | 'acknowledged' | 'unacknowledged'>('all');
 
   const fetchRacks = async () => {
     try {
@@ -109,6 +112,10 @@ export function useRackData(options: UseRackDataOptions = {}): UseRackDataReturn
       setSonarErrors(currentSonarErrors);
 
       const sonarSentRacks = new Set<string>(data.sonarSentRacks || []);
+      const acknowledgedRacks: { [rackId: string]: AlertAcknowledgement } = data.acknowledgedRacks || {};
+      const silencedRacks: { [rackId: string]: AlertSilence[] } = data.silencedRacks || {};
+      const correlatedRacks: { [rackId: string]: CorrelatedIncident } = data.correlatedRacks || {};
+      const flappingRacks: { [rackId: string]: FlappingInfo } = data.flappingRacks || {};
 
       const rackGroups = Array.isArray(data.data) ? data.data : [];
       setOriginalRackGroups(rackGroups);
@@ -125,6 +132,18 @@ export function useRackData(options: UseRackDataOptions = {}): UseRackDataReturn
               if (rackId && sonarSentRacks.has(rackId)) {
                 rack.sonarSent = true;
               }
+              if (rackId && acknowledgedRacks[rackId]) {
+                rack.acknowledgement = acknowledgedRacks[rackId];
+              }
+              if (rackId && silencedRacks[rackId]) {
+                rack.silences = silencedRacks[rackId];
+              }
+              if (rackId && correlatedRacks[rackId]) {
+                rack.correlatedIncident = correlatedRacks[rackId];
+              }
+              if (rackId && flappingRacks[rackId]) {
+                rack.flapping = flappingRacks[rackId];
+              }
             });
             flatRacks.push(...rackGroup);
           }
@@ -369,7 +388,8 @@ export function useRackData(options: UseRackDataOptions = {}): UseRackDataReturn
     searchField,
     activeMetricFilter,
     forceShowAllRacks,
-    maintenanceRacks
+    maintenanceRacks,
+    activeAckFilter
   );
   const groupedRacks = groupRacksByCountry(filteredRacks);
 
@@ -405,6 +425,8 @@ export function useRackData(options: UseRackDataOptions = {}): UseRackDataReturn
     setActiveGwFilter: handleGwFilterChange,
     activeMetricFilter,
     setActiveMetricFilter,
+    activeAckFilter,
+    setActiveAckFilter,
     searchQuery,
     setSearchQuery,
     searchField,
@@ -60,12 +60,13 @@ export function useThresholds(options: UseThresholdsOptions = {}): UseThresholds
         setRackSpecificThresholds(data.data.rackSpecific || []);
         setGlobalThresholds(data.data.global || []);
         
-        // Create merged thresholds with rack-specific overrides taking precedence
-        const mergedThresholds = [...data.data.global];
+        // Create merged thresholds with rack-specific overrides taking precedence over the
+        // values inherited from global/site/DC/chain
+        const mergedThresholds: ThresholdData[] = [...(data.data.inherited || data.data.global)];
         data.data.rackSpecific.forEach((rackThreshold: ThresholdData) => {
           const index = mergedThresholds.findIndex(t => t.key === rackThreshold.key);
           if (index >= 0) {
-            mergedThresholds[index] = rackThreshold;
+            mergedThresholds[index] = { ...rackThreshold, source: 'rack' };
           } else {
             mergedThresholds.push(rackThreshold);
           }
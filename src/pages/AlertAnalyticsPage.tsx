@@ -0,0 +1,372 @@
+import { useState, useEffect } from 'react';
+import { BarChart3, RefreshCw, AlertCircle, Search, Clock, Activity, Server, Bell } from 'lucide-react';
+import { AlertAnalytics, AlertAnalyticsGroup, AlertAnalyticsGroupBy } from '../types';
+
+interface AlertAnalyticsPageProps {
+  availableSites: string[];
+  availableDcs: string[];
+}
+
+interface AnalyticsFilters {
+  site: string;
+  dc: string;
+  severity: string;
+  from: string;
+  to: string;
+  groupBy: AlertAnalyticsGroupBy;
+}
+
+const METRIC_LABELS: Record<string, string> = {
+  amperage: 'Amperaje',
+  temperature: 'Temperatura',
+  humidity: 'Humedad',
+  dewpoint: 'Punto de rocío',
+  voltage: 'Voltaje',
+  power: 'Potencia',
+  load: 'Carga',
+  redundancy: 'Redundancia A/B',
+  composite: 'Regla compuesta'
+};
+
+const GROUP_BY_OPTIONS: { value: AlertAnalyticsGroupBy; label: string }[] = [
+  { value: 'site', label: 'Por sitio' },
+  { value: 'dc', label: 'Por DC' },
+  { value: 'chain', label: 'Por chain' },
+  { value: 'month', label: 'Por mes' }
+];
+
+const toDateInput = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const defaultFilters = (): AnalyticsFilters => {
+  const from = new Date();
+  from.setDate(from.getDate() - 30);
+  return { site: '', dc: '', severity: '', from: toDateInput(from), to: toDateInput(new Date()), groupBy: 'site' };
+};
+
+const formatDuration = (minutes: number | null) => {
+  if (minutes === null) return '-';
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded} min`;
+  const hours = Math.floor(rounded / 60);
+  if (hours < 24) return `${hours}h ${rounded % 60}min`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const formatGroupLabel = (group: AlertAnalyticsGroup, groupBy: AlertAnalyticsGroupBy) => {
+  if (groupBy === 'month') return group.month || '-';
+  return [group.site, group.dc, group.chain].filter(value => value !== null).map(value => value || '-').join(' · ');
+};
+
+const buildQueryParams = (filters: AnalyticsFilters) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    // Date inputs are sent as plain YYYY-MM-DD days; the server includes the whole 'to' day
+    params.set(key, value);
+  });
+  return params;
+};
+
+export default function AlertAnalyticsPage({ availableSites, availableDcs }: AlertAnalyticsPageProps) {
+  const [draftFilters, setDraftFilters] = useState<AnalyticsFilters>(defaultFilters);
+  const [filters, setFilters] = useState<AnalyticsFilters>(draftFilters);
+  const [analytics, setAnalytics] = useState<AlertAnalytics | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await fetch(`/api/alerts/analytics?${buildQueryParams(filters).toString()}`, {
+          credentials: 'include',
+          cache: 'no-store'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || 'Error al cargar el análisis de alertas');
+        }
+
+        setAnalytics(result.data);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error al cargar el análisis de alertas');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAnalytics();
+  }, [filters, reloadKey]);
+
+  const applyFilters = () => setFilters(draftFilters);
+
+  const summary = analytics?.summary;
+  const maxMetricCount = Math.max(1, ...(analytics?.byMetric || []).map(metric => metric.alertCount));
+  const groupByLabel = GROUP_BY_OPTIONS.find(option => option.value === filters.groupBy)?.label;
+
+  const summaryCards = [
+    { label: 'Alertas', value: summary ? String(summary.alertCount) : '-', icon: Bell, color: 'text-blue-600' },
+    { label: 'Racks afectados', value: summary ? String(summary.rackCount) : '-', icon: Server, color: 'text-gray-600' },
+    { label: 'Sin resolver', value: summary ? String(summary.openCount) : '-', icon: AlertCircle, color: 'text-red-600' },
+    { label: 'MTTR (tiempo medio de resolución)', value: formatDuration(summary?.mttrMinutes ?? null), icon: Clock, color: 'text-amber-600' },
+    { label: 'MTBF (tiempo medio entre alertas)', value: formatDuration(summary?.mtbfMinutes ?? null), icon: Activity, color: 'text-green-600' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <BarChart3 className="h-6 w-6 text-blue-600 mr-3" />
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">Análisis de Alertas</h2>
+              <p className="text-sm text-gray-600">
+                MTTR, MTBF y frecuencia de alertas del histórico
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={() => setReloadKey(key => key + 1)}
+            disabled={loading}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+            Actualizar
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3">
+          <select
+            value={draftFilters.site}
+            onChange={(e) => setDraftFilters({ ...draftFilters, site: e.target.value })}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            <option value="">Todos los sitios</option>
+            {availableSites.map(site => (
+              <option key={site} value={site}>{site}</option>
+            ))}
+          </select>
+          <select
+            value={draftFilters.dc}
+            onChange={(e) => setDraftFilters({ ...draftFilters, dc: e.target.value })}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            <option value="">Todos los DC</option>
+            {availableDcs.map(dc => (
+              <option key={dc} value={dc}>{dc}</option>
+            ))}
+          </select>
+          <select
+            value={draftFilters.severity}
+            onChange={(e) => setDraftFilters({ ...draftFilters, severity: e.target.value })}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            <option value="">Toda severidad</option>
+            <option value="critical">Críticas</option>
+            <option value="warning">Advertencias</option>
+          </select>
+          <input
+            type="date"
+            value={draftFilters.from}
+            onChange={(e) => setDraftFilters({ ...draftFilters, from: e.target.value })}
+            title="Desde"
+            className="rounded-md border-gray-300 text-sm"
+          />
+          <input
+            type="date"
+            value={draftFilters.to}
+            onChange={(e) => setDraftFilters({ ...draftFilters, to: e.target.value })}
+            title="Hasta"
+            className="rounded-md border-gray-300 text-sm"
+          />
+          <select
+            value={draftFilters.groupBy}
+            onChange={(e) => setDraftFilters({ ...draftFilters, groupBy: e.target.value as AlertAnalyticsGroupBy })}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            {GROUP_BY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex items-center justify-end mt-3">
+          <button
+            onClick={applyFilters}
+            className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <Search className="h-4 w-4 mr-1" />
+            Aplicar
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700 flex items-center">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+        {summaryCards.map(card => (
+          <div key={card.label} className="bg-white rounded-lg shadow p-4">
+            <div className="flex items-center text-sm text-gray-600 mb-1">
+              <card.icon className={`h-4 w-4 mr-2 ${card.color}`} />
+              {card.label}
+            </div>
+            <p className="text-2xl font-bold text-gray-900">{loading ? '...' : card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {analytics && (
+        <>
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">{groupByLabel}</h3>
+            {analytics.groups.length === 0 ? (
+              <p className="text-sm text-gray-600 text-center py-4">No hay alertas en el periodo seleccionado.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left font-medium text-gray-600">
+                        {filters.groupBy === 'month' ? 'Mes' : 'Ubicación'}
+                      </th>
+                      <th className="px-4 py-2 text-right font-medium text-gray-600">Alertas</th>
+                      <th className="px-4 py-2 text-right font-medium text-gray-600">Racks</th>
+                      <th className="px-4 py-2 text-right font-medium text-gray-600">Sin resolver</th>
+                      <th className="px-4 py-2 text-right font-medium text-gray-600">MTTR</th>
+                      <th className="px-4 py-2 text-right font-medium text-gray-600">MTBF</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {analytics.groups.map(group => {
+                      const label = formatGroupLabel(group, filters.groupBy);
+                      return (
+                        <tr key={label}>
+                          <td className="px-4 py-2 font-medium text-gray-900">{label}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{group.alertCount}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{group.rackCount}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{group.openCount}</td>
+                          <td className="px-4 py-2 text-right text-gray-700 whitespace-nowrap">{formatDuration(group.mttrMinutes)}</td>
+                          <td className="px-4 py-2 text-right text-gray-700 whitespace-nowrap">{formatDuration(group.mtbfMinutes)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Alertas por métrica</h3>
+            {analytics.byMetric.length === 0 ? (
+              <p className="text-sm text-gray-600 text-center py-4">No hay alertas en el periodo seleccionado.</p>
+            ) : (
+              <div className="space-y-2">
+                {analytics.byMetric.map(metric => (
+                  <div key={metric.metricType} className="flex items-center gap-3 text-sm">
+                    <span className="w-36 text-gray-700 truncate">{METRIC_LABELS[metric.metricType] || metric.metricType}</span>
+                    <div className="flex-1 bg-gray-100 rounded h-5 overflow-hidden flex">
+                      <div
+                        className="bg-red-500 h-full"
+                        style={{ width: `${(metric.criticalCount / maxMetricCount) * 100}%` }}
+                        title={`${metric.criticalCount} críticas`}
+                      />
+                      <div
+                        className="bg-amber-400 h-full"
+                        style={{ width: `${((metric.alertCount - metric.criticalCount) / maxMetricCount) * 100}%` }}
+                        title={`${metric.alertCount - metric.criticalCount} advertencias`}
+                      />
+                    </div>
+                    <span className="w-16 text-right font-medium text-gray-900">{metric.alertCount}</span>
+                    <span className="w-24 text-right text-gray-600 whitespace-nowrap" title="MTTR">{formatDuration(metric.mttrMinutes)}</span>
+                  </div>
+                ))}
+                <div className="flex items-center gap-4 pt-2 text-xs text-gray-600">
+                  <span className="flex items-center"><span className="inline-block w-3 h-3 bg-red-500 rounded mr-1" />Críticas</span>
+                  <span className="flex items-center"><span className="inline-block w-3 h-3 bg-amber-400 rounded mr-1" />Advertencias</span>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-3">Racks con más alertas</h3>
+              {analytics.topRacks.length === 0 ? (
+                <p className="text-sm text-gray-600 text-center py-4">Sin datos.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Rack</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Sitio / DC</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">Alertas</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">MTTR</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">Tiempo total</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {analytics.topRacks.map(rack => (
+                        <tr key={rack.rackId}>
+                          <td className="px-4 py-2 font-medium text-gray-900">{rack.name || rack.rackId}</td>
+                          <td className="px-4 py-2 text-gray-700">{rack.site} · {rack.dc}{rack.chain ? ` · ${rack.chain}` : ''}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{rack.alertCount}</td>
+                          <td className="px-4 py-2 text-right text-gray-700 whitespace-nowrap">{formatDuration(rack.mttrMinutes)}</td>
+                          <td className="px-4 py-2 text-right text-gray-700 whitespace-nowrap">{formatDuration(rack.totalMinutes)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-3">Chains con más alertas</h3>
+              {analytics.topChains.length === 0 ? (
+                <p className="text-sm text-gray-600 text-center py-4">Sin datos.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Chain</th>
+                        <th className="px-4 py-2 text-left font-medium text-gray-600">Sitio / DC</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">Alertas</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">Racks</th>
+                        <th className="px-4 py-2 text-right font-medium text-gray-600">MTTR</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {analytics.topChains.map(chain => (
+                        <tr key={`${chain.site}|${chain.dc}|${chain.chain}`}>
+                          <td className="px-4 py-2 font-medium text-gray-900">{chain.chain}</td>
+                          <td className="px-4 py-2 text-gray-700">{chain.site} · {chain.dc}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{chain.alertCount}</td>
+                          <td className="px-4 py-2 text-right text-gray-700">{chain.rackCount}</td>
+                          <td className="px-4 py-2 text-right text-gray-700 whitespace-nowrap">{formatDuration(chain.mttrMinutes)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
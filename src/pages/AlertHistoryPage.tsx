@@ -0,0 +1,490 @@
+import { useState, useEffect, Fragment } from 'react';
+import { History, Download, Search, RefreshCw, AlertCircle, ChevronUp, ChevronDown, ChevronLeft, ChevronRight, X, BellRing } from 'lucide-react';
+import { AlertHistoryEntry, AlertHistoryPagination, AlertEscalationStep } from '../types';
+import FlappingRacksPanel from '../components/FlappingRacksPanel';
+
+interface AlertHistoryPageProps {
+  availableSites: string[];
+  availableDcs: string[];
+}
+
+interface HistoryFilters {
+  site: string;
+  dc: string;
+  rack: string;
+  metric: string;
+  severity: string;
+  from: string;
+  to: string;
+  resolutionType: string;
+}
+
+type SortField = 'createdAt' | 'resolvedAt' | 'durationMinutes' | 'name' | 'site' | 'dc' | 'metricType' | 'alertReason';
+
+const EMPTY_FILTERS: HistoryFilters = {
+  site: '',
+  dc: '',
+  rack: '',
+  metric: '',
+  severity: '',
+  from: '',
+  to: '',
+  resolutionType: ''
+};
+
+const METRIC_OPTIONS = [
+  { value: 'amperage', label: 'Amperaje' },
+  { value: 'temperature', label: 'Temperatura' },
+  { value: 'humidity', label: 'Humedad' },
+  { value: 'dewpoint', label: 'Punto de rocío' },
+  { value: 'voltage', label: 'Voltaje' },
+  { value: 'power', label: 'Potencia' },
+  { value: 'load', label: 'Carga' },
+  { value: 'redundancy', label: 'Redundancia A/B' },
+  { value: 'composite', label: 'Regla compuesta' }
+];
+
+const PAGE_SIZE_OPTIONS = [25, 50, 100, 200];
+
+const formatDateTime = (value: string | null) =>
+  value ? new Date(value).toLocaleString('es-ES') : '-';
+
+const formatDuration = (minutes: number | null) => {
+  if (minutes === null) return '-';
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}min`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const buildQueryParams = (filters: HistoryFilters, sortBy: SortField, sortDir: 'asc' | 'desc') => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    // Date inputs are sent as plain YYYY-MM-DD days; the server includes the whole 'to' day
+    params.set(key, value);
+  });
+  params.set('sortBy', sortBy);
+  params.set('sortDir', sortDir);
+  return params;
+};
+
+export default function AlertHistoryPage({ availableSites, availableDcs }: AlertHistoryPageProps) {
+  const [draftFilters, setDraftFilters] = useState<HistoryFilters>(EMPTY_FILTERS);
+  const [filters, setFilters] = useState<HistoryFilters>(EMPTY_FILTERS);
+  const [sortBy, setSortBy] = useState<SortField>('createdAt');
+  const [sortDir, setSortDir] = useState<'asc' | 'desc'>('desc');
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(50);
+  const [entries, setEntries] = useState<AlertHistoryEntry[]>([]);
+  const [pagination, setPagination] = useState<AlertHistoryPagination | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [expandedEscalationId, setExpandedEscalationId] = useState<number | null>(null);
+  const [escalationSteps, setEscalationSteps] = useState<AlertEscalationStep[]>([]);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const params = buildQueryParams(filters, sortBy, sortDir);
+        params.set('page', String(page));
+        params.set('pageSize', String(pageSize));
+
+        const response = await fetch(`/api/alerts/history?${params.toString()}`, {
+          credentials: 'include',
+          cache: 'no-store'
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || 'Error al cargar el histórico de alertas');
+        }
+
+        setEntries(result.data);
+        setPagination(result.pagination);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Error al cargar el histórico de alertas');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [filters, sortBy, sortDir, page, pageSize, reloadKey]);
+
+  const applyFilters = () => {
+    setPage(1);
+    setFilters(draftFilters);
+  };
+
+  const clearFilters = () => {
+    setPage(1);
+    setDraftFilters(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const handleSort = (field: SortField) => {
+    setPage(1);
+    if (sortBy === field) {
+      setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(field);
+      setSortDir(field === 'createdAt' || field === 'resolvedAt' || field === 'durationMinutes' ? 'desc' : 'asc');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await fetch(`/api/alerts/history/export?${buildQueryParams(filters, sortBy, sortDir).toString()}`, {
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        throw new Error('Error al exportar el histórico de alertas');
+      }
+
+      const contentDisposition = response.headers.get('Content-Disposition');
+      const filenameMatch = contentDisposition?.match(/filename="(.+)"/);
+      const filename = filenameMatch ? filenameMatch[1] : 'historico_alertas.xlsx';
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al exportar el histórico de alertas');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const toggleEscalationSteps = async (entryId: number) => {
+    if (expandedEscalationId === entryId) {
+      setExpandedEscalationId(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/alerts/history/${entryId}/escalations`, {
+        credentials: 'include'
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Error al cargar los pasos de escalado');
+      }
+
+      setEscalationSteps(result.data);
+      setExpandedEscalationId(entryId);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error al cargar los pasos de escalado');
+    }
+  };
+
+  const renderSortableHeader = (field: SortField, label: string) => (
+    <th
+      onClick={() => handleSort(field)}
+      className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-700"
+    >
+      <span className="inline-flex items-center gap-1">
+        {label}
+        {sortBy === field && (sortDir === 'asc' ? <ChevronUp className="h-3 w-3" /> : <ChevronDown className="h-3 w-3" />)}
+      </span>
+    </th>
+  );
+
+  const hasActiveFilters = Object.values(filters).some(value => value !== '');
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <History className="h-6 w-6 text-blue-600 mr-3" />
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">Histórico de Alertas</h2>
+              <p className="text-sm text-gray-600">
+                {pagination ? `${pagination.total} alertas encontradas` : 'Alertas registradas y resueltas'}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setReloadKey(key => key + 1)}
+              disabled={loading}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+              Actualizar
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={exporting || !pagination || pagination.total === 0}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Download className={`h-4 w-4 mr-2 ${exporting ? 'animate-bounce' : ''}`} />
+              {exporting ? 'Exportando...' : 'Exportar Excel'}
+            </button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="grid grid-cols-1 md:grid-cols-4 lg:grid-cols-8 gap-3">
+          <select
+            value={draftFilters.site}
+            onChange={(e) => setDraftFilters({ ...draftFilters, site: e.target.value })}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            <option value="">Todos los sitios</option>
+            {availableSites.map(site => (
+              <option key={site} value={site}>{site}</option>
+            ))}
+          </select>
+          <select
+            value={draftFilters.dc}
+            onChange={(e) => setDraftFilters({ ...draftFilters, dc: e.target.value })}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            <option value="">Todos los DC</option>
+            {availableDcs.map(dc => (
+              <option key={dc} value={dc}>{dc}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={draftFilters.rack}
+            onChange={(e) => setDraftFilters({ ...draftFilters, rack: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && applyFilters()}
+            placeholder="Rack (ID o nombre)"
+            className="rounded-md border-gray-300 text-sm"
+          />
+          <select
+            value={draftFilters.metric}
+            onChange={(e) => setDraftFilters({ ...draftFilters, metric: e.target.value })}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            <option value="">Todas las métricas</option>
+            {METRIC_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={draftFilters.severity}
+            onChange={(e) => setDraftFilters({ ...draftFilters, severity: e.target.value })}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            <option value="">Toda severidad</option>
+            <option value="critical">Críticas</option>
+            <option value="warning">Advertencias</option>
+          </select>
+          <input
+            type="date"
+            value={draftFilters.from}
+            onChange={(e) => setDraftFilters({ ...draftFilters, from: e.target.value })}
+            title="Desde"
+            className="rounded-md border-gray-300 text-sm"
+          />
+          <input
+            type="date"
+            value={draftFilters.to}
+            onChange={(e) => setDraftFilters({ ...draftFilters, to: e.target.value })}
+            title="Hasta"
+            className="rounded-md border-gray-300 text-sm"
+          />
+          <select
+            value={draftFilters.resolutionType}
+            onChange={(e) => setDraftFilters({ ...draftFilters, resolutionType: e.target.value })}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            <option value="">Cualquier resolución</option>
+            <option value="open">Activas (sin resolver)</option>
+            <option value="auto">Resueltas automáticamente</option>
+            <option value="escalated">Escaladas a crítica</option>
+          </select>
+        </div>
+
+        <div className="flex items-center justify-end gap-2 mt-3">
+          {hasActiveFilters && (
+            <button
+              onClick={clearFilters}
+              className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-gray-600 hover:text-gray-900"
+            >
+              <X className="h-4 w-4 mr-1" />
+              Limpiar filtros
+            </button>
+          )}
+          <button
+            onClick={applyFilters}
+            className="inline-flex items-center px-4 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+          >
+            <Search className="h-4 w-4 mr-2" />
+            Buscar
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
+          <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {renderSortableHeader('createdAt', 'Inicio')}
+                {renderSortableHeader('resolvedAt', 'Resolución')}
+                {renderSortableHeader('durationMinutes', 'Duración')}
+                {renderSortableHeader('name', 'Rack')}
+                {renderSortableHeader('site', 'Sitio')}
+                {renderSortableHeader('dc', 'DC')}
+                {renderSortableHeader('metricType', 'Métrica')}
+                {renderSortableHeader('alertReason', 'Razón')}
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Valor / Umbral</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Resuelta por</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading && entries.length === 0 ? (
+                <tr>
+                  <td colSpan={10} className="px-3 py-8 text-center text-sm text-gray-500">Cargando histórico...</td>
+                </tr>
+              ) : entries.length === 0 ? (
+                <tr>
+                  <td colSpan={10} className="px-3 py-8 text-center text-sm text-gray-500">
+                    No hay alertas que coincidan con los filtros
+                  </td>
+                </tr>
+              ) : (
+                entries.map(entry => (
+                  <Fragment key={entry.id}>
+                    <tr className={`hover:bg-gray-50 ${loading ? 'opacity-50' : ''}`}>
+                      <td className="px-3 py-2 text-sm text-gray-900 whitespace-nowrap">{formatDateTime(entry.createdAt)}</td>
+                      <td className="px-3 py-2 text-sm whitespace-nowrap">
+                        {entry.resolvedAt ? (
+                          <>
+                            <span className="text-gray-900">{formatDateTime(entry.resolvedAt)}</span>
+                            {entry.resolutionType === 'escalated' && (
+                              <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-orange-100 text-orange-800">Escalada</span>
+                            )}
+                          </>
+                        ) : (
+                          <span className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800">Activa</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap">{formatDuration(entry.durationMinutes)}</td>
+                      <td className="px-3 py-2 text-sm text-gray-900">
+                        <div className="font-medium">{entry.name || entry.rackId}</div>
+                        <div className="text-xs text-gray-500">{entry.rackId}</div>
+                      </td>
+                      <td className="px-3 py-2 text-sm text-gray-700">{entry.site || '-'}</td>
+                      <td className="px-3 py-2 text-sm text-gray-700">{entry.dc || '-'}</td>
+                      <td className="px-3 py-2 text-sm text-gray-700">
+                        {METRIC_OPTIONS.find(option => option.value === entry.metricType)?.label || entry.metricType}
+                      </td>
+                      <td className="px-3 py-2 text-sm">
+                        <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${
+                          entry.severity === 'critical' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {entry.alertReason}
+                        </span>
+                        {entry.escalationLevel > 0 && (
+                          <button
+                            onClick={() => toggleEscalationSteps(entry.id)}
+                            className="ml-2 inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full bg-purple-100 text-purple-800 hover:bg-purple-200"
+                            title="Ver pasos de escalado"
+                          >
+                            <BellRing className="h-3 w-3 mr-1" />
+                            N{entry.escalationLevel}
+                          </button>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap">
+                        {entry.alertValue !== null ? entry.alertValue : '-'}
+                        {entry.thresholdExceeded !== null && <span className="text-gray-500"> / {entry.thresholdExceeded}</span>}
+                      </td>
+                      <td className="px-3 py-2 text-sm text-gray-700">{entry.resolvedBy || '-'}</td>
+                    </tr>
+                    {expandedEscalationId === entry.id && (
+                      <tr className="bg-purple-50">
+                        <td colSpan={10} className="px-6 py-2">
+                          <ul className="space-y-1 text-xs text-purple-900">
+                            {escalationSteps.map(step => (
+                              <li key={`${step.level}-${step.escalatedAt}`}>
+                                {formatDateTime(step.escalatedAt)} · Nivel {step.level} ({step.minutesOpen ?? step.delayMinutes} min sin reconocer) → {step.notifyTarget}
+                                {step.notifyContact && ` (${step.notifyContact})`}
+                                {step.sonarNotified ? ' · notificado en SONAR' : ''}
+                              </li>
+                            ))}
+                          </ul>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        {pagination && pagination.total > 0 && (
+          <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200 bg-gray-50">
+            <div className="flex items-center gap-2 text-sm text-gray-700">
+              <span>Filas por página:</span>
+              <select
+                value={pageSize}
+                onChange={(e) => {
+                  setPage(1);
+                  setPageSize(parseInt(e.target.value));
+                }}
+                className="rounded-md border-gray-300 text-sm py-1"
+              >
+                {PAGE_SIZE_OPTIONS.map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+              <span>
+                {(pagination.page - 1) * pagination.pageSize + 1}-{Math.min(pagination.page * pagination.pageSize, pagination.total)} de {pagination.total}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={loading || page <= 1}
+                className="p-1.5 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <span className="text-sm text-gray-700">
+                Página {pagination.page} de {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={loading || page >= pagination.totalPages}
+                className="p-1.5 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <FlappingRacksPanel />
+    </div>
+  );
+}
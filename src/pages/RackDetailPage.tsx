@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Server, RefreshCw, AlertTriangle, Wrench } from 'lucide-react';
+import MetricChart, { MetricThresholdBands } from '../components/MetricChart';
+import { useThresholds } from '../hooks/useThresholds';
+import { getThresholdValue } from '../utils/thresholdUtils';
+import { RackData, RackHistoryData, RackEventsData, TelemetryMetric, ThresholdData } from '../types';
+
+interface RackDetailPageProps {
+  rackGroups: RackData[][];
+  maintenanceRacks: Set<string>;
+}
+
+const RANGE_OPTIONS = [
+  { key: '6h', label: '6 horas', hours: 6 },
+  { key: '24h', label: '24 horas', hours: 24 },
+  { key: '7d', label: '7 días', hours: 24 * 7 },
+  { key: '30d', label: '30 días', hours: 24 * 30 }
+];
+
+const METRIC_CHARTS: { metric: TelemetryMetric; title: string; unit: string; alertMetric: string }[] = [
+  { metric: 'current', title: 'Amperaje', unit: 'A', alertMetric: 'amperage' },
+  { metric: 'voltage', title: 'Voltaje', unit: 'V', alertMetric: 'voltage' },
+  { metric: 'temperature', title: 'Temperatura (sensor)', unit: '°C', alertMetric: 'temperature' },
+  { metric: 'humidity', title: 'Humedad (sensor)', unit: '%', alertMetric: 'humidity' }
+];
+
+// Amperage thresholds depend on the phase type of the rack
+const getPhaseSuffix = (phase?: string): string => {
+  const normalizedPhase = (phase || '').toLowerCase().replace(/[^a-z0-9]/g, '_');
+  const is3Phase = normalizedPhase === '3_phase' || normalizedPhase === '3phase' || normalizedPhase === 'three_phase' || normalizedPhase === 'trifasico';
+  return is3Phase ? '3_phase' : 'single_phase';
+};
+
+const getMetricBands = (thresholds: ThresholdData[], metric: TelemetryMetric, phase?: string): MetricThresholdBands => {
+  const base = metric === 'current' ? 'amperage' : metric;
+  const suffix = metric === 'current' ? `_${getPhaseSuffix(phase)}` : '';
+  return {
+    criticalLow: getThresholdValue(thresholds, `critical_${base}_low${suffix}`),
+    criticalHigh: getThresholdValue(thresholds, `critical_${base}_high${suffix}`),
+    warningLow: getThresholdValue(thresholds, `warning_${base}_low${suffix}`),
+    warningHigh: getThresholdValue(thresholds, `warning_${base}_high${suffix}`)
+  };
+};
+
+export default function RackDetailPage({ rackGroups, maintenanceRacks }: RackDetailPageProps) {
+  const { rackId = '' } = useParams<{ rackId: string }>();
+  const [rangeKey, setRangeKey] = useState('24h');
+  const [history, setHistory] = useState<RackHistoryData | null>(null);
+  const [events, setEvents] = useState<RackEventsData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [range, setRange] = useState<{ from: number; to: number }>(() => {
+    const to = Date.now();
+    return { from: to - 24 * 3600000, to };
+  });
+
+  const { thresholds, rackSpecificThresholds } = useThresholds({ rackId });
+
+  const rackPdus = rackGroups.find(group => (group[0]?.rackId || group[0]?.id) === rackId) || [];
+  const rackInfo = rackPdus[0];
+  const isInMaintenance = maintenanceRacks.has(rackId) || (rackInfo?.name ? maintenanceRacks.has(rackInfo.name) : false);
+
+  // Reload history and events whenever the rack, the range or the refresh button changes
+  useEffect(() => {
+    const fetchRackHistory = async () => {
+      const option = RANGE_OPTIONS.find(o => o.key === rangeKey) || RANGE_OPTIONS[1];
+      const to = Date.now();
+      const from = to - option.hours * 3600000;
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        const params = new URLSearchParams({
+          from: new Date(from).toISOString(),
+          to: new Date(to).toISOString()
+        });
+        const fetchOptions = {
+          credentials: 'include' as RequestCredentials,
+          cache: 'no-store' as RequestCache
+        };
+
+        const [historyResponse, eventsResponse] = await Promise.all([
+          fetch(`/api/racks/${encodeURIComponent(rackId)}/history?${params}`, fetchOptions),
+          fetch(`/api/racks/${encodeURIComponent(rackId)}/events?${params}`, fetchOptions)
+        ]);
+
+        const historyResult = await historyResponse.json();
+        const eventsResult = await eventsResponse.json();
+
+        if (!historyResponse.ok || !historyResult.success) {
+          throw new Error(historyResult.message || 'Error al cargar el histórico del rack');
+        }
+        if (!eventsResponse.ok || !eventsResult.success) {
+          throw new Error(eventsResult.message || 'Error al cargar los eventos del rack');
+        }
+
+        setHistory(historyResult.data);
+        setEvents(eventsResult.data);
+        setRange({ from, to });
+      } catch (err) {
+        console.error('Error fetching rack history:', err);
+        setError(err instanceof Error ? err.message : 'Error al cargar el histórico del rack');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (rackId) {
+      fetchRackHistory();
+    }
+  }, [rackId, rangeKey, refreshKey]);
+
+  const resolutionLabels: Record<string, string> = {
+    raw: 'Lecturas originales',
+    '5min': 'Promedio cada 5 minutos',
+    hourly: 'Promedio horario'
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="bg-white shadow-md border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <Link to="/" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-3">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Volver al monitoreo
+          </Link>
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+                <Server className="h-6 w-6 text-gray-600" />
+                {rackInfo?.name || rackId}
+                {isInMaintenance && (
+                  <span className="text-xs text-slate-600 bg-slate-100 px-2 py-1 rounded flex items-center gap-1">
+                    <Wrench className="w-3 h-3" />
+                    Mantenimiento
+                  </span>
+                )}
+              </h1>
+              <p className="text-sm text-gray-600 mt-1">
+                {rackInfo ? `${rackInfo.site} · ${rackInfo.dc}${rackInfo.chain ? ` · Chain ${rackInfo.chain}` : ''} · ${rackPdus.length} PDU${rackPdus.length !== 1 ? 's' : ''}` : `Rack ID: ${rackId}`}
+                {rackSpecificThresholds.length > 0 && (
+                  <span className="ml-2 bg-blue-100 text-blue-800 text-xs font-medium px-2 py-0.5 rounded">
+                    Umbrales específicos del rack
+                  </span>
+                )}
+              </p>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <div className="flex items-center bg-gray-100 rounded-lg p-1 gap-1">
+                {RANGE_OPTIONS.map(option => (
+                  <button
+                    key={option.key}
+                    onClick={() => setRangeKey(option.key)}
+                    className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${
+                      rangeKey === option.key
+                        ? 'bg-blue-600 text-white shadow-md'
+                        : 'text-gray-700 hover:text-gray-900 hover:bg-white'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => setRefreshKey(key => key + 1)}
+                disabled={loading}
+                className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors disabled:opacity-50"
+                title="Actualizar"
+              >
+                <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-4">
+            <div className="flex">
+              <AlertTriangle className="h-5 w-5 text-red-400 mr-2 mt-0.5" />
+              <div>
+                <h3 className="text-sm font-medium text-red-800">Error</h3>
+                <p className="mt-1 text-sm text-red-700">{error}</p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {loading && !history ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mr-4"></div>
+            <p className="text-gray-600">Cargando histórico del rack...</p>
+          </div>
+        ) : history && (
+          <>
+            <p className="text-xs text-gray-500 mb-4">
+              {resolutionLabels[history.resolution] || history.resolution}
+              {events && ` · ${events.alerts.length} periodo${events.alerts.length !== 1 ? 's' : ''} de alerta · ${events.maintenance.length} ventana${events.maintenance.length !== 1 ? 's' : ''} de mantenimiento`}
+            </p>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {METRIC_CHARTS.map(chart => (
+                <MetricChart
+                  key={chart.metric}
+                  title={chart.title}
+                  unit={chart.unit}
+                  metric={chart.metric}
+                  series={history.series}
+                  from={range.from}
+                  to={range.to}
+                  thresholds={getMetricBands(thresholds, chart.metric, rackInfo?.phase)}
+                  maintenance={events?.maintenance || []}
+                  alerts={(events?.alerts || []).filter(alert => alert.metricType === chart.alertMetric)}
+                />
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -11,6 +11,16 @@ export interface RackData {
   serial?: string;
   current: number;
   voltage?: number; // Voltage from totalVolts field in NENG API
+  power?: number | null; // Real power in W (voltage x current x power factor)
+  apparentPower?: number | null; // Apparent power in kVA, only when a power factor is available
+  powerFactor?: number | null;
+  dewPoint?: number | null; // Dew point in °C from sensorTemperature and sensorHumidity (Magnus formula)
+  ratedAmps?: number | null; // Breaker rating of this feed (its own or the rack's per-feed default)
+  loadPercentage?: number | null; // current / ratedAmps, only when a rating is configured
+  rackTotalCurrent?: number | null; // Sum of the current of all PDUs (A/B feeds) of the rack, only with 2+ feeds all reporting
+  failoverLoadPercentage?: number | null; // rackTotalCurrent / ratedAmps: load of this feed if the others fail
+  temperatureDelta?: number | null; // Temperature increase within the rate-of-change window
+  currentDelta?: number | null; // Current increase within the rate-of-change window
   temperature: number;
   status: 'normal' | 'warning' | 'critical';
   lastUpdated: string;
@@ -22,17 +32,380 @@ export interface RackData {
   gwIp?: string;
   // Alert reasons
   reasons?: string[];
+  // Reasons waiting for enough consecutive cycles to be raised or cleared (hysteresis/debounce)
+  pendingAlerts?: PendingAlert[];
+  // Composite rules behind the *_composite_* reasons
+  compositeAlerts?: CompositeAlert[];
   // SONAR error (if failed to send alert)
   sonarError?: string;
   // SONAR alert sent successfully
   sonarSent?: boolean;
+  // Set when every active critical alert of the rack has been acknowledged
+  acknowledgement?: AlertAcknowledgement;
+  // Active silences covering the rack (notifications muted, status still shown)
+  silences?: AlertSilence[];
+  // Parent incident grouping the critical alerts of the rack's gateway or chain
+  correlatedIncident?: CorrelatedIncident;
+  // Set while the rack's alerts keep opening and closing (SONAR notifications held back)
+  flapping?: FlappingInfo;
 }
 
+export interface FlappingInfo {
+  cycles: number;
+  alertReason: string;
+  since: string;
+}
+
+export interface FlappingEvent {
+  id: number;
+  rackId: string;
+  name: string | null;
+  site: string | null;
+  dc: string | null;
+  alertReason: string | null;
+  maxCycles: number;
+  startedAt: string;
+  lastDetectedAt: string;
+  endedAt: string | null;
+}
+
+export interface CorrelatedIncident {
+  id: string;
+  incidentType: 'gateway' | 'chain';
+  name: string;
+  affectedCount: number;
+  rackCount: number;
+  startedAt: string;
+}
+
+export interface AlertAcknowledgement {
+  acknowledgedBy: string;
+  acknowledgedAt: string;
+  comment: string | null;
+}
+
+export interface PendingAlert {
+  reason: string;
+  transition: 'raise' | 'clear';
+  cycles: number;
+  requiredCycles: number;
+}
+
+export interface CompositeAlert {
+  reason: string;
+  name: string;
+  severity: 'critical' | 'warning';
+}
+
+export type CompositeRuleMetric = 'current' | 'voltage' | 'temperature' | 'humidity' | 'dewPoint' | 'power' | 'apparentPower' | 'loadPercentage' | 'temperatureDelta' | 'currentDelta';
+
+export type CompositeRuleOperator = '>' | '>=' | '<' | '<=';
+
+export interface CompositeRuleCondition {
+  metric: CompositeRuleMetric;
+  operator: CompositeRuleOperator;
+  value: number;
+}
+
+// Admin-defined rule combining several metrics; raises <severity>_composite_<reasonCode>
+export interface CompositeAlertRule {
+  id: number;
+  name: string;
+  reasonCode: string;
+  reason: string;
+  severity: 'critical' | 'warning';
+  logicOperator: 'AND' | 'OR';
+  conditions: CompositeRuleCondition[];
+  description: string | null;
+  enabled: boolean;
+  createdBy: string | null;
+  createdAt: string;
+  updatedBy: string | null;
+  updatedAt: string;
+}
+
+// Rated capacity of a rack (applies to every PDU) and of the PDUs that override it
+export interface RackCapacity {
+  rackId: string;
+  ratedAmps: number | null;
+  updatedBy: string | null;
+  updatedAt: string | null;
+  pdus: Array<{
+    pduId: string;
+    name: string;
+    phase: string;
+    current: number | null;
+    ratedAmps: number | null;
+  }>;
+}
+
+// Scope a threshold value comes from (global -> site -> DC -> chain -> rack, the most specific wins)
+export type ThresholdScope = 'global' | 'site' | 'dc' | 'chain' | 'rack';
+
 export interface ThresholdData {
   key: string;
   value: number;
   unit?: string;
   description?: string;
+  source?: ThresholdScope;
   createdAt?: string;
   updatedAt?: string;
-}
\ No newline at end of file
+}
+
+export interface ThresholdChange {
+  key: string;
+  oldValue: number | null; // null: the scope had no value of its own (inherited)
+  newValue: number | null; // null: the value was removed and is inherited again
+}
+
+// One saved edit of a scope, the unit that can be rolled back
+export interface ThresholdChangeSet {
+  changeSetId: string;
+  scopeType: ThresholdScope;
+  site: string | null;
+  dc: string | null;
+  chain: string | null;
+  rackId: string | null;
+  action: 'update' | 'reset' | 'rollback';
+  rollbackOf: string | null;
+  rolledBackBy: string | null;
+  changedBy: string | null;
+  comment: string | null;
+  changedAt: string;
+  changes: ThresholdChange[];
+}
+
+export interface RackStatusCounts {
+  normal: number;
+  warning: number;
+  critical: number;
+}
+
+export interface SimulatedRackChange {
+  rackId: string;
+  name?: string;
+  site: string;
+  dc?: string;
+  chain?: string;
+  currentStatus: 'normal' | 'warning' | 'critical';
+  proposedStatus: 'normal' | 'warning' | 'critical';
+  addedReasons: string[]; // Reasons raised by the proposed values
+  removedReasons: string[]; // Reasons cleared by the proposed values
+}
+
+// Result of POST /api/thresholds/simulate (current vs proposed thresholds on the last cycle)
+export interface ThresholdSimulationResult {
+  totalRacks: number;
+  totals: { current: RackStatusCounts; proposed: RackStatusCounts };
+  bySite: { site: string; current: RackStatusCounts; proposed: RackStatusCounts }[];
+  newlyAlerting: SimulatedRackChange[];
+  clearing: SimulatedRackChange[];
+  reasonChanges: SimulatedRackChange[]; // Same status, different set of reasons
+}
+
+export type TelemetryMetric = 'current' | 'voltage' | 'temperature' | 'humidity';
+
+export type TelemetryResolution = 'raw' | '5min' | 'hourly';
+
+// A telemetry point; aggregated resolutions add <metric>Min / <metric>Max and samples
+export interface TelemetryPoint {
+  timestamp: string;
+  current?: number | null;
+  voltage?: number | null;
+  temperature?: number | null;
+  humidity?: number | null;
+  [key: string]: string | number | null | undefined;
+}
+
+export interface TelemetrySeries {
+  pduId: string;
+  points: TelemetryPoint[];
+}
+
+export interface RackHistoryData {
+  rackId: string;
+  from: string;
+  to: string;
+  resolution: TelemetryResolution;
+  metrics: TelemetryMetric[];
+  series: TelemetrySeries[];
+}
+
+export interface MaintenanceWindow {
+  entryType: string;
+  reason?: string;
+  startedBy?: string;
+  endedBy?: string | null;
+  startedAt: string;
+  endedAt: string | null;
+}
+
+export interface AlertPeriod {
+  id: number;
+  pduId: string;
+  metricType: string;
+  alertReason: string;
+  alertValue?: number;
+  thresholdExceeded?: number;
+  severity: 'critical' | 'warning';
+  startedAt: string;
+  endedAt: string | null;
+  resolutionType?: string;
+}
+
+export interface RackEventsData {
+  rackId: string;
+  from: string;
+  to: string;
+  maintenance: MaintenanceWindow[];
+  alerts: AlertPeriod[];
+}
+
+export interface AlertHistoryEntry {
+  id: number;
+  pduId: string;
+  rackId: string;
+  name: string | null;
+  site: string | null;
+  dc: string | null;
+  chain: string | null;
+  node: string | null;
+  phase: string | null;
+  metricType: string;
+  alertReason: string;
+  severity: 'critical' | 'warning';
+  alertValue: number | null;
+  thresholdExceeded: number | null;
+  createdAt: string;
+  resolvedAt: string | null;
+  resolvedBy: string | null;
+  resolutionType: string | null;
+  durationMinutes: number | null;
+  uuidOpen: string | null;
+  uuidClosed: string | null;
+  escalationLevel: number;
+}
+
+export interface AlertHistoryPagination {
+  page: number;
+  pageSize: number;
+  total: number;
+  totalPages: number;
+}
+
+// Alert analytics (/api/alerts/analytics); durations in minutes, null when there is no data
+export type AlertAnalyticsGroupBy = 'site' | 'dc' | 'chain' | 'month';
+
+export interface AlertAnalyticsSummary {
+  alertCount: number;
+  rackCount: number;
+  openCount: number;
+  mttrMinutes: number | null;
+  mtbfMinutes: number | null;
+}
+
+export interface AlertAnalyticsGroup extends AlertAnalyticsSummary {
+  site: string | null;
+  dc: string | null;
+  chain: string | null;
+  month: string | null;
+}
+
+export interface AlertAnalyticsMetric {
+  metricType: string;
+  alertCount: number;
+  criticalCount: number;
+  mttrMinutes: number | null;
+}
+
+export interface AlertAnalyticsRack {
+  rackId: string;
+  name: string;
+  site: string;
+  dc: string;
+  chain: string | null;
+  alertCount: number;
+  mttrMinutes: number | null;
+  totalMinutes: number;
+}
+
+export interface AlertAnalyticsChain {
+  site: string;
+  dc: string;
+  chain: string;
+  alertCount: number;
+  rackCount: number;
+  mttrMinutes: number | null;
+}
+
+export interface AlertAnalytics {
+  summary: AlertAnalyticsSummary;
+  groups: AlertAnalyticsGroup[];
+  byMetric: AlertAnalyticsMetric[];
+  topRacks: AlertAnalyticsRack[];
+  topChains: AlertAnalyticsChain[];
+}
+
+// Escalation tier of unacknowledged critical alerts; site null = default policy
+export interface EscalationTier {
+  id: number;
+  site: string | null;
+  level: number;
+  delayMinutes: number;
+  notifyTarget: string;
+  notifyContact: string | null;
+  enabled: boolean;
+  updatedBy: string | null;
+  updatedAt: string;
+}
+
+// Recipients of the alert emails of a site; site null = default list
+export interface EmailRecipientList {
+  id: number;
+  site: string | null;
+  recipients: string[];
+  sendWarnings: boolean;
+  enabled: boolean;
+  updatedBy: string | null;
+  updatedAt: string;
+}
+
+// SMTP settings as reported by the server (credentials are never returned)
+export interface EmailNotificationConfig {
+  configured: boolean;
+  host: string | null;
+  port: number;
+  secure: boolean;
+  from: string | null;
+  defaultRecipients: string[];
+  sendWarnings: boolean;
+}
+
+export interface AlertEscalationStep {
+  level: number;
+  delayMinutes: number;
+  notifyTarget: string;
+  notifyContact: string | null;
+  minutesOpen: number | null;
+  sonarNotified: boolean;
+  escalatedAt: string;
+}
+
+export interface AlertSilence {
+  id: number;
+  scopeType: 'rack' | 'chain' | 'site';
+  rackId: string | null;
+  rackName: string | null;
+  site: string | null;
+  dc: string | null;
+  chain: string | null;
+  metricType: string | null;
+  alertReason: string | null;
+  comment: string;
+  createdBy: string | null;
+  createdAt: string;
+  expiresAt: string;
+  endedBy: string | null;
+  endedAt: string | null;
+  active: boolean;
+}
@@ -195,7 +195,8 @@ export function filterRacks(
   searchField: string = 'all',
   metricFilter: string = 'all',
   showAllRacks: boolean = false,
-  maintenanceRacks: Set<string> = new Set()
+  maintenanceRacks: Set<string> = new Set(),
+  ackFilter: 'all' | 'acknowledged' | 'unacknowledged' = 'all'
 ): RackData[] {
   let filteredRacks = racks;
   
@@ -330,6 +331,13 @@ export function filterRacks(
       return hasSpecificMetricAlert;
     });
   }
+
+  // Filter by acknowledgement (only in Alertas mode)
+  if (ackFilter !== 'all' && !showAllRacks) {
+    filteredRacks = filteredRacks.filter(rack =>
+      ackFilter === 'acknowledged' ? !!rack.acknowledgement : !rack.acknowledgement
+    );
+  }
   
   return filteredRacks;
 }
\ No newline at end of file
@@ -6,4 +6,27 @@ import { ThresholdData } from '../types';
 export function getThresholdValue(thresholds: ThresholdData[], key: string): number | undefined {
   const threshold = thresholds.find(t => t.key === key);
   return threshold?.value;
-}
\ No newline at end of file
+}
+/**
+ * Downloads every rack threshold override; the .xlsx file doubles as the import template
+ */
+export async function downloadRackOverrides(format: 'xlsx' | 'csv'): Promise<void> {
+  const response = await fetch(`/api/thresholds/rack-overrides/export?format=${format}`, {
+    credentials: 'include'
+  });
+  if (!response.ok) {
+    throw new Error('Error al exportar los umbrales por rack');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filenameMatch = disposition.match(/filename="([^"]+)"/);
+  const blob = await response.blob();
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filenameMatch ? filenameMatch[1] : `umbrales_por_rack.${format}`;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+}